@@ -0,0 +1,182 @@
+// Mock bin-fill sensor feed for the live data source
+// Usage: node mock-live-server.mjs [port]
+// Connect to ws://localhost:8081/?region=houston&count=300&interval=1000
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { generateData } from './src/data/generator.js';
+import { REGIONS } from './src/config/regions.js';
+
+const PORT = Number(process.argv[2]) || 8081;
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { TEXT: 0x1, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+/**
+ * Encode an unmasked server frame
+ * @param {number} opcode
+ * @param {Buffer} payload
+ * @returns {Buffer}
+ */
+function encodeFrame(opcode, payload) {
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Decode complete masked client frames from a buffer
+ * @param {Buffer} buffer
+ * @returns {{frames: Array<{opcode: number, payload: Buffer}>, rest: Buffer}}
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7f;
+    let cursor = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < cursor + 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length < cursor + 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < cursor + maskLength + length) break;
+
+    const mask = buffer.subarray(cursor, cursor + maskLength);
+    const payload = Buffer.from(buffer.subarray(cursor + maskLength, cursor + maskLength + length));
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = cursor + maskLength + length;
+  }
+
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+/**
+ * Add sensor readings to a generated location
+ * @param {Object} point
+ * @returns {Object}
+ */
+function withReading(point) {
+  return { ...point, fillLevel: Math.round(Math.random() * 80), lastReading: new Date().toISOString() };
+}
+
+/**
+ * Stream a snapshot and then random sensor changes to one client
+ * @param {import('node:net').Socket} socket
+ * @param {URLSearchParams} params
+ */
+function startFeed(socket, params) {
+  const region = REGIONS[params.get('region')] ? params.get('region') : 'texas';
+  const count = Number(params.get('count')) || 300;
+  const interval = Number(params.get('interval')) || 1000;
+
+  const send = message => socket.write(encodeFrame(OPCODES.TEXT, Buffer.from(JSON.stringify(message))));
+  const sensors = new Map(generateData(count, 'clustered', region, Date.now() >>> 0).map(p => [p.id, withReading(p)]));
+  let nextId = count;
+
+  send({ type: 'snapshot', points: [...sensors.values()] });
+  console.log(`Client connected: ${region}, ${sensors.size} sensors`);
+
+  const timer = setInterval(() => {
+    const ids = [...sensors.keys()];
+    const updates = [];
+
+    // Bins fill up; full bins get emptied
+    for (let i = 0; i < Math.max(1, Math.round(ids.length * 0.02)); i++) {
+      const sensor = sensors.get(ids[Math.floor(Math.random() * ids.length)]);
+      sensor.fillLevel = sensor.fillLevel >= 95 ? 0 : Math.min(100, sensor.fillLevel + Math.round(Math.random() * 15));
+      sensor.lastReading = new Date().toISOString();
+      updates.push({ id: sensor.id, fillLevel: sensor.fillLevel, lastReading: sensor.lastReading });
+    }
+    send({ type: 'update', points: updates });
+
+    // Occasionally a sensor is installed next to an existing one, or removed
+    if (Math.random() < 0.1) {
+      const near = sensors.get(ids[Math.floor(Math.random() * ids.length)]);
+      const sensor = withReading({
+        ...near,
+        id: nextId++,
+        lng: near.lng + (Math.random() - 0.5) * 0.01,
+        lat: near.lat + (Math.random() - 0.5) * 0.01
+      });
+      sensors.set(sensor.id, sensor);
+      send({ type: 'add', points: [sensor] });
+    } else if (Math.random() < 0.1 && ids.length > 1) {
+      const id = ids[Math.floor(Math.random() * ids.length)];
+      sensors.delete(id);
+      send({ type: 'delete', ids: [id] });
+    }
+  }, interval);
+
+  let pending = Buffer.alloc(0);
+  socket.on('data', chunk => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+
+    frames.forEach(({ opcode, payload }) => {
+      if (opcode === OPCODES.PING) {
+        socket.write(encodeFrame(OPCODES.PONG, payload));
+      } else if (opcode === OPCODES.CLOSE) {
+        socket.end(encodeFrame(OPCODES.CLOSE, Buffer.alloc(0)));
+      }
+    });
+  });
+
+  socket.on('close', () => {
+    clearInterval(timer);
+    console.log('Client disconnected');
+  });
+  socket.on('error', () => clearInterval(timer));
+}
+
+const server = createServer((req, res) => {
+  res.writeHead(426, { 'Content-Type': 'text/plain' });
+  res.end('WebSocket connections only\n');
+});
+
+server.on('upgrade', (req, socket) => {
+  const key = req.headers['sec-websocket-key'];
+  if (!key || req.headers.upgrade?.toLowerCase() !== 'websocket') {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+
+  const accept = createHash('sha1').update(key + WS_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '\r\n'
+  ].join('\r\n'));
+
+  startFeed(socket, new URL(req.url, 'http://localhost').searchParams);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock live feed on ws://localhost:${PORT}`);
+});
@@ -16,7 +16,19 @@ export const TIMING = {
   /** Map animation duration for flyTo/easeTo */
   FLY_DURATION_MS: 1500,
   /** Quick map animation duration */
-  EASE_DURATION_MS: 500
+  EASE_DURATION_MS: 500,
+  /** Time between periods during timeline playback */
+  PLAYBACK_STEP_MS: 1200,
+  /** Window for batching live feed messages into one data update */
+  LIVE_FLUSH_MS: 250,
+  /** Wait after the map stops moving before loading the viewport */
+  VIEWPORT_DEBOUNCE_MS: 300,
+  /** Changes to the same setting within this window are undone as one step */
+  HISTORY_MERGE_MS: 1000,
+  /** Wait after typing in the paste box before updating the preview */
+  PASTE_PREVIEW_DEBOUNCE_MS: 300,
+  /** Wait after typing in the query bar before applying the query */
+  QUERY_APPLY_DEBOUNCE_MS: 400
 };
 
 /**
@@ -64,7 +76,35 @@ export const MARKER_DEFAULTS = {
 export const DATA_DEFAULTS = {
   POINT_COUNT: 500,
   MIN_VOLUME: 1,
-  MAX_VOLUME: 10
+  MAX_VOLUME: 10,
+  /** First month of generated time series */
+  SERIES_START: '2025-01',
+  /** Longest generated time series, in months */
+  MAX_SERIES_MONTHS: 36
+};
+
+/**
+ * Viewport paging (see data/viewport.js)
+ */
+export const VIEWPORT = {
+  /** Extra area loaded around the visible bounds, as a fraction of their size */
+  MARGIN: 0.25,
+  MIN_TILE_ZOOM: 2,
+  MAX_TILE_ZOOM: 14,
+  /** Most tiles requested for one viewport; coarser tiles are used above this */
+  MAX_TILES: 16,
+  /** Tiles kept in the cache */
+  CACHE_TILES: 256
+};
+
+/**
+ * Volume range slider (see ui/volumeSlider.js)
+ */
+export const VOLUME_SLIDER = {
+  /** Handle step, in tons */
+  STEP: 0.5,
+  /** Most histogram bars; wide volume domains get wider bins */
+  MAX_BINS: 40
 };
 
 /**
@@ -79,6 +119,13 @@ export const LAYER_IDS = {
   HEATMAP: 'heatmap',
   MARKERS: 'markers',
   MARKERS_LABELS: 'markers-labels',
+  OVERLAY_FILL: 'overlay-fill',
+  OVERLAY_LINE: 'overlay-line',
+  DIFF_LINES: 'diff-lines',
+  DIFF_POINTS: 'diff-points',
+  PASTE_PREVIEW: 'paste-preview',
+  SHAPES_FILL: 'shapes-fill',
+  SHAPES_LINE: 'shapes-line',
   BUILDINGS_3D: '3d-buildings',
   SKY: 'sky'
 };
@@ -88,9 +135,50 @@ export const LAYER_IDS = {
  */
 export const SOURCE_IDS = {
   POINTS: 'points',
+  OVERLAY: 'overlay',
+  DIFF: 'diff',
+  PASTE_PREVIEW: 'paste-preview',
+  SHAPES: 'shapes',
   DEM: 'mapbox-dem'
 };
 
+/**
+ * Layer group of the main dataset (the one loaded from data sources)
+ * Its layers and source keep the plain LAYER_IDS and SOURCE_IDS.POINTS;
+ * other groups prefix them with their group ID.
+ */
+export const MAIN_GROUP_ID = 'main';
+
+/**
+ * Primary/secondary color pairs given to added layer groups in turn
+ */
+export const GROUP_COLORS = [
+  { primary: '#10b981', secondary: '#f59e0b' },
+  { primary: '#8b5cf6', secondary: '#ec4899' },
+  { primary: '#f97316', secondary: '#b91c1c' },
+  { primary: '#06b6d4', secondary: '#1e3a8a' }
+];
+
+/**
+ * Diff layer colors by status (see data/diff.js)
+ */
+export const DIFF_COLORS = {
+  added: '#22c55e',
+  removed: '#ef4444',
+  changed: '#f59e0b'
+};
+
+/**
+ * Data source IDs (see data/sources)
+ */
+export const DATA_SOURCE_IDS = {
+  GENERATOR: 'generator',
+  URL: 'url',
+  REST: 'rest',
+  LIVE: 'live',
+  VIEWPORT: 'viewport'
+};
+
 /**
  * Visualization modes
  * @type {Object.<string, string>}
@@ -0,0 +1,160 @@
+/**
+ * Bundled Texas gazetteer for offline geocoding (see data/geocode.js)
+ * Positions are approximate: city centers, a few downtown ZIP centroids,
+ * and 3-digit ZIP areas placed on the city their mail is sorted in. Good
+ * enough to put an address-only list on the map, not to route to it.
+ * @module config/gazetteer
+ */
+
+/**
+ * @typedef {Object} Gazetteer
+ * @property {string} name - Display name
+ * @property {string[]} states - State names and abbreviations stripped from address parts
+ * @property {Object.<string, [number, number]>} cities - City name → [lng, lat]
+ * @property {Object.<string, [number, number]>} zips - 5-digit ZIP → [lng, lat]
+ * @property {Object.<string, string>} zipAreas - 3-digit ZIP prefix → city name
+ */
+
+/**
+ * Texas cities, ZIP centroids and ZIP areas
+ * @type {Gazetteer}
+ */
+export const TEXAS_GAZETTEER = {
+  name: 'Texas gazetteer (offline)',
+  states: ['TX', 'Texas'],
+
+  cities: {
+    'Abilene': [-99.7331, 32.4487],
+    'Allen': [-96.6706, 33.1032],
+    'Amarillo': [-101.8313, 35.2220],
+    'Arlington': [-97.1081, 32.7357],
+    'Austin': [-97.7431, 30.2672],
+    'Baytown': [-94.9774, 29.7355],
+    'Beaumont': [-94.1266, 30.0802],
+    'Brownsville': [-97.4975, 25.9017],
+    'Brownwood': [-98.9912, 31.7093],
+    'Bryan': [-96.3698, 30.6744],
+    'Carrollton': [-96.8903, 32.9537],
+    'Childress': [-100.2040, 34.4265],
+    'College Station': [-96.3344, 30.6280],
+    'Conroe': [-95.4560, 30.3119],
+    'Corpus Christi': [-97.3964, 27.8006],
+    'Dallas': [-96.7970, 32.7767],
+    'Del Rio': [-100.8968, 29.3627],
+    'Denton': [-97.1331, 33.2148],
+    'Edinburg': [-98.1633, 26.3017],
+    'El Paso': [-106.4850, 31.7619],
+    'Fort Worth': [-97.3308, 32.7555],
+    'Frisco': [-96.8236, 33.1507],
+    'Galveston': [-94.7977, 29.3013],
+    'Garland': [-96.6389, 32.9126],
+    'Georgetown': [-97.6779, 30.6333],
+    'Giddings': [-96.9364, 30.1827],
+    'Grand Prairie': [-96.9978, 32.7460],
+    'Greenville': [-96.1086, 33.1385],
+    'Harlingen': [-97.6961, 26.1906],
+    'Houston': [-95.3698, 29.7604],
+    'Irving': [-96.9489, 32.8140],
+    'Katy': [-95.8244, 29.7858],
+    'Killeen': [-97.7278, 31.1171],
+    'Kingsville': [-97.8561, 27.5159],
+    'Laredo': [-99.5075, 27.5306],
+    'League City': [-95.0949, 29.5075],
+    'Lewisville': [-96.9942, 33.0462],
+    'Longview': [-94.7405, 32.5007],
+    'Lubbock': [-101.8552, 33.5779],
+    'Lufkin': [-94.7291, 31.3382],
+    'McAllen': [-98.2300, 26.2034],
+    'McKinney': [-96.6398, 33.1972],
+    'Mesquite': [-96.5992, 32.7668],
+    'Midland': [-102.0779, 31.9973],
+    'Nacogdoches': [-94.6555, 31.6035],
+    'New Braunfels': [-98.1245, 29.7030],
+    'Odessa': [-102.3676, 31.8457],
+    'Palestine': [-95.6308, 31.7621],
+    'Pasadena': [-95.2091, 29.6911],
+    'Pearland': [-95.2860, 29.5636],
+    'Plano': [-96.6989, 33.0198],
+    'Port Arthur': [-93.9399, 29.8850],
+    'Richardson': [-96.7299, 32.9483],
+    'Richmond': [-95.7605, 29.5822],
+    'Round Rock': [-97.6789, 30.5083],
+    'San Angelo': [-100.4370, 31.4638],
+    'San Antonio': [-98.4936, 29.4241],
+    'San Marcos': [-97.9414, 29.8833],
+    'Stephenville': [-98.2023, 32.2207],
+    'Sugar Land': [-95.6349, 29.6197],
+    'Temple': [-97.3428, 31.0982],
+    'Texarkana': [-94.0477, 33.4251],
+    'The Woodlands': [-95.4894, 30.1658],
+    'Tyler': [-95.3011, 32.3513],
+    'Uvalde': [-99.7862, 29.2097],
+    'Victoria': [-97.0036, 28.8053],
+    'Waco': [-97.1467, 31.5493],
+    'Wichita Falls': [-98.4934, 33.9137]
+  },
+
+  zips: {
+    '75201': [-96.8003, 32.7900],
+    '76102': [-97.3294, 32.7545],
+    '77002': [-95.3656, 29.7566],
+    '77030': [-95.4011, 29.7070],
+    '78205': [-98.4880, 29.4246],
+    '78701': [-97.7437, 30.2711],
+    '79401': [-101.8446, 33.5869],
+    '79901': [-106.4840, 31.7587]
+  },
+
+  zipAreas: {
+    '750': 'Richardson',
+    '751': 'Dallas',
+    '752': 'Dallas',
+    '753': 'Dallas',
+    '754': 'Greenville',
+    '755': 'Texarkana',
+    '756': 'Longview',
+    '757': 'Tyler',
+    '758': 'Palestine',
+    '759': 'Lufkin',
+    '760': 'Arlington',
+    '761': 'Fort Worth',
+    '762': 'Denton',
+    '763': 'Wichita Falls',
+    '764': 'Stephenville',
+    '765': 'Temple',
+    '766': 'Waco',
+    '767': 'Waco',
+    '768': 'Brownwood',
+    '769': 'San Angelo',
+    '770': 'Houston',
+    '772': 'Houston',
+    '773': 'Conroe',
+    '774': 'Richmond',
+    '775': 'Pasadena',
+    '776': 'Beaumont',
+    '777': 'Beaumont',
+    '778': 'Bryan',
+    '779': 'Victoria',
+    '780': 'San Antonio',
+    '781': 'San Antonio',
+    '782': 'San Antonio',
+    '783': 'Corpus Christi',
+    '784': 'Corpus Christi',
+    '785': 'McAllen',
+    '786': 'Round Rock',
+    '787': 'Austin',
+    '788': 'Uvalde',
+    '789': 'Giddings',
+    '790': 'Amarillo',
+    '791': 'Amarillo',
+    '792': 'Childress',
+    '793': 'Lubbock',
+    '794': 'Lubbock',
+    '795': 'Abilene',
+    '796': 'Abilene',
+    '797': 'Midland',
+    '798': 'El Paso',
+    '799': 'El Paso',
+    '885': 'El Paso'
+  }
+};
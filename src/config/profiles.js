@@ -0,0 +1,124 @@
+/**
+ * Generator profiles: how location attributes are generated
+ * @module config/profiles
+ */
+
+/**
+ * @typedef {Object} VolumeDistribution
+ * @property {number} mean - Mean recycling volume in tons/month
+ * @property {number} sd - Standard deviation
+ */
+
+/**
+ * Extra generated property
+ * - number: spans min..max (±3 standard deviations); `correlation` (-1..1) ties it to volume
+ * - choice: one of `values`, optionally weighted
+ * - boolean: true with `probability`
+ * `categories` limits the property to locations of those categories.
+ * @typedef {Object} PropertySpec
+ * @property {'number'|'choice'|'boolean'} type
+ * @property {number} [min]
+ * @property {number} [max]
+ * @property {boolean} [integer] - Round numbers to whole values
+ * @property {number} [correlation] - Correlation with recycling volume
+ * @property {Array<string|number>} [values]
+ * @property {number[]} [weights] - Relative weights for `values`
+ * @property {number} [probability]
+ * @property {string[]} [categories]
+ */
+
+/**
+ * @typedef {Object} GeneratorProfile
+ * @property {string} name - Label shown in the Data Panel
+ * @property {string} description - One-line summary
+ * @property {Object.<string, number>} [categoryWeights] - Relative category frequencies (uniform when omitted)
+ * @property {Object.<string, VolumeDistribution>} [volume] - Volume distribution per category, with
+ *   a `default` entry for categories not listed. Without it every attribute is independent and uniform.
+ * @property {Object.<string, number>} [metroMultipliers] - Volume multiplier per metro name
+ * @property {number} [valueCorrelation=0] - Correlation between `value` and volume (-1..1)
+ * @property {Object.<string, PropertySpec>} [properties] - Extra properties added to each location
+ */
+
+/**
+ * Profile used when none is selected; reproduces the original generator
+ * @type {string}
+ */
+export const DEFAULT_PROFILE = 'independent';
+
+/**
+ * Built-in generator profiles
+ * @type {Object.<string, GeneratorProfile>}
+ */
+export const PROFILES = {
+  independent: {
+    name: 'Independent (random)',
+    description: 'Category, value and volume drawn independently and uniformly'
+  },
+
+  realistic: {
+    name: 'Realistic City Mix',
+    description: 'Restaurants and transit produce the most; bigger metros produce more; value tracks volume',
+    categoryWeights: { Restaurant: 0.3, Shop: 0.25, Office: 0.25, Park: 0.1, Transit: 0.1 },
+    volume: {
+      Restaurant: { mean: 7, sd: 1.5 },
+      Shop: { mean: 5, sd: 1.5 },
+      Office: { mean: 4, sd: 1.2 },
+      Park: { mean: 2.5, sd: 1 },
+      Transit: { mean: 6, sd: 2 },
+      default: { mean: 4, sd: 1.5 }
+    },
+    metroMultipliers: {
+      'Houston': 1.15,
+      'Dallas-Fort Worth': 1.1,
+      'Austin': 0.95,
+      'San Antonio': 0.9
+    },
+    valueCorrelation: 0.7,
+    properties: {
+      pickupsPerWeek: { type: 'number', min: 1, max: 7, integer: true, correlation: 0.85 },
+      binType: { type: 'choice', values: ['Cart', 'Dumpster', 'Compactor'], weights: [0.5, 0.4, 0.1] }
+    }
+  },
+
+  restaurantRow: {
+    name: 'Restaurant Row',
+    description: 'Dining district: mostly high-volume restaurants with grease and compost service',
+    categoryWeights: { Restaurant: 0.6, Shop: 0.2, Office: 0.1, Park: 0.05, Transit: 0.05 },
+    volume: {
+      Restaurant: { mean: 8, sd: 1.2 },
+      Shop: { mean: 4.5, sd: 1.5 },
+      default: { mean: 3, sd: 1.2 }
+    },
+    valueCorrelation: 0.5,
+    properties: {
+      cuisine: {
+        type: 'choice',
+        values: ['Tex-Mex', 'BBQ', 'Seafood', 'Asian', 'Cafe'],
+        weights: [0.3, 0.25, 0.15, 0.2, 0.1],
+        categories: ['Restaurant']
+      },
+      compost: { type: 'boolean', probability: 0.4, categories: ['Restaurant'] },
+      seats: { type: 'number', min: 20, max: 250, integer: true, correlation: 0.8, categories: ['Restaurant'] }
+    }
+  },
+
+  officeDistrict: {
+    name: 'Downtown Offices',
+    description: 'Office-heavy core where paper and cardboard volume scales with floor space',
+    categoryWeights: { Restaurant: 0.15, Shop: 0.15, Office: 0.6, Park: 0.05, Transit: 0.05 },
+    volume: {
+      Office: { mean: 6, sd: 2 },
+      Transit: { mean: 7, sd: 1.5 },
+      default: { mean: 3.5, sd: 1.5 }
+    },
+    metroMultipliers: {
+      'Dallas-Fort Worth': 1.2,
+      'Houston': 1.1
+    },
+    valueCorrelation: 0.9,
+    properties: {
+      floors: { type: 'number', min: 2, max: 60, integer: true, correlation: 0.9, categories: ['Office'] },
+      paperShare: { type: 'number', min: 0.2, max: 0.8, correlation: 0.5 }
+    }
+  }
+};
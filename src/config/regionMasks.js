@@ -0,0 +1,98 @@
+/**
+ * Bundled mask outlines for the preset regions
+ * Simplified outlines (a few km of accuracy) that keep generated points on
+ * land and inside the metro area: the Texas outline follows the Gulf coast
+ * around Galveston Bay, and the metro outlines approximate the urban area.
+ * @module config/regionMasks
+ */
+
+/**
+ * Mask polygons keyed by region ID in `properties.region`
+ * @type {GeoJSON.FeatureCollection}
+ */
+export const REGION_MASKS = {
+  type: 'FeatureCollection',
+  features: [
+    {
+      type: 'Feature',
+      properties: { region: 'texas', name: 'Texas' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-103.04, 36.50], [-100.00, 36.50], [-100.00, 34.56], [-99.20, 34.37],
+          [-98.50, 34.13], [-97.95, 33.90], [-97.15, 33.73], [-96.60, 33.85],
+          [-95.85, 33.86], [-95.30, 33.88], [-94.48, 33.64], [-94.04, 33.55],
+          [-94.04, 33.02], [-94.04, 31.99], [-93.80, 31.55], [-93.53, 31.05],
+          [-93.56, 30.58], [-93.72, 30.06], [-93.84, 29.69], [-94.35, 29.60],
+          [-94.70, 29.58], [-94.75, 29.76], [-94.90, 29.78], [-95.02, 29.70],
+          [-95.02, 29.55], [-94.93, 29.38], [-95.10, 29.15], [-95.36, 28.93],
+          [-95.90, 28.64], [-96.40, 28.40], [-96.85, 28.10], [-97.05, 27.85],
+          [-97.25, 27.55], [-97.40, 27.10], [-97.40, 26.60], [-97.17, 26.07],
+          [-97.15, 25.96], [-97.50, 25.88], [-98.00, 26.06], [-98.45, 26.22],
+          [-99.10, 26.43], [-99.45, 27.02], [-99.50, 27.50], [-100.10, 28.15],
+          [-100.40, 28.60], [-100.65, 29.10], [-101.00, 29.37], [-101.40, 29.77],
+          [-102.00, 29.80], [-102.40, 29.78], [-102.70, 29.60], [-102.90, 29.22],
+          [-103.15, 28.98], [-103.50, 29.15], [-104.00, 29.35], [-104.50, 29.65],
+          [-104.70, 30.10], [-105.00, 30.65], [-105.60, 31.08], [-106.20, 31.45],
+          [-106.53, 31.78], [-106.62, 32.00], [-103.06, 32.00], [-103.04, 36.50]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { region: 'houston', name: 'Houston' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-95.80, 29.95], [-95.70, 30.12], [-95.45, 30.15], [-95.20, 30.08],
+          [-95.05, 29.95], [-95.02, 29.72], [-95.05, 29.55], [-95.20, 29.50],
+          [-95.45, 29.48], [-95.65, 29.55], [-95.80, 29.72], [-95.80, 29.95]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { region: 'dallas', name: 'Dallas-Fort Worth' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-97.55, 32.55], [-97.50, 32.98], [-97.20, 33.10], [-96.85, 33.15],
+          [-96.55, 33.05], [-96.45, 32.80], [-96.55, 32.58], [-96.85, 32.50],
+          [-97.20, 32.50], [-97.55, 32.55]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { region: 'austin', name: 'Austin' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-97.95, 30.20], [-97.92, 30.42], [-97.75, 30.52], [-97.58, 30.45],
+          [-97.55, 30.25], [-97.62, 30.10], [-97.80, 30.08], [-97.95, 30.20]
+        ]]
+      }
+    },
+    {
+      type: 'Feature',
+      properties: { region: 'sanantonio', name: 'San Antonio' },
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[
+          [-98.75, 29.35], [-98.72, 29.62], [-98.50, 29.70], [-98.30, 29.60],
+          [-98.28, 29.35], [-98.42, 29.22], [-98.62, 29.22], [-98.75, 29.35]
+        ]]
+      }
+    }
+  ]
+};
+
+/**
+ * Get the bundled mask ring for a preset region
+ * @param {string} regionId
+ * @returns {Array<[number, number]>|undefined} Outer ring, or undefined without a mask
+ */
+export function getRegionMask(regionId) {
+  const feature = REGION_MASKS.features.find(f => f.properties.region === regionId);
+  return feature?.geometry.coordinates[0];
+}
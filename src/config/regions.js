@@ -3,17 +3,7 @@
  * @module config/regions
  */
 
-/**
- * Region configuration with center coordinates and zoom levels
- * @type {Object.<string, {center: [number, number], zoom: number, name: string}>}
- */
-export const REGIONS = {
-  texas: { center: [-99.5, 31.0], zoom: 5.5, name: 'Texas (All)' },
-  houston: { center: [-95.3698, 29.7604], zoom: 10, name: 'Houston' },
-  dallas: { center: [-96.7970, 32.7767], zoom: 10, name: 'Dallas-Fort Worth' },
-  austin: { center: [-97.7431, 30.2672], zoom: 11, name: 'Austin' },
-  sanantonio: { center: [-98.4936, 29.4241], zoom: 11, name: 'San Antonio' }
-};
+import { getRegionMask } from './regionMasks.js';
 
 /**
  * Texas metro areas with population weights for data distribution
@@ -26,6 +16,28 @@ export const TEXAS_METROS = [
   { name: 'Austin', center: [-97.7431, 30.2672], weight: 0.17, spread: 0.2 }
 ];
 
+/**
+ * Built-in region presets with center coordinates and zoom levels
+ * `spread` sizes single-center regions; regions with `metros` spread
+ * points across the metros by weight instead. `polygon` is the mask
+ * generated points must fall inside (bundled in config/regionMasks.js).
+ * User-defined regions live in the store (see data/regions.js).
+ * @type {Object.<string, {center: [number, number], zoom: number, name: string, spread: number, metros?: typeof TEXAS_METROS, polygon?: Array<[number, number]>}>}
+ */
+export const REGIONS = {
+  texas: { center: [-99.5, 31.0], zoom: 5.5, name: 'Texas (All)', spread: 0.3, metros: TEXAS_METROS, polygon: getRegionMask('texas') },
+  houston: { center: [-95.3698, 29.7604], zoom: 10, name: 'Houston', spread: 0.25, polygon: getRegionMask('houston') },
+  dallas: { center: [-96.7970, 32.7767], zoom: 10, name: 'Dallas-Fort Worth', spread: 0.35, polygon: getRegionMask('dallas') },
+  austin: { center: [-97.7431, 30.2672], zoom: 11, name: 'Austin', spread: 0.25, polygon: getRegionMask('austin') },
+  sanantonio: { center: [-98.4936, 29.4241], zoom: 11, name: 'San Antonio', spread: 0.25, polygon: getRegionMask('sanantonio') }
+};
+
+/**
+ * Spread for user-defined regions without metros (degrees)
+ * @type {number}
+ */
+export const DEFAULT_REGION_SPREAD = 0.25;
+
 /**
  * Location categories for data generation
  * @type {string[]}
@@ -33,12 +45,35 @@ export const TEXAS_METROS = [
 export const CATEGORIES = ['Restaurant', 'Shop', 'Office', 'Park', 'Transit'];
 
 /**
- * Volume filter ranges in tons/month
- * @type {Object.<string, {min: number, max: number, label: string}>}
+ * Monthly volume multipliers per category (January first)
+ * Parks peak in summer, shops around the holidays, offices dip in summer.
+ * @type {Object.<string, number[]>}
+ */
+export const SEASONALITY = {
+  Restaurant: [0.9, 0.9, 1.0, 1.05, 1.1, 1.15, 1.2, 1.2, 1.05, 1.0, 1.05, 1.2],
+  Shop: [0.85, 0.8, 0.9, 0.95, 1.0, 1.0, 1.0, 1.05, 1.0, 1.05, 1.3, 1.5],
+  Office: [1.05, 1.05, 1.05, 1.0, 1.0, 0.85, 0.75, 0.8, 1.05, 1.05, 1.0, 0.9],
+  Park: [0.6, 0.65, 0.85, 1.1, 1.3, 1.5, 1.6, 1.5, 1.2, 0.95, 0.75, 0.65],
+  Transit: [0.95, 0.95, 1.0, 1.0, 1.0, 1.05, 1.05, 1.05, 1.0, 1.0, 1.0, 0.95]
+};
+
+/**
+ * Fallback category for external records without a category
+ * @type {string}
+ */
+export const OTHER_CATEGORY = 'Other';
+
+/**
+ * Volume filter presets in tons/month
+ * min/max are the labelled whole-ton range. Presets keep volumes with
+ * above < volume <= atMost (a missing bound is open), so fractional and
+ * out-of-range volumes fall in exactly one preset. Custom slider ranges
+ * include both ends instead (see data/filters.js).
+ * @type {Object.<string, {min: number, max: number, label: string, above?: number, atMost?: number}>}
  */
 export const VOLUME_RANGES = {
   all: { min: 1, max: 10, label: 'All volumes' },
-  small: { min: 1, max: 3, label: '1-3t' },
-  medium: { min: 4, max: 6, label: '4-6t' },
-  large: { min: 7, max: 10, label: '7-10t' }
+  small: { min: 1, max: 3, label: '1-3t', atMost: 3 },
+  medium: { min: 4, max: 6, label: '4-6t', above: 3, atMost: 6 },
+  large: { min: 7, max: 10, label: '7-10t', above: 6 }
 };
@@ -0,0 +1,249 @@
+/**
+ * Columnar (typed array) representation of location data
+ * Used to move datasets between the main thread and the pipeline worker
+ * as transferable buffers instead of structured-cloned objects.
+ * @module data/columnar
+ */
+
+import { compileFilters, matchesClause } from './filters.js';
+import { getExtraProperties } from './generator.js';
+
+/**
+ * @typedef {Object} LocationColumns
+ * @property {number} length - Number of locations
+ * @property {Float64Array|Array<string|number>} id - IDs (plain array when not all numeric)
+ * @property {Float64Array} lng
+ * @property {Float64Array} lat
+ * @property {Float64Array} value
+ * @property {Float64Array} recyclingVolume
+ * @property {Uint32Array} category - Index into categories
+ * @property {Uint32Array} metro - Index into metros
+ * @property {Uint32Array} period - Index into periods
+ * @property {Float64Array} timestamp - UTC ms (NaN without time)
+ * @property {string[]} categories - Distinct category names
+ * @property {string[]} metros - Distinct metro names
+ * @property {Array<string|undefined>} periods - Distinct periods (undefined without time)
+ * @property {Array<Object|null>|null} extra - Extra properties per location (plain array,
+ *   structured-cloned), or null when no location has any
+ */
+
+/**
+ * Names of the typed array columns
+ * @type {string[]}
+ */
+const TYPED_COLUMNS = ['lng', 'lat', 'value', 'recyclingVolume', 'timestamp', 'category', 'metro', 'period'];
+
+/**
+ * Lookup tables of the string columns, by column
+ * @type {Object.<string, string>}
+ */
+const STRING_LOOKUPS = { category: 'categories', metro: 'metros', period: 'periods' };
+
+/**
+ * Build a string lookup table and index column
+ * @param {LocationData[]} data
+ * @param {string} field
+ * @returns {{index: Uint32Array, values: string[]}}
+ */
+function encodeStrings(data, field) {
+  const lookup = new Map();
+  const index = new Uint32Array(data.length);
+
+  data.forEach((point, i) => {
+    const key = point[field];
+    if (!lookup.has(key)) {
+      lookup.set(key, lookup.size);
+    }
+    index[i] = lookup.get(key);
+  });
+
+  return { index, values: Array.from(lookup.keys()) };
+}
+
+/**
+ * Convert location objects to columns
+ * Extra properties are carried in a plain array alongside the typed columns.
+ * @param {LocationData[]} data
+ * @returns {LocationColumns}
+ */
+export function toColumns(data) {
+  const length = data.length;
+  const numericIds = data.every(point => typeof point.id === 'number');
+
+  const columns = {
+    length,
+    id: numericIds ? new Float64Array(length) : new Array(length),
+    lng: new Float64Array(length),
+    lat: new Float64Array(length),
+    value: new Float64Array(length),
+    recyclingVolume: new Float64Array(length),
+    timestamp: new Float64Array(length),
+    extra: null
+  };
+
+  const extra = data.map(getExtraProperties);
+  if (extra.some(Boolean)) {
+    columns.extra = extra;
+  }
+
+  data.forEach((point, i) => {
+    columns.id[i] = point.id;
+    columns.lng[i] = point.lng;
+    columns.lat[i] = point.lat;
+    columns.value[i] = point.value;
+    columns.recyclingVolume[i] = point.recyclingVolume;
+    columns.timestamp[i] = point.timestamp ?? NaN;
+  });
+
+  const categories = encodeStrings(data, 'category');
+  const metros = encodeStrings(data, 'metro');
+  const periods = encodeStrings(data, 'period');
+
+  columns.category = categories.index;
+  columns.categories = categories.values;
+  columns.metro = metros.index;
+  columns.metros = metros.values;
+  columns.period = periods.index;
+  columns.periods = periods.values;
+
+  return columns;
+}
+
+/**
+ * Convert columns back to location objects
+ * @param {LocationColumns} columns
+ * @returns {LocationData[]}
+ */
+export function fromColumns(columns) {
+  const data = new Array(columns.length);
+
+  for (let i = 0; i < columns.length; i++) {
+    data[i] = {
+      ...columns.extra?.[i],
+      id: columns.id[i],
+      lng: columns.lng[i],
+      lat: columns.lat[i],
+      value: columns.value[i],
+      category: columns.categories[columns.category[i]],
+      metro: columns.metros[columns.metro[i]],
+      recyclingVolume: columns.recyclingVolume[i]
+    };
+
+    const period = columns.periods[columns.period[i]];
+    if (period !== undefined) {
+      data[i].period = period;
+      data[i].timestamp = columns.timestamp[i];
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Copy columns so one copy can be transferred while the other is kept
+ * @param {LocationColumns} columns
+ * @returns {LocationColumns}
+ */
+export function cloneColumns(columns) {
+  const copy = {
+    ...columns,
+    id: columns.id.slice(),
+    categories: columns.categories.slice(),
+    metros: columns.metros.slice(),
+    periods: columns.periods.slice(),
+    extra: columns.extra && columns.extra.slice()
+  };
+
+  TYPED_COLUMNS.forEach(name => {
+    copy[name] = columns[name].slice();
+  });
+
+  return copy;
+}
+
+/**
+ * List the buffers of the typed columns for postMessage transfer
+ * @param {LocationColumns} columns
+ * @returns {ArrayBuffer[]}
+ */
+export function getTransferables(columns) {
+  const buffers = TYPED_COLUMNS.map(name => columns[name].buffer);
+
+  if (ArrayBuffer.isView(columns.id)) {
+    buffers.push(columns.id.buffer);
+  }
+
+  return buffers;
+}
+
+/**
+ * Find the locations that pass the filters
+ * @param {LocationColumns} columns
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {Uint32Array} Indices of matching locations, in order
+ */
+export function filterColumns(columns, filters) {
+  // String clauses are evaluated once per lookup value, then checked by index
+  const tests = compileFilters(filters).map(clause => {
+    if (clause.property === 'lngLat') {
+      return i => matchesClause([columns.lng[i], columns.lat[i]], clause);
+    }
+
+    const column = columns[clause.property];
+    const lookup = columns[STRING_LOOKUPS[clause.property]];
+
+    if (!lookup) {
+      return i => matchesClause(column[i], clause);
+    }
+
+    const passing = lookup.map(value => matchesClause(value, clause));
+    return i => passing[column[i]];
+  });
+
+  const matches = new Uint32Array(columns.length);
+  let count = 0;
+
+  for (let i = 0; i < columns.length; i++) {
+    if (tests.every(test => test(i))) {
+      matches[count++] = i;
+    }
+  }
+
+  return matches.slice(0, count);
+}
+
+/**
+ * Build the map FeatureCollection for a subset of locations
+ * Properties match those produced by the getFilteredGeoJSON selector.
+ * @param {LocationColumns} columns
+ * @param {Uint32Array} indices - Locations to include
+ * @returns {GeoJSON.FeatureCollection}
+ */
+export function columnsToGeoJSON(columns, indices) {
+  const features = new Array(indices.length);
+
+  for (let j = 0; j < indices.length; j++) {
+    const i = indices[j];
+    const period = columns.periods[columns.period[i]];
+
+    features[j] = {
+      type: 'Feature',
+      geometry: {
+        type: 'Point',
+        coordinates: [columns.lng[i], columns.lat[i]]
+      },
+      properties: {
+        ...columns.extra?.[i],
+        id: columns.id[i],
+        value: columns.value[i],
+        category: columns.categories[columns.category[i]],
+        metro: columns.metros[columns.metro[i]],
+        recyclingVolume: columns.recyclingVolume[i],
+        weight: columns.recyclingVolume[i] / 10,
+        ...(period !== undefined && { period })
+      }
+    };
+  }
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,323 @@
+/**
+ * CSV parsing and column mapping for location imports
+ * @module data/csv
+ */
+
+import { OTHER_CATEGORY } from '../config/regions.js';
+import { DATA_DEFAULTS } from '../config/constants.js';
+import { FIELD_ALIASES, toNumber, markDefaulted } from './normalize.js';
+import { parsePeriod } from '../utils/time.js';
+import { geocodeAll, getGeocoder } from './geocode.js';
+
+/**
+ * LocationData fields that can be mapped from CSV columns
+ * @type {Array<{field: string, label: string, required: boolean}>}
+ */
+export const CSV_FIELDS = [
+  { field: 'lng', label: 'Longitude', required: true },
+  { field: 'lat', label: 'Latitude', required: true },
+  { field: 'category', label: 'Category', required: false },
+  { field: 'metro', label: 'Metro', required: false },
+  { field: 'recyclingVolume', label: 'Volume (t/month)', required: false },
+  { field: 'value', label: 'Value', required: false },
+  { field: 'period', label: 'Period / Date', required: false },
+  { field: 'address', label: 'Address (to geocode)', required: false },
+  { field: 'zip', label: 'ZIP code (to geocode)', required: false }
+];
+
+/**
+ * Header aliases of the columns only used for geocoding
+ * Kept out of FIELD_ALIASES so an "address" property of JSON records
+ * survives normalization as an extra field.
+ * @type {Object.<string, string[]>}
+ */
+const GEOCODE_ALIASES = {
+  address: ['address', 'street', 'street address', 'addr', 'address1', 'address line 1'],
+  zip: ['zip', 'zipcode', 'zip code', 'postcode', 'postal code', 'postal']
+};
+
+/**
+ * Columns appended by geocodeCsvRows, by property name
+ */
+const GEOCODE_COLUMNS = ['lng', 'lat', 'geocodeConfidence', 'geocodeMatch'];
+
+/**
+ * Candidate delimiters, in order of preference on ties
+ * @type {string[]}
+ */
+const DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Detect the delimiter of a CSV text from its first line
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+
+  let best = ',';
+  let bestCount = 0;
+
+  DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Parse CSV text into a header row and data rows
+ * Supports quoted fields with embedded delimiters, quotes ("") and newlines.
+ * @param {string} text - CSV text
+ * @param {Object} [options]
+ * @param {string} [options.delimiter] - Field delimiter (detected if omitted)
+ * @returns {{headers: string[], rows: string[][], delimiter: string}}
+ */
+export function parseCSV(text, options = {}) {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(source);
+  const records = [];
+
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last record without trailing newline
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Drop blank lines
+  const nonEmpty = records.filter(r => r.some(value => value.trim() !== ''));
+  const [headerRow = [], ...rows] = nonEmpty;
+
+  return {
+    headers: headerRow.map(h => h.trim()),
+    rows,
+    delimiter
+  };
+}
+
+/**
+ * Guess which column maps to each LocationData field from header names
+ * @param {string[]} headers
+ * @returns {Object.<string, number>} Field name → column index (-1 when unmapped)
+ */
+export function guessColumnMapping(headers) {
+  const normalized = headers.map(h => h.toLowerCase().replace(/[\s_-]/g, ''));
+  const mapping = {};
+
+  CSV_FIELDS.forEach(({ field }) => {
+    const aliases = (FIELD_ALIASES[field] ?? GEOCODE_ALIASES[field]).map(a => a.toLowerCase().replace(/[\s_-]/g, ''));
+    mapping[field] = normalized.findIndex(h => aliases.includes(h));
+  });
+
+  return mapping;
+}
+
+/**
+ * @typedef {Object} CsvGeocodeResult
+ * @property {string[][]} rows - Rows with lng, lat, confidence and match columns appended
+ * @property {Object.<string, number>} mapping - Mapping with lng and lat pointing at the appended columns
+ * @property {Object.<string, number>} extraColumns - geocodeConfidence and geocodeMatch columns, for mapCsvRows
+ * @property {number} geocoded - Rows placed by the geocoder
+ * @property {Array<{row: number, query: string}>} unmatched - Rows the geocoder could not place, for review
+ */
+
+/**
+ * Check whether an import should geocode rows from their address
+ * True when an address or ZIP column is mapped, or when coordinates are
+ * not mapped but a metro (city) column is.
+ * @param {Object.<string, number>} mapping - Field name → column index
+ * @returns {boolean}
+ */
+export function shouldGeocode(mapping) {
+  const mapped = field => mapping[field] >= 0;
+  return mapped('address') || mapped('zip') || (!(mapped('lng') && mapped('lat')) && mapped('metro'));
+}
+
+/**
+ * Geocode the rows that have no valid coordinates
+ * Address, ZIP and metro (as the city) are passed to the geocoder. Each row
+ * gets lng, lat, confidence and match columns appended: its own coordinates
+ * when they are valid, the geocoded ones otherwise, blank when nothing
+ * matched (mapCsvRows then rejects it, and it is listed in unmatched).
+ * @param {string[][]} rows - Data rows from parseCSV
+ * @param {Object.<string, number>} mapping - Field name → column index
+ * @param {Object} [options]
+ * @param {import('./geocode.js').Geocoder} [options.geocoder] - Defaults to getGeocoder()
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<CsvGeocodeResult>}
+ */
+export async function geocodeCsvRows(rows, mapping, { geocoder = getGeocoder(), signal } = {}) {
+  const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] ?? '').trim() : '');
+  const hasCoordinates = row => {
+    const lng = toNumber(cell(row, 'lng'));
+    const lat = toNumber(cell(row, 'lat'));
+    return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+  };
+
+  const pending = rows.filter(row => !hasCoordinates(row));
+  const matches = await geocodeAll(pending.map(row => ({
+    address: cell(row, 'address'),
+    city: cell(row, 'metro'),
+    zip: cell(row, 'zip')
+  })), { geocoder, signal });
+  const matchByRow = new Map(pending.map((row, i) => [row, matches[i]]));
+
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  const unmatched = [];
+  let geocoded = 0;
+
+  const geocodedRows = rows.map((row, i) => {
+    const padded = [...row, ...Array(width - row.length).fill('')];
+
+    if (!matchByRow.has(row)) {
+      return [...padded, cell(row, 'lng'), cell(row, 'lat'), '', ''];
+    }
+
+    const match = matchByRow.get(row);
+    if (!match) {
+      const query = ['address', 'metro', 'zip'].map(field => cell(row, field)).filter(Boolean).join(', ');
+      unmatched.push({ row: i + 1, query });
+      return [...padded, '', '', '', ''];
+    }
+
+    geocoded++;
+    return [...padded, String(match.lng), String(match.lat), String(match.confidence), match.label];
+  });
+
+  const columns = Object.fromEntries(GEOCODE_COLUMNS.map((name, i) => [name, width + i]));
+  const { lng, lat, ...extraColumns } = columns;
+
+  return {
+    rows: geocodedRows,
+    mapping: { ...mapping, lng, lat },
+    extraColumns,
+    geocoded,
+    unmatched
+  };
+}
+
+/**
+ * Convert parsed CSV rows to LocationData using a column mapping
+ * Rows are rejected (not silently dropped) when required values are missing
+ * or invalid; each rejection records its 1-based data row number and reason.
+ * @param {string[][]} rows - Data rows from parseCSV
+ * @param {Object.<string, number>} mapping - Field name → column index
+ * @param {Object.<string, number>} [extraColumns={}] - Property name → column index,
+ *   copied onto each location (as a number when numeric, omitted when blank)
+ * @returns {{data: LocationData[], rejected: Array<{row: number, reason: string}>}}
+ */
+export function mapCsvRows(rows, mapping, extraColumns = {}) {
+  const missing = CSV_FIELDS
+    .filter(({ field, required }) => required && !(mapping[field] >= 0))
+    .map(({ label }) => label);
+
+  if (missing.length > 0) {
+    throw new Error(`Map a column to: ${missing.join(', ')}`);
+  }
+
+  const data = [];
+  const rejected = [];
+  const cell = (row, field) => (mapping[field] >= 0 ? (row[mapping[field]] ?? '').trim() : '');
+
+  rows.forEach((row, i) => {
+    const rowNumber = i + 1;
+
+    const lng = toNumber(cell(row, 'lng'));
+    const lat = toNumber(cell(row, 'lat'));
+
+    if (Number.isNaN(lng) || Number.isNaN(lat)) {
+      rejected.push({ row: rowNumber, reason: `Invalid coordinates "${cell(row, 'lng')}", "${cell(row, 'lat')}"` });
+      return;
+    }
+    if (lng < -180 || lng > 180 || lat < -90 || lat > 90) {
+      rejected.push({ row: rowNumber, reason: `Coordinates out of range (${lng}, ${lat})` });
+      return;
+    }
+
+    const volumeText = cell(row, 'recyclingVolume');
+    const volume = volumeText === '' ? DATA_DEFAULTS.MIN_VOLUME : toNumber(volumeText);
+    if (Number.isNaN(volume)) {
+      rejected.push({ row: rowNumber, reason: `Invalid volume "${volumeText}"` });
+      return;
+    }
+
+    const valueText = cell(row, 'value');
+    const value = valueText === '' ? 0 : toNumber(valueText);
+    if (Number.isNaN(value)) {
+      rejected.push({ row: rowNumber, reason: `Invalid value "${valueText}"` });
+      return;
+    }
+
+    const periodText = cell(row, 'period');
+    const time = periodText === '' ? null : parsePeriod(periodText);
+    if (periodText !== '' && !time) {
+      rejected.push({ row: rowNumber, reason: `Invalid date "${periodText}"` });
+      return;
+    }
+
+    const extra = {};
+    Object.entries(extraColumns).forEach(([name, index]) => {
+      const text = (row[index] ?? '').trim();
+      if (text === '') return;
+      const number = toNumber(text);
+      extra[name] = Number.isNaN(number) ? text : number;
+    });
+
+    const category = cell(row, 'category');
+    data.push(markDefaulted({
+      ...extra,
+      id: data.length,
+      lng,
+      lat,
+      value,
+      category: category || OTHER_CATEGORY,
+      metro: cell(row, 'metro'),
+      recyclingVolume: volume,
+      ...time
+    }, [
+      category === '' && 'category',
+      volumeText === '' && 'recyclingVolume'
+    ].filter(Boolean)));
+  });
+
+  return { data, rejected };
+}
@@ -0,0 +1,206 @@
+/**
+ * Dataset comparison - which locations were added, removed, moved or changed
+ * volume between two snapshots of a dataset
+ * Locations are matched by ID (and period, for time series; see pointKey()).
+ * @module data/diff
+ */
+
+import { pointKey } from './edits.js';
+import { createFilterPredicate } from './filters.js';
+
+/**
+ * Coordinate difference, in degrees, below which a location hasn't moved
+ * (about 10 cm; absorbs rounding in exported files)
+ */
+export const MOVE_TOLERANCE = 1e-6;
+
+/**
+ * Volume difference, in tons/month, below which the volume hasn't changed
+ */
+export const VOLUME_TOLERANCE = 1e-9;
+
+/**
+ * @typedef {'added'|'removed'|'changed'} DiffStatus
+ */
+
+/**
+ * @typedef {Object} DiffEntry
+ * @property {string|number} id - Location ID
+ * @property {DiffStatus} status
+ * @property {LocationData|null} before - Location in the base dataset (null if added)
+ * @property {LocationData|null} after - Location in the compared dataset (null if removed)
+ * @property {boolean} moved - Coordinates changed (changed entries only)
+ * @property {boolean} volumeChanged - Recycling volume changed (changed entries only)
+ * @property {number} volumeDelta - Volume after minus volume before
+ */
+
+/**
+ * @typedef {Object} DatasetDiff
+ * @property {DiffEntry[]} entries - Added, removed and changed locations
+ * @property {number} unchanged - Locations in both datasets with the same position and volume
+ */
+
+/**
+ * @typedef {Object} DiffCounts
+ * @property {number} added
+ * @property {number} removed
+ * @property {number} moved
+ * @property {number} volumeChanged
+ * @property {number} volumeDelta - Net volume change, tons/month
+ */
+
+/**
+ * @typedef {Object} DiffSummary
+ * @property {DiffCounts} totals
+ * @property {Object.<string, DiffCounts>} byCategory - Keyed by the location's category (after, or before if removed)
+ */
+
+/**
+ * Index locations by key; the first location with a key wins
+ * @param {LocationData[]} data
+ * @returns {Map<string, LocationData>}
+ */
+function indexByKey(data) {
+  const index = new Map();
+  data.forEach(point => {
+    const key = pointKey(point);
+    if (!index.has(key)) index.set(key, point);
+  });
+  return index;
+}
+
+/**
+ * Compare two datasets
+ * Entries are in the compared dataset's order, followed by removed locations
+ * in the base dataset's order.
+ * @param {LocationData[]} base - Earlier snapshot
+ * @param {LocationData[]} compare - Later snapshot
+ * @returns {DatasetDiff}
+ */
+export function diffDatasets(base, compare) {
+  const before = indexByKey(base);
+  const after = indexByKey(compare);
+  const entries = [];
+  let unchanged = 0;
+
+  after.forEach((point, key) => {
+    const old = before.get(key);
+
+    if (!old) {
+      entries.push({
+        id: point.id, status: 'added', before: null, after: point,
+        moved: false, volumeChanged: false, volumeDelta: point.recyclingVolume
+      });
+      return;
+    }
+
+    const moved = Math.abs(point.lng - old.lng) > MOVE_TOLERANCE || Math.abs(point.lat - old.lat) > MOVE_TOLERANCE;
+    const volumeDelta = point.recyclingVolume - old.recyclingVolume;
+    const volumeChanged = Math.abs(volumeDelta) > VOLUME_TOLERANCE;
+
+    if (moved || volumeChanged) {
+      entries.push({ id: point.id, status: 'changed', before: old, after: point, moved, volumeChanged, volumeDelta });
+    } else {
+      unchanged++;
+    }
+  });
+
+  before.forEach((point, key) => {
+    if (!after.has(key)) {
+      entries.push({
+        id: point.id, status: 'removed', before: point, after: null,
+        moved: false, volumeChanged: false, volumeDelta: -point.recyclingVolume
+      });
+    }
+  });
+
+  return { entries, unchanged };
+}
+
+/**
+ * Keep the entries matching the filters
+ * A changed location counts when either version matches, so moving across a
+ * filter boundary (e.g. from medium to large volume) still shows up.
+ * @param {DiffEntry[]} entries
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {DiffEntry[]}
+ */
+export function filterDiff(entries, filters) {
+  const matches = createFilterPredicate(filters);
+  return entries.filter(({ before, after }) =>
+    (before !== null && matches(before)) || (after !== null && matches(after))
+  );
+}
+
+/**
+ * Empty counts
+ * @returns {DiffCounts}
+ */
+function emptyCounts() {
+  return { added: 0, removed: 0, moved: 0, volumeChanged: 0, volumeDelta: 0 };
+}
+
+/**
+ * Count diff entries, in total and per category
+ * A location that moved and changed volume counts in both columns.
+ * @param {DiffEntry[]} entries
+ * @returns {DiffSummary}
+ */
+export function summarizeDiff(entries) {
+  const totals = emptyCounts();
+  const byCategory = {};
+
+  entries.forEach(entry => {
+    const { category } = entry.after ?? entry.before;
+    const counts = byCategory[category] ?? (byCategory[category] = emptyCounts());
+
+    [totals, counts].forEach(target => {
+      if (entry.status === 'added') target.added++;
+      if (entry.status === 'removed') target.removed++;
+      if (entry.moved) target.moved++;
+      if (entry.volumeChanged) target.volumeChanged++;
+      target.volumeDelta += entry.volumeDelta;
+    });
+  });
+
+  return { totals, byCategory };
+}
+
+/**
+ * Convert diff entries to map features
+ * Each entry is a point at its new position (old position if removed);
+ * moved locations also get a line from the old to the new position.
+ * @param {DiffEntry[]} entries
+ * @returns {GeoJSON.FeatureCollection}
+ */
+export function diffToGeoJSON(entries) {
+  const features = [];
+
+  entries.forEach(({ id, status, before, after, moved, volumeChanged, volumeDelta }) => {
+    const point = after ?? before;
+    const properties = {
+      id,
+      status,
+      moved,
+      volumeChanged,
+      volumeDelta,
+      category: point.category,
+      recyclingVolume: point.recyclingVolume
+    };
+
+    if (moved) {
+      features.push({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[before.lng, before.lat], [after.lng, after.lat]] },
+        properties
+      });
+    }
+    features.push({
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+      properties
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,211 @@
+/**
+ * Point edits - adding, moving and deleting single locations
+ * Every edit records the location before and after it, so an edit log can be
+ * exported as a change set of net changes per location.
+ * @module data/edits
+ */
+
+import { normalizeRecord } from './normalize.js';
+
+/**
+ * @typedef {'add'|'move'|'delete'} EditType
+ */
+
+/**
+ * @typedef {Object} PointEdit
+ * @property {EditType} type
+ * @property {string|number} id - Location ID
+ * @property {LocationData|null} before - Location before the edit (null for add)
+ * @property {LocationData|null} after - Location after the edit (null for delete)
+ * @property {number} at - Edit time (UTC ms)
+ */
+
+/**
+ * @typedef {Object} ChangeSet
+ * @property {'changeSet'} type
+ * @property {string} createdAt - ISO timestamp
+ * @property {import('../state/store.js').DatasetOrigin|null} dataset - Dataset the changes apply to
+ * @property {{added: number, moved: number, deleted: number}} summary
+ * @property {Array<{op: EditType, id: string|number, before: LocationData|null, after: LocationData|null}>} changes
+ */
+
+/**
+ * Fields a new location can be given
+ * @typedef {Object} NewPointFields
+ * @property {number} lng
+ * @property {number} lat
+ * @property {string} category
+ * @property {number} recyclingVolume
+ * @property {number} [value]
+ * @property {string} [metro]
+ * @property {string} [period] - 'YYYY-MM', for time series
+ */
+
+/**
+ * Key identifying a location; time series repeat ids across periods
+ * @param {LocationData} point
+ * @returns {string}
+ */
+export function pointKey(point) {
+  return point.period === undefined ? String(point.id) : `${point.id}@${point.period}`;
+}
+
+/**
+ * Whether a coordinate pair is on the globe
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {boolean}
+ */
+function inWorld(lng, lat) {
+  return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+}
+
+/**
+ * Pick an unused ID for a new location
+ * Numeric datasets continue after the highest ID; others get 'new-N'.
+ * @param {LocationData[]} data
+ * @returns {string|number}
+ */
+export function nextPointId(data) {
+  if (data.every(point => typeof point.id === 'number')) {
+    return data.reduce((max, point) => Math.max(max, point.id + 1), 0);
+  }
+
+  const used = new Set(data.map(point => String(point.id)));
+  let n = 1;
+  while (used.has(`new-${n}`)) n++;
+  return `new-${n}`;
+}
+
+/**
+ * Create an edit adding a location
+ * @param {LocationData[]} data - Current dataset, used to pick the ID
+ * @param {NewPointFields} fields
+ * @returns {PointEdit}
+ * @throws {Error} If the coordinates, category or volume are invalid
+ */
+export function createAddEdit(data, { lng, lat, category, recyclingVolume, value = 0, metro = '', period }) {
+  if (!inWorld(lng, lat)) {
+    throw new Error(`Coordinates (${lng}, ${lat}) are off the map`);
+  }
+  if (typeof category !== 'string' || !category.trim()) {
+    throw new Error('Category is required');
+  }
+  if (!Number.isFinite(recyclingVolume) || recyclingVolume < 0) {
+    throw new Error('Volume must be a number of 0 or more');
+  }
+
+  const point = normalizeRecord({
+    id: nextPointId(data),
+    lng,
+    lat,
+    category: category.trim(),
+    recyclingVolume,
+    value,
+    metro,
+    ...(period && { period })
+  }, data.length);
+
+  return { type: 'add', id: point.id, before: null, after: point, at: Date.now() };
+}
+
+/**
+ * Create an edit moving a location
+ * @param {LocationData} point - Location as currently stored
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {PointEdit}
+ * @throws {Error} If the new coordinates are off the map
+ */
+export function createMoveEdit(point, lng, lat) {
+  if (!inWorld(lng, lat)) {
+    throw new Error(`Coordinates (${lng}, ${lat}) are off the map`);
+  }
+
+  return { type: 'move', id: point.id, before: point, after: { ...point, lng, lat }, at: Date.now() };
+}
+
+/**
+ * Create an edit deleting a location
+ * @param {LocationData} point - Location as currently stored
+ * @returns {PointEdit}
+ */
+export function createDeleteEdit(point) {
+  return { type: 'delete', id: point.id, before: point, after: null, at: Date.now() };
+}
+
+/**
+ * Apply an edit to a dataset
+ * Returns a new array; other locations keep their identity.
+ * @param {LocationData[]} data
+ * @param {PointEdit} edit
+ * @returns {LocationData[]}
+ * @throws {Error} If the edited location isn't in the dataset, or an added one already is
+ */
+export function applyEdit(data, edit) {
+  const key = pointKey(edit.before ?? edit.after);
+  const index = data.findIndex(point => pointKey(point) === key);
+
+  if (edit.before === null) {
+    if (index !== -1) throw new Error(`Location ${edit.id} already exists`);
+    return [...data, edit.after];
+  }
+
+  if (index === -1) throw new Error(`Location ${edit.id} not found`);
+
+  return edit.after === null
+    ? data.filter((_, i) => i !== index)
+    : data.map((point, i) => (i === index ? edit.after : point));
+}
+
+/**
+ * Create the edit that reverses an edit
+ * @param {PointEdit} edit
+ * @returns {PointEdit}
+ */
+export function invertEdit(edit) {
+  const type = { add: 'delete', move: 'move', delete: 'add' }[edit.type];
+  return { type, id: edit.id, before: edit.after, after: edit.before, at: edit.at };
+}
+
+/**
+ * Collapse an edit log into net changes per location
+ * A location added then moved is a single add at its final position; one
+ * added then deleted, or moved back where it was, drops out.
+ * @param {PointEdit[]} log - Edits in the order they were made
+ * @param {import('../state/store.js').DatasetOrigin|null} [dataset=null]
+ * @returns {ChangeSet}
+ */
+export function buildChangeSet(log, dataset = null) {
+  const net = new Map();
+
+  log.forEach(edit => {
+    const key = pointKey(edit.before ?? edit.after);
+    const change = net.get(key);
+    if (change) {
+      change.after = edit.after;
+    } else {
+      net.set(key, { id: edit.id, before: edit.before, after: edit.after });
+    }
+  });
+
+  const summary = { added: 0, moved: 0, deleted: 0 };
+  const changes = [];
+
+  net.forEach(({ id, before, after }) => {
+    if (before === null && after === null) return;
+    if (before && after && before.lng === after.lng && before.lat === after.lat) return;
+
+    const op = before === null ? 'add' : after === null ? 'delete' : 'move';
+    summary[{ add: 'added', move: 'moved', delete: 'deleted' }[op]]++;
+    changes.push({ op, id, before, after });
+  });
+
+  return {
+    type: 'changeSet',
+    createdAt: new Date().toISOString(),
+    dataset,
+    summary,
+    changes
+  };
+}
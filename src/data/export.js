@@ -0,0 +1,229 @@
+/**
+ * Serialization of location features to CSV, GeoJSON, KML and GPX
+ * @module data/export
+ */
+
+/**
+ * Supported export formats
+ * @type {Object.<string, {label: string, extension: string, mimeType: string}>}
+ */
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+  geojson: { label: 'GeoJSON', extension: 'geojson', mimeType: 'application/geo+json' },
+  kml: { label: 'KML', extension: 'kml', mimeType: 'application/vnd.google-earth.kml+xml' },
+  gpx: { label: 'GPX', extension: 'gpx', mimeType: 'application/gpx+xml' }
+};
+
+/**
+ * Properties computed by selectors rather than stored on LocationData
+ * @type {string[]}
+ */
+export const DERIVED_FIELDS = ['weight'];
+
+/**
+ * Escape a value for XML text or attribute content
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Turn a property name into a valid XML element name
+ * @param {string} key
+ * @returns {string}
+ */
+function xmlName(key) {
+  const name = String(key).replace(/[^A-Za-z0-9_.-]/g, '_');
+  return /^[A-Za-z_]/.test(name) ? name : `_${name}`;
+}
+
+/**
+ * Quote a CSV cell when it contains delimiters, quotes or newlines
+ * @param {*} value
+ * @returns {string}
+ */
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Copy feature properties, dropping derived fields unless requested
+ * @param {Object} properties
+ * @param {boolean} includeDerived
+ * @returns {Object}
+ */
+function exportProperties(properties, includeDerived) {
+  const result = { ...properties };
+
+  if (!includeDerived) {
+    DERIVED_FIELDS.forEach(field => delete result[field]);
+  }
+
+  return result;
+}
+
+/**
+ * Collect the union of property names across features, in first-seen order
+ * @param {Object[]} propertyList
+ * @returns {string[]}
+ */
+function collectColumns(propertyList) {
+  const columns = new Set();
+  propertyList.forEach(props => Object.keys(props).forEach(key => columns.add(key)));
+  return Array.from(columns);
+}
+
+/**
+ * Serialize features as CSV with lng/lat columns first
+ * @param {GeoJSON.Feature[]} features
+ * @param {boolean} includeDerived
+ * @returns {string}
+ */
+export function toCSV(features, includeDerived) {
+  const propertyList = features.map(f => exportProperties(f.properties, includeDerived));
+  const columns = collectColumns(propertyList);
+
+  const lines = [['lng', 'lat', ...columns].map(csvCell).join(',')];
+
+  features.forEach((feature, i) => {
+    const [lng, lat] = feature.geometry.coordinates;
+    lines.push([lng, lat, ...columns.map(col => propertyList[i][col])].map(csvCell).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Serialize features as a GeoJSON FeatureCollection
+ * @param {GeoJSON.Feature[]} features
+ * @param {boolean} includeDerived
+ * @returns {string}
+ */
+export function toGeoJSONString(features, includeDerived) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: features.map(f => ({
+      type: 'Feature',
+      geometry: f.geometry,
+      properties: exportProperties(f.properties, includeDerived)
+    }))
+  }, null, 2);
+}
+
+/**
+ * Build a display name for a feature
+ * @param {Object} props
+ * @returns {string}
+ */
+function featureName(props) {
+  return props.name || `${props.category || 'Location'} #${props.id}`;
+}
+
+/**
+ * Serialize features as KML Placemarks with ExtendedData
+ * @param {GeoJSON.Feature[]} features
+ * @param {boolean} includeDerived
+ * @returns {string}
+ */
+export function toKML(features, includeDerived) {
+  const placemarks = features.map(feature => {
+    const props = exportProperties(feature.properties, includeDerived);
+    const [lng, lat] = feature.geometry.coordinates;
+    const data = Object.entries(props)
+      .map(([key, value]) => `        <Data name="${escapeXml(key)}"><value>${escapeXml(value)}</value></Data>`)
+      .join('\n');
+
+    return [
+      '    <Placemark>',
+      `      <name>${escapeXml(featureName(props))}</name>`,
+      '      <ExtendedData>',
+      data,
+      '      </ExtendedData>',
+      `      <Point><coordinates>${lng},${lat}</coordinates></Point>`,
+      '    </Placemark>'
+    ].join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    ...placemarks,
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize features as GPX waypoints
+ * Properties other than name and category are written as extensions.
+ * @param {GeoJSON.Feature[]} features
+ * @param {boolean} includeDerived
+ * @returns {string}
+ */
+export function toGPX(features, includeDerived) {
+  const waypoints = features.map(feature => {
+    const props = exportProperties(feature.properties, includeDerived);
+    const [lng, lat] = feature.geometry.coordinates;
+    const extensions = Object.entries(props)
+      .filter(([key]) => key !== 'name' && key !== 'category')
+      .map(([key, value]) => `      <${xmlName(key)}>${escapeXml(value)}</${xmlName(key)}>`)
+      .join('\n');
+
+    return [
+      `  <wpt lat="${lat}" lon="${lng}">`,
+      `    <name>${escapeXml(featureName(props))}</name>`,
+      props.category !== undefined ? `    <type>${escapeXml(props.category)}</type>` : null,
+      '    <extensions>',
+      extensions,
+      '    </extensions>',
+      '  </wpt>'
+    ].filter(line => line !== null).join('\n');
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Mapping Prototype" xmlns="http://www.topografix.com/GPX/1/1">',
+    ...waypoints,
+    '</gpx>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Serialize a FeatureCollection in the given format
+ * @param {GeoJSON.FeatureCollection|null} featureCollection - Point features to export
+ * @param {keyof EXPORT_FORMATS} format
+ * @param {Object} [options]
+ * @param {boolean} [options.includeDerived=false] - Include derived fields such as weight
+ * @returns {string}
+ * @throws {Error} For unknown formats
+ */
+export function exportFeatures(featureCollection, format, options = {}) {
+  const features = featureCollection?.features || [];
+  const includeDerived = Boolean(options.includeDerived);
+
+  switch (format) {
+    case 'csv':
+      return toCSV(features, includeDerived);
+    case 'geojson':
+      return toGeoJSONString(features, includeDerived);
+    case 'kml':
+      return toKML(features, includeDerived);
+    case 'gpx':
+      return toGPX(features, includeDerived);
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
@@ -0,0 +1,233 @@
+/**
+ * Filter model shared by selectors, the worker pipeline and map layers
+ * Filter settings compile to a list of clauses, which are either evaluated
+ * here (counts, stats, exports) or turned into a Mapbox filter expression
+ * (non-clustered layers, filtered on the GPU).
+ * @module data/filters
+ */
+
+import { VOLUME_RANGES } from '../config/regions.js';
+import { pointInPolygon, ringBounds } from '../utils/geo.js';
+import { shapeToRing, closeRing } from './shapes.js';
+
+/**
+ * @typedef {Object} FilterClause
+ * @property {string} property - Location property (also the feature property);
+ *   'lngLat' is the location's [lng, lat]
+ * @property {'=='|'in'|'>'|'>='|'<='|'within'} op
+ * @property {string|number|string[]|Array<Array<[number, number]>>} value - A list
+ *   for 'in'; polygon rings for 'within', which holds inside any of them
+ */
+
+/**
+ * @typedef {Object} VolumeRange
+ * @property {number|null} min - Lowest volume kept; null for no lower bound
+ * @property {number|null} max - Highest volume kept; null for no upper bound
+ */
+
+/**
+ * Clause operators, evaluated in JS
+ * Same semantics as the Mapbox expression operators of the same name.
+ * @type {Object.<string, function(*, *): boolean>}
+ */
+const OPERATORS = {
+  '==': (actual, expected) => actual === expected,
+  'in': (actual, expected) => expected.includes(actual),
+  '>': (actual, expected) => actual > expected,
+  '>=': (actual, expected) => actual >= expected,
+  '<=': (actual, expected) => actual <= expected,
+  'within': (lngLat, rings) => rings.some(ring => inRing(lngLat, ring))
+};
+
+/**
+ * Bounding boxes of 'within' rings, computed once per ring
+ * @type {WeakMap<Array, [[number, number], [number, number]]>}
+ */
+const ringBoundsCache = new WeakMap();
+
+/**
+ * Check whether a location lies inside a ring, testing its bounds first
+ * @param {[number, number]} lngLat
+ * @param {Array<[number, number]>} ring
+ * @returns {boolean}
+ */
+function inRing(lngLat, ring) {
+  if (!ringBoundsCache.has(ring)) ringBoundsCache.set(ring, ringBounds(ring));
+  const [[minLng, minLat], [maxLng, maxLat]] = ringBoundsCache.get(ring);
+  const [lng, lat] = lngLat;
+
+  return lng >= minLng && lng <= maxLng && lat >= minLat && lat <= maxLat && pointInPolygon(lngLat, ring);
+}
+
+/**
+ * Check whether a value is a valid volume range
+ * Bounds are finite numbers or null, and min is not above max.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isVolumeRange(value) {
+  if (value === null || typeof value !== 'object') return false;
+  const validBounds = [value.min, value.max].every(bound => bound === null || Number.isFinite(bound));
+  return validBounds && (value.min === null || value.max === null || value.min <= value.max);
+}
+
+/**
+ * Get the bounds of a volume filter, e.g. to place the slider handles
+ * A preset's lower bound is exclusive, a range's bounds are inclusive.
+ * @param {string|VolumeRange} volume - VOLUME_RANGES key or range
+ * @returns {VolumeRange}
+ * @throws {Error} If the volume filter is neither
+ */
+export function getVolumeBounds(volume) {
+  if (typeof volume === 'string') {
+    const preset = VOLUME_RANGES[volume];
+    if (!preset) {
+      throw new Error(`Unknown volume filter "${volume}"`);
+    }
+    return { min: preset.above ?? null, max: preset.atMost ?? null };
+  }
+
+  if (!isVolumeRange(volume)) {
+    throw new Error(`Invalid volume range ${JSON.stringify(volume)}`);
+  }
+  return { min: volume.min, max: volume.max };
+}
+
+/**
+ * Label a volume filter, e.g. '4-6t' for a preset or '2.5-8t' for a range
+ * @param {string|VolumeRange} volume
+ * @returns {string}
+ */
+export function formatVolumeFilter(volume) {
+  if (typeof volume === 'string') return VOLUME_RANGES[volume].label;
+
+  const { min, max } = volume;
+  if (min === null && max === null) return VOLUME_RANGES.all.label;
+  if (min === null) return `≤ ${max}t`;
+  if (max === null) return `≥ ${min}t`;
+  return `${min}-${max}t`;
+}
+
+/**
+ * Compile filter settings to clauses that all have to hold
+ * An empty category or metro list, an open volume range and a missing metro,
+ * period or shape filter count as 'all'. Drawn shapes compile to one
+ * 'within' clause, so a location inside any of them passes.
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {FilterClause[]} Empty when nothing is filtered
+ * @throws {Error} If the volume filter is neither a VOLUME_RANGES key nor a range
+ */
+export function compileFilters(filters) {
+  const clauses = [];
+
+  if (filters.category.length > 0) {
+    clauses.push({ property: 'category', op: 'in', value: [...filters.category].sort() });
+  }
+  if (filters.metro?.length > 0) {
+    clauses.push({ property: 'metro', op: 'in', value: [...filters.metro].sort() });
+  }
+
+  const { min, max } = getVolumeBounds(filters.volume);
+  if (min !== null) {
+    const op = typeof filters.volume === 'string' ? '>' : '>=';
+    clauses.push({ property: 'recyclingVolume', op, value: min });
+  }
+  if (max !== null) {
+    clauses.push({ property: 'recyclingVolume', op: '<=', value: max });
+  }
+
+  if (filters.period && filters.period !== 'all') {
+    clauses.push({ property: 'period', op: '==', value: filters.period });
+  }
+
+  if (filters.shapes?.length > 0) {
+    clauses.push({ property: 'lngLat', op: 'within', value: filters.shapes.map(shapeToRing) });
+  }
+
+  return clauses;
+}
+
+/**
+ * Stable key of filter settings, equal when they select the same locations
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {string}
+ */
+export function filterKey(filters) {
+  return JSON.stringify(compileFilters(filters));
+}
+
+/**
+ * Check one value against a clause
+ * @param {*} value - Value of the clause's property
+ * @param {FilterClause} clause
+ * @returns {boolean}
+ */
+export function matchesClause(value, clause) {
+  return OPERATORS[clause.op](value, clause.value);
+}
+
+/**
+ * Check a location (or feature properties) against compiled clauses
+ * 'lngLat' clauses need a location, as feature properties have no coordinates.
+ * @param {Object} properties
+ * @param {FilterClause[]} clauses
+ * @returns {boolean}
+ */
+export function matchesClauses(properties, clauses) {
+  return clauses.every(clause => matchesClause(
+    clause.property === 'lngLat' ? [properties.lng, properties.lat] : properties[clause.property],
+    clause
+  ));
+}
+
+/**
+ * Create a predicate for the current filters, compiling them once
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {function(Object): boolean}
+ */
+export function createFilterPredicate(filters) {
+  const clauses = compileFilters(filters);
+  return point => matchesClauses(point, clauses);
+}
+
+/**
+ * Check whether a location passes the current filters
+ * @param {{category: string, recyclingVolume: number, period?: string}} point
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {boolean}
+ */
+export function pointMatchesFilters(point, filters) {
+  return matchesClauses(point, compileFilters(filters));
+}
+
+/**
+ * Compile filter settings to a Mapbox filter expression
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {Array|null} Null when nothing is filtered
+ */
+export function toFilterExpression(filters) {
+  const expressions = compileFilters(filters).map(({ property, op, value }) => {
+    if (op === 'within') {
+      return ['within', { type: 'MultiPolygon', coordinates: value.map(ring => [closeRing(ring)]) }];
+    }
+    return op === 'in'
+      ? ['in', ['get', property], ['literal', value]]
+      : [op, ['get', property], value];
+  });
+
+  if (expressions.length === 0) return null;
+  return expressions.length === 1 ? expressions[0] : ['all', ...expressions];
+}
+
+/**
+ * Combine a layer's own filter (e.g. clustered vs. single points) with a
+ * filter expression
+ * @param {Array|undefined} layerFilter
+ * @param {Array|null} expression
+ * @returns {Array|null} Null when neither filters
+ */
+export function combineFilters(layerFilter, expression) {
+  if (!expression) return layerFilter ?? null;
+  if (!layerFilter) return expression;
+  return ['all', layerFilter, expression];
+}
@@ -0,0 +1,352 @@
+/**
+ * Spatial file format parsing (GeoJSON, TopoJSON, KML)
+ * @module data/formats
+ */
+
+import { fromGeoJSON } from './normalize.js';
+
+/**
+ * Supported spatial file extensions
+ * @type {string[]}
+ */
+export const SPATIAL_EXTENSIONS = ['geojson', 'json', 'topojson', 'kml'];
+
+/**
+ * @typedef {Object} SpatialFileResult
+ * @property {LocationData[]} points - Point features normalized to LocationData
+ * @property {GeoJSON.FeatureCollection} overlay - Non-point features (lines, polygons)
+ * @property {Object.<string, number>} geometryCounts - Geometry count per type; collections
+ *   count their members, so a collection of Points only adds to Point
+ */
+
+// =============================================================================
+// TOPOJSON
+// =============================================================================
+
+/**
+ * Decode TopoJSON arcs into absolute coordinates
+ * @param {Object} topology - TopoJSON Topology
+ * @returns {number[][][]} Decoded arcs
+ */
+function decodeArcs(topology) {
+  const transform = topology.transform;
+
+  if (!transform) {
+    return (topology.arcs || []).map(arc => arc.map(p => [p[0], p[1]]));
+  }
+
+  const [sx, sy] = transform.scale;
+  const [tx, ty] = transform.translate;
+
+  // Quantized arcs are delta-encoded
+  return (topology.arcs || []).map(arc => {
+    let x = 0;
+    let y = 0;
+    return arc.map(([dx, dy]) => {
+      x += dx;
+      y += dy;
+      return [x * sx + tx, y * sy + ty];
+    });
+  });
+}
+
+/**
+ * Convert a TopoJSON Topology into a GeoJSON FeatureCollection
+ * All objects in the topology are merged into one collection.
+ * @param {Object} topology - TopoJSON Topology
+ * @returns {GeoJSON.FeatureCollection}
+ */
+export function topojsonToGeoJSON(topology) {
+  const arcs = decodeArcs(topology);
+  const transform = topology.transform;
+
+  const position = (p) => (transform
+    ? [p[0] * transform.scale[0] + transform.translate[0], p[1] * transform.scale[1] + transform.translate[1]]
+    : [p[0], p[1]]);
+
+  // A negative index refers to the reversed arc (~index)
+  const arcCoords = (index) => (index >= 0 ? arcs[index] : arcs[~index].slice().reverse());
+
+  const line = (indexes) => {
+    const coords = [];
+    indexes.forEach((index, i) => {
+      const points = arcCoords(index);
+      coords.push(...(i === 0 ? points : points.slice(1)));
+    });
+    return coords;
+  };
+
+  const toGeometry = (geom) => {
+    switch (geom.type) {
+      case 'Point':
+        return { type: 'Point', coordinates: position(geom.coordinates) };
+      case 'MultiPoint':
+        return { type: 'MultiPoint', coordinates: geom.coordinates.map(position) };
+      case 'LineString':
+        return { type: 'LineString', coordinates: line(geom.arcs) };
+      case 'MultiLineString':
+        return { type: 'MultiLineString', coordinates: geom.arcs.map(line) };
+      case 'Polygon':
+        return { type: 'Polygon', coordinates: geom.arcs.map(line) };
+      case 'MultiPolygon':
+        return { type: 'MultiPolygon', coordinates: geom.arcs.map(polygon => polygon.map(line)) };
+      case 'GeometryCollection':
+        return { type: 'GeometryCollection', geometries: geom.geometries.map(toGeometry).filter(Boolean) };
+      default:
+        return null;
+    }
+  };
+
+  const features = [];
+
+  Object.values(topology.objects || {}).forEach(object => {
+    const geometries = object.type === 'GeometryCollection' ? object.geometries : [object];
+
+    geometries.forEach(geom => {
+      const geometry = toGeometry(geom);
+      if (!geometry) return;
+
+      features.push({
+        type: 'Feature',
+        id: geom.id,
+        geometry,
+        properties: { ...geom.properties }
+      });
+    });
+  });
+
+  return { type: 'FeatureCollection', features };
+}
+
+// =============================================================================
+// KML
+// =============================================================================
+
+/**
+ * Parse a KML coordinate string ("lng,lat[,alt] lng,lat ...")
+ * @param {string} text
+ * @returns {number[][]}
+ */
+function parseKmlCoordinates(text) {
+  return (text || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(tuple => tuple.split(',').slice(0, 2).map(Number))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat));
+}
+
+/**
+ * Find direct or nested child elements by local name
+ * @param {Element} parent
+ * @param {string} name
+ * @returns {Element[]}
+ */
+function elementsByName(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Convert a KML geometry element to GeoJSON geometry
+ * @param {Element} el
+ * @returns {GeoJSON.Geometry|null}
+ */
+function kmlGeometry(el) {
+  const coordsOf = (node) => parseKmlCoordinates(elementsByName(node, 'coordinates')[0]?.textContent);
+
+  switch (el.localName) {
+    case 'Point': {
+      const coords = coordsOf(el);
+      return coords.length ? { type: 'Point', coordinates: coords[0] } : null;
+    }
+    case 'LineString':
+      return { type: 'LineString', coordinates: coordsOf(el) };
+    case 'LinearRing':
+      return { type: 'Polygon', coordinates: [coordsOf(el)] };
+    case 'Polygon': {
+      const outer = elementsByName(el, 'outerBoundaryIs').map(coordsOf);
+      const inner = elementsByName(el, 'innerBoundaryIs').map(coordsOf);
+      return { type: 'Polygon', coordinates: [...outer, ...inner] };
+    }
+    case 'MultiGeometry':
+      return {
+        type: 'GeometryCollection',
+        geometries: Array.from(el.children).map(kmlGeometry).filter(Boolean)
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Convert a KML document to a GeoJSON FeatureCollection
+ * Placemark name, description and ExtendedData become feature properties.
+ * @param {string} text - KML XML text
+ * @param {DOMParser} [parser] - XML parser (defaults to the browser DOMParser)
+ * @returns {GeoJSON.FeatureCollection}
+ * @throws {Error} If the XML cannot be parsed
+ */
+export function kmlToGeoJSON(text, parser = new DOMParser()) {
+  const doc = parser.parseFromString(text, 'application/xml');
+
+  if (doc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('Invalid KML: XML could not be parsed');
+  }
+
+  const geometryNames = ['Point', 'LineString', 'LinearRing', 'Polygon', 'MultiGeometry'];
+
+  const features = elementsByName(doc, 'Placemark').map(placemark => {
+    const properties = {};
+
+    const name = elementsByName(placemark, 'name')[0];
+    if (name) properties.name = name.textContent.trim();
+
+    const description = elementsByName(placemark, 'description')[0];
+    if (description) properties.description = description.textContent.trim();
+
+    elementsByName(placemark, 'Data').forEach(data => {
+      properties[data.getAttribute('name')] = elementsByName(data, 'value')[0]?.textContent.trim();
+    });
+    elementsByName(placemark, 'SimpleData').forEach(data => {
+      properties[data.getAttribute('name')] = data.textContent.trim();
+    });
+
+    const geometryEl = Array.from(placemark.children).find(child => geometryNames.includes(child.localName));
+
+    return {
+      type: 'Feature',
+      geometry: geometryEl ? kmlGeometry(geometryEl) : null,
+      properties
+    };
+  }).filter(feature => feature.geometry);
+
+  return { type: 'FeatureCollection', features };
+}
+
+// =============================================================================
+// COMMON
+// =============================================================================
+
+/**
+ * Flatten a geometry into point coordinates and non-point geometries
+ * @param {GeoJSON.Geometry} geometry
+ * @returns {{points: number[][], others: GeoJSON.Geometry[]}}
+ */
+function splitGeometry(geometry) {
+  switch (geometry?.type) {
+    case 'Point':
+      return { points: [geometry.coordinates], others: [] };
+    case 'MultiPoint':
+      return { points: geometry.coordinates, others: [] };
+    case 'GeometryCollection':
+      return geometry.geometries.map(splitGeometry).reduce((acc, part) => ({
+        points: acc.points.concat(part.points),
+        others: acc.others.concat(part.others)
+      }), { points: [], others: [] });
+    case undefined:
+      return { points: [], others: [] };
+    default:
+      return { points: [], others: [geometry] };
+  }
+}
+
+/**
+ * Count a geometry by type, counting collections by their members
+ * @param {GeoJSON.Geometry|null} geometry
+ * @param {Object.<string, number>} counts - Updated in place
+ */
+function countGeometry(geometry, counts) {
+  if (geometry?.type === 'GeometryCollection') {
+    geometry.geometries.forEach(member => countGeometry(member, counts));
+    return;
+  }
+
+  const type = geometry?.type || 'None';
+  counts[type] = (counts[type] || 0) + 1;
+}
+
+/**
+ * Split a FeatureCollection into normalized points and a non-point overlay
+ * MultiPoints and collections are expanded so every point keeps the
+ * properties of its source feature; the feature's id (or index) gets a
+ * `-j` suffix per member, so ids stay unique.
+ * @param {GeoJSON.FeatureCollection} featureCollection
+ * @returns {SpatialFileResult}
+ */
+export function splitFeatures(featureCollection) {
+  const pointFeatures = [];
+  const overlayFeatures = [];
+  const geometryCounts = {};
+
+  (featureCollection.features || []).forEach((feature, i) => {
+    countGeometry(feature.geometry, geometryCounts);
+
+    const { points, others } = splitGeometry(feature.geometry);
+    const baseId = feature.properties?.id ?? feature.id ?? i;
+
+    points.forEach((coordinates, j) => {
+      pointFeatures.push({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates },
+        properties: { ...feature.properties, id: points.length > 1 ? `${baseId}-${j}` : baseId }
+      });
+    });
+
+    others.forEach(geometry => {
+      overlayFeatures.push({ type: 'Feature', geometry, properties: { ...feature.properties } });
+    });
+  });
+
+  return {
+    points: fromGeoJSON({ type: 'FeatureCollection', features: pointFeatures }),
+    overlay: { type: 'FeatureCollection', features: overlayFeatures },
+    geometryCounts
+  };
+}
+
+/**
+ * Get the lower-case extension of a file name
+ * @param {string} fileName
+ * @returns {string}
+ */
+export function getExtension(fileName) {
+  const match = /\.([^.]+)$/.exec(fileName || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Parse a spatial file by extension (falling back to content sniffing)
+ * @param {string} fileName
+ * @param {string} text - File contents
+ * @returns {SpatialFileResult}
+ * @throws {Error} If the format is unsupported or the content is invalid
+ */
+export function parseSpatialFile(fileName, text) {
+  const extension = getExtension(fileName);
+
+  if (extension === 'kml' || text.trimStart().startsWith('<')) {
+    return splitFeatures(kmlToGeoJSON(text));
+  }
+
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${fileName} is not valid JSON`);
+  }
+
+  if (json === null || typeof json !== 'object') {
+    throw new Error(`${fileName} is not GeoJSON, TopoJSON or KML`);
+  }
+  if (json.type === 'Topology') {
+    return splitFeatures(topojsonToGeoJSON(json));
+  }
+  if (json.type === 'FeatureCollection') {
+    return splitFeatures(json);
+  }
+  if (json.type === 'Feature') {
+    return splitFeatures({ type: 'FeatureCollection', features: [json] });
+  }
+
+  throw new Error(`${fileName} is not GeoJSON, TopoJSON or KML`);
+}
@@ -3,8 +3,24 @@
  * @module data/generator
  */
 
-import { REGIONS, TEXAS_METROS, CATEGORIES } from '../config/regions.js';
+import { REGIONS, DEFAULT_REGION_SPREAD, CATEGORIES, SEASONALITY } from '../config/regions.js';
 import { DATA_DEFAULTS } from '../config/constants.js';
+import { PROFILES, DEFAULT_PROFILE } from '../config/profiles.js';
+import { createRandom, randomSeed, randomNormal } from '../utils/random.js';
+import { addMonths, periodMonth, periodToTimestamp } from '../utils/time.js';
+import { pointInPolygon, ringBounds } from '../utils/geo.js';
+
+/**
+ * Attempts at placing a point inside a region polygon before falling back
+ * to sampling the polygon's bounding box
+ */
+const MAX_POLYGON_ATTEMPTS = 25;
+
+/**
+ * Bounding-box samples tried when filling a polygon
+ * Enough for polygons covering a few percent of their bounding box.
+ */
+const MAX_FILL_ATTEMPTS = 100;
 
 /**
  * @typedef {Object} LocationData
@@ -15,29 +31,80 @@ import { DATA_DEFAULTS } from '../config/constants.js';
  * @property {string} category - Location category
  * @property {string} metro - Metro area name
  * @property {number} recyclingVolume - Recycling volume in tons/month (1-10)
+ * @property {string} [period] - Month the volume applies to ('YYYY-MM')
+ * @property {number} [timestamp] - Start of the period or exact time (UTC ms)
+ * Any other properties (generator profile extras, unmapped import columns) are kept as-is.
+ */
+
+/**
+ * Standard LocationData fields; anything else on a location is an extra property
+ * @type {Set<string>}
  */
+const LOCATION_FIELDS = new Set([
+  'id', 'lng', 'lat', 'value', 'category', 'metro', 'recyclingVolume', 'period', 'timestamp'
+]);
+
+/**
+ * Get the extra (non-standard) properties of a location
+ * @param {LocationData} point
+ * @returns {Object|null} Extra properties, or null when there are none
+ */
+export function getExtraProperties(point) {
+  let extra = null;
+
+  for (const key in point) {
+    if (!LOCATION_FIELDS.has(key)) {
+      extra = extra || {};
+      extra[key] = point[key];
+    }
+  }
+
+  return extra;
+}
 
 /**
  * Distribution algorithm types
- * @typedef {'clustered'|'uniform'|'route'|'coastal'} DistributionType
+ * 'polygon-uniform' fills a polygon evenly (the fill polygon option, or the region mask).
+ * @typedef {'clustered'|'uniform'|'route'|'coastal'|'polygon-uniform'} DistributionType
+ */
+
+/**
+ * @typedef {Object} MetroConfig
+ * @property {string} name - Metro name (used as the point's metro)
+ * @property {[number, number]} center - [lng, lat]
+ * @property {number} weight - Share of points (weights sum to 1)
+ * @property {number} spread - Spread factor in degrees
+ */
+
+/**
+ * @typedef {Object} RegionConfig
+ * @property {string} id - Region identifier
+ * @property {string} name - Display name
+ * @property {[number, number]} center - [lng, lat]
+ * @property {number} zoom - Default map zoom
+ * @property {number} [spread] - Spread factor for regions without metros
+ * @property {MetroConfig[]} [metros] - Weighted metros to spread points across
+ * @property {Array<[number, number]>} [polygon] - Mask ring; points are kept inside it
+ * @property {boolean} [custom] - Whether the region is user-defined
  */
 
 /**
  * Generate clustered distribution coordinates
  * @param {number[]} baseCenter - [lng, lat]
  * @param {number} baseSpread - Spread factor
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
  * @returns {{lng: number, lat: number}}
  */
-function generateClusteredPoint(baseCenter, baseSpread) {
+function generateClusteredPoint(baseCenter, baseSpread, rng) {
   // Create neighborhood clusters within the metro
   const clusterOffset = [
-    (Math.random() - 0.5) * baseSpread,
-    (Math.random() - 0.5) * baseSpread
+    (rng() - 0.5) * baseSpread,
+    (rng() - 0.5) * baseSpread
   ];
   // Tighter clustering around cluster centers
   return {
-    lng: baseCenter[0] + clusterOffset[0] + (Math.random() - 0.5) * baseSpread * 0.15,
-    lat: baseCenter[1] + clusterOffset[1] + (Math.random() - 0.5) * baseSpread * 0.15
+    lng: baseCenter[0] + clusterOffset[0] + (rng() - 0.5) * baseSpread * 0.15,
+    lat: baseCenter[1] + clusterOffset[1] + (rng() - 0.5) * baseSpread * 0.15
   };
 }
 
@@ -45,12 +112,13 @@ function generateClusteredPoint(baseCenter, baseSpread) {
  * Generate uniform distribution coordinates
  * @param {number[]} baseCenter - [lng, lat]
  * @param {number} baseSpread - Spread factor
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
  * @returns {{lng: number, lat: number}}
  */
-function generateUniformPoint(baseCenter, baseSpread) {
+function generateUniformPoint(baseCenter, baseSpread, rng) {
   return {
-    lng: baseCenter[0] + (Math.random() - 0.5) * baseSpread * 2,
-    lat: baseCenter[1] + (Math.random() - 0.5) * baseSpread * 2
+    lng: baseCenter[0] + (rng() - 0.5) * baseSpread * 2,
+    lat: baseCenter[1] + (rng() - 0.5) * baseSpread * 2
   };
 }
 
@@ -59,13 +127,14 @@ function generateUniformPoint(baseCenter, baseSpread) {
  * @param {number[]} baseCenter - [lng, lat]
  * @param {number} baseSpread - Spread factor
  * @param {boolean} isTexasWide - Whether this is a Texas-wide distribution
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
  * @returns {{lng: number, lat: number}}
  */
-function generateRoutePoint(baseCenter, baseSpread, isTexasWide) {
+function generateRoutePoint(baseCenter, baseSpread, isTexasWide, rng) {
   if (isTexasWide) {
     // I-35 corridor (San Antonio -> Austin -> Dallas)
-    const t = Math.random();
-    const i35Noise = (Math.random() - 0.5) * 0.15;
+    const t = rng();
+    const i35Noise = (rng() - 0.5) * 0.15;
 
     if (t < 0.4) {
       // SA to Austin segment
@@ -84,9 +153,9 @@ function generateRoutePoint(baseCenter, baseSpread, isTexasWide) {
   }
 
   // Radial highways from city center
-  const angle = Math.random() * Math.PI * 2;
-  const dist = Math.random() * baseSpread;
-  const noise = (Math.random() - 0.5) * 0.02;
+  const angle = rng() * Math.PI * 2;
+  const dist = rng() * baseSpread;
+  const noise = (rng() - 0.5) * 0.02;
 
   return {
     lng: baseCenter[0] + Math.cos(angle) * dist + noise,
@@ -94,26 +163,70 @@ function generateRoutePoint(baseCenter, baseSpread, isTexasWide) {
   };
 }
 
+/**
+ * Sample a point uniformly inside a polygon (rejection sampling in its bounding box)
+ * @param {Array<[number, number]>} ring - Polygon vertices as [lng, lat]
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
+ * @returns {{lng: number, lat: number}} Last sample if none landed inside (very thin polygons)
+ */
+function samplePolygon(ring, rng) {
+  const [[minLng, minLat], [maxLng, maxLat]] = ringBounds(ring);
+  let coords;
+
+  for (let attempt = 0; attempt < MAX_FILL_ATTEMPTS; attempt++) {
+    coords = {
+      lng: minLng + rng() * (maxLng - minLng),
+      lat: minLat + rng() * (maxLat - minLat)
+    };
+    if (pointInPolygon([coords.lng, coords.lat], ring)) {
+      break;
+    }
+  }
+
+  return coords;
+}
+
+/**
+ * Generate coordinates along a corridor through metros in order
+ * Used by the route distribution for user-defined multi-metro regions.
+ * @param {MetroConfig[]} metros - At least two metros
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
+ * @returns {{lng: number, lat: number}}
+ */
+function generateCorridorPoint(metros, rng) {
+  const position = rng() * (metros.length - 1);
+  const segment = Math.min(Math.floor(position), metros.length - 2);
+  const t = position - segment;
+  const [from, to] = [metros[segment].center, metros[segment + 1].center];
+  const noise = (rng() - 0.5) * 0.15;
+
+  return {
+    lng: from[0] + (to[0] - from[0]) * t + noise,
+    lat: from[1] + (to[1] - from[1]) * t + noise * 0.5
+  };
+}
+
 /**
  * Generate coastal/loop distribution coordinates
  * @param {number[]} baseCenter - [lng, lat]
  * @param {string} region - Region identifier
  * @param {boolean} isTexasWide - Whether this is a Texas-wide distribution
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
  * @returns {{lng: number, lat: number}}
  */
-function generateCoastalPoint(baseCenter, region, isTexasWide) {
+function generateCoastalPoint(baseCenter, region, isTexasWide, rng) {
   if (region === 'houston' || isTexasWide) {
     // Houston: concentrate toward Gulf Coast / Ship Channel
-    const coastBias = Math.random() * 0.7;
+    const coastBias = rng() * 0.7;
     return {
-      lng: baseCenter[0] + coastBias * 0.5 + (Math.random() - 0.5) * 0.2,
-      lat: baseCenter[1] - coastBias * 0.3 + (Math.random() - 0.5) * 0.15
+      lng: baseCenter[0] + coastBias * 0.5 + (rng() - 0.5) * 0.2,
+      lat: baseCenter[1] - coastBias * 0.3 + (rng() - 0.5) * 0.15
     };
   }
 
   // Other cities: ring pattern (loop highways)
-  const angle = Math.random() * Math.PI * 2;
-  const dist = 0.08 + Math.random() * 0.12;
+  const angle = rng() * Math.PI * 2;
+  const dist = 0.08 + rng() * 0.12;
 
   return {
     lng: baseCenter[0] + Math.cos(angle) * dist,
@@ -123,91 +236,336 @@ function generateCoastalPoint(baseCenter, region, isTexasWide) {
 
 /**
  * Pick a metro area based on population weights
- * @returns {Object|null} Metro object or null for single-city regions
+ * @param {MetroConfig[]} metros - Metros with weights summing to 1
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
+ * @returns {MetroConfig}
  */
-function pickWeightedMetro() {
-  const rand = Math.random();
+function pickWeightedMetro(metros, rng) {
+  const rand = rng();
   let cumulative = 0;
 
-  for (const metro of TEXAS_METROS) {
+  for (const metro of metros) {
     cumulative += metro.weight;
     if (rand < cumulative) {
       return metro;
     }
   }
 
-  return TEXAS_METROS[TEXAS_METROS.length - 1];
+  return metros[metros.length - 1];
+}
+
+/**
+ * Generate coordinates for a distribution around a center
+ * @param {DistributionType} distribution - Distribution algorithm
+ * @param {RegionConfig} regionConfig
+ * @param {number[]} baseCenter - [lng, lat]
+ * @param {number} baseSpread - Spread factor
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
+ * @returns {{lng: number, lat: number}}
+ */
+function generateCoords(distribution, regionConfig, baseCenter, baseSpread, rng) {
+  const isTexasWide = regionConfig.id === 'texas';
+
+  switch (distribution) {
+    case 'clustered':
+      return generateClusteredPoint(baseCenter, baseSpread, rng);
+    case 'uniform':
+      return generateUniformPoint(baseCenter, baseSpread, rng);
+    case 'route':
+      if (!isTexasWide && regionConfig.metros?.length > 1) {
+        return generateCorridorPoint(regionConfig.metros, rng);
+      }
+      return generateRoutePoint(baseCenter, baseSpread, isTexasWide, rng);
+    case 'coastal':
+      return generateCoastalPoint(baseCenter, regionConfig.id, isTexasWide, rng);
+    default:
+      return generateUniformPoint(baseCenter, baseSpread, rng);
+  }
+}
+
+/**
+ * Generate coordinates that fall inside the region polygon
+ * Retries the distribution, then samples the polygon's bounding box.
+ * @param {DistributionType} distribution
+ * @param {RegionConfig} regionConfig - Region with a polygon
+ * @param {number[]} baseCenter
+ * @param {number} baseSpread
+ * @param {import('../utils/random.js').RandomFn} rng
+ * @returns {{lng: number, lat: number}}
+ */
+function generateCoordsInPolygon(distribution, regionConfig, baseCenter, baseSpread, rng) {
+  const { polygon } = regionConfig;
+
+  for (let attempt = 0; attempt < MAX_POLYGON_ATTEMPTS; attempt++) {
+    const coords = generateCoords(distribution, regionConfig, baseCenter, baseSpread, rng);
+    if (pointInPolygon([coords.lng, coords.lat], polygon)) {
+      return coords;
+    }
+  }
+
+  // The distribution rarely lands inside (e.g. a corridor crossing the edge)
+  return samplePolygon(polygon, rng);
+}
+
+/**
+ * Clamp and round a volume to the valid range
+ * @param {number} volume
+ * @returns {number}
+ */
+function clampVolume(volume) {
+  return Math.min(DATA_DEFAULTS.MAX_VOLUME, Math.max(DATA_DEFAULTS.MIN_VOLUME, Math.round(volume)));
+}
+
+/**
+ * Express a volume as a normal score on the 1..10 scale (±3 standard deviations span it)
+ * Correlated attributes follow the final volume, across categories and metros.
+ * @param {number} volume
+ * @returns {number}
+ */
+function volumeScore(volume) {
+  const { MIN_VOLUME, MAX_VOLUME } = DATA_DEFAULTS;
+  return (volume - (MIN_VOLUME + MAX_VOLUME) / 2) / ((MAX_VOLUME - MIN_VOLUME) / 6);
+}
+
+/**
+ * Map a standard normal score onto a range (±3 standard deviations span it)
+ * @param {number} z
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function scaleNormal(z, min, max) {
+  const t = Math.min(1, Math.max(0, 0.5 + z / 6));
+  return min + t * (max - min);
+}
+
+/**
+ * Draw a normal score with a given correlation to another score
+ * @param {number} z - Score to correlate with
+ * @param {number} correlation - -1..1
+ * @param {import('../utils/random.js').RandomFn} rng
+ * @returns {number}
+ */
+function correlatedNormal(z, correlation, rng) {
+  return correlation * z + Math.sqrt(1 - correlation ** 2) * randomNormal(rng);
+}
+
+/**
+ * Pick an index by relative weights
+ * @param {number[]} weights - Relative weights (need not sum to 1)
+ * @param {import('../utils/random.js').RandomFn} rng
+ * @returns {number}
+ */
+function pickWeightedIndex(weights, rng) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  const rand = rng() * total;
+  let cumulative = 0;
+
+  for (let i = 0; i < weights.length; i++) {
+    cumulative += weights[i];
+    if (rand < cumulative) {
+      return i;
+    }
+  }
+
+  return weights.length - 1;
+}
+
+/**
+ * Generate a profile's extra properties for one location
+ * @param {Object.<string, import('../config/profiles.js').PropertySpec>} specs
+ * @param {string} category - Location category
+ * @param {number} zVolume - Volume as a normal score, for correlated numbers
+ * @param {import('../utils/random.js').RandomFn} rng
+ * @returns {Object.<string, string|number|boolean>}
+ */
+function generateExtraProperties(specs, category, zVolume, rng) {
+  const extra = {};
+
+  Object.entries(specs).forEach(([key, spec]) => {
+    if (spec.categories && !spec.categories.includes(category)) return;
+
+    switch (spec.type) {
+      case 'number': {
+        const z = spec.correlation ? correlatedNormal(zVolume, spec.correlation, rng) : randomNormal(rng);
+        const number = scaleNormal(z, spec.min, spec.max);
+        extra[key] = spec.integer ? Math.round(number) : Math.round(number * 100) / 100;
+        break;
+      }
+      case 'choice':
+        extra[key] = spec.values[pickWeightedIndex(spec.weights || spec.values.map(() => 1), rng)];
+        break;
+      case 'boolean':
+        extra[key] = rng() < spec.probability;
+        break;
+    }
+  });
+
+  return extra;
+}
+
+/**
+ * Generate category, value, volume and extra properties for a location
+ * Profiles without volume distributions draw each attribute independently
+ * and uniformly (the original generator behavior).
+ * @param {import('../config/profiles.js').GeneratorProfile} profile
+ * @param {string} metroName - Metro the location belongs to
+ * @param {import('../utils/random.js').RandomFn} rng
+ * @returns {{value: number, category: string, recyclingVolume: number, extra?: Object}}
+ */
+function generateAttributes(profile, metroName, rng) {
+  let attributes;
+
+  if (!profile.volume) {
+    attributes = {
+      value: rng() * 100,
+      category: CATEGORIES[Math.floor(rng() * CATEGORIES.length)],
+      recyclingVolume: Math.floor(rng() * DATA_DEFAULTS.MAX_VOLUME) + DATA_DEFAULTS.MIN_VOLUME
+    };
+  } else {
+    const category = profile.categoryWeights
+      ? Object.keys(profile.categoryWeights)[pickWeightedIndex(Object.values(profile.categoryWeights), rng)]
+      : CATEGORIES[Math.floor(rng() * CATEGORIES.length)];
+    const { mean, sd } = profile.volume[category] || profile.volume.default;
+    const multiplier = profile.metroMultipliers?.[metroName] ?? 1;
+    const recyclingVolume = clampVolume((mean + sd * randomNormal(rng)) * multiplier);
+
+    attributes = {
+      category,
+      recyclingVolume,
+      value: scaleNormal(correlatedNormal(volumeScore(recyclingVolume), profile.valueCorrelation || 0, rng), 0, 100)
+    };
+  }
+
+  if (profile.properties) {
+    const zVolume = volumeScore(attributes.recyclingVolume);
+    const extra = generateExtraProperties(profile.properties, attributes.category, zVolume, rng);
+    if (Object.keys(extra).length > 0) {
+      attributes.extra = extra;
+    }
+  }
+
+  return attributes;
 }
 
 /**
  * Generate a single location data point
  * @param {number} id - Point ID
  * @param {DistributionType} distribution - Distribution algorithm
- * @param {string} region - Region identifier
- * @param {Object} regionConfig - Region configuration from REGIONS
+ * @param {RegionConfig} regionConfig - Region to generate in
+ * @param {Array<[number, number]>|null} fillPolygon - Polygon filled by 'polygon-uniform'
+ * @param {import('../config/profiles.js').GeneratorProfile} profile - Attribute profile
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
  * @returns {LocationData}
  */
-function generatePoint(id, distribution, region, regionConfig) {
-  const isTexasWide = region === 'texas';
-  const defaultSpread = isTexasWide ? 0.3 : (region === 'dallas' ? 0.35 : 0.25);
+function generatePoint(id, distribution, regionConfig, fillPolygon, profile, rng) {
+  const isFill = distribution === 'polygon-uniform' && fillPolygon;
 
-  // For Texas-wide, pick a metro based on population weights
-  const metro = isTexasWide ? pickWeightedMetro() : null;
+  // Multi-metro regions pick a metro based on population weights
+  const metro = !isFill && regionConfig.metros?.length > 0 ? pickWeightedMetro(regionConfig.metros, rng) : null;
 
   const baseCenter = metro ? metro.center : regionConfig.center;
-  const baseSpread = metro ? metro.spread : defaultSpread;
+  const baseSpread = metro ? metro.spread : (regionConfig.spread ?? DEFAULT_REGION_SPREAD);
 
-  // Generate coordinates based on distribution type
   let coords;
-  switch (distribution) {
-    case 'clustered':
-      coords = generateClusteredPoint(baseCenter, baseSpread);
-      break;
-    case 'uniform':
-      coords = generateUniformPoint(baseCenter, baseSpread);
-      break;
-    case 'route':
-      coords = generateRoutePoint(baseCenter, baseSpread, isTexasWide);
-      break;
-    case 'coastal':
-      coords = generateCoastalPoint(baseCenter, region, isTexasWide);
-      break;
-    default:
-      coords = generateUniformPoint(baseCenter, baseSpread);
+  if (isFill) {
+    coords = samplePolygon(fillPolygon, rng);
+  } else if (regionConfig.polygon) {
+    coords = generateCoordsInPolygon(distribution, regionConfig, baseCenter, baseSpread, rng);
+  } else {
+    coords = generateCoords(distribution, regionConfig, baseCenter, baseSpread, rng);
   }
 
+  const metroName = metro ? metro.name : regionConfig.name;
+  const { value, category, recyclingVolume, extra } = generateAttributes(profile, metroName, rng);
+
   return {
+    ...extra,
     id,
     lng: coords.lng,
     lat: coords.lat,
-    value: Math.random() * 100,
-    category: CATEGORIES[Math.floor(Math.random() * CATEGORIES.length)],
-    metro: metro ? metro.name : regionConfig.name,
-    recyclingVolume: Math.floor(Math.random() * DATA_DEFAULTS.MAX_VOLUME) + DATA_DEFAULTS.MIN_VOLUME
+    value,
+    category,
+    metro: metroName,
+    recyclingVolume
   };
 }
 
+/**
+ * Expand sites into monthly records with seasonal volumes
+ * Each site's generated volume is its baseline; months scale it by the
+ * category's SEASONALITY multiplier, a slight upward trend and ±10% noise.
+ * @param {LocationData[]} sites - One record per site
+ * @param {number} months - Number of monthly periods
+ * @param {import('../utils/random.js').RandomFn} rng - Random number source
+ * @returns {LocationData[]} months records per site, site-major order
+ */
+function generateSeasonalSeries(sites, months, rng) {
+  const periods = Array.from({ length: months }, (_, m) => addMonths(DATA_DEFAULTS.SERIES_START, m));
+  const data = [];
+
+  sites.forEach((site, i) => {
+    const seasonality = SEASONALITY[site.category];
+
+    periods.forEach((period, m) => {
+      const seasonal = seasonality ? seasonality[periodMonth(period)] : 1;
+      const trend = 1 + m * 0.01;
+      const noise = 0.9 + rng() * 0.2;
+      data.push({
+        ...site,
+        id: i * months + m,
+        recyclingVolume: clampVolume(site.recyclingVolume * seasonal * trend * noise),
+        period,
+        timestamp: periodToTimestamp(period)
+      });
+    });
+  });
+
+  return data;
+}
+
 /**
  * Generate synthetic location data
- * @param {number} count - Number of points to generate
+ * The same (seed, count, distribution, region, options) always produces the same points.
+ * @param {number} count - Number of points (sites) to generate
  * @param {DistributionType} distribution - Distribution algorithm
- * @param {string} region - Region identifier (e.g., 'texas', 'houston')
+ * @param {string|RegionConfig} region - Preset region identifier (e.g., 'texas', 'houston') or a full region config
+ * @param {number} [seed] - PRNG seed (a random seed is used when omitted)
+ * @param {Object} [options]
+ * @param {number} [options.months=0] - Monthly periods per site; 0 for a single snapshot without time
+ * @param {Array<[number, number]>} [options.polygon] - Polygon for 'polygon-uniform' (defaults to the region mask)
+ * @param {string|import('../config/profiles.js').GeneratorProfile} [options.profile] - Profile ID or definition
  * @returns {LocationData[]} Array of generated location data
  */
-export function generateData(count, distribution, region) {
-  const regionConfig = REGIONS[region];
+export function generateData(count, distribution, region, seed = randomSeed(), options = {}) {
+  const regionConfig = typeof region === 'string'
+    ? (REGIONS[region] && { id: region, ...REGIONS[region] })
+    : region;
 
   if (!regionConfig) {
     console.error(`Unknown region: ${region}`);
     return [];
   }
 
+  const profileId = options.profile || DEFAULT_PROFILE;
+  const profile = typeof profileId === 'string' ? PROFILES[profileId] : profileId;
+
+  if (!profile) {
+    console.error(`Unknown generator profile: ${profileId}`);
+    return [];
+  }
+
+  // Without any polygon, 'polygon-uniform' falls back to the default uniform spread
+  const fillPolygon = options.polygon || regionConfig.polygon || null;
+
+  const rng = createRandom(seed);
   const data = [];
   for (let i = 0; i < count; i++) {
-    data.push(generatePoint(i, distribution, region, regionConfig));
+    data.push(generatePoint(i, distribution, regionConfig, fillPolygon, profile, rng));
   }
 
-  return data;
+  const months = options.months || 0;
+  return months > 0 ? generateSeasonalSeries(data, months, rng) : data;
 }
 
 /**
@@ -225,11 +583,13 @@ export function toGeoJSON(data) {
         coordinates: [d.lng, d.lat]
       },
       properties: {
+        ...getExtraProperties(d),
         id: d.id,
         value: d.value,
         category: d.category,
         metro: d.metro,
-        recyclingVolume: d.recyclingVolume
+        recyclingVolume: d.recyclingVolume,
+        ...(d.period !== undefined && { period: d.period })
       }
     }))
   };
@@ -239,11 +599,13 @@ export function toGeoJSON(data) {
  * Generate data and convert to GeoJSON in one step
  * @param {number} count
  * @param {DistributionType} distribution
- * @param {string} region
+ * @param {string|RegionConfig} region
+ * @param {number} [seed]
+ * @param {Object} [options] - See generateData
  * @returns {{raw: LocationData[], geoJSON: GeoJSON.FeatureCollection}}
  */
-export function generateDataWithGeoJSON(count, distribution, region) {
-  const raw = generateData(count, distribution, region);
+export function generateDataWithGeoJSON(count, distribution, region, seed, options) {
+  const raw = generateData(count, distribution, region, seed, options);
   const geoJSON = toGeoJSON(raw);
   return { raw, geoJSON };
 }
@@ -0,0 +1,192 @@
+/**
+ * Geocoding - approximate coordinates for address-only records
+ * The default geocoder looks addresses up in the bundled gazetteer, offline.
+ * Anything implementing Geocoder (e.g. a client for a geocoding API) can
+ * replace it with setGeocoder().
+ * @module data/geocode
+ */
+
+import { TEXAS_GAZETTEER } from '../config/gazetteer.js';
+
+/**
+ * @typedef {Object} GeocodeQuery
+ * @property {string} [address] - Street address, possibly with city, state and ZIP
+ * @property {string} [city]
+ * @property {string} [zip]
+ */
+
+/**
+ * @typedef {Object} GeocodeMatch
+ * @property {number} lng
+ * @property {number} lat
+ * @property {number} confidence - 0 (guess) to 1 (exact)
+ * @property {string} label - What was matched, e.g. "ZIP 77002" or "Houston"
+ */
+
+/**
+ * @typedef {Object} Geocoder
+ * @property {string} id
+ * @property {string} name - Display name
+ * @property {function(GeocodeQuery, {signal?: AbortSignal}=): Promise<GeocodeMatch|null>} geocode - Null when nothing matches
+ */
+
+/**
+ * Gazetteer match confidence, by what matched
+ * A ZIP area is placed on one city, so a city inside it is more certain
+ * than a city alone, and one outside it suggests a typo in one of them.
+ */
+export const MATCH_CONFIDENCE = {
+  zip: 0.9,
+  cityInZipArea: 0.8,
+  city: 0.7,
+  cityOutsideZipArea: 0.6,
+  zipArea: 0.5
+};
+
+/**
+ * Longest city name tried at the end of an address part, in words
+ */
+const MAX_CITY_WORDS = 3;
+
+/**
+ * 5-digit ZIP, optionally ZIP+4
+ */
+const ZIP_PATTERN = /\b(\d{5})(?:-\d{4})?\b/g;
+
+/**
+ * Geocoder in use
+ * @type {Geocoder|null}
+ */
+let activeGeocoder = null;
+
+/**
+ * Find the ZIP in an address
+ * The last 5-digit number wins, since house numbers come first.
+ * @param {string} text
+ * @returns {string|null}
+ */
+export function findZip(text) {
+  const matches = [...String(text ?? '').matchAll(ZIP_PATTERN)];
+  return matches.length > 0 ? matches[matches.length - 1][1] : null;
+}
+
+/**
+ * Normalize a place name for lookups
+ * @param {string} name
+ * @returns {string}
+ */
+function normalizeName(name) {
+  return name.toLowerCase().replace(/\./g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Create a geocoder looking addresses up in a gazetteer
+ * Matches, best first: a known 5-digit ZIP; a city named in the city field
+ * or at the end of an address part ("..., Houston, TX 77002"); the city a
+ * 3-digit ZIP area is placed on.
+ * @param {import('../config/gazetteer.js').Gazetteer} [gazetteer=TEXAS_GAZETTEER]
+ * @returns {Geocoder}
+ */
+export function createGazetteerGeocoder(gazetteer = TEXAS_GAZETTEER) {
+  const cities = new Map(Object.entries(gazetteer.cities).map(([name, position]) => [normalizeName(name), { name, position }]));
+  const states = new Set(gazetteer.states.map(normalizeName));
+
+  /**
+   * Find a gazetteer city in the city field or the address
+   * @param {GeocodeQuery} query
+   * @returns {{name: string, position: [number, number]}|undefined}
+   */
+  function findCity({ address = '', city = '' }) {
+    const parts = [city, ...address.split(',')];
+
+    for (const part of parts) {
+      const words = normalizeName(part.replace(ZIP_PATTERN, '')).split(' ').filter(Boolean);
+      if (states.has(words[words.length - 1])) words.pop();
+
+      for (let count = Math.min(MAX_CITY_WORDS, words.length); count > 0; count--) {
+        const match = cities.get(words.slice(-count).join(' '));
+        if (match) return match;
+      }
+    }
+
+    return undefined;
+  }
+
+  return {
+    id: 'gazetteer',
+    name: gazetteer.name,
+
+    async geocode(query) {
+      const zip = findZip(query.zip) ?? findZip(query.address);
+      if (zip && gazetteer.zips[zip]) {
+        const [lng, lat] = gazetteer.zips[zip];
+        return { lng, lat, confidence: MATCH_CONFIDENCE.zip, label: `ZIP ${zip}` };
+      }
+
+      const areaCity = zip ? gazetteer.zipAreas[zip.slice(0, 3)] : undefined;
+      const city = findCity(query);
+
+      if (city) {
+        const [lng, lat] = city.position;
+        const confidence = areaCity === undefined
+          ? MATCH_CONFIDENCE.city
+          : areaCity === city.name ? MATCH_CONFIDENCE.cityInZipArea : MATCH_CONFIDENCE.cityOutsideZipArea;
+        return { lng, lat, confidence, label: city.name };
+      }
+
+      if (areaCity && gazetteer.cities[areaCity]) {
+        const [lng, lat] = gazetteer.cities[areaCity];
+        return { lng, lat, confidence: MATCH_CONFIDENCE.zipArea, label: `ZIP ${zip.slice(0, 3)}xx (${areaCity})` };
+      }
+
+      return null;
+    }
+  };
+}
+
+/**
+ * Get the geocoder used by imports
+ * @returns {Geocoder}
+ */
+export function getGeocoder() {
+  if (!activeGeocoder) {
+    activeGeocoder = createGazetteerGeocoder();
+  }
+  return activeGeocoder;
+}
+
+/**
+ * Replace the geocoder used by imports
+ * @param {Geocoder|null} geocoder - Null restores the bundled gazetteer
+ * @throws {Error} If the geocoder has no geocode() function
+ */
+export function setGeocoder(geocoder) {
+  if (geocoder !== null && typeof geocoder?.geocode !== 'function') {
+    throw new Error('Geocoder requires a geocode() function');
+  }
+  activeGeocoder = geocoder;
+}
+
+/**
+ * Geocode a list of queries, asking the geocoder once per distinct query
+ * @param {GeocodeQuery[]} queries
+ * @param {Object} [options]
+ * @param {Geocoder} [options.geocoder] - Defaults to getGeocoder()
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<GeocodeMatch|null>>} In query order
+ */
+export async function geocodeAll(queries, { geocoder = getGeocoder(), signal } = {}) {
+  const results = new Map();
+  const matches = [];
+
+  for (const query of queries) {
+    const key = JSON.stringify([query.address ?? '', query.city ?? '', query.zip ?? '']);
+    if (!results.has(key)) {
+      signal?.throwIfAborted();
+      results.set(key, await geocoder.geocode(query, { signal }));
+    }
+    matches.push(results.get(key));
+  }
+
+  return matches;
+}
@@ -0,0 +1,56 @@
+/**
+ * Volume histogram shown under the volume range slider
+ * @module data/histogram
+ */
+
+import { DATA_DEFAULTS, VOLUME_SLIDER } from '../config/constants.js';
+
+/**
+ * @typedef {Object} VolumeDomain
+ * @property {number} min - Lowest slider value, in whole tons
+ * @property {number} max - Highest slider value, in whole tons
+ * @property {number} binWidth - Tons per histogram bar, a whole number
+ */
+
+/**
+ * Get the slider domain for a dataset's volumes
+ * Covers the generated volume range, widened to whole tons around volumes
+ * outside it. Bars are a ton wide until there would be more than
+ * VOLUME_SLIDER.MAX_BINS of them.
+ * @param {number[]} volumes
+ * @returns {VolumeDomain}
+ */
+export function getVolumeDomain(volumes) {
+  let min = DATA_DEFAULTS.MIN_VOLUME;
+  let max = DATA_DEFAULTS.MAX_VOLUME;
+
+  volumes.forEach(volume => {
+    if (!Number.isFinite(volume)) return;
+    if (volume < min) min = volume;
+    if (volume > max) max = volume;
+  });
+
+  min = Math.floor(min);
+  max = Math.ceil(max);
+  return { min, max, binWidth: Math.max(1, Math.ceil((max - min) / VOLUME_SLIDER.MAX_BINS)) };
+}
+
+/**
+ * Count volumes per histogram bar
+ * Bar i is centered on min + i * binWidth, so whole-ton volumes sit under
+ * the slider position of the same value.
+ * @param {number[]} volumes
+ * @param {VolumeDomain} domain
+ * @returns {number[]} Counts, first bar at the domain's min
+ */
+export function countVolumes(volumes, { min, max, binWidth }) {
+  const counts = new Array(Math.floor((max - min) / binWidth) + 1).fill(0);
+
+  volumes.forEach(volume => {
+    if (!Number.isFinite(volume)) return;
+    const bin = Math.round((volume - min) / binWidth);
+    counts[Math.min(Math.max(bin, 0), counts.length - 1)]++;
+  });
+
+  return counts;
+}
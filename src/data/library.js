@@ -0,0 +1,250 @@
+/**
+ * Dataset library - named datasets saved in IndexedDB
+ * Metadata and records live in separate object stores so listing the library
+ * doesn't read every saved dataset. Without IndexedDB (e.g. some private
+ * browsing modes, or Node) the library is kept in memory for the session.
+ * @module data/library
+ */
+
+import { getDefaultedFields, markDefaulted } from './normalize.js';
+
+/**
+ * @typedef {Object} DatasetMeta
+ * @property {string} id - Derived from the name; saving under the same name replaces
+ * @property {string} name - Display name
+ * @property {string} source - Data source ID, 'csv'/'file' for imported files, or 'paste'
+ * @property {number} rowCount - Number of locations
+ * @property {number} savedAt - Save time (UTC ms)
+ * @property {number|null} seed - Generator seed, for generated datasets
+ */
+
+/**
+ * @typedef {Object} SavedRecords
+ * @property {string} id - Dataset ID
+ * @property {LocationData[]} data - Locations
+ * @property {Array<[number, string[]]>} defaulted - Defaulted fields by location index
+ */
+
+/**
+ * @typedef {Object} LibraryBackend
+ * @property {boolean} persistent - Whether datasets survive a reload
+ * @property {function(): Promise<DatasetMeta[]>} list
+ * @property {function(string): Promise<DatasetMeta|undefined>} getMeta
+ * @property {function(string): Promise<SavedRecords|undefined>} getRecords
+ * @property {function(DatasetMeta, SavedRecords): Promise<void>} put - Writes both stores atomically
+ * @property {function(string): Promise<void>} delete
+ */
+
+/**
+ * IndexedDB database name and version
+ */
+const DB_NAME = 'map_app_datasets';
+const DB_VERSION = 1;
+
+/**
+ * Object store names
+ */
+const META_STORE = 'meta';
+const RECORDS_STORE = 'records';
+
+/**
+ * Backend in use, opened on first access
+ * @type {Promise<LibraryBackend>|null}
+ */
+let backendPromise = null;
+
+/**
+ * Resolve an IndexedDB request
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function requestResult(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolve when a transaction commits
+ * @param {IDBTransaction} transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open the library database, creating its stores on first use
+ * @param {IDBFactory} factory
+ * @returns {Promise<LibraryBackend>}
+ */
+async function openIndexedDB(factory) {
+  const request = factory.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' });
+    if (!db.objectStoreNames.contains(RECORDS_STORE)) db.createObjectStore(RECORDS_STORE, { keyPath: 'id' });
+  };
+  const db = await requestResult(request);
+
+  return {
+    persistent: true,
+
+    list() {
+      return requestResult(db.transaction(META_STORE).objectStore(META_STORE).getAll());
+    },
+
+    getMeta(id) {
+      return requestResult(db.transaction(META_STORE).objectStore(META_STORE).get(id));
+    },
+
+    getRecords(id) {
+      return requestResult(db.transaction(RECORDS_STORE).objectStore(RECORDS_STORE).get(id));
+    },
+
+    put(meta, records) {
+      const transaction = db.transaction([META_STORE, RECORDS_STORE], 'readwrite');
+      transaction.objectStore(META_STORE).put(meta);
+      transaction.objectStore(RECORDS_STORE).put(records);
+      return transactionDone(transaction);
+    },
+
+    delete(id) {
+      const transaction = db.transaction([META_STORE, RECORDS_STORE], 'readwrite');
+      transaction.objectStore(META_STORE).delete(id);
+      transaction.objectStore(RECORDS_STORE).delete(id);
+      return transactionDone(transaction);
+    }
+  };
+}
+
+/**
+ * In-memory backend for when IndexedDB is unavailable
+ * Values are structured-cloned like IndexedDB does, so callers can't mutate saved data.
+ * @returns {LibraryBackend}
+ */
+function createMemoryBackend() {
+  const meta = new Map();
+  const records = new Map();
+
+  return {
+    persistent: false,
+    list: async () => structuredClone([...meta.values()]),
+    getMeta: async id => structuredClone(meta.get(id)),
+    getRecords: async id => structuredClone(records.get(id)),
+    put: async (entry, saved) => {
+      meta.set(entry.id, structuredClone(entry));
+      records.set(saved.id, structuredClone(saved));
+    },
+    delete: async id => {
+      meta.delete(id);
+      records.delete(id);
+    }
+  };
+}
+
+/**
+ * Get the library backend, falling back to memory if IndexedDB can't be opened
+ * @returns {Promise<LibraryBackend>}
+ */
+function getBackend() {
+  if (!backendPromise) {
+    const factory = globalThis.indexedDB;
+    backendPromise = factory
+      ? openIndexedDB(factory).catch(error => {
+        console.warn('IndexedDB unavailable, keeping saved datasets in memory:', error);
+        return createMemoryBackend();
+      })
+      : Promise.resolve(createMemoryBackend());
+  }
+  return backendPromise;
+}
+
+/**
+ * Whether saved datasets survive a reload
+ * @returns {Promise<boolean>}
+ */
+export async function isLibraryPersistent() {
+  return (await getBackend()).persistent;
+}
+
+/**
+ * Derive a dataset ID from its name
+ * @param {string} name
+ * @returns {string}
+ */
+export function datasetIdFromName(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return slug || 'dataset';
+}
+
+/**
+ * Save a dataset under a name, replacing any dataset with the same name
+ * Defaulted-field flags (see normalize.js) are saved alongside the records so
+ * the data-quality report still sees them after a reload.
+ * @param {LocationData[]} data
+ * @param {{name: string, source: string, seed?: number|null}} info
+ * @returns {Promise<DatasetMeta>}
+ * @throws {Error} If the name is empty or the browser refuses the write (e.g. over quota)
+ */
+export async function saveDataset(data, { name, source, seed = null }) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!trimmed) {
+    throw new Error('Dataset name is required');
+  }
+
+  const meta = {
+    id: datasetIdFromName(trimmed),
+    name: trimmed,
+    source,
+    rowCount: data.length,
+    savedAt: Date.now(),
+    seed: Number.isInteger(seed) ? seed : null
+  };
+  const defaulted = [];
+  data.forEach((point, index) => {
+    const fields = getDefaultedFields(point);
+    if (fields.length > 0) defaulted.push([index, fields]);
+  });
+
+  await (await getBackend()).put(meta, { id: meta.id, data, defaulted });
+  return meta;
+}
+
+/**
+ * List saved datasets, most recently saved first
+ * @returns {Promise<DatasetMeta[]>}
+ */
+export async function listDatasets() {
+  const entries = await (await getBackend()).list();
+  return entries.sort((a, b) => b.savedAt - a.savedAt);
+}
+
+/**
+ * Load a saved dataset
+ * @param {string} id
+ * @returns {Promise<{meta: DatasetMeta, data: LocationData[]}|null>} Null if it doesn't exist
+ */
+export async function loadDataset(id) {
+  const backend = await getBackend();
+  const [meta, records] = await Promise.all([backend.getMeta(id), backend.getRecords(id)]);
+
+  if (!meta || !records) return null;
+
+  records.defaulted.forEach(([index, fields]) => markDefaulted(records.data[index], fields));
+  return { meta, data: records.data };
+}
+
+/**
+ * Delete a saved dataset
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function deleteDataset(id) {
+  await (await getBackend()).delete(id);
+}
@@ -0,0 +1,125 @@
+/**
+ * Incremental updates from a live feed
+ * Feed messages add, update or delete individual locations by id, so the
+ * dataset can be patched without reloading it.
+ * @module data/live
+ */
+
+import { normalizeRecord, extractRecords, featureToRecord } from './normalize.js';
+
+/**
+ * Live feed message
+ * - snapshot: replaces the whole dataset (`points` is an array or FeatureCollection)
+ * - add: adds locations, replacing any with the same id
+ * - update: merges partial records into locations by id (unknown ids are added);
+ *   partial records should use LocationData field names
+ * - delete: removes locations by id
+ * @typedef {Object} LiveMessage
+ * @property {'snapshot'|'add'|'update'|'delete'} type
+ * @property {Object[]|GeoJSON.FeatureCollection} [points] - Records for snapshot/add/update
+ * @property {Array<string|number>} [ids] - IDs for delete
+ */
+
+/**
+ * @typedef {Object} LivePatchResult
+ * @property {LocationData[]} data - Patched dataset (the input array when nothing changed)
+ * @property {number} added
+ * @property {number} updated
+ * @property {number} deleted
+ */
+
+/**
+ * Key used to match ids, so 7 and "7" refer to the same location
+ * @param {string|number} id
+ * @returns {string}
+ */
+function idKey(id) {
+  return String(id);
+}
+
+/**
+ * Get the records of an add/update message
+ * FeatureCollections are flattened like snapshots (Point features only), but
+ * records stay partial so updates merge into the existing locations.
+ * @param {Object[]|GeoJSON.FeatureCollection} [points]
+ * @returns {Object[]}
+ */
+function messageRecords(points) {
+  if (points?.type === 'FeatureCollection') {
+    return (points.features || []).map(featureToRecord).filter(Boolean);
+  }
+  return Array.isArray(points) ? points : [];
+}
+
+/**
+ * Apply feed messages to a dataset
+ * Returns a new array; locations that did not change keep their identity.
+ * Records without an id, or without coordinates after merging, are skipped.
+ * @param {LocationData[]} data - Current dataset
+ * @param {LiveMessage[]} messages - Messages in arrival order
+ * @returns {LivePatchResult}
+ * @throws {Error} If a snapshot holds no recognizable data
+ */
+export function applyLiveMessages(data, messages) {
+  let next = data.slice();
+  let index = new Map(next.map((point, i) => [idKey(point.id), i]));
+  let changed = false;
+  const counts = { added: 0, updated: 0, deleted: 0 };
+
+  const upsert = (record, base) => {
+    const position = index.get(idKey(record.id));
+    const point = normalizeRecord(base ? { ...base, ...record, id: base.id } : record, record.id);
+    if (!point) return;
+
+    if (position === undefined) {
+      index.set(idKey(point.id), next.length);
+      next.push(point);
+      counts.added++;
+    } else {
+      next[position] = point;
+      counts.updated++;
+    }
+    changed = true;
+  };
+
+  for (const message of messages) {
+    switch (message?.type) {
+      case 'snapshot':
+        next = extractRecords(message.points);
+        index = new Map(next.map((point, i) => [idKey(point.id), i]));
+        changed = true;
+        break;
+
+      case 'add':
+        messageRecords(message.points).forEach(record => {
+          if (record?.id !== undefined) upsert(record, null);
+        });
+        break;
+
+      case 'update':
+        messageRecords(message.points).forEach(record => {
+          if (record?.id === undefined) return;
+          const position = index.get(idKey(record.id));
+          upsert(record, position === undefined ? null : next[position]);
+        });
+        break;
+
+      case 'delete': {
+        const ids = new Set((message.ids || []).map(idKey));
+        const kept = next.filter(point => !ids.has(idKey(point.id)));
+        if (kept.length !== next.length) {
+          counts.deleted += next.length - kept.length;
+          next = kept;
+          index = new Map(next.map((point, i) => [idKey(point.id), i]));
+          changed = true;
+        }
+        break;
+      }
+
+      default:
+        console.warn('Ignoring unknown live message:', message?.type);
+    }
+  }
+
+  return { data: changed ? next : data, ...counts };
+}
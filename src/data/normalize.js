@@ -0,0 +1,240 @@
+/**
+ * Normalization of external records into LocationData
+ * @module data/normalize
+ */
+
+import { OTHER_CATEGORY } from '../config/regions.js';
+import { DATA_DEFAULTS } from '../config/constants.js';
+import { parsePeriod } from '../utils/time.js';
+
+/**
+ * Property aliases accepted for each LocationData field, in priority order
+ * @type {Object.<string, string[]>}
+ */
+export const FIELD_ALIASES = {
+  lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+  lat: ['lat', 'latitude', 'y'],
+  category: ['category', 'type', 'kind', 'class'],
+  metro: ['metro', 'city', 'region', 'area'],
+  recyclingVolume: ['recyclingVolume', 'recycling_volume', 'volume', 'tons'],
+  value: ['value', 'score'],
+  period: ['period', 'month', 'date', 'timestamp', 'time']
+};
+
+/**
+ * Lower-cased alias names, used to separate known fields from extra properties
+ * @type {Set<string>}
+ */
+const ALIAS_KEYS = new Set(Object.values(FIELD_ALIASES).flat().map(alias => alias.toLowerCase()));
+
+/**
+ * Lower-cased coordinate alias names, dropped from feature properties
+ * @type {Set<string>}
+ */
+const COORDINATE_KEYS = new Set([...FIELD_ALIASES.lng, ...FIELD_ALIASES.lat].map(alias => alias.toLowerCase()));
+
+/**
+ * Fields filled with defaults during normalization, by record
+ * Kept outside the record so they don't become properties or reach exports.
+ * @type {WeakMap<LocationData, string[]>}
+ */
+const defaultedFields = new WeakMap();
+
+/**
+ * Record which fields of a location were filled with defaults
+ * @param {LocationData} point
+ * @param {string[]} fields
+ * @returns {LocationData} The same location
+ */
+export function markDefaulted(point, fields) {
+  if (fields.length > 0) {
+    defaultedFields.set(point, fields);
+  }
+  return point;
+}
+
+/**
+ * Get the fields of a location that were missing from its source record
+ * @param {LocationData} point
+ * @returns {string[]}
+ */
+export function getDefaultedFields(point) {
+  return defaultedFields.get(point) || [];
+}
+
+/**
+ * Find the first property matching one of the aliases (case-insensitive)
+ * @param {Object} record - Source record
+ * @param {string[]} aliases - Candidate property names
+ * @returns {*} Property value or undefined
+ */
+function pickAlias(record, aliases) {
+  const keys = Object.keys(record);
+
+  for (const alias of aliases) {
+    const key = keys.find(k => k.toLowerCase() === alias.toLowerCase());
+    if (key !== undefined && record[key] !== '' && record[key] !== null) {
+      return record[key];
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Parse a numeric value, returning NaN for anything that is not a finite number
+ * @param {*} value
+ * @returns {number}
+ */
+export function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return NaN;
+
+  const parsed = parseFloat(value.trim());
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * Convert an arbitrary record into LocationData
+ * Missing optional fields receive defaults (see getDefaultedFields); missing
+ * coordinates yield null.
+ * A recognizable date sets period and timestamp; otherwise both are omitted.
+ * Properties that do not map to a LocationData field are kept on the result.
+ * @param {Object} record - Source record (flat object)
+ * @param {number|string} index - Position in the source, used as fallback id
+ * @returns {LocationData|null} Normalized record, or null without valid coordinates
+ */
+export function normalizeRecord(record, index) {
+  if (!record || typeof record !== 'object') return null;
+
+  const lng = toNumber(pickAlias(record, FIELD_ALIASES.lng));
+  const lat = toNumber(pickAlias(record, FIELD_ALIASES.lat));
+
+  if (Number.isNaN(lng) || Number.isNaN(lat)) {
+    return null;
+  }
+
+  const volume = toNumber(pickAlias(record, FIELD_ALIASES.recyclingVolume));
+  const value = toNumber(pickAlias(record, FIELD_ALIASES.value));
+  const category = pickAlias(record, FIELD_ALIASES.category);
+  const metro = pickAlias(record, FIELD_ALIASES.metro);
+  const time = parsePeriod(pickAlias(record, FIELD_ALIASES.period));
+  const extra = Object.fromEntries(
+    Object.entries(record).filter(([key]) => !ALIAS_KEYS.has(key.toLowerCase()))
+  );
+
+  const point = {
+    ...extra,
+    id: record.id ?? index,
+    lng,
+    lat,
+    value: Number.isNaN(value) ? 0 : value,
+    category: category !== undefined ? String(category) : OTHER_CATEGORY,
+    metro: metro !== undefined ? String(metro) : '',
+    recyclingVolume: Number.isNaN(volume) ? DATA_DEFAULTS.MIN_VOLUME : volume,
+    ...time
+  };
+
+  return markDefaulted(point, [
+    category === undefined && 'category',
+    Number.isNaN(volume) && 'recyclingVolume'
+  ].filter(Boolean));
+}
+
+/**
+ * Flatten a GeoJSON Point feature into a record with lng/lat
+ * The geometry is the location: coordinate-like properties (LNG, Latitude,
+ * x, ...) are dropped so the alias lookup can't pick them over it. The id
+ * comes from the properties or the feature, and is undefined without either.
+ * @param {GeoJSON.Feature} feature
+ * @returns {Object|null} Record, or null for non-point features
+ */
+export function featureToRecord(feature) {
+  if (feature?.geometry?.type !== 'Point') return null;
+
+  const [lng, lat] = feature.geometry.coordinates;
+  const properties = Object.entries(feature.properties || {})
+    .filter(([key]) => !COORDINATE_KEYS.has(key.toLowerCase()));
+
+  return {
+    ...Object.fromEntries(properties),
+    id: feature.properties?.id ?? feature.id,
+    lng,
+    lat
+  };
+}
+
+/**
+ * Convert GeoJSON Point features into LocationData
+ * Non-point features are skipped.
+ * @param {GeoJSON.FeatureCollection} featureCollection
+ * @param {string} [idPrefix=''] - Prefix for fallback ids of features without one
+ * @returns {LocationData[]}
+ */
+export function fromGeoJSON(featureCollection, idPrefix = '') {
+  const features = featureCollection?.features || [];
+  const data = [];
+
+  features.forEach((feature, i) => {
+    const flat = featureToRecord(feature);
+    if (!flat) return;
+
+    const record = normalizeRecord(flat, fallbackId(i, idPrefix));
+    if (record) data.push(record);
+  });
+
+  return data;
+}
+
+/**
+ * Fallback id for a record without one
+ * @param {number} index - Position in the source
+ * @param {string} idPrefix
+ * @returns {number|string} The index, prefixed when a prefix is given
+ */
+function fallbackId(index, idPrefix) {
+  return idPrefix ? `${idPrefix}${index}` : index;
+}
+
+/**
+ * Resolve a dot-separated path inside a JSON payload
+ * @param {Object} payload
+ * @param {string} [path] - e.g. 'data.items'
+ * @returns {*}
+ */
+function resolvePath(payload, path) {
+  if (!path) return payload;
+
+  return path.split('.').reduce((value, part) => (
+    value === undefined || value === null ? undefined : value[part]
+  ), payload);
+}
+
+/**
+ * Extract LocationData from a JSON payload
+ * Accepts a GeoJSON FeatureCollection, an array of records, or an object
+ * holding either of those at `dataPath`.
+ * @param {*} payload - Parsed JSON
+ * @param {string} [dataPath] - Optional dot path to the data inside the payload
+ * @param {string} [idPrefix=''] - Prefix for fallback ids, so records without an
+ *   id from separately loaded parts (e.g. map tiles) don't share ids
+ * @returns {LocationData[]}
+ * @throws {Error} If the payload contains no recognizable data
+ */
+export function extractRecords(payload, dataPath, idPrefix = '') {
+  const data = resolvePath(payload, dataPath);
+
+  if (data?.type === 'FeatureCollection') {
+    return fromGeoJSON(data, idPrefix);
+  }
+
+  if (Array.isArray(data)) {
+    return data
+      .map((record, i) => normalizeRecord(record, fallbackId(i, idPrefix)))
+      .filter(Boolean);
+  }
+
+  throw new Error(dataPath
+    ? `No FeatureCollection or array found at "${dataPath}"`
+    : 'Response is neither a FeatureCollection nor an array of records');
+}
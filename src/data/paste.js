@@ -0,0 +1,218 @@
+/**
+ * Pasted coordinate lists - "lat, lng, label" lines from a spreadsheet or email
+ * The delimiter, an optional header row, the coordinate columns and their
+ * order are detected, and each line becomes LocationData via normalizeRecord().
+ * @module data/paste
+ */
+
+import { parseCSV } from './csv.js';
+import { FIELD_ALIASES, normalizeRecord } from './normalize.js';
+
+/**
+ * @typedef {'auto'|'latlng'|'lnglat'} CoordinateOrder
+ */
+
+/**
+ * @typedef {Object} PasteResult
+ * @property {LocationData[]} data - Parsed locations
+ * @property {Array<{line: number, reason: string}>} rejected - 1-based line numbers of the pasted text
+ * @property {string} delimiter - ',', ';', '\t', '|' or ' ' (any whitespace)
+ * @property {'latlng'|'lnglat'} order - Order of the coordinate columns
+ * @property {'option'|'header'|'values'|'assumed'} orderFrom - How the order was decided
+ * @property {string[]|null} headers - Header row, when the first line has one
+ */
+
+/**
+ * Delimiters, in order of preference when several appear on most lines
+ * Commas come last so "29,76;-95,36" (decimal commas) splits on semicolons.
+ */
+const DELIMITERS = ['\t', ';', '|', ','];
+
+/**
+ * Column name for the first text column when there is no header
+ */
+const LABEL_FIELD = 'label';
+
+/**
+ * Coordinate cell: a decimal number, optionally followed by a degree sign
+ */
+const COORDINATE_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)°?$/;
+
+/**
+ * Pick the delimiter found on most lines, or whitespace
+ * A stray line (a note, a blank-ish row) doesn't change the choice.
+ * @param {string[]} lines - Non-blank lines
+ * @returns {string}
+ */
+export function detectPasteDelimiter(lines) {
+  return DELIMITERS.find(delimiter =>
+    lines.filter(line => line.includes(delimiter)).length * 2 > lines.length
+  ) ?? ' ';
+}
+
+/**
+ * Parse a coordinate cell
+ * @param {string} cell
+ * @param {boolean} decimalComma - Whether ',' is the decimal separator
+ * @returns {number} NaN if the cell isn't a number
+ */
+function parseCoordinate(cell, decimalComma) {
+  const text = (decimalComma ? cell.replace(',', '.') : cell).replace(/\s/g, '');
+  return COORDINATE_PATTERN.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Split lines into cells
+ * With whitespace as the delimiter, consecutive words are one cell, so
+ * "29.76 -95.36 Main St depot" has the label "Main St depot".
+ * Each line is one row: a quote that doesn't close on its line is dropped
+ * instead of running into the next lines.
+ * @param {string[]} lines
+ * @param {string} delimiter
+ * @returns {string[][]}
+ */
+function splitLines(lines, delimiter) {
+  if (delimiter === ' ') {
+    return lines.map(line => line.trim().split(/\s+/).reduce((cells, word) => {
+      const previous = cells[cells.length - 1];
+      const isText = Number.isNaN(parseCoordinate(word, true));
+      if (isText && previous !== undefined && Number.isNaN(parseCoordinate(previous, true))) {
+        cells[cells.length - 1] = `${previous} ${word}`;
+      } else {
+        cells.push(word);
+      }
+      return cells;
+    }, []));
+  }
+
+  return lines.map(line => parseCSV(line, { delimiter }).headers.map(cell => cell.trim()));
+}
+
+/**
+ * Find the coordinate columns: the first adjacent pair that is numeric on
+ * the most rows
+ * @param {number[][]} numbers - Parsed cells per row
+ * @returns {number} Index of the first of the two columns, -1 if none
+ */
+function findCoordinateColumns(numbers) {
+  const width = Math.max(0, ...numbers.map(row => row.length));
+  let best = -1;
+  let bestCount = 0;
+
+  for (let column = 0; column < width - 1; column++) {
+    const count = numbers.filter(row => !Number.isNaN(row[column]) && !Number.isNaN(row[column + 1])).length;
+    if (count > bestCount) {
+      best = column;
+      bestCount = count;
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Whether a header names a latitude or longitude column
+ * @param {string|undefined} header
+ * @param {'lat'|'lng'} field
+ * @returns {boolean}
+ */
+function headerIs(header, field) {
+  const name = (header ?? '').toLowerCase().replace(/[\s_-]/g, '');
+  return FIELD_ALIASES[field].some(alias => alias.toLowerCase() === name);
+}
+
+/**
+ * Decide which coordinate column is the latitude
+ * A header naming the columns wins, then values only one column can hold
+ * (beyond ±90 is a longitude). Otherwise lat, lng is assumed, the usual
+ * order when copying from spreadsheets and map apps.
+ * @param {number[][]} pairs - [first, second] coordinate values per row
+ * @param {[string, string]|null} headers - Headers of the two columns
+ * @param {CoordinateOrder} option
+ * @returns {{order: 'latlng'|'lnglat', orderFrom: PasteResult['orderFrom']}}
+ */
+function detectOrder(pairs, headers, option) {
+  if (option !== 'auto') {
+    return { order: option, orderFrom: 'option' };
+  }
+  if (headers && headerIs(headers[0], 'lng') && headerIs(headers[1], 'lat')) {
+    return { order: 'lnglat', orderFrom: 'header' };
+  }
+  if (headers && headerIs(headers[0], 'lat') && headerIs(headers[1], 'lng')) {
+    return { order: 'latlng', orderFrom: 'header' };
+  }
+
+  const firstIsLng = pairs.some(([first]) => Math.abs(first) > 90);
+  const secondIsLng = pairs.some(([, second]) => Math.abs(second) > 90);
+  if (firstIsLng !== secondIsLng) {
+    return { order: firstIsLng ? 'lnglat' : 'latlng', orderFrom: 'values' };
+  }
+
+  return { order: 'latlng', orderFrom: 'assumed' };
+}
+
+/**
+ * Parse pasted coordinate lines into locations
+ * Lines without two coordinates, or with coordinates off the globe, are
+ * rejected with their line number. Without a header, the first other column
+ * becomes the location's label; with one, columns are read by name like
+ * any imported record (category, volume, ...). Missing categories and
+ * volumes get the usual defaults (see getDefaultedFields).
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {CoordinateOrder} [options.order='auto']
+ * @returns {PasteResult}
+ */
+export function parsePastedPoints(text, { order: orderOption = 'auto' } = {}) {
+  const lines = [];
+  text.replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, i) => {
+    if (line.trim()) lines.push({ text: line, number: i + 1 });
+  });
+
+  const delimiter = detectPasteDelimiter(lines.map(line => line.text));
+  const decimalComma = delimiter !== ',';
+  const rows = splitLines(lines.map(line => line.text), delimiter);
+  const numbers = rows.map(row => row.map(cell => parseCoordinate(cell, decimalComma)));
+  const column = findCoordinateColumns(numbers);
+
+  // A first line without numbers in the coordinate columns is a header
+  const hasHeader = column !== -1 && rows.length > 1 &&
+    Number.isNaN(numbers[0][column]) && Number.isNaN(numbers[0][column + 1]);
+  const headers = hasHeader ? rows[0] : null;
+  const start = hasHeader ? 1 : 0;
+
+  const pairs = numbers.slice(start)
+    .filter(row => !Number.isNaN(row[column]) && !Number.isNaN(row[column + 1]))
+    .map(row => [row[column], row[column + 1]]);
+  const { order, orderFrom } = detectOrder(pairs, headers && [headers[column], headers[column + 1]], orderOption);
+  const [latColumn, lngColumn] = order === 'latlng' ? [column, column + 1] : [column + 1, column];
+
+  const data = [];
+  const rejected = [];
+
+  rows.slice(start).forEach((row, i) => {
+    const { number } = lines[start + i];
+    const lat = numbers[start + i][latColumn];
+    const lng = numbers[start + i][lngColumn];
+
+    if (column === -1 || Number.isNaN(lat) || Number.isNaN(lng)) {
+      rejected.push({ line: number, reason: 'No coordinate pair found' });
+      return;
+    }
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      rejected.push({ line: number, reason: `Coordinates out of range (${lat}, ${lng})` });
+      return;
+    }
+
+    const record = {};
+    row.forEach((cell, index) => {
+      if (index === latColumn || index === lngColumn || cell === '') return;
+      const key = headers ? headers[index] || `column${index + 1}` : (LABEL_FIELD in record ? `column${index + 1}` : LABEL_FIELD);
+      record[key] = cell;
+    });
+
+    data.push(normalizeRecord({ ...record, lat, lng }, data.length));
+  });
+
+  return { data, rejected, delimiter, order, orderFrom, headers };
+}
@@ -0,0 +1,278 @@
+/**
+ * Client for the data pipeline worker
+ * Generation and filtering run off the main thread; datasets travel as
+ * columnar typed arrays (see data/columnar.js). A newer request on the same
+ * channel cancels the pending one, which rejects with an AbortError. When
+ * module workers are unavailable, the same handlers run on the main thread.
+ * @module data/pipeline
+ */
+
+import { getRawData, getFilters, setFilteredResult } from '../state/store.js';
+import { toColumns, fromColumns, cloneColumns, getTransferables } from './columnar.js';
+import { createPipelineHandler } from '../workers/pipelineHandler.js';
+
+/**
+ * @typedef {Object} PendingRequest
+ * @property {string} type - Request type
+ * @property {Object} payload - Request payload (kept for main-thread retry)
+ * @property {string|null} channel - Requests on the same channel supersede each other
+ * @property {Function} resolve
+ * @property {Function} reject
+ */
+
+/** @type {Worker|null} */
+let worker = null;
+
+/** Set once worker creation or loading has failed */
+let workerUnavailable = false;
+
+/** @type {Function|null} Main-thread fallback handler */
+let inlineHandler = null;
+
+/** @type {Map<number, PendingRequest>} */
+const pending = new Map();
+
+/** @type {Map<string, number>} Latest request ID per channel */
+const latestByChannel = new Map();
+
+let nextRequestId = 1;
+
+/**
+ * Dataset currently held by the pipeline (by reference)
+ * @type {LocationData[]|null}
+ */
+let pipelineData = null;
+
+/**
+ * Create the error used for superseded or aborted requests
+ * @returns {DOMException}
+ */
+function createAbortError() {
+  return new DOMException('Pipeline request was superseded', 'AbortError');
+}
+
+/**
+ * Settle a pending request
+ * @param {number} id
+ * @param {Error|null} error
+ * @param {Object} [result]
+ */
+function settle(id, error, result) {
+  const request = pending.get(id);
+  if (!request) return;
+
+  pending.delete(id);
+  if (request.channel && latestByChannel.get(request.channel) === id) {
+    latestByChannel.delete(request.channel);
+  }
+
+  if (error) {
+    request.reject(error);
+  } else {
+    request.resolve(result);
+  }
+}
+
+/**
+ * Cancel a pending request
+ * @param {number} id
+ */
+function cancel(id) {
+  if (!pending.has(id)) return;
+
+  settle(id, createAbortError());
+  worker?.postMessage({ id, type: 'cancel' });
+}
+
+/**
+ * Run a request on the main thread
+ * Deferred to a microtask so requests made in the same tick can supersede it.
+ * @param {number} id
+ */
+function runInline(id) {
+  queueMicrotask(() => {
+    const request = pending.get(id);
+    if (!request) return;
+
+    inlineHandler = inlineHandler || createPipelineHandler();
+    try {
+      settle(id, null, inlineHandler(request.type, request.payload).result);
+    } catch (error) {
+      settle(id, error);
+    }
+  });
+}
+
+/**
+ * Handle a worker failure by falling back to main-thread processing
+ * The dataset the worker held is reloaded first, then pending requests
+ * are replayed in order.
+ * @param {ErrorEvent} event
+ */
+function handleWorkerError(event) {
+  console.warn('Pipeline worker failed, processing on the main thread:', event.message);
+
+  worker.terminate();
+  worker = null;
+  workerUnavailable = true;
+
+  const data = pipelineData;
+  pipelineData = null;
+  if (data) {
+    syncDataset(data);
+  }
+
+  Array.from(pending.keys()).forEach(runInline);
+}
+
+/**
+ * Get the pipeline worker, creating it on first use
+ * @returns {Worker|null} null when workers are unavailable
+ */
+function getWorker() {
+  if (worker || workerUnavailable) return worker;
+
+  if (typeof Worker === 'undefined') {
+    workerUnavailable = true;
+    return null;
+  }
+
+  try {
+    worker = new Worker(new URL('../workers/pipeline.worker.js', import.meta.url), { type: 'module' });
+  } catch (error) {
+    console.warn('Could not start pipeline worker:', error);
+    workerUnavailable = true;
+    return null;
+  }
+
+  worker.onmessage = ({ data }) => {
+    settle(data.id, data.error ? new Error(data.error) : null, data.result);
+  };
+  worker.onerror = handleWorkerError;
+
+  return worker;
+}
+
+/**
+ * Copy a columns payload for posting, transferring the copy's buffers
+ * The original stays with the pending request, for replay if the worker fails.
+ * @param {{columns: import('./columnar.js').LocationColumns}} payload
+ * @returns {{payload: Object, transfer: Transferable[]}}
+ */
+function transferColumnsCopy({ columns }) {
+  const copy = cloneColumns(columns);
+  return { payload: { columns: copy }, transfer: getTransferables(copy) };
+}
+
+/**
+ * Send a request to the pipeline
+ * @param {string} type - Request type
+ * @param {Object} payload
+ * @param {Object} [options]
+ * @param {string} [options.channel] - Cancel any pending request on this channel
+ * @param {AbortSignal} [options.signal] - Cancels the request when aborted
+ * @param {function(Object): {payload: Object, transfer: Transferable[]}} [options.transferable] -
+ *   Builds the message payload and its transfer list; without it the payload is cloned
+ * @returns {Promise<Object>} Response payload
+ */
+function request(type, payload, { channel = null, signal, transferable } = {}) {
+  if (signal?.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  if (channel && latestByChannel.has(channel)) {
+    cancel(latestByChannel.get(channel));
+  }
+
+  const id = nextRequestId++;
+
+  const promise = new Promise((resolve, reject) => {
+    pending.set(id, { type, payload, channel, resolve, reject });
+  });
+
+  if (channel) {
+    latestByChannel.set(channel, id);
+  }
+  signal?.addEventListener('abort', () => cancel(id), { once: true });
+
+  const target = getWorker();
+
+  if (target) {
+    const message = transferable ? transferable(payload) : { payload, transfer: [] };
+    target.postMessage({ id, type, payload: message.payload }, message.transfer);
+  } else {
+    runInline(id);
+  }
+
+  return promise;
+}
+
+/**
+ * Generate synthetic data in the pipeline
+ * The generated dataset stays loaded in the pipeline for filtering.
+ * @param {{count: number, distribution: string, region: string|import('./generator.js').RegionConfig, seed?: number, months?: number, polygon?: Array<[number, number]>, profile?: string}} config
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<LocationData[]>}
+ * @throws {DOMException} AbortError when superseded or aborted
+ */
+export async function generateInPipeline(config, { signal } = {}) {
+  const { count, distribution, region, seed, months, polygon, profile } = config;
+  const { columns } = await request('generate', { count, distribution, region, seed, months, polygon, profile }, {
+    channel: 'generate',
+    signal
+  });
+
+  const data = fromColumns(columns);
+  pipelineData = data;
+  return data;
+}
+
+/**
+ * Make sure the pipeline holds the given dataset
+ * @param {LocationData[]} data
+ */
+function syncDataset(data) {
+  if (data === pipelineData) return;
+
+  pipelineData = data;
+  const columns = toColumns(data);
+
+  request('setData', { columns }, { transferable: transferColumnsCopy }).catch(error => {
+    console.warn('Failed to load dataset into pipeline:', error);
+    pipelineData = null;
+  });
+}
+
+/**
+ * Filter a dataset in the pipeline
+ * @param {LocationData[]} data
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {Promise<{indices: Uint32Array, geoJSON: GeoJSON.FeatureCollection}>}
+ * @throws {DOMException} AbortError when superseded by a newer filter request
+ */
+export function filterInPipeline(data, filters) {
+  syncDataset(data);
+  return request('filter', { filters }, { channel: 'filter' });
+}
+
+/**
+ * Filter the current dataset off the main thread and store the result
+ * Stale results are discarded; the latest request wins.
+ * @returns {Promise<boolean>} Whether a result was stored
+ */
+export async function updateFilteredData() {
+  const rawData = getRawData();
+  const filters = { ...getFilters() };
+
+  try {
+    const { indices, geoJSON } = await filterInPipeline(rawData, filters);
+    setFilteredResult({ rawData, filters, indices, geoJSON });
+    return true;
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('Pipeline filtering failed:', error);
+    }
+    return false;
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * Filter query language for the query bar
+ * A query is a list of terms separated by spaces, all of which have to hold:
+ *
+ *   category:Shop,Office volume>=5 metro:"San Antonio" period:2025-03
+ *
+ * A query sets every attribute filter, so fields it doesn't mention show all;
+ * drawn shapes are kept. Values with spaces or commas are quoted; names match
+ * the data case-insensitively.
+ * @module data/query
+ */
+
+import { VOLUME_RANGES } from '../config/regions.js';
+import { PERIOD_PATTERN } from '../utils/time.js';
+
+/**
+ * @typedef {Object} QueryError
+ * @property {string} message
+ * @property {number} start - Offset of the offending text
+ * @property {number} end - Offset after it (equal to start for missing text)
+ */
+
+/**
+ * @typedef {Object} QueryResult
+ * @property {import('../state/store.js').FilterSettings} filters - Filter settings, all but shapes
+ * @property {QueryError[]} errors - Empty when the query is valid
+ */
+
+/**
+ * @typedef {Object} QueryValues
+ * @property {string[]} category - Categories in the current data
+ * @property {string[]} metro - Metros in the current data
+ * @property {string[]} period - Periods in the current data
+ */
+
+/**
+ * @typedef {Object} Completion
+ * @property {number} from - Offset of the text the item replaces
+ * @property {number} to - Offset after it
+ * @property {Array<{label: string, insert: string, detail: string}>} items
+ */
+
+/**
+ * Query fields, by name
+ * List fields take comma-separated values after ':'; volume also takes
+ * bounds ('volume>=2.5 volume<=8'), ranges ('volume:2.5..8') and presets.
+ * @type {Object.<string, {operators: string[], detail: string}>}
+ */
+export const QUERY_FIELDS = {
+  category: { operators: [':'], detail: 'Categories, comma-separated' },
+  metro: { operators: [':'], detail: 'Metros, comma-separated' },
+  volume: { operators: [':', '=', '>=', '<='], detail: 'Tons: >=5, <=8, 2.5..8 or a preset' },
+  period: { operators: [':'], detail: 'Month, YYYY-MM' }
+};
+
+/**
+ * Operators, longest first so '>=' isn't read as '>'
+ */
+const OPERATORS = ['>=', '<=', ':', '=', '>', '<'];
+
+/**
+ * Most completion items offered at once
+ */
+const MAX_COMPLETIONS = 8;
+
+/**
+ * @typedef {Object} QuerySpan
+ * @property {string} text - Text, without quotes for quoted values
+ * @property {number} start
+ * @property {number} end
+ * @property {boolean} [quoted]
+ * @property {boolean} [closed] - Whether a quoted value has its closing quote
+ */
+
+/**
+ * @typedef {Object} QueryTerm
+ * @property {number} start
+ * @property {number} end
+ * @property {QuerySpan} field - Empty text when the term doesn't start with a name
+ * @property {QuerySpan|null} op
+ * @property {QuerySpan[]} values - At least one (possibly empty) after an operator
+ * @property {QuerySpan|null} rest - Unexpected text up to the next space
+ */
+
+/**
+ * Check for whitespace
+ * @param {string} char
+ * @returns {boolean}
+ */
+function isSpace(char) {
+  return /\s/.test(char);
+}
+
+/**
+ * Read one value of a term: a quoted string or text up to a space or comma
+ * @param {string} text
+ * @param {number} start
+ * @returns {QuerySpan}
+ */
+function readValue(text, start) {
+  if (text[start] === '"') {
+    const close = text.indexOf('"', start + 1);
+    const end = close === -1 ? text.length : close + 1;
+    return { text: text.slice(start + 1, close === -1 ? end : close), start, end, quoted: true, closed: close !== -1 };
+  }
+
+  let end = start;
+  while (end < text.length && !isSpace(text[end]) && text[end] !== ',') end++;
+  return { text: text.slice(start, end), start, end, quoted: false };
+}
+
+/**
+ * Split a query into terms, keeping offsets for errors and completion
+ * @param {string} text
+ * @returns {QueryTerm[]}
+ */
+function scanQuery(text) {
+  const terms = [];
+  let i = 0;
+
+  while (i < text.length) {
+    if (isSpace(text[i])) {
+      i++;
+      continue;
+    }
+
+    const start = i;
+    while (i < text.length && /\w/.test(text[i])) i++;
+    const field = { text: text.slice(start, i), start, end: i };
+
+    const opText = OPERATORS.find(candidate => text.startsWith(candidate, i));
+    const op = opText ? { text: opText, start: i, end: i + opText.length } : null;
+    const values = [];
+
+    if (op) {
+      i = op.end;
+      for (;;) {
+        const value = readValue(text, i);
+        values.push(value);
+        i = value.end;
+        if (text[i] !== ',') break;
+        i++;
+      }
+    }
+
+    const restStart = i;
+    while (i < text.length && !isSpace(text[i])) i++;
+    const rest = i > restStart ? { text: text.slice(restStart, i), start: restStart, end: i } : null;
+
+    terms.push({ start, end: i, field, op, values, rest });
+  }
+
+  return terms;
+}
+
+/**
+ * Quote a value if it would otherwise not read back as one value
+ * @param {string} value
+ * @returns {string}
+ */
+export function quoteQueryValue(value) {
+  return value === '' || /[\s,]/.test(value) || value.startsWith('"') ? `"${value}"` : value;
+}
+
+/**
+ * Use the data's spelling of a name that matches case-insensitively
+ * @param {string} value
+ * @param {string[]} known
+ * @returns {string}
+ */
+function canonicalName(value, known) {
+  const lower = value.toLowerCase();
+  return known.find(name => name.toLowerCase() === lower) ?? value;
+}
+
+/**
+ * Parse a volume number
+ * @param {QuerySpan} span
+ * @param {string} text - Number text (part of the span for ranges)
+ * @param {QueryError[]} errors
+ * @returns {number|null} Null for empty text (an open range end) or errors
+ */
+function parseVolumeNumber(span, text, errors) {
+  if (text === '') return null;
+
+  const number = Number(text);
+  if (!Number.isFinite(number)) {
+    errors.push({ message: `Invalid volume "${text}", expected a number of tons`, start: span.start, end: span.end });
+    return null;
+  }
+  return number;
+}
+
+/**
+ * Apply one volume term to the bounds collected so far
+ * @param {QueryTerm} term
+ * @param {{min: number|null, max: number|null, preset: string|null, terms: number}} volume
+ * @param {QueryError[]} errors
+ */
+function parseVolumeTerm(term, volume, errors) {
+  const [span] = term.values;
+  const op = term.op.text;
+  const setBound = (bound, value) => {
+    if (value === null) return;
+    if (volume[bound] !== null) {
+      errors.push({ message: `Volume ${bound === 'min' ? 'lower' : 'upper'} bound is given twice`, start: term.start, end: term.end });
+    }
+    volume[bound] = value;
+  };
+
+  volume.terms++;
+
+  if (op === ':' && Object.hasOwn(VOLUME_RANGES, span.text.toLowerCase())) {
+    volume.preset = span.text.toLowerCase();
+  } else if (op === ':' && span.text.includes('..')) {
+    const [low, ...high] = span.text.split('..');
+    setBound('min', parseVolumeNumber(span, low, errors));
+    setBound('max', parseVolumeNumber(span, high.join('..'), errors));
+  } else {
+    const value = parseVolumeNumber(span, span.text, errors);
+    if (op !== '<=') setBound('min', value);
+    if (op !== '>=') setBound('max', value);
+  }
+}
+
+/**
+ * Check a term's shape: known field, supported operator and one or more values
+ * @param {QueryTerm} term
+ * @returns {QueryError|null}
+ */
+function checkTerm(term) {
+  const { field, op, values, rest } = term;
+  const spec = QUERY_FIELDS[field.text.toLowerCase()];
+
+  if (field.text === '') {
+    return { message: `Expected a field name (${Object.keys(QUERY_FIELDS).join(', ')})`, start: term.start, end: term.end };
+  }
+  if (!spec) {
+    return { message: `Unknown field "${field.text}" (use ${Object.keys(QUERY_FIELDS).join(', ')})`, start: field.start, end: field.end };
+  }
+  if (!op) {
+    return { message: `Expected ":" after "${field.text}"`, start: field.end, end: term.end };
+  }
+  if (op.text === '>' || op.text === '<') {
+    return { message: `Use ${op.text}= instead of ${op.text}: volume ranges include their ends`, start: op.start, end: op.end };
+  }
+  if (!spec.operators.includes(op.text)) {
+    return { message: `"${field.text}" only supports ${spec.operators.join(' ')}`, start: op.start, end: op.end };
+  }
+
+  const unclosed = values.find(value => value.quoted && !value.closed);
+  if (unclosed) {
+    return { message: 'Missing closing quote', start: unclosed.start, end: unclosed.end };
+  }
+  const empty = values.find(value => value.text === '');
+  if (empty) {
+    return { message: `Missing value for "${field.text}"`, start: empty.start, end: empty.end };
+  }
+  if (rest) {
+    return { message: `Unexpected "${rest.text}"; quote values with spaces or commas`, start: rest.start, end: rest.end };
+  }
+  if (values.length > 1 && (spec.operators.length > 1 || field.text.toLowerCase() === 'period')) {
+    return { message: `"${field.text}" takes one value`, start: values[1].start, end: values[values.length - 1].end };
+  }
+  return null;
+}
+
+/**
+ * Parse a query into filter settings
+ * @param {string} text
+ * @param {Partial<QueryValues>} [values] - Names in the current data, for spelling
+ * @returns {QueryResult}
+ */
+export function parseQuery(text, values = {}) {
+  const errors = [];
+  const filters = { category: [], metro: [], volume: 'all', period: 'all' };
+  const seen = new Set();
+  const volume = { min: null, max: null, preset: null, terms: 0 };
+
+  scanQuery(text).forEach(term => {
+    const error = checkTerm(term);
+    if (error) {
+      errors.push(error);
+      return;
+    }
+
+    const field = term.field.text.toLowerCase();
+    if (field !== 'volume' && seen.has(field)) {
+      errors.push({ message: `"${field}" is given twice; list values with commas`, start: term.start, end: term.end });
+      return;
+    }
+    seen.add(field);
+
+    if (field === 'category' || field === 'metro') {
+      const names = term.values.map(value => canonicalName(value.text, values[field] ?? []));
+      filters[field] = Array.from(new Set(names));
+    } else if (field === 'period') {
+      const [value] = term.values;
+      if (value.text.toLowerCase() === 'all') return;
+      if (!PERIOD_PATTERN.test(value.text)) {
+        errors.push({ message: `Invalid period "${value.text}", expected YYYY-MM`, start: value.start, end: value.end });
+        return;
+      }
+      filters.period = value.text;
+    } else {
+      parseVolumeTerm(term, volume, errors);
+    }
+  });
+
+  if (volume.preset !== null) {
+    if (volume.terms > 1) {
+      errors.push({ message: 'A volume preset can\'t be combined with other volume terms', start: 0, end: text.length });
+    }
+    filters.volume = volume.preset;
+  } else if (volume.min !== null && volume.max !== null && volume.min > volume.max) {
+    errors.push({ message: `Volume range ${volume.min}..${volume.max} is empty`, start: 0, end: text.length });
+  } else if (volume.min !== null || volume.max !== null) {
+    filters.volume = { min: volume.min, max: volume.max };
+  }
+
+  return { filters, errors };
+}
+
+/**
+ * Write filter settings as a query
+ * parseQuery() reads the query back to the same settings.
+ * @param {import('../state/store.js').FilterSettings} filters
+ * @returns {string} Empty when nothing is filtered
+ */
+export function formatQuery(filters) {
+  const terms = [];
+
+  ['category', 'metro'].forEach(field => {
+    if (filters[field]?.length > 0) {
+      terms.push(`${field}:${filters[field].map(quoteQueryValue).join(',')}`);
+    }
+  });
+
+  const { volume } = filters;
+  if (typeof volume === 'string') {
+    if (volume !== 'all') terms.push(`volume:${volume}`);
+  } else if (volume.min !== null && volume.min === volume.max) {
+    terms.push(`volume=${volume.min}`);
+  } else if (volume.min !== null && volume.max !== null) {
+    terms.push(`volume:${volume.min}..${volume.max}`);
+  } else if (volume.min !== null) {
+    terms.push(`volume>=${volume.min}`);
+  } else if (volume.max !== null) {
+    terms.push(`volume<=${volume.max}`);
+  }
+
+  if (filters.period && filters.period !== 'all') {
+    terms.push(`period:${filters.period}`);
+  }
+
+  return terms.join(' ');
+}
+
+/**
+ * Get completions at the cursor: field names at the start of a term, and
+ * names from the current data (or volume presets) after the operator
+ * @param {string} text
+ * @param {number} cursor - Caret offset
+ * @param {Partial<QueryValues>} [values]
+ * @returns {Completion|null} Null when nothing matches
+ */
+export function getCompletions(text, cursor, values = {}) {
+  const term = scanQuery(text).find(candidate => candidate.start <= cursor && cursor <= candidate.end);
+
+  // Field names: a new term, or the name part of one
+  if (!term || !term.op || cursor <= term.field.end) {
+    const from = term ? term.field.start : cursor;
+    const to = term ? term.field.end : cursor;
+    const prefix = text.slice(from, cursor).toLowerCase();
+    const items = Object.entries(QUERY_FIELDS)
+      .filter(([name]) => name.startsWith(prefix))
+      .map(([name, spec]) => ({ label: name, insert: term?.op ? name : `${name}:`, detail: spec.detail }));
+    return items.length > 0 ? { from, to, items } : null;
+  }
+
+  // Values after the operator
+  const field = term.field.text.toLowerCase();
+  const value = term.values.find(candidate => candidate.start <= cursor && cursor <= candidate.end);
+  if (!value || !QUERY_FIELDS[field]) return null;
+
+  const prefix = text.slice(value.quoted ? value.start + 1 : value.start, cursor).toLowerCase();
+  const listed = new Set(term.values.filter(other => other !== value).map(other => other.text.toLowerCase()));
+  const candidates = field === 'volume'
+    ? (term.op.text === ':' ? Object.entries(VOLUME_RANGES).map(([key, range]) => [key, range.label]) : [])
+    : (values[field] ?? []).map(name => [name, field]);
+
+  const items = candidates
+    .filter(([name]) => name.toLowerCase().includes(prefix) && !listed.has(name.toLowerCase()))
+    .sort(([a], [b]) => Number(!a.toLowerCase().startsWith(prefix)) - Number(!b.toLowerCase().startsWith(prefix)))
+    .slice(0, MAX_COMPLETIONS)
+    .map(([name, detail]) => ({ label: name, insert: quoteQueryValue(name), detail }));
+
+  return items.length > 0 ? { from: value.start, to: value.end, items } : null;
+}
+
+/**
+ * Insert a completion item into the query
+ * @param {string} text
+ * @param {Completion} completion
+ * @param {{insert: string}} item
+ * @returns {{text: string, cursor: number}} New text and caret offset
+ */
+export function applyCompletion(text, completion, item) {
+  return {
+    text: text.slice(0, completion.from) + item.insert + text.slice(completion.to),
+    cursor: completion.from + item.insert.length
+  };
+}
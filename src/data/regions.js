@@ -0,0 +1,252 @@
+/**
+ * Region registry: built-in presets plus user-defined regions
+ * User-defined regions are entered through the region form or imported
+ * from JSON, and persisted with the rest of the store.
+ * @module data/regions
+ */
+
+import { REGIONS, DEFAULT_REGION_SPREAD } from '../config/regions.js';
+import { getCustomRegions, setCustomRegion, removeCustomRegion } from '../state/store.js';
+import { isLngLat } from '../utils/geo.js';
+
+/**
+ * Prefix for user-defined region IDs (keeps them apart from presets)
+ */
+const CUSTOM_PREFIX = 'custom-';
+
+/**
+ * Allowed map zoom range for region definitions
+ */
+const ZOOM_RANGE = { min: 0, max: 22 };
+
+/**
+ * Get a region by ID
+ * @param {string} regionId
+ * @returns {import('./generator.js').RegionConfig|null}
+ */
+export function getRegion(regionId) {
+  if (REGIONS[regionId]) {
+    return { id: regionId, ...REGIONS[regionId] };
+  }
+  return getCustomRegions()[regionId] || null;
+}
+
+/**
+ * List presets followed by user-defined regions
+ * @returns {import('./generator.js').RegionConfig[]}
+ */
+export function listRegions() {
+  const presets = Object.entries(REGIONS).map(([id, region]) => ({ id, ...region }));
+  const custom = Object.values(getCustomRegions()).sort((a, b) => a.name.localeCompare(b.name));
+  return [...presets, ...custom];
+}
+
+/**
+ * Derive a region ID from its name
+ * @param {string} name
+ * @returns {string}
+ */
+export function regionIdFromName(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${CUSTOM_PREFIX}${slug || 'region'}`;
+}
+
+/**
+ * Extract a polygon ring from a ring array or GeoJSON Polygon / Feature
+ * @param {*} input
+ * @returns {Array<[number, number]>|null} Outer ring, or null if not polygon-shaped
+ */
+export function extractRing(input) {
+  const geometry = input?.type === 'Feature' ? input.geometry : input;
+
+  if (geometry?.type === 'Polygon') {
+    return geometry.coordinates?.[0] ?? null;
+  }
+  return Array.isArray(input) ? input : null;
+}
+
+/**
+ * Validate and normalize a region definition
+ * Metro weights are scaled to sum to 1; the polygon accepts a ring of
+ * [lng, lat] pairs or a GeoJSON Polygon / Feature.
+ * @param {Object} input - {name, center, zoom, polygon?, metros?}
+ * @returns {{region: import('./generator.js').RegionConfig|null, error: string|null}}
+ */
+export function normalizeRegion(input) {
+  if (typeof input !== 'object' || input === null) {
+    return { region: null, error: 'Region must be an object' };
+  }
+
+  const name = typeof input.name === 'string' ? input.name.trim() : '';
+  if (!name) {
+    return { region: null, error: 'Name is required' };
+  }
+  if (!isLngLat(input.center)) {
+    return { region: null, error: 'Center must be [lng, lat]' };
+  }
+
+  const zoom = Number(input.zoom);
+  if (!Number.isFinite(zoom) || zoom < ZOOM_RANGE.min || zoom > ZOOM_RANGE.max) {
+    return { region: null, error: `Zoom must be between ${ZOOM_RANGE.min} and ${ZOOM_RANGE.max}` };
+  }
+
+  const region = {
+    id: regionIdFromName(name),
+    name,
+    center: [input.center[0], input.center[1]],
+    zoom,
+    spread: DEFAULT_REGION_SPREAD,
+    custom: true
+  };
+
+  if (input.polygon !== undefined && input.polygon !== null) {
+    const ring = extractRing(input.polygon);
+    if (!ring || ring.length < 3 || !ring.every(isLngLat)) {
+      return { region: null, error: 'Polygon needs at least 3 [lng, lat] points' };
+    }
+    region.polygon = ring.map(([lng, lat]) => [lng, lat]);
+  }
+
+  if (input.metros !== undefined && input.metros !== null) {
+    if (!Array.isArray(input.metros)) {
+      return { region: null, error: 'Metros must be a list' };
+    }
+
+    for (const metro of input.metros) {
+      if (typeof metro?.name !== 'string' || !metro.name.trim() || !isLngLat(metro.center)) {
+        return { region: null, error: 'Each metro needs a name and center [lng, lat]' };
+      }
+      if (!(Number(metro.weight) > 0)) {
+        return { region: null, error: `Metro "${metro.name}" needs a weight above 0` };
+      }
+      if (metro.spread !== undefined && !(Number(metro.spread) > 0)) {
+        return { region: null, error: `Metro "${metro.name}" has an invalid spread` };
+      }
+    }
+
+    const totalWeight = input.metros.reduce((sum, metro) => sum + Number(metro.weight), 0);
+    if (input.metros.length > 0) {
+      region.metros = input.metros.map(metro => ({
+        name: metro.name.trim(),
+        center: [metro.center[0], metro.center[1]],
+        weight: Number(metro.weight) / totalWeight,
+        spread: metro.spread !== undefined ? Number(metro.spread) : DEFAULT_REGION_SPREAD
+      }));
+    }
+  }
+
+  return { region, error: null };
+}
+
+/**
+ * Parse region definitions from JSON
+ * Accepts a single region, an array of regions, or {regions: [...]}.
+ * @param {string} text - JSON text
+ * @returns {{regions: import('./generator.js').RegionConfig[], rejected: Array<{index: number, name: string, reason: string}>}}
+ * @throws {Error} If the text is not valid JSON
+ */
+export function parseRegionsJSON(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error('Region file is not valid JSON');
+  }
+
+  const list = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.regions) ? parsed.regions : [parsed]);
+  const regions = [];
+  const rejected = [];
+
+  list.forEach((input, index) => {
+    const { region, error } = normalizeRegion(input);
+    if (region) {
+      regions.push(region);
+    } else {
+      rejected.push({ index, name: typeof input?.name === 'string' ? input.name : '', reason: error });
+    }
+  });
+
+  return { regions, rejected };
+}
+
+/**
+ * Parse polygon text from the region form
+ * Accepts GeoJSON, a JSON ring, or one "lng, lat" pair per line.
+ * @param {string} text
+ * @returns {*} Ring or GeoJSON for normalizeRegion, or null when empty
+ * @throws {Error} If a line is not a coordinate pair
+ */
+export function parsePolygonText(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    try {
+      return JSON.parse(trimmed);
+    } catch {
+      throw new Error('Polygon is not valid JSON');
+    }
+  }
+
+  return trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, i) => {
+    const pair = line.split(/[,\s]+/).filter(Boolean).map(Number);
+    if (pair.length !== 2 || !isLngLat(pair)) {
+      throw new Error(`Polygon line ${i + 1} is not "lng, lat"`);
+    }
+    return pair;
+  });
+}
+
+/**
+ * Parse metro text from the region form, one "Name, lng, lat, weight[, spread]" per line
+ * @param {string} text
+ * @returns {Array<{name: string, center: [number, number], weight: number, spread?: number}>|null} Null when empty
+ * @throws {Error} If a line has the wrong number of fields
+ */
+export function parseMetrosText(text) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return null;
+
+  return lines.map((line, i) => {
+    const fields = line.split(',').map(field => field.trim());
+    if (fields.length < 4 || fields.length > 5) {
+      throw new Error(`Metro line ${i + 1} must be "Name, lng, lat, weight[, spread]"`);
+    }
+
+    const [name, lng, lat, weight, spread] = fields;
+    return {
+      name,
+      center: [Number(lng), Number(lat)],
+      weight: Number(weight),
+      ...(spread !== undefined && { spread: Number(spread) })
+    };
+  });
+}
+
+/**
+ * Save a user-defined region, replacing one with the same name
+ * @param {Object} input - Region definition (see normalizeRegion)
+ * @returns {import('./generator.js').RegionConfig}
+ * @throws {Error} If the definition is invalid
+ */
+export function saveRegion(input) {
+  const { region, error } = normalizeRegion(input);
+  if (error) {
+    throw new Error(error);
+  }
+
+  setCustomRegion(region);
+  return region;
+}
+
+/**
+ * Delete a user-defined region (presets cannot be deleted)
+ * @param {string} regionId
+ * @returns {boolean} Whether a region was removed
+ */
+export function deleteRegion(regionId) {
+  if (!getCustomRegions()[regionId]) return false;
+
+  removeCustomRegion(regionId);
+  return true;
+}
@@ -0,0 +1,212 @@
+/**
+ * Drawn shapes for the spatial filter: polygons, rectangles and circles
+ * Shapes are stored as drawn (a circle keeps its center, radius and unit) and
+ * turned into polygon rings for filtering, so JS, worker and GPU filtering
+ * all test the same outline.
+ * @module data/shapes
+ */
+
+import { isLngLat } from '../utils/geo.js';
+
+/**
+ * @typedef {Object} PolygonShape
+ * @property {string} id
+ * @property {'polygon'} type
+ * @property {Array<[number, number]>} ring - Vertices as [lng, lat], not closed
+ */
+
+/**
+ * @typedef {Object} RectangleShape
+ * @property {string} id
+ * @property {'rectangle'} type
+ * @property {[[number, number], [number, number]]} bounds - [[west, south], [east, north]]
+ */
+
+/**
+ * @typedef {Object} CircleShape
+ * @property {string} id
+ * @property {'circle'} type
+ * @property {[number, number]} center - [lng, lat]
+ * @property {number} radius - In `unit`
+ * @property {'km'|'mi'} unit
+ */
+
+/**
+ * @typedef {PolygonShape|RectangleShape|CircleShape} Shape
+ */
+
+/**
+ * Meters per radius unit
+ * @type {Object.<string, number>}
+ */
+export const RADIUS_UNITS = { km: 1000, mi: 1609.344 };
+
+/**
+ * Sides of the polygon a circle is filtered as
+ * The polygon stays within 0.2% of the radius.
+ */
+export const CIRCLE_SEGMENTS = 64;
+
+/**
+ * Mean earth radius in meters
+ */
+const EARTH_RADIUS_M = 6371008.8;
+
+/**
+ * Check whether a value is a valid shape
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isShape(value) {
+  if (value === null || typeof value !== 'object' || typeof value.id !== 'string') return false;
+
+  switch (value.type) {
+    case 'polygon':
+      return Array.isArray(value.ring) && value.ring.length >= 3 && value.ring.every(isLngLat);
+    case 'rectangle':
+      return Array.isArray(value.bounds) && value.bounds.length === 2 && value.bounds.every(isLngLat) &&
+        value.bounds[0][0] < value.bounds[1][0] && value.bounds[0][1] < value.bounds[1][1];
+    case 'circle':
+      return isLngLat(value.center) && Number.isFinite(value.radius) && value.radius > 0 &&
+        Object.hasOwn(RADIUS_UNITS, value.unit);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Get an ID for a new shape, one above the highest numbered one
+ * @param {Shape[]} shapes - Existing shapes
+ * @returns {string}
+ */
+export function nextShapeId(shapes) {
+  const highest = shapes.reduce((max, shape) => {
+    const number = Number(shape.id.replace(/^shape-/, ''));
+    return Number.isInteger(number) ? Math.max(max, number) : max;
+  }, 0);
+  return `shape-${highest + 1}`;
+}
+
+/**
+ * Bounds of the rectangle spanned by two corners
+ * @param {[number, number]} a - [lng, lat]
+ * @param {[number, number]} b - [lng, lat]
+ * @returns {[[number, number], [number, number]]} [[west, south], [east, north]]
+ */
+export function boundsFromCorners(a, b) {
+  return [
+    [Math.min(a[0], b[0]), Math.min(a[1], b[1])],
+    [Math.max(a[0], b[0]), Math.max(a[1], b[1])]
+  ];
+}
+
+/**
+ * Polygon approximating a circle on the earth's surface
+ * Vertices are the destination points at the radius, in CIRCLE_SEGMENTS
+ * equal bearings from north.
+ * @param {[number, number]} center - [lng, lat]
+ * @param {number} radiusMeters
+ * @returns {Array<[number, number]>} Vertices as [lng, lat], not closed
+ */
+export function circleRing(center, radiusMeters) {
+  const toRadians = Math.PI / 180;
+  const lng = center[0] * toRadians;
+  const lat = center[1] * toRadians;
+  const angle = radiusMeters / EARTH_RADIUS_M;
+  const ring = [];
+
+  for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+    const bearing = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+    const lat2 = Math.asin(Math.sin(lat) * Math.cos(angle) + Math.cos(lat) * Math.sin(angle) * Math.cos(bearing));
+    const lng2 = lng + Math.atan2(
+      Math.sin(bearing) * Math.sin(angle) * Math.cos(lat),
+      Math.cos(angle) - Math.sin(lat) * Math.sin(lat2)
+    );
+    ring.push([lng2 / toRadians, lat2 / toRadians]);
+  }
+
+  return ring;
+}
+
+/**
+ * Outline of a shape as a polygon ring
+ * @param {Shape} shape
+ * @returns {Array<[number, number]>} Vertices as [lng, lat], not closed
+ */
+export function shapeToRing(shape) {
+  if (shape.type === 'polygon') return shape.ring;
+
+  if (shape.type === 'rectangle') {
+    const [[west, south], [east, north]] = shape.bounds;
+    return [[west, south], [east, south], [east, north], [west, north]];
+  }
+
+  return circleRing(shape.center, shape.radius * RADIUS_UNITS[shape.unit]);
+}
+
+/**
+ * Close a ring by repeating its first vertex, as GeoJSON requires
+ * @param {Array<[number, number]>} ring
+ * @returns {Array<[number, number]>}
+ */
+export function closeRing(ring) {
+  return [...ring, ring[0]];
+}
+
+/**
+ * Shapes as GeoJSON polygons, for drawing them on the map
+ * @param {Shape[]} shapes
+ * @returns {GeoJSON.FeatureCollection}
+ */
+export function shapesToGeoJSON(shapes) {
+  return {
+    type: 'FeatureCollection',
+    features: shapes.map(shape => ({
+      type: 'Feature',
+      geometry: { type: 'Polygon', coordinates: [closeRing(shapeToRing(shape))] },
+      properties: { id: shape.id, type: shape.type }
+    }))
+  };
+}
+
+/**
+ * Positions of a shape's edit handles
+ * Polygon vertices, the four rectangle corners (SW, SE, NE, NW) or the
+ * circle's center.
+ * @param {Shape} shape
+ * @returns {Array<[number, number]>}
+ */
+export function shapeHandles(shape) {
+  if (shape.type === 'circle') return [shape.center];
+  return shapeToRing(shape);
+}
+
+/**
+ * Move one of a shape's edit handles
+ * A dragged rectangle corner keeps the opposite corner in place.
+ * @param {Shape} shape
+ * @param {number} index - Handle index, as in shapeHandles()
+ * @param {[number, number]} lngLat - New position
+ * @returns {Shape} A new shape with the same ID
+ */
+export function moveShapeHandle(shape, index, lngLat) {
+  if (shape.type === 'polygon') {
+    return { ...shape, ring: shape.ring.map((vertex, i) => (i === index ? lngLat : vertex)) };
+  }
+  if (shape.type === 'rectangle') {
+    const opposite = shapeHandles(shape)[(index + 2) % 4];
+    return { ...shape, bounds: boundsFromCorners(lngLat, opposite) };
+  }
+  return { ...shape, center: lngLat };
+}
+
+/**
+ * Describe a shape for the shape list and legend
+ * @param {Shape} shape
+ * @returns {string} E.g. 'Circle, 5 km' or 'Polygon, 6 points'
+ */
+export function describeShape(shape) {
+  if (shape.type === 'circle') return `Circle, ${shape.radius} ${shape.unit}`;
+  if (shape.type === 'rectangle') return 'Rectangle';
+  return `Polygon, ${shape.ring.length} points`;
+}
@@ -0,0 +1,56 @@
+/**
+ * Synthetic generator data source
+ * @module data/sources/generator
+ */
+
+import { DATA_SOURCE_IDS, DATA_DEFAULTS } from '../../config/constants.js';
+import { PROFILES, DEFAULT_PROFILE } from '../../config/profiles.js';
+import { getRegion } from '../regions.js';
+import { generateInPipeline } from '../pipeline.js';
+import { isValidSeed } from '../../utils/random.js';
+import { isLngLat } from '../../utils/geo.js';
+
+/**
+ * Data source wrapping the synthetic data generator
+ * @type {import('./index.js').DataSource}
+ */
+export const generatorSource = {
+  id: DATA_SOURCE_IDS.GENERATOR,
+  name: 'Synthetic Generator',
+
+  defaultConfig: {
+    count: DATA_DEFAULTS.POINT_COUNT,
+    distribution: 'clustered',
+    region: 'texas',
+    months: 0,
+    polygon: null,
+    profile: DEFAULT_PROFILE
+  },
+
+  validateConfig(config) {
+    if (!getRegion(config.region)) {
+      return `Unknown region: ${config.region}`;
+    }
+    if (!PROFILES[config.profile]) {
+      return `Unknown generator profile: ${config.profile}`;
+    }
+    if (!Number.isInteger(config.count) || config.count < 1) {
+      return `Invalid point count: ${config.count}`;
+    }
+    if (!Number.isInteger(config.months) || config.months < 0 || config.months > DATA_DEFAULTS.MAX_SERIES_MONTHS) {
+      return `Invalid number of months: ${config.months}`;
+    }
+    if (config.seed !== undefined && !isValidSeed(config.seed)) {
+      return `Invalid seed: ${config.seed}`;
+    }
+    if (config.polygon && (!Array.isArray(config.polygon) || config.polygon.length < 3 || !config.polygon.every(isLngLat))) {
+      return 'Fill polygon needs at least 3 [lng, lat] points';
+    }
+    return null;
+  },
+
+  async load(config, { signal } = {}) {
+    // The worker can't see user-defined regions, so send the full definition
+    return generateInPipeline({ ...config, region: getRegion(config.region) }, { signal });
+  }
+};
@@ -0,0 +1,240 @@
+/**
+ * Data source registry - pluggable providers of location data
+ * @module data/sources
+ */
+
+import {
+  getRawData, setRawData, setGeoJSON, setDatasetTotal, setDatasetOrigin, setSourceStatus,
+  getSourceStatus, getDataSourceConfig, setActiveDataSource, getDatasetOrigin
+} from '../../state/store.js';
+import { toGeoJSON } from '../generator.js';
+import { applyLiveMessages } from '../live.js';
+import { generatorSource } from './generator.js';
+import { urlSource } from './url.js';
+import { restSource } from './rest.js';
+import { liveSource } from './live.js';
+import { viewportSource } from './viewport.js';
+
+/**
+ * @typedef {Object} DataSource
+ * @property {string} id - Unique source ID
+ * @property {string} name - Display name
+ * @property {Object} defaultConfig - Default configuration values
+ * @property {function(Object): (string|null)} [validateConfig] - Returns an error message for invalid config
+ * @property {boolean} [live] - Keeps pushing changes after loading, until the next load starts
+ * @property {boolean} [viewport] - Loads only the map viewport; reloaded with `bounds` and `zoom` overrides as the map moves
+ * @property {function(Object, LoadContext): Promise<LocationData[]|PagedData>} load - Load data for a config
+ */
+
+/**
+ * Part of a larger server-side dataset
+ * @typedef {Object} PagedData
+ * @property {LocationData[]} data - Loaded locations
+ * @property {number|null} total - Size of the whole dataset, when known
+ */
+
+/**
+ * @typedef {Object} LoadContext
+ * @property {AbortSignal} signal - Aborted when a new load starts (for live sources, this also closes the feed)
+ * @property {function(import('../live.js').LiveMessage[]): void} [onUpdate] - Live sources: apply a batch of changes
+ * @property {function(string): void} [onError] - Live sources: report a feed failure after loading
+ */
+
+/**
+ * Registered data sources by ID
+ * @type {Map<string, DataSource>}
+ */
+const registry = new Map();
+
+/**
+ * Controller for the in-flight load, aborted when a new load starts
+ * @type {AbortController|null}
+ */
+let activeLoad = null;
+
+/**
+ * Controller for the open live feed, aborted when a new load starts
+ * @type {AbortController|null}
+ */
+let activeFeed = null;
+
+/**
+ * Register a data source
+ * @param {DataSource} source
+ */
+export function registerDataSource(source) {
+  if (!source?.id || typeof source.load !== 'function') {
+    throw new Error('Data source requires an id and a load() function');
+  }
+
+  registry.set(source.id, source);
+}
+
+/**
+ * Get a registered data source
+ * @param {string} sourceId
+ * @returns {DataSource|undefined}
+ */
+export function getDataSource(sourceId) {
+  return registry.get(sourceId);
+}
+
+/**
+ * List all registered data sources
+ * @returns {DataSource[]}
+ */
+export function listDataSources() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Resolve the effective config for a source
+ * Defaults are overridden by saved config, which is overridden by explicit overrides.
+ * @param {string} sourceId
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function resolveSourceConfig(sourceId, overrides = {}) {
+  const source = registry.get(sourceId);
+  return {
+    ...source?.defaultConfig,
+    ...getDataSourceConfig(sourceId),
+    ...overrides
+  };
+}
+
+/**
+ * Check whether the shown dataset was imported rather than loaded from a source
+ * CSV, file and pasted imports (and saved copies of them) have no source to
+ * reload from, so setting changes and map moves must not replace them.
+ * @returns {boolean}
+ */
+export function isImportedDataset() {
+  const origin = getDatasetOrigin();
+  return Boolean(origin) && !registry.has(origin.source);
+}
+
+/**
+ * Put a loaded dataset into the store
+ * @param {LocationData[]} raw - Loaded data
+ * @param {number|null} [total=null] - Size of the server-side dataset when `raw` is only part of it
+ * @returns {{raw: LocationData[], geoJSON: GeoJSON.FeatureCollection}}
+ */
+export function applyDataset(raw, total = null) {
+  const geoJSON = toGeoJSON(raw);
+
+  setDatasetTotal(total);
+  setRawData(raw);
+  setGeoJSON(geoJSON);
+
+  return { raw, geoJSON };
+}
+
+/**
+ * Patch the active dataset with live feed messages
+ * Only rawData and geoJSON are replaced; the filter pipeline then pushes the
+ * result into the existing map source without rebuilding layers.
+ * @param {import('../live.js').LiveMessage[]} messages
+ * @returns {import('../live.js').LivePatchResult}
+ */
+export function patchDataset(messages) {
+  const result = applyLiveMessages(getRawData(), messages);
+
+  if (result.data !== getRawData()) {
+    applyDataset(result.data);
+  }
+
+  return result;
+}
+
+/**
+ * Close the open live feed, if any
+ */
+export function stopLiveFeed() {
+  if (activeFeed) {
+    activeFeed.abort();
+    activeFeed = null;
+  }
+}
+
+/**
+ * Load data from a source and store it as the active dataset
+ * Any previous in-flight load or open live feed is aborted. Errors are
+ * recorded in the source status rather than thrown.
+ * @param {string} sourceId - Registered source ID
+ * @param {Object} [overrides] - Config values overriding the saved config
+ * @returns {Promise<{raw: LocationData[], geoJSON: GeoJSON.FeatureCollection}|null>} Loaded data, or null on error/abort
+ */
+export async function loadFromSource(sourceId, overrides = {}) {
+  const source = registry.get(sourceId);
+
+  if (!source) {
+    setSourceStatus(sourceId, 'error', `Unknown data source: ${sourceId}`);
+    return null;
+  }
+
+  const config = resolveSourceConfig(sourceId, overrides);
+  const configError = source.validateConfig ? source.validateConfig(config) : null;
+
+  if (configError) {
+    setSourceStatus(sourceId, 'error', configError);
+    return null;
+  }
+
+  if (activeLoad) {
+    activeLoad.abort();
+  }
+  stopLiveFeed();
+  const controller = new AbortController();
+  activeLoad = controller;
+
+  setActiveDataSource(sourceId);
+  setSourceStatus(sourceId, 'loading');
+
+  try {
+    const loaded = await source.load(config, {
+      signal: controller.signal,
+      onUpdate: messages => {
+        if (controller.signal.aborted) return;
+        patchDataset(messages);
+        // A batch that applies clears the error of a failed one
+        if (getSourceStatus(sourceId).status === 'error') setSourceStatus(sourceId, 'ready');
+      },
+      onError: message => {
+        if (!controller.signal.aborted) setSourceStatus(sourceId, 'error', message);
+      }
+    });
+
+    if (controller.signal.aborted) return null;
+
+    const result = Array.isArray(loaded)
+      ? applyDataset(loaded)
+      : applyDataset(loaded.data, loaded.total ?? null);
+    setDatasetOrigin(Number.isInteger(config.seed) ? { source: sourceId, seed: config.seed } : { source: sourceId });
+    setSourceStatus(sourceId, 'ready');
+
+    if (source.live) {
+      activeFeed = controller;
+    }
+    return result;
+
+  } catch (error) {
+    if (controller.signal.aborted) return null;
+
+    console.error(`Failed to load data source "${sourceId}":`, error);
+    setSourceStatus(sourceId, 'error', error.message);
+    return null;
+
+  } finally {
+    if (activeLoad === controller) {
+      activeLoad = null;
+    }
+  }
+}
+
+// Built-in sources
+registerDataSource(generatorSource);
+registerDataSource(urlSource);
+registerDataSource(restSource);
+registerDataSource(liveSource);
+registerDataSource(viewportSource);
@@ -0,0 +1,119 @@
+/**
+ * Live WebSocket feed data source
+ * @module data/sources/live
+ */
+
+import { DATA_SOURCE_IDS, TIMING } from '../../config/constants.js';
+import { extractRecords } from '../normalize.js';
+import { buildRequestUrl } from './rest.js';
+
+/**
+ * Parse a feed message, returning null for anything that is not a JSON object
+ * @param {string} text
+ * @returns {import('../live.js').LiveMessage|null}
+ */
+function parseMessage(text) {
+  try {
+    const message = JSON.parse(text);
+    return typeof message === 'object' && message !== null ? message : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Data source subscribing to a WebSocket feed
+ * The first `snapshot` message is the loaded dataset. Later messages are
+ * batched for TIMING.LIVE_FLUSH_MS and passed to `onUpdate`; a batch that
+ * can't be applied is reported through `onError` and the feed keeps running.
+ * The socket stays open until `signal` aborts. The current region is sent as a query parameter.
+ * @type {import('./index.js').DataSource}
+ */
+export const liveSource = {
+  id: DATA_SOURCE_IDS.LIVE,
+  name: 'Live Feed (WebSocket)',
+  live: true,
+
+  defaultConfig: {
+    url: 'ws://localhost:8081',
+    region: ''
+  },
+
+  validateConfig(config) {
+    return /^wss?:\/\//i.test(config.url || '') ? null : 'Enter a ws:// or wss:// feed URL';
+  },
+
+  load(config, { signal, onUpdate, onError }) {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(buildRequestUrl(config.url, { region: config.region }));
+      const queue = [];
+      let flushTimer = null;
+      let loaded = false;
+      let failed = false;
+
+      const flush = () => {
+        flushTimer = null;
+        const messages = queue.splice(0);
+        if (messages.length === 0) return;
+
+        try {
+          onUpdate?.(messages);
+        } catch (error) {
+          console.error('Failed to apply live messages:', error);
+          onError?.(`Live feed update failed: ${error.message}`);
+        }
+      };
+
+      // 'error' is followed by 'close'; report only the first
+      const fail = (message) => {
+        if (signal.aborted || failed) return;
+        failed = true;
+        if (loaded) {
+          onError?.(message);
+        } else {
+          reject(new Error(message));
+        }
+      };
+
+      socket.addEventListener('message', (event) => {
+        const message = parseMessage(event.data);
+        if (!message) {
+          console.warn('Ignoring malformed live message');
+          return;
+        }
+
+        if (!loaded) {
+          // Changes before the first snapshot have nothing to apply to
+          if (message.type !== 'snapshot') return;
+
+          try {
+            const data = extractRecords(message.points);
+            loaded = true;
+            resolve(data);
+          } catch (error) {
+            socket.close();
+            reject(error);
+          }
+          return;
+        }
+
+        queue.push(message);
+        if (flushTimer === null) {
+          flushTimer = setTimeout(flush, TIMING.LIVE_FLUSH_MS);
+        }
+      });
+
+      socket.addEventListener('error', () => fail(`Could not connect to live feed ${config.url}`));
+      socket.addEventListener('close', () => {
+        clearTimeout(flushTimer);
+        fail(loaded ? 'Live feed disconnected' : 'Live feed closed before sending a snapshot');
+      });
+
+      signal.addEventListener('abort', () => {
+        clearTimeout(flushTimer);
+        socket.close();
+        reject(new DOMException('Live feed closed', 'AbortError'));
+      }, { once: true });
+    });
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * REST endpoint data source
+ * @module data/sources/rest
+ */
+
+import { DATA_SOURCE_IDS } from '../../config/constants.js';
+import { extractRecords } from '../normalize.js';
+import { fetchJSON } from './url.js';
+
+/**
+ * Build the request URL from endpoint and query parameters
+ * @param {string} endpoint - Base endpoint URL
+ * @param {Object.<string, string|number>} params - Query parameters
+ * @returns {string}
+ */
+export function buildRequestUrl(endpoint, params = {}) {
+  const url = new URL(endpoint, globalThis.location?.href);
+
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      url.searchParams.set(key, value);
+    }
+  });
+
+  return url.toString();
+}
+
+/**
+ * Data source querying a REST endpoint that returns GeoJSON or a JSON array
+ * The current region is sent as a query parameter so servers can scope results.
+ * @type {import('./index.js').DataSource}
+ */
+export const restSource = {
+  id: DATA_SOURCE_IDS.REST,
+  name: 'REST Endpoint',
+
+  defaultConfig: {
+    endpoint: '',
+    dataPath: '',
+    region: ''
+  },
+
+  validateConfig(config) {
+    return config.endpoint ? null : 'Enter an endpoint URL';
+  },
+
+  async load(config, { signal }) {
+    const url = buildRequestUrl(config.endpoint, { region: config.region });
+    const payload = await fetchJSON(url, {
+      signal,
+      headers: { Accept: 'application/json' }
+    });
+    return extractRecords(payload, config.dataPath);
+  }
+};
@@ -0,0 +1,51 @@
+/**
+ * Static GeoJSON/JSON file data source
+ * @module data/sources/url
+ */
+
+import { DATA_SOURCE_IDS } from '../../config/constants.js';
+import { extractRecords } from '../normalize.js';
+
+/**
+ * Fetch a URL and parse the body as JSON
+ * @param {string} url
+ * @param {RequestInit} [options] - fetch options (signal, headers, ...)
+ * @returns {Promise<*>} Parsed JSON
+ * @throws {Error} On network failure, non-2xx status or invalid JSON
+ */
+export async function fetchJSON(url, options = {}) {
+  const response = await fetch(url, options);
+
+  if (!response.ok) {
+    throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+  }
+
+  try {
+    return await response.json();
+  } catch (e) {
+    throw new Error('Response is not valid JSON');
+  }
+}
+
+/**
+ * Data source loading a static GeoJSON FeatureCollection or JSON array from a URL
+ * @type {import('./index.js').DataSource}
+ */
+export const urlSource = {
+  id: DATA_SOURCE_IDS.URL,
+  name: 'GeoJSON / JSON URL',
+
+  defaultConfig: {
+    url: '',
+    dataPath: ''
+  },
+
+  validateConfig(config) {
+    return config.url ? null : 'Enter a URL to load';
+  },
+
+  async load(config, { signal }) {
+    const payload = await fetchJSON(config.url, { signal });
+    return extractRecords(payload, config.dataPath);
+  }
+};
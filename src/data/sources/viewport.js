@@ -0,0 +1,84 @@
+/**
+ * Viewport-paged server data source
+ * @module data/sources/viewport
+ */
+
+import { DATA_SOURCE_IDS } from '../../config/constants.js';
+import { extractRecords } from '../normalize.js';
+import { createTileLoader, tilesForViewport, tileKey } from '../viewport.js';
+import { fetchJSON } from './url.js';
+import { buildRequestUrl } from './rest.js';
+
+/**
+ * Tile loader for the current endpoint, replaced when the endpoint changes
+ * @type {{key: string, loader: ReturnType<typeof createTileLoader>}|null}
+ */
+let current = null;
+
+/**
+ * Get the tile loader for a config, dropping the cache of a previous endpoint
+ * @param {Object} config
+ * @returns {ReturnType<typeof createTileLoader>}
+ */
+function getTileLoader(config) {
+  const key = `${config.endpoint}|${config.dataPath}`;
+
+  if (current?.key !== key) {
+    current?.loader.clear();
+    current = {
+      key,
+      loader: createTileLoader(async (tile, bounds, signal) => {
+        const url = buildRequestUrl(config.endpoint, { bbox: bounds.join(','), zoom: tile.z });
+        const payload = await fetchJSON(url, {
+          signal,
+          headers: { Accept: 'application/json' }
+        });
+
+        return {
+          data: extractRecords(payload, config.dataPath, `${tileKey(tile)}:`),
+          total: Number.isFinite(payload?.total) ? payload.total : null
+        };
+      })
+    };
+  }
+  return current.loader;
+}
+
+/**
+ * Drop cached tiles, e.g. after the server data changed
+ */
+export function clearViewportCache() {
+  current?.loader.clear();
+  current = null;
+}
+
+/**
+ * Data source loading only the points inside the map viewport
+ * Each tile of the padded bounds is requested as `?bbox=west,south,east,north&zoom=z`;
+ * a numeric `total` at the top of the response is reported as the dataset size.
+ * Records without an id get `z/x/y:index`, so they aren't merged across tiles.
+ * `bounds` and `zoom` are passed as overrides by the viewport listener in
+ * map/interactions.js.
+ * @type {import('./index.js').DataSource}
+ */
+export const viewportSource = {
+  id: DATA_SOURCE_IDS.VIEWPORT,
+  name: 'Viewport (paged server)',
+  viewport: true,
+
+  defaultConfig: {
+    endpoint: '',
+    dataPath: '',
+    bounds: null,
+    zoom: 0
+  },
+
+  validateConfig(config) {
+    if (!config.endpoint) return 'Enter an endpoint URL';
+    return Array.isArray(config.bounds) && config.bounds.length === 4 ? null : 'Map bounds are not available yet';
+  },
+
+  load(config, { signal }) {
+    return getTileLoader(config).loadTiles(tilesForViewport(config), { signal });
+  }
+};
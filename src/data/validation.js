@@ -0,0 +1,178 @@
+/**
+ * Data-quality checks and fix-ups for loaded datasets
+ * @module data/validation
+ */
+
+import { CATEGORIES, OTHER_CATEGORY, VOLUME_RANGES } from '../config/regions.js';
+import { getDefaultedFields, markDefaulted } from './normalize.js';
+
+/**
+ * @typedef {'outOfBounds'|'swapped'|'duplicateId'|'unknownCategory'|'volumeRange'|'missing'} IssueType
+ */
+
+/**
+ * @typedef {'drop'|'clamp'|'swap'|'other'} FixType
+ */
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {number} index - Position in the dataset
+ * @property {string|number} id - Location ID
+ * @property {IssueType} type
+ * @property {string} message - Human-readable description
+ */
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {number} checked - Locations checked
+ * @property {number} affected - Locations with at least one issue
+ * @property {ValidationIssue[]} issues - In dataset order
+ * @property {Object.<IssueType, number>} counts - Issues per type
+ */
+
+/**
+ * Issue types with their labels and available fixes (first is the default)
+ * @type {Object.<IssueType, {label: string, fixes: FixType[]}>}
+ */
+export const ISSUE_TYPES = {
+  swapped: { label: 'Swapped lat/lng', fixes: ['swap', 'drop'] },
+  outOfBounds: { label: 'Out-of-bounds coordinates', fixes: ['drop', 'clamp'] },
+  duplicateId: { label: 'Duplicate IDs', fixes: ['drop'] },
+  unknownCategory: { label: 'Unknown categories', fixes: ['other', 'drop'] },
+  volumeRange: { label: 'Volume out of range', fixes: ['clamp', 'drop'] },
+  missing: { label: 'Missing fields', fixes: ['drop'] }
+};
+
+/**
+ * Labels for fix-ups
+ * @type {Object.<FixType, string>}
+ */
+export const FIX_LABELS = {
+  drop: 'Drop rows',
+  clamp: 'Clamp to range',
+  swap: 'Swap lat/lng',
+  other: `Map to "${OTHER_CATEGORY}"`
+};
+
+/**
+ * Accepted volume range (the full range of the volume filter)
+ */
+const VOLUME_LIMITS = VOLUME_RANGES.all;
+
+/**
+ * Whether a coordinate pair is on the globe
+ * @param {number} lng
+ * @param {number} lat
+ * @returns {boolean}
+ */
+function inWorld(lng, lat) {
+  return lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90;
+}
+
+/**
+ * Clamp a number to a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Check a dataset for data-quality problems
+ * - swapped: latitude is out of range but the pair is valid when swapped
+ * - outOfBounds: coordinates off the globe, and not explained by a swap
+ * - duplicateId: an id (per period, for time series) seen earlier in the dataset
+ * - unknownCategory: category not in CATEGORIES (or "Other")
+ * - volumeRange: recycling volume outside the volume filter range
+ * - missing: category or volume was missing from the source and defaulted
+ * @param {LocationData[]} data
+ * @returns {ValidationReport}
+ */
+export function validateDataset(data) {
+  const issues = [];
+  const counts = Object.fromEntries(Object.keys(ISSUE_TYPES).map(type => [type, 0]));
+  const seenIds = new Set();
+  const known = new Set([...CATEGORIES, OTHER_CATEGORY]);
+  let affected = 0;
+
+  data.forEach((point, index) => {
+    const found = [];
+    const flag = (type, message) => found.push({ index, id: point.id, type, message });
+
+    if (!inWorld(point.lng, point.lat)) {
+      if (inWorld(point.lat, point.lng)) {
+        flag('swapped', `Latitude ${point.lat} looks like a longitude`);
+      } else {
+        flag('outOfBounds', `Coordinates (${point.lng}, ${point.lat}) are off the map`);
+      }
+    }
+
+    const idKey = point.period === undefined ? String(point.id) : `${point.id}@${point.period}`;
+    if (seenIds.has(idKey)) {
+      flag('duplicateId', `Duplicate id ${point.id}${point.period ? ` in ${point.period}` : ''}`);
+    }
+    seenIds.add(idKey);
+
+    if (!known.has(point.category)) {
+      flag('unknownCategory', `Unknown category "${point.category}"`);
+    }
+
+    if (!(point.recyclingVolume >= VOLUME_LIMITS.min && point.recyclingVolume <= VOLUME_LIMITS.max)) {
+      flag('volumeRange', `Volume ${point.recyclingVolume} outside ${VOLUME_LIMITS.min}-${VOLUME_LIMITS.max}`);
+    }
+
+    const defaulted = getDefaultedFields(point);
+    if (defaulted.length > 0) {
+      flag('missing', `Missing ${defaulted.join(', ')}`);
+    }
+
+    if (found.length > 0) {
+      affected++;
+      found.forEach(issue => {
+        issues.push(issue);
+        counts[issue.type]++;
+      });
+    }
+  });
+
+  return { checked: data.length, affected, issues, counts };
+}
+
+/**
+ * Apply a fix-up to every location with an issue of one type
+ * @param {LocationData[]} data
+ * @param {ValidationIssue[]} issues - From validateDataset(data)
+ * @param {IssueType} type
+ * @param {FixType} fix - One of ISSUE_TYPES[type].fixes
+ * @returns {{data: LocationData[], fixed: number}} New dataset; other locations are unchanged
+ * @throws {Error} If the fix doesn't apply to the issue type
+ */
+export function applyFix(data, issues, type, fix) {
+  if (!ISSUE_TYPES[type]?.fixes.includes(fix)) {
+    throw new Error(`"${fix}" can't fix ${type}`);
+  }
+
+  const targets = new Set(issues.filter(issue => issue.type === type).map(issue => issue.index));
+
+  if (fix === 'drop') {
+    return { data: data.filter((_, index) => !targets.has(index)), fixed: targets.size };
+  }
+
+  const repair = {
+    swap: point => ({ ...point, lng: point.lat, lat: point.lng }),
+    other: point => ({ ...point, category: OTHER_CATEGORY }),
+    clamp: point => (type === 'volumeRange'
+      ? { ...point, recyclingVolume: clamp(Number(point.recyclingVolume) || VOLUME_LIMITS.min, VOLUME_LIMITS.min, VOLUME_LIMITS.max) }
+      : { ...point, lng: clamp(point.lng, -180, 180), lat: clamp(point.lat, -90, 90) })
+  }[fix];
+
+  return {
+    data: data.map((point, index) => (
+      targets.has(index) ? markDefaulted(repair(point), getDefaultedFields(point)) : point
+    )),
+    fixed: targets.size
+  };
+}
@@ -0,0 +1,266 @@
+/**
+ * Viewport paging: tile math, tile cache and shared in-flight requests
+ * The padded map bounds are split into web-mercator tiles so that panning
+ * only requests tiles that have not been loaded yet.
+ * @module data/viewport
+ */
+
+import { VIEWPORT } from '../config/constants.js';
+
+/**
+ * Latitude limit of the web-mercator projection
+ */
+const MAX_LAT = 85.0511;
+
+/**
+ * @typedef {[number, number, number, number]} Bounds - [west, south, east, north]
+ */
+
+/**
+ * @typedef {Object} Tile
+ * @property {number} z
+ * @property {number} x
+ * @property {number} y
+ */
+
+/**
+ * @typedef {Object} TileResult
+ * @property {LocationData[]} data - Locations inside the tile
+ * @property {number|null} total - Size of the whole server-side dataset, when reported
+ */
+
+/**
+ * Clamp a number to a range
+ * @param {number} value
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Grow bounds by a fraction of their size on every side
+ * @param {Bounds} bounds
+ * @param {number} [margin=VIEWPORT.MARGIN]
+ * @returns {Bounds}
+ */
+export function padBounds([west, south, east, north], margin = VIEWPORT.MARGIN) {
+  const dx = (east - west) * margin;
+  const dy = (north - south) * margin;
+
+  return [
+    clamp(west - dx, -180, 180),
+    clamp(south - dy, -MAX_LAT, MAX_LAT),
+    clamp(east + dx, -180, 180),
+    clamp(north + dy, -MAX_LAT, MAX_LAT)
+  ];
+}
+
+/**
+ * Convert a longitude/latitude to tile coordinates at a zoom level
+ * @param {number} lng
+ * @param {number} lat
+ * @param {number} z
+ * @returns {{x: number, y: number}}
+ */
+function lngLatToTile(lng, lat, z) {
+  const n = 2 ** z;
+  const rad = clamp(lat, -MAX_LAT, MAX_LAT) * Math.PI / 180;
+
+  return {
+    x: clamp(Math.floor((lng + 180) / 360 * n), 0, n - 1),
+    y: clamp(Math.floor((1 - Math.log(Math.tan(rad) + 1 / Math.cos(rad)) / Math.PI) / 2 * n), 0, n - 1)
+  };
+}
+
+/**
+ * List the tiles covering bounds at a zoom level
+ * @param {Bounds} bounds
+ * @param {number} z
+ * @returns {Tile[]}
+ */
+export function tilesForBounds([west, south, east, north], z) {
+  const min = lngLatToTile(west, north, z);
+  const max = lngLatToTile(east, south, z);
+  const tiles = [];
+
+  for (let x = min.x; x <= max.x; x++) {
+    for (let y = min.y; y <= max.y; y++) {
+      tiles.push({ z, x, y });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * List the tiles to load for a map viewport
+ * Uses the map zoom as tile zoom (clamped), dropping to coarser tiles while
+ * the padded bounds would need more than VIEWPORT.MAX_TILES.
+ * @param {{bounds: Bounds, zoom: number}} viewport
+ * @returns {Tile[]}
+ */
+export function tilesForViewport({ bounds, zoom }) {
+  const padded = padBounds(bounds);
+  let z = clamp(Math.floor(zoom), VIEWPORT.MIN_TILE_ZOOM, VIEWPORT.MAX_TILE_ZOOM);
+  let tiles = tilesForBounds(padded, z);
+
+  while (tiles.length > VIEWPORT.MAX_TILES && z > VIEWPORT.MIN_TILE_ZOOM) {
+    z--;
+    tiles = tilesForBounds(padded, z);
+  }
+  return tiles;
+}
+
+/**
+ * Cache key for a tile
+ * @param {Tile} tile
+ * @returns {string} 'z/x/y'
+ */
+export function tileKey({ z, x, y }) {
+  return `${z}/${x}/${y}`;
+}
+
+/**
+ * Geographic bounds of a tile
+ * @param {Tile} tile
+ * @returns {Bounds}
+ */
+export function tileBounds({ z, x, y }) {
+  const n = 2 ** z;
+  const lat = row => Math.atan(Math.sinh(Math.PI * (1 - 2 * row / n))) * 180 / Math.PI;
+
+  return [x / n * 360 - 180, lat(y + 1), (x + 1) / n * 360 - 180, lat(y)];
+}
+
+/**
+ * Create the error used when a load no longer needs its tiles
+ * @returns {DOMException}
+ */
+function createAbortError() {
+  return new DOMException('Viewport load was superseded', 'AbortError');
+}
+
+/**
+ * Create a tile loader with an LRU cache and shared in-flight requests
+ * Loads that want the same tile share one request. A request is aborted
+ * once every load waiting for it has been aborted; the release waits a
+ * microtask so a load replacing the aborted one can claim the tile first.
+ * @param {function(Tile, Bounds, AbortSignal): Promise<TileResult>} fetchTile - Request one tile
+ * @param {Object} [options]
+ * @param {number} [options.maxTiles=VIEWPORT.CACHE_TILES] - Cached tiles before the oldest are evicted
+ * @returns {{loadTiles: function(Tile[], {signal?: AbortSignal}=): Promise<TileResult>, clear: function(): void, getStats: function(): {cached: number, pending: number}}}
+ */
+export function createTileLoader(fetchTile, { maxTiles = VIEWPORT.CACHE_TILES } = {}) {
+  /** @type {Map<string, TileResult>} Insertion order is least to most recently used */
+  const cache = new Map();
+
+  /** @type {Map<string, {promise: Promise<TileResult>, controller: AbortController, users: number}>} */
+  const inFlight = new Map();
+
+  const remember = (key, result) => {
+    cache.delete(key);
+    cache.set(key, result);
+    while (cache.size > maxTiles) {
+      cache.delete(cache.keys().next().value);
+    }
+  };
+
+  const release = (key, request) => {
+    request.users--;
+    if (request.users === 0 && inFlight.get(key) === request) {
+      inFlight.delete(key);
+      request.controller.abort();
+    }
+  };
+
+  const acquire = (tile, signal) => {
+    const key = tileKey(tile);
+
+    if (cache.has(key)) {
+      const result = cache.get(key);
+      remember(key, result);
+      return Promise.resolve(result);
+    }
+
+    let request = inFlight.get(key);
+    if (!request) {
+      const controller = new AbortController();
+      request = { controller, users: 0, promise: null };
+      const current = request;
+
+      request.promise = fetchTile(tile, tileBounds(tile), controller.signal)
+        .then(result => {
+          remember(key, result);
+          return result;
+        })
+        .finally(() => {
+          if (inFlight.get(key) === current) inFlight.delete(key);
+        });
+      inFlight.set(key, request);
+    }
+
+    request.users++;
+    if (!signal) return request.promise;
+
+    const current = request;
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        queueMicrotask(() => release(key, current));
+        reject(createAbortError());
+      };
+
+      if (signal.aborted) {
+        onAbort();
+        return;
+      }
+
+      signal.addEventListener('abort', onAbort, { once: true });
+      current.promise
+        .then(resolve, reject)
+        .finally(() => signal.removeEventListener('abort', onAbort));
+    });
+  };
+
+  /**
+   * Load tiles and merge their locations
+   * Locations returned by more than one tile (on a shared edge) are kept once,
+   * matched by id; fetchTile must give records without a server id tile-scoped ids.
+   * @param {Tile[]} tiles
+   * @param {{signal?: AbortSignal}} [options]
+   * @returns {Promise<TileResult>}
+   */
+  const loadTiles = async (tiles, { signal } = {}) => {
+    const results = await Promise.all(tiles.map(tile => acquire(tile, signal)));
+    const seen = new Set();
+    const data = [];
+    let total = null;
+
+    results.forEach(result => {
+      result.data.forEach(point => {
+        const key = String(point.id);
+        if (seen.has(key)) return;
+        seen.add(key);
+        data.push(point);
+      });
+      if (result.total !== null && result.total !== undefined) {
+        total = Math.max(total ?? 0, result.total);
+      }
+    });
+
+    return { data, total };
+  };
+
+  const clear = () => {
+    inFlight.forEach(request => request.controller.abort());
+    inFlight.clear();
+    cache.clear();
+  };
+
+  return {
+    loadTiles,
+    clear,
+    getStats: () => ({ cached: cache.size, pending: inFlight.size })
+  };
+}
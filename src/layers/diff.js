@@ -0,0 +1,68 @@
+/**
+ * Diff layer configuration - dataset comparison results (see data/diff.js)
+ * @module layers/diff
+ */
+
+import { LAYER_IDS, SOURCE_IDS, DIFF_COLORS } from '../config/constants.js';
+
+/**
+ * Color expression by diff status
+ * @type {Array}
+ */
+const STATUS_COLOR = [
+  'match', ['get', 'status'],
+  'added', DIFF_COLORS.added,
+  'removed', DIFF_COLORS.removed,
+  DIFF_COLORS.changed
+];
+
+/**
+ * Create the line layer joining old and new positions of moved locations
+ * @returns {Object} Mapbox layer specification
+ */
+export function createDiffLineLayer() {
+  return {
+    id: LAYER_IDS.DIFF_LINES,
+    type: 'line',
+    source: SOURCE_IDS.DIFF,
+    filter: ['==', ['geometry-type'], 'LineString'],
+    paint: {
+      'line-color': DIFF_COLORS.changed,
+      'line-width': 1.5,
+      'line-dasharray': [2, 2],
+      'line-opacity': 0.8
+    }
+  };
+}
+
+/**
+ * Create the point layer, colored by status
+ * Removed locations are drawn hollow at their old position.
+ * @returns {Object} Mapbox layer specification
+ */
+export function createDiffPointLayer() {
+  return {
+    id: LAYER_IDS.DIFF_POINTS,
+    type: 'circle',
+    source: SOURCE_IDS.DIFF,
+    filter: ['==', ['geometry-type'], 'Point'],
+    paint: {
+      'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 3, 12, 7],
+      'circle-color': STATUS_COLOR,
+      'circle-opacity': ['case', ['==', ['get', 'status'], 'removed'], 0.15, 0.9],
+      'circle-stroke-color': STATUS_COLOR,
+      'circle-stroke-width': 1.5
+    }
+  };
+}
+
+/**
+ * Create all diff layers
+ * @returns {Object[]} Array of Mapbox layer specifications
+ */
+export function createDiffLayers() {
+  return [
+    createDiffLineLayer(),
+    createDiffPointLayer()
+  ];
+}
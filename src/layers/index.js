@@ -3,11 +3,11 @@
  * @module layers
  */
 
-import { LAYER_IDS, SOURCE_IDS, MODES } from '../config/constants.js';
-import { VOLUME_RANGES } from '../config/regions.js';
+import { LAYER_IDS, SOURCE_IDS, MODES, MAIN_GROUP_ID } from '../config/constants.js';
 import {
-  getMap, getMode, getGeoJSON, getFilters,
-  getClusterSettings, getHeatmapSettings, getMarkerSettings, getColors
+  getMap, getMode, getGeoJSON, getFilters, getOverlay, getComparison,
+  getClusterSettings, getHeatmapSettings, getMarkerSettings, getColors,
+  getLayerGroup, getLayerOrder, getMainGroupVisible
 } from '../state/store.js';
 import {
   getFilteredGeoJSON,
@@ -15,8 +15,15 @@ import {
   getAllLayerIds
 } from '../state/selectors.js';
 import { createClusterLayers } from './clusters.js';
-import { createHeatmapLayers } from './heatmap.js';
+import { createHeatmapLayers, createCustomHeatmapLayer } from './heatmap.js';
 import { createMarkerLayers } from './markers.js';
+import { createOverlayLayers } from './overlay.js';
+import { createDiffLayers } from './diff.js';
+import { createPreviewLayer } from './preview.js';
+import { createShapeLayers } from './shapes.js';
+import { createFilterPredicate, toFilterExpression, combineFilters } from '../data/filters.js';
+import { toGeoJSON } from '../data/generator.js';
+import { filterDiff, diffToGeoJSON } from '../data/diff.js';
 
 /**
  * All layer IDs that may be added by the application
@@ -34,73 +41,174 @@ const ALL_LAYER_IDS = [
 ];
 
 /**
- * Remove all custom layers and the points source
- * @param {mapboxgl.Map} map
+ * Map layer or source ID for a layer group
+ * The main group keeps the plain ID, so single-dataset code is unaffected.
+ * @param {string} groupId
+ * @param {string} id - Plain layer or source ID
+ * @returns {string}
  */
-export function removeAllLayers(map = getMap()) {
-  if (!map) return;
+export function groupLayerId(groupId, id) {
+  return groupId === MAIN_GROUP_ID ? id : `${groupId}/${id}`;
+}
 
-  ALL_LAYER_IDS.forEach(id => {
-    if (map.getLayer(id)) {
-      map.removeLayer(id);
-    }
-  });
+/**
+ * Points source ID for a layer group
+ * @param {string} groupId
+ * @returns {string}
+ */
+export function groupSourceId(groupId) {
+  return groupLayerId(groupId, SOURCE_IDS.POINTS);
+}
 
-  if (map.getSource(SOURCE_IDS.POINTS)) {
-    map.removeSource(SOURCE_IDS.POINTS);
+/**
+ * Display settings of a layer group
+ * The main group uses the global mode, colors and filters.
+ * @param {string} groupId
+ * @returns {{mode: string, colors: import('../state/store.js').ColorSettings, filters: import('../state/store.js').FilterSettings, visible: boolean}|null}
+ */
+export function getGroupStyle(groupId) {
+  if (groupId === MAIN_GROUP_ID) {
+    return { mode: getMode(), colors: getColors(), filters: getFilters(), visible: getMainGroupVisible() };
   }
+
+  const group = getLayerGroup(groupId);
+  return group
+    ? { mode: group.mode, colors: group.colors, filters: group.filters, visible: group.visible }
+    : null;
 }
 
 /**
- * Apply filters to GeoJSON data
- * @param {GeoJSON.FeatureCollection} geoJSON - Source GeoJSON
- * @param {Object} filters - Filter settings
- * @returns {GeoJSON.FeatureCollection} Filtered GeoJSON
+ * Check whether a mode filters with layer filter expressions
+ * Clusters are aggregated from the source data, so clustered sources hold
+ * only the filtered locations. Other modes keep every location in the
+ * source and filter on the GPU, so filter changes don't touch the source.
+ * @param {string} mode
+ * @returns {boolean}
  */
-export function applyFilters(geoJSON, filters = getFilters()) {
-  if (!geoJSON) return null;
+export function usesLayerFilter(mode) {
+  return mode !== MODES.CLUSTERS;
+}
+
+/**
+ * Filtered GeoJSON per added group (groups are replaced, not mutated, on change)
+ * @type {WeakMap<import('../state/store.js').LayerGroup, GeoJSON.FeatureCollection>}
+ */
+const groupGeoJSONCache = new WeakMap();
+
+/**
+ * Unfiltered GeoJSON per added group dataset
+ * @type {WeakMap<LocationData[], GeoJSON.FeatureCollection>}
+ */
+const groupDataGeoJSONCache = new WeakMap();
 
-  let features = geoJSON.features;
+/**
+ * GeoJSON last put into each group's points source, by group ID
+ * @type {Map<string, GeoJSON.FeatureCollection>}
+ */
+const sourceData = new Map();
 
-  // Apply category filter
-  if (filters.category !== 'all') {
-    features = features.filter(f => f.properties.category === filters.category);
+/**
+ * Get the source features of an added layer group
+ * Filtered on the main thread in clusters mode: added groups are reference
+ * datasets, the large main dataset goes through the worker pipeline.
+ * @param {import('../state/store.js').LayerGroup} group
+ * @returns {GeoJSON.FeatureCollection} Every location when the group's mode uses layer filters
+ */
+export function getGroupGeoJSON(group) {
+  if (usesLayerFilter(group.mode)) {
+    if (!groupDataGeoJSONCache.has(group.data)) {
+      groupDataGeoJSONCache.set(group.data, toGeoJSON(group.data));
+    }
+    return groupDataGeoJSONCache.get(group.data);
   }
 
-  // Apply volume filter
-  if (filters.volume !== 'all') {
-    const range = VOLUME_RANGES[filters.volume];
-    features = features.filter(f =>
-      f.properties.recyclingVolume >= range.min &&
-      f.properties.recyclingVolume <= range.max
-    );
+  if (!groupGeoJSONCache.has(group)) {
+    groupGeoJSONCache.set(group, toGeoJSON(group.data.filter(createFilterPredicate(group.filters))));
   }
+  return groupGeoJSONCache.get(group);
+}
 
-  return {
-    type: 'FeatureCollection',
-    features
-  };
+/**
+ * Get the source features of the main dataset
+ * @param {string} [mode] - Defaults to the current mode
+ * @returns {GeoJSON.FeatureCollection|null} Every location when the mode uses layer filters, else
+ *   the filtered locations; null when there are none
+ */
+function getMainGeoJSON(mode = getMode()) {
+  if (usesLayerFilter(mode)) {
+    const geoJSON = getGeoJSON();
+    return geoJSON?.features.length > 0 ? geoJSON : null;
+  }
+  return getFilteredGeoJSON();
+}
+
+/**
+ * Replace a group's source data, unless the source already holds it
+ * @param {mapboxgl.Map} map
+ * @param {string} groupId
+ * @param {GeoJSON.FeatureCollection} data
+ */
+function setGroupSourceData(map, groupId, data) {
+  if (sourceData.get(groupId) === data) return;
+
+  map.getSource(groupSourceId(groupId)).setData(data);
+  sourceData.set(groupId, data);
 }
 
 /**
- * Get the count of filtered features
- * @param {GeoJSON.FeatureCollection} geoJSON
- * @param {Object} filters
- * @returns {number}
+ * IDs of a group's layers that are on the map
+ * @param {mapboxgl.Map} map
+ * @param {string} groupId
+ * @returns {string[]}
  */
-export function getFilteredCount(geoJSON, filters = getFilters()) {
-  const filtered = applyFilters(geoJSON, filters);
-  return filtered ? filtered.features.length : 0;
+function getGroupLayerIds(map, groupId) {
+  return ALL_LAYER_IDS.map(id => groupLayerId(groupId, id)).filter(id => map.getLayer(id));
 }
 
 /**
- * Create layer configurations based on current mode
+ * IDs of all point layers on the map, bottom to top
+ * @param {mapboxgl.Map} map
+ * @returns {string[]}
+ */
+function getPointLayerIds(map) {
+  const ids = new Set(getLayerOrder().flatMap(groupId => ALL_LAYER_IDS.map(id => groupLayerId(groupId, id))));
+  return map.getStyle().layers.map(layer => layer.id).filter(id => ids.has(id));
+}
+
+/**
+ * Remove a layer group's layers and points source
+ * @param {mapboxgl.Map} map
+ * @param {string} [groupId=MAIN_GROUP_ID]
+ */
+export function removeGroupLayers(map = getMap(), groupId = MAIN_GROUP_ID) {
+  if (!map) return;
+
+  getGroupLayerIds(map, groupId).forEach(id => map.removeLayer(id));
+
+  if (map.getSource(groupSourceId(groupId))) {
+    map.removeSource(groupSourceId(groupId));
+  }
+  sourceData.delete(groupId);
+}
+
+/**
+ * Remove the layers and points sources of every layer group
+ * @param {mapboxgl.Map} map
+ */
+export function removeAllLayers(map = getMap()) {
+  getLayerOrder().forEach(groupId => removeGroupLayers(map, groupId));
+}
+
+/**
+ * Create layer configurations for a mode
+ * Added groups get a heatmap ramp in their own colors, so stacked heatmaps
+ * can be told apart.
  * @param {string} mode - Visualization mode
+ * @param {import('../state/store.js').ColorSettings} [colors]
+ * @param {string} [groupId=MAIN_GROUP_ID]
  * @returns {Object[]} Array of layer configurations
  */
-function createLayersForMode(mode) {
-  const colors = getColors();
-
+function createLayersForMode(mode, colors = getColors(), groupId = MAIN_GROUP_ID) {
   switch (mode) {
     case MODES.CLUSTERS: {
       const settings = getClusterSettings();
@@ -115,12 +223,15 @@ function createLayersForMode(mode) {
 
     case MODES.HEATMAP: {
       const settings = getHeatmapSettings();
-      return createHeatmapLayers({
+      const config = {
         metric: settings.metric,
         intensity: settings.intensity,
         radius: settings.radius,
         opacity: settings.opacity
-      });
+      };
+      return groupId === MAIN_GROUP_ID
+        ? createHeatmapLayers(config)
+        : [createCustomHeatmapLayer(config, colors.primary, colors.secondary)];
     }
 
     case MODES.MARKERS: {
@@ -139,28 +250,66 @@ function createLayersForMode(mode) {
 }
 
 /**
- * Add layers to the map based on current mode
+ * Add a layer group's layers to the map
+ * Layers are inserted beneath the groups above it in the layer order, and
+ * beneath the diff layer.
  * @param {mapboxgl.Map} map
+ * @param {string} [groupId=MAIN_GROUP_ID]
  */
-export function addLayers(map = getMap()) {
+export function addLayers(map = getMap(), groupId = MAIN_GROUP_ID) {
   if (!map) return;
 
-  const mode = getMode();
-  const layers = createLayersForMode(mode);
+  const style = getGroupStyle(groupId);
+  if (!style) return;
+
+  const order = getLayerOrder();
+  const above = new Set(order.slice(0, order.indexOf(groupId)).flatMap(id => getGroupLayerIds(map, id)));
+  const beforeId = getPointLayerIds(map).find(id => above.has(id)) ??
+    (map.getLayer(LAYER_IDS.DIFF_LINES) ? LAYER_IDS.DIFF_LINES : undefined);
+
+  const expression = usesLayerFilter(style.mode) ? toFilterExpression(style.filters) : null;
+
+  createLayersForMode(style.mode, style.colors, groupId).forEach(layer => {
+    const filter = combineFilters(layer.filter, expression);
+    map.addLayer({
+      ...layer,
+      id: groupLayerId(groupId, layer.id),
+      source: groupSourceId(groupId),
+      layout: { ...layer.layout, visibility: style.visible ? 'visible' : 'none' },
+      ...(filter && { filter })
+    }, beforeId);
+  });
+}
+
+/**
+ * Set a layer group's filters on its layers
+ * Only modes that use layer filters are filtered; clustered layers keep
+ * their own filters and get filtered source data instead.
+ * @param {string} [groupId=MAIN_GROUP_ID]
+ * @param {mapboxgl.Map} [map]
+ */
+export function applyGroupFilter(groupId = MAIN_GROUP_ID, map = getMap()) {
+  const style = getGroupStyle(groupId);
+  if (!map || !style || !usesLayerFilter(style.mode)) return;
 
-  layers.forEach(layer => {
-    map.addLayer(layer);
+  const expression = toFilterExpression(style.filters);
+  createLayersForMode(style.mode, style.colors, groupId).forEach(layer => {
+    const id = groupLayerId(groupId, layer.id);
+    if (map.getLayer(id)) {
+      map.setFilter(id, combineFilters(layer.filter, expression));
+    }
   });
 }
 
 /**
- * Add data source to the map
+ * Add a layer group's points source to the map
  * @param {mapboxgl.Map} map
  * @param {GeoJSON.FeatureCollection} data - Filtered GeoJSON data
- * @param {Object} options - Source options
+ * @param {Object} [options] - Source options
+ * @param {string} [groupId=MAIN_GROUP_ID]
  */
-export function addSource(map, data, options = {}) {
-  const mode = getMode();
+export function addSource(map, data, options = {}, groupId = MAIN_GROUP_ID) {
+  const mode = getGroupStyle(groupId)?.mode ?? getMode();
   const clusterSettings = getClusterSettings();
   const shouldCluster = mode === MODES.CLUSTERS;
 
@@ -170,6 +319,8 @@ export function addSource(map, data, options = {}) {
     cluster: shouldCluster,
     clusterMaxZoom: clusterSettings.maxZoom,
     clusterRadius: clusterSettings.radius,
+    // Stable feature ids across setData, so live updates keep feature state
+    promoteId: 'id',
     ...options
   };
 
@@ -180,7 +331,8 @@ export function addSource(map, data, options = {}) {
     };
   }
 
-  map.addSource(SOURCE_IDS.POINTS, sourceConfig);
+  map.addSource(groupSourceId(groupId), sourceConfig);
+  sourceData.set(groupId, data);
 }
 
 /**
@@ -188,7 +340,7 @@ export function addSource(map, data, options = {}) {
  * Main function to call when mode, filters, or settings change
  * Uses memoized selectors for efficient filtering
  * @param {mapboxgl.Map} [map]
- * @returns {number} Number of features after filtering
+ * @returns {number} Number of features in the source
  */
 export function rebuildForMode(map = getMap()) {
   if (!map || !map.isStyleLoaded()) {
@@ -196,23 +348,277 @@ export function rebuildForMode(map = getMap()) {
     return 0;
   }
 
-  // Use memoized selector for filtered GeoJSON
-  const filteredData = getFilteredGeoJSON();
-  if (!filteredData) {
+  const data = getMainGeoJSON();
+  if (!data) {
     console.warn('No data available after filtering');
     return 0;
   }
 
-  // Remove existing layers and source
-  removeAllLayers(map);
-
-  // Add source with filtered data
-  addSource(map, filteredData);
+  // Remove the main group's layers and source; other groups stay
+  removeGroupLayers(map, MAIN_GROUP_ID);
 
-  // Add layers for current mode
+  // Add source with the mode's data, then the mode's (filtered) layers
+  addSource(map, data);
   addLayers(map);
 
-  return filteredData.features.length;
+  return data.features.length;
+}
+
+/**
+ * Bring the points source and layer filters up to date
+ * Keeps existing layers, so filter changes and timeline playback update in
+ * place; in modes with layer filters the source is only replaced when the
+ * dataset changed. Falls back to a full rebuild when the source does not
+ * exist yet.
+ * @param {mapboxgl.Map} [map]
+ * @returns {boolean} Whether a full rebuild was needed
+ */
+export function updatePointsData(map = getMap()) {
+  const source = map?.getSource(SOURCE_IDS.POINTS);
+
+  if (!source) {
+    rebuildForMode(map);
+    return true;
+  }
+
+  setGroupSourceData(map, MAIN_GROUP_ID, getMainGeoJSON() || { type: 'FeatureCollection', features: [] });
+  applyGroupFilter(MAIN_GROUP_ID, map);
+  return false;
+}
+
+/**
+ * Rebuild one layer group's source and layers
+ * @param {string} groupId
+ * @param {mapboxgl.Map} [map]
+ * @returns {number} Number of features after filtering
+ */
+export function rebuildGroup(groupId, map = getMap()) {
+  if (groupId === MAIN_GROUP_ID) {
+    return rebuildForMode(map);
+  }
+  if (!map || !map.isStyleLoaded()) return 0;
+
+  removeGroupLayers(map, groupId);
+
+  const group = getLayerGroup(groupId);
+  if (!group) return 0;
+
+  const data = getGroupGeoJSON(group);
+  addSource(map, data, {}, groupId);
+  addLayers(map, groupId);
+
+  return data.features.length;
+}
+
+/**
+ * Bring an added group's source and layer filters up to date
+ * @param {string} groupId
+ * @param {mapboxgl.Map} [map]
+ */
+export function updateGroupData(groupId, map = getMap()) {
+  const group = getLayerGroup(groupId);
+  const source = map?.getSource(groupSourceId(groupId));
+
+  if (!group || !source) {
+    rebuildGroup(groupId, map);
+    return;
+  }
+
+  setGroupSourceData(map, groupId, getGroupGeoJSON(group));
+  applyGroupFilter(groupId, map);
+}
+
+/**
+ * Show or hide a layer group's layers
+ * @param {string} groupId
+ * @param {boolean} visible
+ * @param {mapboxgl.Map} [map]
+ */
+export function setGroupVisibility(groupId, visible, map = getMap()) {
+  if (!map) return;
+
+  getGroupLayerIds(map, groupId).forEach(id => {
+    map.setLayoutProperty(id, 'visibility', visible ? 'visible' : 'none');
+  });
+}
+
+/**
+ * Stack group layers in the current layer order
+ * Groups are moved to the top (below the diff layer) from the bottom up,
+ * keeping the order of layers within each group.
+ * @param {mapboxgl.Map} [map]
+ */
+export function applyLayerOrder(map = getMap()) {
+  if (!map) return;
+
+  const stacked = getPointLayerIds(map);
+  const beforeId = map.getLayer(LAYER_IDS.DIFF_LINES) ? LAYER_IDS.DIFF_LINES : undefined;
+  getLayerOrder().slice().reverse().forEach(groupId => {
+    const ids = new Set(getGroupLayerIds(map, groupId));
+    stacked.filter(id => ids.has(id)).forEach(id => map.moveLayer(id, beforeId));
+  });
+}
+
+/**
+ * Remove overlay layers and source
+ * @param {mapboxgl.Map} [map]
+ */
+export function removeOverlay(map = getMap()) {
+  if (!map) return;
+
+  [LAYER_IDS.OVERLAY_LINE, LAYER_IDS.OVERLAY_FILL].forEach(id => {
+    if (map.getLayer(id)) {
+      map.removeLayer(id);
+    }
+  });
+
+  if (map.getSource(SOURCE_IDS.OVERLAY)) {
+    map.removeSource(SOURCE_IDS.OVERLAY);
+  }
+}
+
+/**
+ * Render the overlay features from state below the point layers
+ * Overlay layers are independent of the points source, so mode rebuilds keep them.
+ * @param {mapboxgl.Map} [map]
+ */
+export function applyOverlay(map = getMap()) {
+  if (!map || !map.isStyleLoaded()) return;
+
+  removeOverlay(map);
+
+  const overlay = getOverlay();
+  if (!overlay || overlay.features.length === 0) return;
+
+  map.addSource(SOURCE_IDS.OVERLAY, { type: 'geojson', data: overlay });
+
+  // Insert beneath the lowest point layer so points stay clickable
+  const beforeId = getPointLayerIds(map)[0];
+  const colors = getColors();
+
+  createOverlayLayers({ color: colors.secondary, fillOpacity: 0.15 }).forEach(layer => {
+    map.addLayer(layer, beforeId);
+  });
+}
+
+/**
+ * Remove diff layers and source
+ * @param {mapboxgl.Map} [map]
+ */
+export function removeDiffLayer(map = getMap()) {
+  if (!map) return;
+
+  [LAYER_IDS.DIFF_POINTS, LAYER_IDS.DIFF_LINES].forEach(id => {
+    if (map.getLayer(id)) {
+      map.removeLayer(id);
+    }
+  });
+
+  if (map.getSource(SOURCE_IDS.DIFF)) {
+    map.removeSource(SOURCE_IDS.DIFF);
+  }
+}
+
+/**
+ * Render the dataset comparison from state above the point layers
+ * Follows the main filters, like the comparison summary. Filter changes
+ * only replace the source data.
+ * @param {mapboxgl.Map} [map]
+ */
+export function applyDiffLayer(map = getMap()) {
+  if (!map || !map.isStyleLoaded()) return;
+
+  const comparison = getComparison();
+  if (!comparison) {
+    removeDiffLayer(map);
+    return;
+  }
+
+  const data = diffToGeoJSON(filterDiff(comparison.diff.entries, getFilters()));
+  const source = map.getSource(SOURCE_IDS.DIFF);
+  if (source) {
+    source.setData(data);
+    return;
+  }
+
+  map.addSource(SOURCE_IDS.DIFF, { type: 'geojson', data });
+  createDiffLayers().forEach(layer => map.addLayer(layer));
+}
+
+/**
+ * Remove the preview layer and source
+ * @param {mapboxgl.Map} [map]
+ */
+export function removePreviewPoints(map = getMap()) {
+  if (!map) return;
+
+  if (map.getLayer(LAYER_IDS.PASTE_PREVIEW)) {
+    map.removeLayer(LAYER_IDS.PASTE_PREVIEW);
+  }
+  if (map.getSource(SOURCE_IDS.PASTE_PREVIEW)) {
+    map.removeSource(SOURCE_IDS.PASTE_PREVIEW);
+  }
+}
+
+/**
+ * Show locations that aren't loaded yet (e.g. pasted coordinates) on top of
+ * the map, replacing any earlier preview
+ * @param {LocationData[]} data
+ * @param {mapboxgl.Map} [map]
+ */
+export function showPreviewPoints(data, map = getMap()) {
+  if (!map || !map.isStyleLoaded()) return;
+
+  const source = map.getSource(SOURCE_IDS.PASTE_PREVIEW);
+  if (source) {
+    source.setData(toGeoJSON(data));
+    return;
+  }
+
+  map.addSource(SOURCE_IDS.PASTE_PREVIEW, { type: 'geojson', data: toGeoJSON(data) });
+  map.addLayer(createPreviewLayer(getColors().secondary));
+}
+
+/**
+ * Remove the shape layers and source
+ * @param {mapboxgl.Map} [map]
+ */
+export function removeShapes(map = getMap()) {
+  if (!map) return;
+
+  [LAYER_IDS.SHAPES_LINE, LAYER_IDS.SHAPES_FILL].forEach(id => {
+    if (map.getLayer(id)) {
+      map.removeLayer(id);
+    }
+  });
+
+  if (map.getSource(SOURCE_IDS.SHAPES)) {
+    map.removeSource(SOURCE_IDS.SHAPES);
+  }
+}
+
+/**
+ * Show drawn shapes on top of the map, replacing the previous ones
+ * Shape layers are independent of the points source, so mode rebuilds keep them.
+ * @param {GeoJSON.FeatureCollection} data - Shape polygons (see map/drawing.js)
+ * @param {mapboxgl.Map} [map]
+ */
+export function showShapes(data, map = getMap()) {
+  if (!map || !map.isStyleLoaded()) return;
+
+  if (data.features.length === 0) {
+    removeShapes(map);
+    return;
+  }
+
+  const source = map.getSource(SOURCE_IDS.SHAPES);
+  if (source) {
+    source.setData(data);
+    return;
+  }
+
+  map.addSource(SOURCE_IDS.SHAPES, { type: 'geojson', data });
+  createShapeLayers(getColors().primary).forEach(layer => map.addLayer(layer));
 }
 
 /**
@@ -230,35 +636,56 @@ export function updateLayerPaint(layerId, property, value, map = getMap()) {
 
 /**
  * Update cluster opacity without full rebuild
+ * Cluster settings are shared, so every group's cluster layers follow.
  * @param {number} opacity
  * @param {mapboxgl.Map} [map]
  */
 export function updateClusterOpacity(opacity, map = getMap()) {
   if (!map) return;
 
-  updateLayerPaint(LAYER_IDS.CLUSTERS, 'circle-opacity', opacity, map);
-  updateLayerPaint(LAYER_IDS.CLUSTERS_GLOW, 'circle-opacity', opacity * 0.5, map);
-  updateLayerPaint(LAYER_IDS.UNCLUSTERED, 'circle-opacity', opacity, map);
-  updateLayerPaint(LAYER_IDS.UNCLUSTERED_GLOW, 'circle-opacity', opacity * 0.4, map);
+  getLayerOrder().forEach(groupId => {
+    const id = layerId => groupLayerId(groupId, layerId);
+    updateLayerPaint(id(LAYER_IDS.CLUSTERS), 'circle-opacity', opacity, map);
+    updateLayerPaint(id(LAYER_IDS.CLUSTERS_GLOW), 'circle-opacity', opacity * 0.5, map);
+    updateLayerPaint(id(LAYER_IDS.UNCLUSTERED), 'circle-opacity', opacity, map);
+    updateLayerPaint(id(LAYER_IDS.UNCLUSTERED_GLOW), 'circle-opacity', opacity * 0.4, map);
+  });
 }
 
 /**
  * Update heatmap properties without full rebuild
+ * Heatmap settings are shared, so every group's heatmap follows.
  * @param {Object} settings - Partial heatmap settings
  * @param {mapboxgl.Map} [map]
  */
 export function updateHeatmapProperties(settings, map = getMap()) {
-  if (!map || !map.getLayer(LAYER_IDS.HEATMAP)) return;
+  if (!map) return;
 
-  if (settings.intensity !== undefined) {
-    updateLayerPaint(LAYER_IDS.HEATMAP, 'heatmap-intensity', settings.intensity, map);
-  }
-  if (settings.radius !== undefined) {
-    updateLayerPaint(LAYER_IDS.HEATMAP, 'heatmap-radius', settings.radius, map);
-  }
-  if (settings.opacity !== undefined) {
-    updateLayerPaint(LAYER_IDS.HEATMAP, 'heatmap-opacity', settings.opacity, map);
-  }
+  getLayerOrder().map(groupId => groupLayerId(groupId, LAYER_IDS.HEATMAP)).forEach(heatmapId => {
+    if (!map.getLayer(heatmapId)) return;
+
+    if (settings.intensity !== undefined) {
+      updateLayerPaint(heatmapId, 'heatmap-intensity', settings.intensity, map);
+    }
+    if (settings.radius !== undefined) {
+      updateLayerPaint(heatmapId, 'heatmap-radius', settings.radius, map);
+    }
+    if (settings.opacity !== undefined) {
+      updateLayerPaint(heatmapId, 'heatmap-opacity', settings.opacity, map);
+    }
+  });
+}
+
+/**
+ * Rebuild the groups shown in a mode after a shared mode setting changed
+ * @param {string} mode
+ * @param {mapboxgl.Map} [map]
+ */
+export function rebuildGroupsInMode(mode, map = getMap()) {
+  getLayerOrder()
+    .filter(groupId => getGroupStyle(groupId)?.mode === mode)
+    .reverse()
+    .forEach(groupId => rebuildGroup(groupId, map));
 }
 
 // Re-export layer IDs for convenience
@@ -0,0 +1,61 @@
+/**
+ * Overlay layer configuration for non-point features (lines, polygons)
+ * @module layers/overlay
+ */
+
+import { LAYER_IDS, SOURCE_IDS } from '../config/constants.js';
+
+/**
+ * @typedef {Object} OverlayLayerConfig
+ * @property {string} color - Stroke and fill color hex
+ * @property {number} fillOpacity - Polygon fill opacity (0-1)
+ */
+
+/**
+ * Create polygon fill layer configuration
+ * @param {OverlayLayerConfig} config
+ * @returns {Object} Mapbox layer specification
+ */
+export function createOverlayFillLayer(config) {
+  return {
+    id: LAYER_IDS.OVERLAY_FILL,
+    type: 'fill',
+    source: SOURCE_IDS.OVERLAY,
+    filter: ['in', ['geometry-type'], ['literal', ['Polygon', 'MultiPolygon']]],
+    paint: {
+      'fill-color': config.color,
+      'fill-opacity': config.fillOpacity
+    }
+  };
+}
+
+/**
+ * Create line layer configuration (lines and polygon outlines)
+ * @param {OverlayLayerConfig} config
+ * @returns {Object} Mapbox layer specification
+ */
+export function createOverlayLineLayer(config) {
+  return {
+    id: LAYER_IDS.OVERLAY_LINE,
+    type: 'line',
+    source: SOURCE_IDS.OVERLAY,
+    filter: ['in', ['geometry-type'], ['literal', ['LineString', 'MultiLineString', 'Polygon', 'MultiPolygon']]],
+    paint: {
+      'line-color': config.color,
+      'line-width': 2,
+      'line-opacity': 0.9
+    }
+  };
+}
+
+/**
+ * Create all overlay layers
+ * @param {OverlayLayerConfig} config
+ * @returns {Object[]} Array of Mapbox layer specifications
+ */
+export function createOverlayLayers(config) {
+  return [
+    createOverlayFillLayer(config),
+    createOverlayLineLayer(config)
+  ];
+}
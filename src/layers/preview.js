@@ -0,0 +1,26 @@
+/**
+ * Preview layer configuration - locations shown before they are loaded
+ * @module layers/preview
+ */
+
+import { LAYER_IDS, SOURCE_IDS } from '../config/constants.js';
+
+/**
+ * Create the preview layer: hollow circles, so the loaded data shows through
+ * @param {string} color - Stroke color hex
+ * @returns {Object} Mapbox layer specification
+ */
+export function createPreviewLayer(color) {
+  return {
+    id: LAYER_IDS.PASTE_PREVIEW,
+    type: 'circle',
+    source: SOURCE_IDS.PASTE_PREVIEW,
+    paint: {
+      'circle-radius': ['interpolate', ['linear'], ['zoom'], 4, 4, 12, 8],
+      'circle-color': color,
+      'circle-opacity': 0.2,
+      'circle-stroke-color': color,
+      'circle-stroke-width': 2
+    }
+  };
+}
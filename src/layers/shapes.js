@@ -0,0 +1,53 @@
+/**
+ * Drawn shape layer configuration - the spatial filter's areas on the map
+ * @module layers/shapes
+ */
+
+import { LAYER_IDS, SOURCE_IDS } from '../config/constants.js';
+
+/**
+ * Create the shape fill layer: faint, stronger for the shape being edited
+ * @param {string} color - Fill color hex
+ * @returns {Object} Mapbox layer specification
+ */
+export function createShapeFillLayer(color) {
+  return {
+    id: LAYER_IDS.SHAPES_FILL,
+    type: 'fill',
+    source: SOURCE_IDS.SHAPES,
+    paint: {
+      'fill-color': color,
+      'fill-opacity': ['case', ['boolean', ['get', 'selected'], false], 0.2, 0.08]
+    }
+  };
+}
+
+/**
+ * Create the shape outline layer, fainter while a shape is being drawn
+ * @param {string} color - Stroke color hex
+ * @returns {Object} Mapbox layer specification
+ */
+export function createShapeLineLayer(color) {
+  return {
+    id: LAYER_IDS.SHAPES_LINE,
+    type: 'line',
+    source: SOURCE_IDS.SHAPES,
+    paint: {
+      'line-color': color,
+      'line-width': ['case', ['boolean', ['get', 'selected'], false], 3, 2],
+      'line-opacity': ['case', ['boolean', ['get', 'draft'], false], 0.6, 0.9]
+    }
+  };
+}
+
+/**
+ * Create all shape layers
+ * @param {string} color
+ * @returns {Object[]} Array of Mapbox layer specifications
+ */
+export function createShapeLayers(color) {
+  return [
+    createShapeFillLayer(color),
+    createShapeLineLayer(color)
+  ];
+}
@@ -3,21 +3,44 @@
  * @module main
  */
 
-import { REGIONS } from './config/regions.js';
-import { TIMING } from './config/constants.js';
+import { TIMING, DATA_SOURCE_IDS } from './config/constants.js';
+import { PROFILES, DEFAULT_PROFILE } from './config/profiles.js';
 import {
-  setMap, setPopup, setRawData, setGeoJSON, getRawData,
-  restoreState, enableAutoPersist, enableHistory, debugState
+  setMap, setPopup, getRawData, getDatasetTotal, getDatasetOrigin, getActiveDataSource, getSeed, setSeed,
+  subscribe, restoreState, clearUndoHistory, enableAutoPersist, enableHistory, debugState
 } from './state/store.js';
 import { getFilteredCount } from './state/selectors.js';
 import { loadMarkerIcons } from './utils/icons.js';
-import { generateDataWithGeoJSON, calculateBounds } from './data/generator.js';
-import { rebuildForMode } from './layers/index.js';
+import { randomSeed, isValidSeed, MAX_SEED } from './utils/random.js';
+import { escapeHtml } from './utils/html.js';
+import { calculateBounds } from './data/generator.js';
+import { loadFromSource, getDataSource, isImportedDataset } from './data/sources/index.js';
+import { getRegion, parsePolygonText, extractRing } from './data/regions.js';
+import { updateFilteredData } from './data/pipeline.js';
+import { updatePointsData, applyGroupFilter } from './layers/index.js';
 import { updateLegend } from './ui/legend.js';
-import { updateStats, updateFilteredCount } from './ui/notifications.js';
+import { updateStats, updateFilteredCount, showToast } from './ui/notifications.js';
 import { initControlListeners } from './ui/controls.js';
-import { setupMapEvents, setupLayerInteractions } from './map/interactions.js';
+import { initDataSourceControls, updateSourceStatus } from './ui/dataSources.js';
+import { initCsvImportListeners } from './ui/csvImport.js';
+import { initFileDropListeners } from './ui/fileDrop.js';
+import { initExportListeners } from './ui/exportPanel.js';
+import { initTimeline } from './ui/timeline.js';
+import { initVolumeSlider } from './ui/volumeSlider.js';
+import { initQueryBar } from './ui/queryBar.js';
+import { initRegionEditor } from './ui/regionEditor.js';
+import { initQualityReport } from './ui/qualityReport.js';
+import { initDatasetLibrary, restoreActiveDataset } from './ui/datasetLibrary.js';
+import { initLayerManager } from './ui/layerManager.js';
+import { initDatasetCompare } from './ui/datasetCompare.js';
+import { initPasteImport } from './ui/pasteImport.js';
+import { initUndoRedo } from './ui/undoRedo.js';
+import {
+  setupMapEvents, setupLayerInteractions, setupViewportLoading, refreshPopup, getViewport
+} from './map/interactions.js';
 import { init3DControlListeners } from './map/threeD.js';
+import { setupPointEditing, initEditingControls } from './map/editing.js';
+import { setupShapeDrawing, initDrawingControls } from './map/drawing.js';
 import { detectSystemTheme, initStyleControlListeners, buildStyleUrl, getCurrentStyle } from './map/style.js';
 
 /**
@@ -75,7 +98,7 @@ function getStoredToken() {
  */
 function getCurrentRegion() {
   const regionId = document.getElementById('region')?.value || 'texas';
-  return REGIONS[regionId];
+  return getRegion(regionId) || getRegion('texas');
 }
 
 /**
@@ -118,11 +141,24 @@ async function initMap(token) {
       // Load marker icons
       await loadMarkerIcons(map);
 
-      // Generate initial data
-      regenerateData();
+      // New data or filters are filtered in the worker pipeline; layers and
+      // displays refresh when its result lands in the store
+      subscribe('rawData', updateFilteredData);
+      subscribe('filters', updateFilteredData);
+      // Layer filters (non-clustered modes) apply at once, without waiting for the pipeline
+      subscribe('filters', () => applyGroupFilter());
+      subscribe('filteredResult', refreshDataViews);
+
+      // Load initial data: the last active saved dataset, else the active source
+      if (!(await restoreActiveDataset())) {
+        await regenerateData();
+      }
 
       // Setup map event listeners
       setupMapEvents(map);
+      setupViewportLoading(map);
+      setupPointEditing(map);
+      setupShapeDrawing(map);
 
     } catch (error) {
       console.error('Error during map initialization:', error);
@@ -136,36 +172,176 @@ async function initMap(token) {
 }
 
 /**
- * Generate new data based on current settings
+ * Read the fill polygon for the 'polygon-uniform' distribution
+ * @returns {Array<[number, number]>|null} Null when empty (the region mask is filled)
+ * @throws {Error} If the text can't be parsed
+ */
+function readFillPolygon() {
+  const parsed = parsePolygonText(document.getElementById('fillPolygon')?.value || '');
+  if (parsed === null) return null;
+
+  const ring = extractRing(parsed);
+  if (!ring) {
+    throw new Error('Fill polygon must be a GeoJSON Polygon or a list of lng, lat points');
+  }
+  return ring;
+}
+
+/**
+ * Read generator settings from the data panel
+ * @returns {{count: number, distribution: string, region: string, seed: number, months: number, polygon: Array<[number, number]>|null, profile: string}}
+ * @throws {Error} If the fill polygon can't be parsed
  */
-export function regenerateData() {
-  const count = parseInt(document.getElementById('pointCount')?.value || 500);
+function getGeneratorSettings() {
   const distribution = document.getElementById('distribution')?.value || 'clustered';
-  const regionId = document.getElementById('region')?.value || 'texas';
 
-  // Generate data
-  const { raw, geoJSON } = generateDataWithGeoJSON(count, distribution, regionId);
+  return {
+    count: parseInt(document.getElementById('pointCount')?.value || 500),
+    distribution,
+    region: document.getElementById('region')?.value || 'texas',
+    seed: getSeed(),
+    months: parseInt(document.getElementById('months')?.value || 0),
+    polygon: distribution === 'polygon-uniform' ? readFillPolygon() : null,
+    profile: document.getElementById('profile')?.value || DEFAULT_PROFILE
+  };
+}
+
+/**
+ * Fill the generator profile dropdown
+ */
+function populateProfiles() {
+  const select = document.getElementById('profile');
+  if (!select) return;
+
+  select.innerHTML = Object.entries(PROFILES)
+    .map(([id, profile]) => `<option value="${id}" title="${escapeHtml(profile.description)}">${escapeHtml(profile.name)}</option>`)
+    .join('');
+  select.value = DEFAULT_PROFILE;
+  syncProfileDescription();
+}
+
+/**
+ * Show the selected profile's description
+ */
+function syncProfileDescription() {
+  const profile = PROFILES[document.getElementById('profile')?.value];
+  const description = document.getElementById('profileDescription');
+  if (description && profile) {
+    description.textContent = profile.description;
+  }
+}
+
+/**
+ * Show the fill polygon input only for the 'polygon-uniform' distribution
+ */
+function syncFillPolygonInput() {
+  const distribution = document.getElementById('distribution')?.value;
+  document.getElementById('fillPolygonGroup')?.classList.toggle('hidden', distribution !== 'polygon-uniform');
+}
+
+/**
+ * Load new data from the active data source
+ * The generator reads its settings from the data panel; other sources use
+ * their saved config plus the current region, and viewport sources the
+ * current map bounds. An imported dataset is kept when settings change;
+ * only an explicit load (`replaceImport`) replaces it.
+ * @param {Object} [options]
+ * @param {boolean} [options.replaceImport=false] - Load even while an imported dataset is shown
+ * @returns {Promise<void>}
+ */
+export async function regenerateData({ replaceImport = false } = {}) {
+  const sourceId = getActiveDataSource();
+
+  if (!replaceImport && isImportedDataset()) {
+    const button = document.getElementById('loadDataBtn')?.textContent || 'Load Data';
+    showToast(`Keeping imported ${getDatasetOrigin().name || 'data'}. Click ${button} to replace it`, 'info');
+    return;
+  }
+
+  let settings;
+  try {
+    settings = getGeneratorSettings();
+  } catch (error) {
+    showToast(error.message, 'warning');
+    return;
+  }
+
+  const overrides = sourceId === DATA_SOURCE_IDS.GENERATOR
+    ? settings
+    : { region: settings.region, ...(getDataSource(sourceId)?.viewport && getViewport()) };
+
+  await loadFromSource(sourceId, overrides);
+}
+
+/**
+ * Load data, rolling a new seed first when the generator is active
+ * This is the explicit Load/Regenerate action, so it replaces an imported dataset.
+ * @returns {Promise<void>}
+ */
+export async function loadNewData() {
+  if (getActiveDataSource() === DATA_SOURCE_IDS.GENERATOR) {
+    setSeed(randomSeed());
+  }
+
+  await regenerateData({ replaceImport: true });
+}
+
+/**
+ * Show the current seed in the data panel
+ */
+function syncSeedInput() {
+  const input = document.getElementById('seed');
+  if (input) {
+    input.value = getSeed();
+  }
+}
+
+/**
+ * Apply a seed typed into the data panel and regenerate
+ */
+function applySeedInput() {
+  const input = document.getElementById('seed');
+  const seed = Number(input?.value.trim());
 
-  // Store in state
-  setRawData(raw);
-  setGeoJSON(geoJSON);
+  if (input?.value.trim() === '' || !isValidSeed(seed)) {
+    showToast(`Seed must be a whole number from 0 to ${MAX_SEED}`, 'warning');
+    syncSeedInput();
+    return;
+  }
 
-  // Rebuild layers
-  rebuildForMode();
+  setSeed(seed);
+  regenerateData({ replaceImport: true });
+}
+
+/**
+ * Update layers and displays for the current filtered dataset
+ */
+function refreshDataViews() {
+  const raw = getRawData();
+
+  // Update the points source in place (rebuilds layers on first load), so
+  // filter changes, playback and live feed updates keep layers and popups
+  const rebuilt = updatePointsData();
 
   // Get filtered count from memoized selector
   const filteredCount = getFilteredCount();
 
   // Setup interactions for new layers
-  setupLayerInteractions();
+  if (rebuilt) {
+    setupLayerInteractions();
+  } else {
+    refreshPopup();
+  }
 
   // Update displays
   updateStats({
     total: raw.length,
+    available: getDatasetTotal(),
     filtered: filteredCount
   });
   updateFilteredCount(filteredCount);
   updateLegend();
+  updateSourceStatus();
 }
 
 /**
@@ -239,10 +415,38 @@ function initEventListeners() {
   // 3D controls
   init3DControlListeners();
 
+  // Data source controls
+  initDataSourceControls();
+  initCsvImportListeners();
+  initPasteImport();
+  initFileDropListeners();
+  initExportListeners();
+  initTimeline();
+  initVolumeSlider();
+  initQueryBar();
+  initRegionEditor();
+  initQualityReport();
+  initDatasetLibrary();
+  initDatasetCompare();
+  initLayerManager();
+  initEditingControls();
+  initDrawingControls();
+  initUndoRedo();
+
   // Data generation controls
+  document.getElementById('distribution')?.addEventListener('change', syncFillPolygonInput);
   document.getElementById('distribution')?.addEventListener('change', regenerateData);
+  document.getElementById('fillPolygon')?.addEventListener('change', regenerateData);
+  document.getElementById('months')?.addEventListener('change', regenerateData);
+  document.getElementById('profile')?.addEventListener('change', syncProfileDescription);
+  document.getElementById('profile')?.addEventListener('change', regenerateData);
   document.getElementById('region')?.addEventListener('change', changeRegion);
-  document.querySelector('[onclick*="regenerateData"]')?.addEventListener('click', regenerateData);
+  document.getElementById('loadDataBtn')?.addEventListener('click', loadNewData);
+  document.getElementById('seed')?.addEventListener('change', applySeedInput);
+  subscribe('generation.seed', syncSeedInput);
+  syncSeedInput();
+  syncFillPolygonInput();
+  populateProfiles();
 
   // Action buttons
   document.querySelector('[onclick*="fitBounds"]')?.addEventListener('click', fitBounds);
@@ -259,6 +463,9 @@ function init() {
     console.log('Restored saved state settings');
   }
 
+  // Restored settings are the starting point, not an undoable change
+  clearUndoHistory();
+
   // Enable auto-persist for state changes
   enableAutoPersist();
 
@@ -0,0 +1,472 @@
+/**
+ * Shape drawing - polygons, rectangles and circles for the spatial filter
+ * While drawing, map clicks place the shape: polygon vertices (finished by a
+ * double-click, Enter or a click on the first vertex), two opposite rectangle
+ * corners, or a circle's center with the radius from the panel. Shapes are
+ * stored in filters.shapes, so they combine with the other filters, persist
+ * and can be undone. An edited shape gets draggable handles.
+ * @module map/drawing
+ */
+
+import {
+  getMap, getFilters, setFilter, getDrawMode, setDrawMode, getEditMode, setEditMode, subscribe
+} from '../state/store.js';
+import {
+  RADIUS_UNITS, isShape, nextShapeId, boundsFromCorners, circleRing, closeRing, shapesToGeoJSON,
+  shapeHandles, moveShapeHandle, describeShape
+} from '../data/shapes.js';
+import { showShapes } from '../layers/index.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from '../ui/notifications.js';
+
+/**
+ * Distance in pixels within which a click hits a placed vertex
+ */
+const VERTEX_TOLERANCE = 8;
+
+/**
+ * Radius used when the radius field is empty or invalid
+ */
+const DEFAULT_RADIUS = { radius: 5, unit: 'km' };
+
+/**
+ * Hints shown while drawing, by shape type
+ */
+const DRAW_HINTS = {
+  polygon: 'Click to add corners; double-click, Enter or click the first corner to finish. Esc cancels.',
+  rectangle: 'Click two opposite corners. Esc cancels.',
+  circle: 'Click the center; the radius comes from the field above. Esc cancels.'
+};
+
+/**
+ * Vertices placed so far in the shape being drawn
+ * @type {Array<[number, number]>}
+ */
+let draft = [];
+
+/**
+ * Pointer position while drawing, for the preview
+ * @type {[number, number]|null}
+ */
+let cursor = null;
+
+/**
+ * ID of the shape being edited
+ * @type {string|null}
+ */
+let selectedId = null;
+
+/**
+ * Draggable handles of the edited shape
+ * @type {mapboxgl.Marker[]}
+ */
+let handleMarkers = [];
+
+/**
+ * The edited shape while a handle is dragged, before it is stored
+ * @type {import('../data/shapes.js').Shape|null}
+ */
+let dragPreview = null;
+
+/**
+ * Get the drawn shapes
+ * @returns {import('../data/shapes.js').Shape[]}
+ */
+function getShapes() {
+  return getFilters().shapes;
+}
+
+/**
+ * Read the radius and unit fields
+ * @returns {{radius: number, unit: 'km'|'mi'}}
+ */
+function readRadius() {
+  const radius = parseFloat(document.getElementById('shapeRadius')?.value);
+  const unit = document.getElementById('shapeUnit')?.value;
+
+  return {
+    radius: Number.isFinite(radius) && radius > 0 ? radius : DEFAULT_RADIUS.radius,
+    unit: Object.hasOwn(RADIUS_UNITS, unit) ? unit : DEFAULT_RADIUS.unit
+  };
+}
+
+/**
+ * Add a shape to the spatial filter
+ * @param {Object} shape - Shape without ID
+ * @returns {boolean} Whether the shape was valid and added
+ */
+export function addShape(shape) {
+  const shapes = getShapes();
+  const added = { id: nextShapeId(shapes), ...shape };
+
+  if (!isShape(added)) {
+    showToast('That shape has no area, try again', 'warning');
+    return false;
+  }
+
+  setFilter('shapes', [...shapes, added]);
+  return true;
+}
+
+/**
+ * Replace a shape, keeping its place in the list
+ * @param {import('../data/shapes.js').Shape} shape
+ */
+export function replaceShape(shape) {
+  setFilter('shapes', getShapes().map(current => (current.id === shape.id ? shape : current)));
+}
+
+/**
+ * Remove a shape from the spatial filter
+ * @param {string} id
+ */
+export function deleteShape(id) {
+  setFilter('shapes', getShapes().filter(shape => shape.id !== id));
+}
+
+/**
+ * Preview of the shape being drawn, up to the pointer
+ * @returns {GeoJSON.Feature|null}
+ */
+function draftFeature() {
+  const type = getDrawMode();
+  let geometry = null;
+
+  if (type === 'circle' && cursor) {
+    const { radius, unit } = readRadius();
+    geometry = { type: 'Polygon', coordinates: [closeRing(circleRing(cursor, radius * RADIUS_UNITS[unit]))] };
+  } else if (type === 'rectangle' && draft.length === 1 && cursor) {
+    const [[west, south], [east, north]] = boundsFromCorners(draft[0], cursor);
+    geometry = { type: 'Polygon', coordinates: [closeRing([[west, south], [east, south], [east, north], [west, north]])] };
+  } else if (type === 'polygon') {
+    const vertices = cursor ? [...draft, cursor] : draft;
+    if (vertices.length >= 3) {
+      geometry = { type: 'Polygon', coordinates: [closeRing(vertices)] };
+    } else if (vertices.length === 2) {
+      geometry = { type: 'LineString', coordinates: vertices };
+    }
+  }
+
+  return geometry && { type: 'Feature', geometry, properties: { draft: true } };
+}
+
+/**
+ * Draw the shapes, the edited one highlighted, and the shape being drawn
+ * @param {mapboxgl.Map} [map]
+ */
+export function renderShapes(map = getMap()) {
+  const shapes = getShapes().map(shape => (dragPreview?.id === shape.id ? dragPreview : shape));
+  const data = shapesToGeoJSON(shapes);
+  data.features.forEach(feature => {
+    feature.properties.selected = feature.properties.id === selectedId;
+  });
+
+  const preview = draftFeature();
+  if (preview) data.features.push(preview);
+
+  showShapes(data, map);
+}
+
+/**
+ * Remove the edit handles
+ */
+function clearHandles() {
+  handleMarkers.forEach(marker => marker.remove());
+  handleMarkers = [];
+  dragPreview = null;
+}
+
+/**
+ * Put draggable handles on the edited shape
+ * Dragging previews the change; dropping stores it.
+ */
+function placeHandles() {
+  clearHandles();
+
+  const map = getMap();
+  const shape = getShapes().find(candidate => candidate.id === selectedId);
+  if (!map || !shape) return;
+
+  handleMarkers = shapeHandles(shape).map((position, index) => {
+    const element = document.createElement('div');
+    element.className = 'shape-handle';
+
+    const marker = new mapboxgl.Marker({ element, draggable: true }).setLngLat(position).addTo(map);
+
+    marker.on('drag', () => {
+      const { lng, lat } = marker.getLngLat();
+      dragPreview = moveShapeHandle(shape, index, [lng, lat]);
+      renderShapes(map);
+    });
+
+    marker.on('dragend', () => {
+      const moved = dragPreview;
+      dragPreview = null;
+      if (moved && isShape(moved)) {
+        replaceShape(moved);
+      } else {
+        showToast('That shape has no area, the change was undone', 'warning');
+        placeHandles();
+        renderShapes(map);
+      }
+    });
+
+    return marker;
+  });
+}
+
+/**
+ * Start or stop editing a shape
+ * @param {string|null} id - Shape to edit, or null to stop
+ */
+export function selectShape(id) {
+  selectedId = id;
+  if (id !== null) setDrawMode(null);
+
+  placeHandles();
+  renderShapes();
+  renderShapeList();
+}
+
+/**
+ * Finish the polygon being drawn
+ */
+function finishPolygon() {
+  if (draft.length < 3) return;
+
+  if (addShape({ type: 'polygon', ring: draft })) {
+    setDrawMode(null);
+  } else {
+    draft = [];
+  }
+}
+
+/**
+ * Check whether a click is on a placed vertex
+ * @param {mapboxgl.Map} map
+ * @param {{x: number, y: number}} point - Click position in pixels
+ * @param {[number, number]} vertex - [lng, lat]
+ * @returns {boolean}
+ */
+function isOnVertex(map, point, vertex) {
+  const projected = map.project(vertex);
+  return Math.hypot(projected.x - point.x, projected.y - point.y) <= VERTEX_TOLERANCE;
+}
+
+/**
+ * Handle a map click while drawing
+ * @param {mapboxgl.MapMouseEvent} e
+ */
+function handleDrawClick(e) {
+  const type = getDrawMode();
+  if (!type) return;
+
+  const map = e.target;
+  const lngLat = [e.lngLat.lng, e.lngLat.lat];
+
+  if (type === 'circle') {
+    if (addShape({ type, center: lngLat, ...readRadius() })) setDrawMode(null);
+  } else if (type === 'rectangle') {
+    if (draft.length === 0) {
+      draft = [lngLat];
+    } else if (addShape({ type, bounds: boundsFromCorners(draft[0], lngLat) })) {
+      setDrawMode(null);
+    } else {
+      draft = [];
+    }
+  } else if (draft.length >= 3 && isOnVertex(map, e.point, draft[0])) {
+    finishPolygon();
+  } else if (draft.length === 0 || !isOnVertex(map, e.point, draft[draft.length - 1])) {
+    // Clicks on the last vertex are the first half of a double-click
+    draft = [...draft, lngLat];
+  }
+
+  renderShapes(map);
+}
+
+/**
+ * Finish a polygon on double-click, instead of zooming in
+ * @param {mapboxgl.MapMouseEvent} e
+ */
+function handleDrawDblClick(e) {
+  if (getDrawMode() !== 'polygon') return;
+
+  e.preventDefault();
+  finishPolygon();
+}
+
+/**
+ * Follow the pointer with the shape being drawn
+ * @param {mapboxgl.MapMouseEvent} e
+ */
+function handleDrawMove(e) {
+  if (!getDrawMode()) return;
+
+  cursor = [e.lngLat.lng, e.lngLat.lat];
+  renderShapes(e.target);
+}
+
+/**
+ * Handle keys: Enter finishes a polygon, Escape cancels drawing or editing
+ * @param {KeyboardEvent} e
+ */
+function handleDrawKeydown(e) {
+  if (e.target.closest?.('input, textarea, select')) return;
+
+  if (e.key === 'Enter' && getDrawMode() === 'polygon') {
+    finishPolygon();
+  } else if (e.key === 'Escape' && getDrawMode()) {
+    setDrawMode(null);
+  } else if (e.key === 'Escape' && selectedId !== null) {
+    selectShape(null);
+  }
+}
+
+/**
+ * Reflect the draw mode on the map and the panel
+ * Drawing and point editing both use map clicks, so starting one stops the other.
+ * @param {'polygon'|'rectangle'|'circle'|null} type
+ */
+function syncDrawMode(type) {
+  draft = [];
+  cursor = null;
+  if (type && getEditMode()) setEditMode(false);
+  if (type && selectedId !== null) selectShape(null);
+
+  document.querySelectorAll('[data-draw]').forEach(btn => {
+    btn.classList.toggle('active', btn.dataset.draw === type);
+  });
+
+  const hint = document.getElementById('drawHint');
+  if (hint) {
+    hint.textContent = type ? DRAW_HINTS[type] : '';
+    hint.classList.toggle('hidden', !type);
+  }
+
+  getMap()?.getContainer().classList.toggle('drawing', type !== null);
+  renderShapes();
+}
+
+/**
+ * Render the list of drawn shapes
+ */
+export function renderShapeList() {
+  const shapes = getShapes();
+
+  const summary = document.getElementById('shapeSummary');
+  if (summary) {
+    summary.textContent = shapes.length > 0
+      ? `${shapes.length} area${shapes.length === 1 ? '' : 's'}: locations inside any of them are shown`
+      : 'No areas: all locations are shown';
+  }
+
+  const clearBtn = document.getElementById('shapeClearBtn');
+  if (clearBtn) clearBtn.disabled = shapes.length === 0;
+
+  const list = document.getElementById('shapeList');
+  if (!list) return;
+
+  list.innerHTML = shapes.map((shape, index) => {
+    const id = escapeHtml(shape.id);
+    const radius = shape.type === 'circle' ? `
+      <input type="number" class="shape-radius" data-shape-radius="${id}" value="${shape.radius}" min="0.1" step="0.1" title="Radius">
+      <select data-shape-unit="${id}" title="Unit">
+        ${Object.keys(RADIUS_UNITS).map(unit => `<option value="${unit}"${unit === shape.unit ? ' selected' : ''}>${unit}</option>`).join('')}
+      </select>
+    ` : '';
+
+    return `
+      <li class="${shape.id === selectedId ? 'selected' : ''}">
+        <span>${index + 1}. ${escapeHtml(describeShape(shape))}</span>
+        ${radius}
+        <span>
+          <button class="btn${shape.id === selectedId ? ' active' : ''}" data-shape-edit="${id}" title="Drag the handles on the map">Edit</button>
+          <button class="btn" data-shape-delete="${id}" title="Delete">✕</button>
+        </span>
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Handle clicks in the shape list
+ * @param {MouseEvent} e
+ */
+function handleShapeListClick(e) {
+  const edit = e.target.closest('[data-shape-edit]');
+  const remove = e.target.closest('[data-shape-delete]');
+
+  if (edit) {
+    selectShape(edit.dataset.shapeEdit === selectedId ? null : edit.dataset.shapeEdit);
+  } else if (remove) {
+    deleteShape(remove.dataset.shapeDelete);
+  }
+}
+
+/**
+ * Handle radius and unit changes of a circle in the list
+ * @param {Event} e
+ */
+function handleShapeListChange(e) {
+  const id = e.target.dataset.shapeRadius ?? e.target.dataset.shapeUnit;
+  const shape = getShapes().find(candidate => candidate.id === id);
+  if (!shape) return;
+
+  const changed = e.target.dataset.shapeRadius !== undefined
+    ? { ...shape, radius: parseFloat(e.target.value) }
+    : { ...shape, unit: e.target.value };
+
+  if (isShape(changed)) {
+    replaceShape(changed);
+  } else {
+    e.target.value = shape.radius;
+  }
+}
+
+/**
+ * Follow shape changes (drawing, editing, undo/redo, restore)
+ */
+function handleShapesChange() {
+  if (selectedId !== null && !getShapes().some(shape => shape.id === selectedId)) {
+    selectedId = null;
+  }
+
+  placeHandles();
+  renderShapes();
+  renderShapeList();
+}
+
+/**
+ * Bind the drawing map handlers and show the stored shapes
+ * @param {mapboxgl.Map} map
+ */
+export function setupShapeDrawing(map) {
+  map.on('click', handleDrawClick);
+  map.on('dblclick', handleDrawDblClick);
+  map.on('mousemove', handleDrawMove);
+  renderShapes(map);
+}
+
+/**
+ * Initialize drawing panel listeners
+ */
+export function initDrawingControls() {
+  document.querySelectorAll('[data-draw]').forEach(btn => {
+    btn.addEventListener('click', () => setDrawMode(getDrawMode() === btn.dataset.draw ? null : btn.dataset.draw));
+  });
+  document.getElementById('shapeClearBtn')?.addEventListener('click', () => setFilter('shapes', []));
+  document.getElementById('shapeRadius')?.addEventListener('input', () => renderShapes());
+  document.getElementById('shapeUnit')?.addEventListener('change', () => renderShapes());
+
+  const list = document.getElementById('shapeList');
+  list?.addEventListener('click', handleShapeListClick);
+  list?.addEventListener('change', handleShapeListChange);
+  document.addEventListener('keydown', handleDrawKeydown);
+
+  subscribe('drawMode', syncDrawMode);
+  subscribe('filters.shapes', handleShapesChange);
+  subscribe('editMode', (enabled) => {
+    if (enabled) setDrawMode(null);
+  });
+  renderShapeList();
+}
@@ -0,0 +1,358 @@
+/**
+ * Point editing - add, move and delete locations on the map
+ * In edit mode a click on empty map opens a form for a new location, and a
+ * click on a location selects it with a draggable marker and a delete button.
+ * Edits go through applyDataset() like any other dataset change and are
+ * recorded in the store's edit log.
+ * @module map/editing
+ */
+
+import { LAYER_IDS } from '../config/constants.js';
+import { CATEGORIES, OTHER_CATEGORY } from '../config/regions.js';
+import {
+  getMap, getPopup, getRawData, getDatasetTotal, getDatasetOrigin, getFilters, getColors,
+  getEditMode, setEditMode, getEditLog, setEditLog, appendEdit, clearEditLog, subscribe
+} from '../state/store.js';
+import {
+  pointKey, createAddEdit, createMoveEdit, createDeleteEdit, applyEdit, invertEdit, buildChangeSet
+} from '../data/edits.js';
+import { applyDataset } from '../data/sources/index.js';
+import { escapeHtml } from '../utils/html.js';
+import { downloadText } from '../ui/exportPanel.js';
+import { showToast } from '../ui/notifications.js';
+
+/**
+ * File name for exported change sets
+ */
+const CHANGE_SET_FILE_NAME = 'changes.json';
+
+/**
+ * Number of edits listed in the edit panel
+ */
+const EDIT_LOG_LIMIT = 10;
+
+/**
+ * Click tolerance around a location, in pixels
+ */
+const HIT_TOLERANCE = 4;
+
+/**
+ * Popup holding the add form or the selected location's details
+ * @type {mapboxgl.Popup|null}
+ */
+let editPopup = null;
+
+/**
+ * Draggable marker on the selected location
+ * @type {mapboxgl.Marker|null}
+ */
+let dragMarker = null;
+
+/**
+ * Dataset the edit log applies to, as of the last load or edit
+ * @type {LocationData[]|null}
+ */
+let editedData = null;
+
+/**
+ * Find a location in the current dataset by its key
+ * @param {string} key - From pointKey()
+ * @returns {LocationData|undefined}
+ */
+function findPoint(key) {
+  return getRawData().find(point => pointKey(point) === key);
+}
+
+/**
+ * Apply an edit to the current dataset and record it
+ * @param {import('../data/edits.js').PointEdit} edit
+ * @throws {Error} If the edit doesn't fit the current dataset
+ */
+export function commitEdit(edit) {
+  editedData = applyEdit(getRawData(), edit);
+  applyDataset(editedData, getDatasetTotal());
+  appendEdit(edit);
+}
+
+/**
+ * Move the edit log to an earlier or later version, reverting or
+ * reapplying the edits in between (used by undo/redo)
+ * @param {import('../data/edits.js').PointEdit[]} log - A prefix or extension of the current log
+ * @throws {Error} If a location changed since (e.g. by a live feed) and the edits no longer fit
+ */
+export function restoreEditLog(log) {
+  const current = getEditLog();
+  const edits = log.length < current.length
+    ? current.slice(log.length).reverse().map(invertEdit)
+    : log.slice(current.length);
+
+  const data = edits.reduce(applyEdit, getRawData());
+  clearSelection();
+  editedData = data;
+  applyDataset(data, getDatasetTotal());
+  setEditLog(log);
+}
+
+/**
+ * Close the edit popup and remove the drag marker
+ */
+export function clearSelection() {
+  editPopup?.remove();
+  editPopup = null;
+  dragMarker?.remove();
+  dragMarker = null;
+}
+
+/**
+ * Commit an edit, reporting failures as a toast
+ * @param {function(): import('../data/edits.js').PointEdit} createEdit
+ * @returns {boolean} Whether the edit was applied
+ */
+function tryEdit(createEdit) {
+  try {
+    commitEdit(createEdit());
+    return true;
+  } catch (error) {
+    showToast(error.message, 'warning');
+    return false;
+  }
+}
+
+/**
+ * Build the details shown for a selected location
+ * @param {LocationData} point
+ * @returns {string} HTML
+ */
+function renderSelectedHTML(point) {
+  return `
+    <div class="popup-title">${escapeHtml(point.category)} #${escapeHtml(point.id)}</div>
+    <div class="popup-detail">${point.lng.toFixed(5)}, ${point.lat.toFixed(5)}</div>
+    <div class="popup-detail">Drag the marker to move</div>
+    <button class="btn" data-edit-delete>Delete</button>
+  `;
+}
+
+/**
+ * Select a location: show a draggable marker and a delete button
+ * @param {LocationData} point
+ * @param {mapboxgl.Map} map
+ */
+function selectPoint(point, map) {
+  clearSelection();
+  getPopup()?.remove();
+
+  const key = pointKey(point);
+  const content = document.createElement('div');
+  content.innerHTML = renderSelectedHTML(point);
+
+  const popup = new mapboxgl.Popup({ closeOnClick: false, offset: 30 }).setDOMContent(content);
+  const marker = new mapboxgl.Marker({ draggable: true, color: getColors().secondary })
+    .setLngLat([point.lng, point.lat])
+    .setPopup(popup)
+    .addTo(map);
+
+  marker.on('dragend', () => {
+    const current = findPoint(key);
+    const { lng, lat } = marker.getLngLat();
+
+    if (!current) {
+      showToast('Location no longer exists', 'warning');
+      clearSelection();
+    } else if (tryEdit(() => createMoveEdit(current, lng, lat))) {
+      content.innerHTML = renderSelectedHTML(findPoint(key));
+    } else {
+      marker.setLngLat([current.lng, current.lat]);
+    }
+  });
+
+  content.addEventListener('click', (e) => {
+    if (!e.target.closest('[data-edit-delete]')) return;
+
+    const current = findPoint(key);
+    if (current && tryEdit(() => createDeleteEdit(current))) {
+      showToast(`Deleted location ${current.id}`, 'success');
+    }
+    clearSelection();
+  });
+
+  marker.togglePopup();
+  dragMarker = marker;
+  editPopup = popup;
+}
+
+/**
+ * Build the form for a new location
+ * @returns {string} HTML
+ */
+function renderAddFormHTML() {
+  const categories = [...CATEGORIES, OTHER_CATEGORY]
+    .map(category => `<option value="${escapeHtml(category)}">${escapeHtml(category)}</option>`)
+    .join('');
+
+  return `
+    <div class="popup-title">New location</div>
+    <div class="edit-form">
+      <label>Category <select data-edit-field="category">${categories}</select></label>
+      <label>Volume (t) <input type="number" data-edit-field="recyclingVolume" min="0" step="0.1" value="1"></label>
+      <label>Value <input type="number" data-edit-field="value" min="0" step="1" value="0"></label>
+      <button class="btn primary" data-edit-add>Add</button>
+    </div>
+  `;
+}
+
+/**
+ * Open the new-location form at a map position
+ * A location added while a period is selected belongs to that period.
+ * @param {mapboxgl.LngLat} lngLat
+ * @param {mapboxgl.Map} map
+ */
+function openAddForm(lngLat, map) {
+  clearSelection();
+
+  const content = document.createElement('div');
+  content.innerHTML = renderAddFormHTML();
+  const read = field => content.querySelector(`[data-edit-field="${field}"]`).value;
+
+  content.querySelector('[data-edit-add]').addEventListener('click', () => {
+    const { period } = getFilters();
+    const category = read('category');
+    const added = tryEdit(() => createAddEdit(getRawData(), {
+      lng: lngLat.lng,
+      lat: lngLat.lat,
+      category,
+      recyclingVolume: Number(read('recyclingVolume')),
+      value: Number(read('value')) || 0,
+      ...(period !== 'all' && { period })
+    }));
+
+    if (added) {
+      clearSelection();
+      showToast(`Added ${category} location`, 'success');
+    }
+  });
+
+  editPopup = new mapboxgl.Popup({ closeOnClick: false })
+    .setLngLat(lngLat)
+    .setDOMContent(content)
+    .addTo(map);
+}
+
+/**
+ * Handle a map click in edit mode
+ * Clicks on clusters are left to their zoom handler.
+ * @param {mapboxgl.MapMouseEvent} e
+ */
+function handleEditClick(e) {
+  if (!getEditMode()) return;
+
+  const map = e.target;
+  const { x, y } = e.point;
+  const box = [[x - HIT_TOLERANCE, y - HIT_TOLERANCE], [x + HIT_TOLERANCE, y + HIT_TOLERANCE]];
+  const layers = [LAYER_IDS.UNCLUSTERED, LAYER_IDS.MARKERS, LAYER_IDS.CLUSTERS].filter(id => map.getLayer(id));
+  const [feature] = layers.length > 0 ? map.queryRenderedFeatures(box, { layers }) : [];
+
+  if (!feature) {
+    openAddForm(e.lngLat, map);
+  } else if (feature.layer.id !== LAYER_IDS.CLUSTERS) {
+    const point = findPoint(pointKey(feature.properties));
+    if (point) selectPoint(point, map);
+  }
+}
+
+/**
+ * Reflect the edit mode on the map and the panel
+ * @param {boolean} enabled
+ */
+function syncEditMode(enabled) {
+  const checkbox = document.getElementById('editMode');
+  if (checkbox) checkbox.checked = enabled;
+
+  getMap()?.getContainer().classList.toggle('editing', enabled);
+  if (!enabled) clearSelection();
+}
+
+/**
+ * Describe an edit for the edit log
+ * @param {import('../data/edits.js').PointEdit} edit
+ * @returns {string}
+ */
+function describeEdit(edit) {
+  const point = edit.after ?? edit.before;
+  const verb = { add: 'Added', move: 'Moved', delete: 'Deleted' }[edit.type];
+  return `${verb} ${point.category} #${point.id}`;
+}
+
+/**
+ * Render the change summary and latest edits
+ */
+export function renderEditLog() {
+  const log = getEditLog();
+  const { added, moved, deleted } = buildChangeSet(log).summary;
+
+  const summary = document.getElementById('editSummary');
+  if (summary) {
+    summary.textContent = log.length > 0
+      ? `${added} added · ${moved} moved · ${deleted} deleted (${log.length} edits)`
+      : 'No edits';
+  }
+
+  const list = document.getElementById('editLog');
+  if (list) {
+    list.innerHTML = log.slice(-EDIT_LOG_LIMIT).reverse().map(edit => `
+      <li>
+        <span>${escapeHtml(describeEdit(edit))}</span>
+        <span class="value-display">${new Date(edit.at).toLocaleTimeString()}</span>
+      </li>
+    `).join('');
+  }
+}
+
+/**
+ * Download the edit log as a change set of net changes
+ */
+export function exportChangeSet() {
+  const changeSet = buildChangeSet(getEditLog(), getDatasetOrigin());
+
+  if (changeSet.changes.length === 0) {
+    showToast('No changes to export', 'warning');
+    return;
+  }
+
+  downloadText(JSON.stringify(changeSet, null, 2), CHANGE_SET_FILE_NAME, 'application/json');
+  showToast(`Exported ${changeSet.changes.length} changes`, 'success');
+}
+
+/**
+ * Start a new edit log when another dataset is loaded
+ * Loads replace rawData before setting the origin, while saving to the
+ * library only sets the origin, so the log carries on across saves.
+ */
+function handleOriginChange() {
+  if (getRawData() !== editedData) {
+    editedData = getRawData();
+    clearSelection();
+    clearEditLog();
+  }
+}
+
+/**
+ * Bind the edit-mode click handler
+ * @param {mapboxgl.Map} map
+ */
+export function setupPointEditing(map) {
+  map.on('click', handleEditClick);
+  syncEditMode(getEditMode());
+}
+
+/**
+ * Initialize edit panel listeners
+ */
+export function initEditingControls() {
+  document.getElementById('editMode')?.addEventListener('change', (e) => setEditMode(e.target.checked));
+  document.getElementById('editExportBtn')?.addEventListener('click', exportChangeSet);
+
+  subscribe('editMode', syncEditMode);
+  subscribe('editLog', renderEditLog);
+  subscribe('datasetOrigin', handleOriginChange);
+  renderEditLog();
+}
@@ -3,23 +3,79 @@
  * @module map/interactions
  */
 
-import { LAYER_IDS, ZOOM, MODES } from '../config/constants.js';
-import { getMap, getPopup, getMode, getAutoSwitchedToCluster, setAutoSwitchedToCluster } from '../state/store.js';
+import { LAYER_IDS, ZOOM, MODES, TIMING, MAIN_GROUP_ID } from '../config/constants.js';
+import {
+  getMap, getPopup, getMode, getAutoSwitchedToCluster, setAutoSwitchedToCluster,
+  getActiveDataSource, getSourceStatus, getLayerGroup, getEditMode, getDrawMode
+} from '../state/store.js';
 import { showAutoSwitchNotice, updateStats } from '../ui/notifications.js';
 import { switchMode } from '../ui/controls.js';
+import { escapeHtml } from '../utils/html.js';
+import { formatPeriod } from '../utils/time.js';
+import { getExtraProperties } from '../data/generator.js';
+import { DERIVED_FIELDS } from '../data/export.js';
+import { getFilteredData } from '../state/selectors.js';
+import { getDataSource, loadFromSource, isImportedDataset } from '../data/sources/index.js';
+import { tilesForViewport, tileKey } from '../data/viewport.js';
+import { groupLayerId, groupSourceId } from '../layers/index.js';
+
+/**
+ * ID of the location shown in the hover popup, or null when it is closed
+ * @type {string|number|null}
+ */
+let popupPointId = null;
+
+/**
+ * Layer group of the location shown in the hover popup
+ * @type {string}
+ */
+let popupGroupId = MAIN_GROUP_ID;
+
+/**
+ * Layer IDs with click/hover handlers
+ * Handlers are bound to layer IDs and outlive layer rebuilds, so each ID is bound once.
+ * @type {Set<string>}
+ */
+const boundLayerIds = new Set();
+
+/**
+ * Build popup content for a location
+ * @param {Object} props - Feature properties or LocationData
+ * @param {string|null} [groupName] - Layer group name, shown for added groups
+ * @returns {string} HTML
+ */
+function renderPopupHTML(props, groupName = null) {
+  return `
+    <div class="popup-title">${escapeHtml(props.category)}</div>
+    ${groupName ? `<div class="popup-detail">${escapeHtml(groupName)}</div>` : ''}
+    <div class="popup-detail">${escapeHtml(props.metro)}</div>
+    <div class="popup-detail">♻️ <strong>${escapeHtml(props.recyclingVolume)} tons</strong>/month</div>
+    ${props.period ? `<div class="popup-detail">📅 ${escapeHtml(formatPeriod(props.period))}</div>` : ''}
+    ${Object.entries(getExtraProperties(props) || {})
+      .filter(([key]) => !DERIVED_FIELDS.includes(key))
+      .map(([key, value]) => `<div class="popup-detail">${escapeHtml(key)}: ${escapeHtml(value)}</div>`)
+      .join('')}
+  `;
+}
 
 /**
  * Setup cluster click handler for zoom expansion
  * @param {mapboxgl.Map} map
+ * @param {string} groupId - Layer group of the clusters
  */
-function setupClusterClick(map) {
-  map.on('click', LAYER_IDS.CLUSTERS, (e) => {
-    const features = map.queryRenderedFeatures(e.point, { layers: [LAYER_IDS.CLUSTERS] });
+function setupClusterClick(map, groupId) {
+  const clusterLayerId = groupLayerId(groupId, LAYER_IDS.CLUSTERS);
+
+  map.on('click', clusterLayerId, (e) => {
+    // Clicks place shape vertices while drawing
+    if (getDrawMode()) return;
+
+    const features = map.queryRenderedFeatures(e.point, { layers: [clusterLayerId] });
     if (!features.length) return;
 
     const clusterId = features[0].properties.cluster_id;
 
-    map.getSource('points').getClusterExpansionZoom(clusterId, (err, zoom) => {
+    map.getSource(groupSourceId(groupId)).getClusterExpansionZoom(clusterId, (err, zoom) => {
       if (err) {
         console.error('Cluster expansion error:', err);
         return;
@@ -33,64 +89,118 @@ function setupClusterClick(map) {
   });
 
   // Cursor change on cluster hover
-  map.on('mouseenter', LAYER_IDS.CLUSTERS, () => {
+  map.on('mouseenter', clusterLayerId, () => {
     map.getCanvas().style.cursor = 'pointer';
   });
 
-  map.on('mouseleave', LAYER_IDS.CLUSTERS, () => {
+  map.on('mouseleave', clusterLayerId, () => {
     map.getCanvas().style.cursor = '';
   });
 }
 
 /**
  * Setup point hover handler for popups
+ * No popup opens in edit mode, where clicks select locations instead, or
+ * while a shape is being drawn.
  * @param {mapboxgl.Map} map
  * @param {string} layerId - Layer to attach hover events to
+ * @param {string} groupId - Layer group of the layer
  */
-function setupPointHover(map, layerId) {
+function setupPointHover(map, layerId, groupId) {
   const popup = getPopup();
   if (!popup) return;
 
   map.on('mouseenter', layerId, (e) => {
     map.getCanvas().style.cursor = 'pointer';
+    if (getEditMode() || getDrawMode()) return;
 
     const coords = e.features[0].geometry.coordinates.slice();
     const props = e.features[0].properties;
 
+    popupPointId = props.id ?? null;
+    popupGroupId = groupId;
     popup.setLngLat(coords)
-      .setHTML(`
-        <div class="popup-title">${props.category}</div>
-        <div class="popup-detail">${props.metro}</div>
-        <div class="popup-detail">♻️ <strong>${props.recyclingVolume} tons</strong>/month</div>
-      `)
+      .setHTML(renderPopupHTML(props, getLayerGroup(groupId)?.name))
       .addTo(map);
   });
 
   map.on('mouseleave', layerId, () => {
     map.getCanvas().style.cursor = '';
+    popupPointId = null;
     popup.remove();
   });
 }
 
 /**
- * Setup layer interactions based on current layers
+ * Fly to a location and open its popup
+ * @param {LocationData} point
  * @param {mapboxgl.Map} [map]
+ * @returns {boolean} Whether the location has a position that can be shown
  */
-export function setupLayerInteractions(map = getMap()) {
+export function showPointPopup(point, map = getMap()) {
+  const popup = getPopup();
+  const { lng, lat } = point;
+  if (!map || !popup || !(lng >= -180 && lng <= 180 && lat >= -90 && lat <= 90)) return false;
+
+  map.flyTo({
+    center: [lng, lat],
+    zoom: Math.max(map.getZoom(), ZOOM.LABELS_MIN),
+    duration: TIMING.FLY_DURATION_MS
+  });
+
+  popupPointId = point.id;
+  popupGroupId = MAIN_GROUP_ID;
+  popup.setLngLat([lng, lat])
+    .setHTML(renderPopupHTML(point))
+    .addTo(map);
+  return true;
+}
+
+/**
+ * Keep the hover popup in step with the main data after an in-place update
+ * Moves and re-renders it when its location changed, and closes it when the
+ * location was deleted or filtered out.
+ * @param {mapboxgl.Map} [map]
+ */
+export function refreshPopup(map = getMap()) {
+  const popup = getPopup();
+  if (!popup || popupPointId === null || popupGroupId !== MAIN_GROUP_ID) return;
+
+  const point = getFilteredData().find(p => String(p.id) === String(popupPointId));
+
+  if (!point) {
+    popupPointId = null;
+    popup.remove();
+    if (map) map.getCanvas().style.cursor = '';
+    return;
+  }
+
+  popup.setLngLat([point.lng, point.lat]).setHTML(renderPopupHTML(point));
+}
+
+/**
+ * Setup interactions for a layer group's current layers
+ * @param {mapboxgl.Map} [map]
+ * @param {string} [groupId=MAIN_GROUP_ID]
+ */
+export function setupLayerInteractions(map = getMap(), groupId = MAIN_GROUP_ID) {
   if (!map) return;
 
+  const id = layerId => groupLayerId(groupId, layerId);
+  const bindOnce = (layerId, setup) => {
+    if (map.getLayer(layerId) && !boundLayerIds.has(layerId)) {
+      boundLayerIds.add(layerId);
+      setup();
+    }
+  };
+
   // Cluster interactions
-  if (map.getLayer(LAYER_IDS.CLUSTERS)) {
-    setupClusterClick(map);
-  }
+  bindOnce(id(LAYER_IDS.CLUSTERS), () => setupClusterClick(map, groupId));
 
   // Point hover interactions
-  const pointLayer = map.getLayer(LAYER_IDS.UNCLUSTERED) ? LAYER_IDS.UNCLUSTERED :
-                     map.getLayer(LAYER_IDS.MARKERS) ? LAYER_IDS.MARKERS : null;
-
-  if (pointLayer) {
-    setupPointHover(map, pointLayer);
-  }
+  [id(LAYER_IDS.UNCLUSTERED), id(LAYER_IDS.MARKERS)].forEach(pointLayerId => {
+    bindOnce(pointLayerId, () => setupPointHover(map, pointLayerId, groupId));
+  });
 }
 
 /**
@@ -158,6 +268,54 @@ export function setupMapEvents(map) {
   });
 }
 
+/**
+ * Get the visible map area
+ * @param {mapboxgl.Map} [map]
+ * @returns {{bounds: [number, number, number, number], zoom: number}|null} Bounds as [west, south, east, north]
+ */
+export function getViewport(map = getMap()) {
+  if (!map) return null;
+
+  return {
+    bounds: map.getBounds().toArray().flat(),
+    zoom: map.getZoom()
+  };
+}
+
+/**
+ * Reload viewport sources when the map stops moving
+ * Moves are debounced, and a viewport needing the same tiles as the last
+ * load is skipped. Tile caching, request sharing and cancellation of tiles
+ * that left the view happen in the source's tile loader (data/viewport.js).
+ * Imported datasets stay until the next explicit load.
+ * @param {mapboxgl.Map} map
+ */
+export function setupViewportLoading(map) {
+  let timer = null;
+  let lastTiles = null;
+
+  const handleViewportChange = () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => {
+      const sourceId = getActiveDataSource();
+      if (!getDataSource(sourceId)?.viewport || isImportedDataset()) {
+        lastTiles = null;
+        return;
+      }
+
+      const viewport = getViewport(map);
+      const tiles = tilesForViewport(viewport).map(tileKey).join(' ');
+      if (tiles === lastTiles && getSourceStatus(sourceId).status !== 'error') return;
+
+      lastTiles = tiles;
+      loadFromSource(sourceId, viewport);
+    }, TIMING.VIEWPORT_DEBOUNCE_MS);
+  };
+
+  map.on('moveend', handleViewportChange);
+  map.on('zoomend', handleViewportChange);
+}
+
 /**
  * Clean up map event listeners
  * @param {mapboxgl.Map} map
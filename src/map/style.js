@@ -3,11 +3,12 @@
  * @module map/style
  */
 
-import { TIMING, MAP_STYLES } from '../config/constants.js';
-import { getMap, getGeoJSON } from '../state/store.js';
+import { TIMING, MAP_STYLES, MAIN_GROUP_ID } from '../config/constants.js';
+import { getMap, getGeoJSON, getLayerOrder, setMapStyle } from '../state/store.js';
 import { loadMarkerIcons } from '../utils/icons.js';
-import { rebuildForMode } from '../layers/index.js';
+import { rebuildForMode, rebuildGroup, applyOverlay, applyDiffLayer } from '../layers/index.js';
 import { reapply3DFeatures } from './threeD.js';
+import { renderShapes } from './drawing.js';
 
 /**
  * Build a Mapbox style URL from a style identifier
@@ -51,6 +52,7 @@ export function isDarkStyle(style) {
 export function changeStyle(style, map = getMap()) {
   if (!map) return;
 
+  setMapStyle(style);
   const styleUrl = buildStyleUrl(style);
   map.setStyle(styleUrl);
 
@@ -75,6 +77,20 @@ async function handleStyleLoaded(map) {
         rebuildForMode(map);
       }
 
+      // Re-add the other layer groups, in their order
+      getLayerOrder().slice().reverse()
+        .filter(groupId => groupId !== MAIN_GROUP_ID)
+        .forEach(groupId => rebuildGroup(groupId, map));
+
+      // Re-add imported overlay (cleared on style change)
+      applyOverlay(map);
+
+      // Re-add the dataset comparison on top
+      applyDiffLayer(map);
+
+      // Re-add the drawn shapes (cleared on style change)
+      renderShapes(map);
+
       // Re-apply 3D features if enabled
       reapply3DFeatures(map);
     }, TIMING.STYLE_LOAD_BUFFER_MS);
@@ -95,6 +111,17 @@ export function handleStyleChange() {
   changeStyle(style);
 }
 
+/**
+ * Select a style in the dropdown and apply it (used by undo/redo)
+ * @param {string} style - Style identifier
+ */
+export function selectStyle(style) {
+  const select = document.getElementById('mapStyle');
+  if (select) select.value = style;
+
+  changeStyle(style);
+}
+
 /**
  * Detect system color scheme and set initial style
  */
@@ -3,8 +3,11 @@
  * @module state/selectors
  */
 
-import { getState, getRawData, getGeoJSON, getFilters, getMode, getClusterSettings, getHeatmapSettings, getMarkerSettings, getColors, subscribe } from './store.js';
+import { getState, getRawData, getGeoJSON, getFilters, getFilteredResult, getMode, getClusterSettings, getHeatmapSettings, getMarkerSettings, getColors, subscribe } from './store.js';
 import { LAYER_IDS, MODES } from '../config/constants.js';
+import { compileFilters, createFilterPredicate, filterKey } from '../data/filters.js';
+import { getExtraProperties } from '../data/generator.js';
+import { getVolumeDomain, countVolumes } from '../data/histogram.js';
 
 /**
  * Simple memoization for selectors
@@ -35,36 +38,37 @@ function createSelector(fn, dependencyFn) {
   };
 }
 
+/**
+ * Get the worker pipeline result if it matches the current data and filters
+ * @returns {import('./store.js').FilteredResult|null}
+ */
+function getCurrentPipelineResult() {
+  const result = getFilteredResult();
+  const filters = getFilters();
+
+  if (!result || result.rawData !== getRawData()) return null;
+  if (filterKey(result.filters) !== filterKey(filters)) return null;
+
+  return result;
+}
+
 /**
  * Get filtered data based on current filter settings
+ * Uses the worker pipeline result when it is current, otherwise filters here.
  * @returns {Object[]} Filtered raw data
  */
 export const getFilteredData = createSelector(
   () => {
     const rawData = getRawData();
-    const filters = getFilters();
-
-    return rawData.filter(point => {
-      // Volume filter
-      if (filters.volume !== 'all') {
-        const volume = point.recyclingVolume;
-        const volumeMatch =
-          (filters.volume === 'small' && volume <= 3) ||
-          (filters.volume === 'medium' && volume > 3 && volume <= 6) ||
-          (filters.volume === 'large' && volume > 6);
-
-        if (!volumeMatch) return false;
-      }
+    const result = getCurrentPipelineResult();
 
-      // Category filter
-      if (filters.category !== 'all') {
-        if (point.category !== filters.category) return false;
-      }
+    if (result) {
+      return Array.from(result.indices, i => rawData[i]);
+    }
 
-      return true;
-    });
+    return rawData.filter(createFilterPredicate(getFilters()));
   },
-  () => [getRawData(), getFilters().volume, getFilters().category]
+  () => [getRawData(), filterKey(getFilters()), getFilteredResult()]
 );
 
 /**
@@ -72,8 +76,8 @@ export const getFilteredData = createSelector(
  * @returns {number}
  */
 export const getFilteredCount = createSelector(
-  () => getFilteredData().length,
-  () => [getRawData(), getFilters().volume, getFilters().category]
+  () => getCurrentPipelineResult()?.indices.length ?? getFilteredData().length,
+  () => [getRawData(), filterKey(getFilters()), getFilteredResult()]
 );
 
 /**
@@ -82,6 +86,11 @@ export const getFilteredCount = createSelector(
  */
 export const getFilteredGeoJSON = createSelector(
   () => {
+    const result = getCurrentPipelineResult();
+    if (result) {
+      return result.indices.length > 0 ? result.geoJSON : null;
+    }
+
     const filteredData = getFilteredData();
 
     if (filteredData.length === 0) return null;
@@ -95,17 +104,19 @@ export const getFilteredGeoJSON = createSelector(
           coordinates: [point.lng, point.lat]
         },
         properties: {
+          ...getExtraProperties(point),
           id: point.id,
           value: point.value,
           category: point.category,
           metro: point.metro,
           recyclingVolume: point.recyclingVolume,
-          weight: point.recyclingVolume / 10
+          weight: point.recyclingVolume / 10,
+          ...(point.period !== undefined && { period: point.period })
         }
       }))
     };
   },
-  () => [getRawData(), getFilters().volume, getFilters().category]
+  () => [getRawData(), filterKey(getFilters()), getFilteredResult()]
 );
 
 /**
@@ -245,7 +256,7 @@ export const getDataStats = createSelector(
         : 0
     };
   },
-  () => [getRawData(), getFilters().volume, getFilters().category]
+  () => [getRawData(), filterKey(getFilters())]
 );
 
 /**
@@ -253,11 +264,64 @@ export const getDataStats = createSelector(
  * @returns {boolean}
  */
 export const hasActiveFilters = createSelector(
+  () => compileFilters(getFilters()).length > 0,
+  () => [filterKey(getFilters())]
+);
+
+/**
+ * Get the volume slider domain of the current data
+ * @returns {import('../data/histogram.js').VolumeDomain}
+ */
+export const getVolumeSliderDomain = createSelector(
+  () => getVolumeDomain(getRawData().map(point => point.recyclingVolume)),
+  () => [getRawData()]
+);
+
+/**
+ * Get the volume histogram of the locations passing the other filters
+ * The volume filter itself is ignored, so the bars show what the slider
+ * can select.
+ * @returns {number[]} Counts per bar of the slider domain
+ */
+export const getVolumeHistogram = createSelector(
+  () => {
+    const passes = createFilterPredicate({ ...getFilters(), volume: 'all' });
+    const volumes = getRawData().filter(passes).map(point => point.recyclingVolume);
+    return countVolumes(volumes, getVolumeSliderDomain());
+  },
+  () => [getRawData(), filterKey({ ...getFilters(), volume: 'all' })]
+);
+
+/**
+ * Get the distinct time periods in the current data, oldest first
+ * @returns {string[]} 'YYYY-MM' periods (empty when the data has no time)
+ */
+export const getPeriods = createSelector(
   () => {
-    const filters = getFilters();
-    return filters.volume !== 'all' || filters.category !== 'all';
+    const periods = new Set();
+    getRawData().forEach(point => {
+      if (point.period !== undefined) periods.add(point.period);
+    });
+    return Array.from(periods).sort();
+  },
+  () => [getRawData()]
+);
+
+/**
+ * Get the names the query bar completes and matches, from the current data
+ * @returns {import('../data/query.js').QueryValues}
+ */
+export const getQueryValues = createSelector(
+  () => {
+    const categories = new Set();
+    const metros = new Set();
+    getRawData().forEach(point => {
+      categories.add(point.category);
+      if (point.metro) metros.add(point.metro);
+    });
+    return { category: Array.from(categories).sort(), metro: Array.from(metros).sort(), period: getPeriods() };
   },
-  () => [getFilters().volume, getFilters().category]
+  () => [getRawData()]
 );
 
 /**
@@ -282,5 +346,5 @@ export const getFilteredBounds = createSelector(
 
     return [[minLng, minLat], [maxLng, maxLat]];
   },
-  () => [getRawData(), getFilters().volume, getFilters().category]
+  () => [getRawData(), filterKey(getFilters())]
 );
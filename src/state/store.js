@@ -3,7 +3,15 @@
  * @module state/store
  */
 
-import { MODES, CLUSTER_DEFAULTS, HEATMAP_DEFAULTS, MARKER_DEFAULTS } from '../config/constants.js';
+import {
+  MODES, CLUSTER_DEFAULTS, HEATMAP_DEFAULTS, MARKER_DEFAULTS, DATA_SOURCE_IDS, MAIN_GROUP_ID, MAP_STYLES, TIMING
+} from '../config/constants.js';
+import { randomSeed, isValidSeed } from '../utils/random.js';
+import { PERIOD_PATTERN } from '../utils/time.js';
+import { isLngLat } from '../utils/geo.js';
+import { VOLUME_RANGES } from '../config/regions.js';
+import { isVolumeRange } from '../data/filters.js';
+import { isShape } from '../data/shapes.js';
 
 /**
  * @typedef {Object} ClusterSettings
@@ -31,8 +39,13 @@ import { MODES, CLUSTER_DEFAULTS, HEATMAP_DEFAULTS, MARKER_DEFAULTS } from '../c
 
 /**
  * @typedef {Object} FilterSettings
- * @property {'all'|'small'|'medium'|'large'} volume - Volume filter
- * @property {'all'|string} category - Category filter
+ * @property {'all'|'small'|'medium'|'large'|import('../data/filters.js').VolumeRange} volume -
+ *   Volume preset (VOLUME_RANGES key) or a custom range from the slider
+ * @property {string[]} category - Categories to show; empty for all
+ * @property {string[]} metro - Metros to show; empty for all (set from the query bar)
+ * @property {'all'|string} period - Time period filter ('YYYY-MM')
+ * @property {import('../data/shapes.js').Shape[]} shapes - Drawn areas; locations
+ *   inside any of them pass. Empty for no spatial filter
  */
 
 /**
@@ -41,6 +54,76 @@ import { MODES, CLUSTER_DEFAULTS, HEATMAP_DEFAULTS, MARKER_DEFAULTS } from '../c
  * @property {string} secondary - Secondary color hex
  */
 
+/**
+ * @typedef {Object} DataSourceSettings
+ * @property {string} active - ID of the active data source
+ * @property {Object.<string, Object>} configs - Saved configuration per data source ID
+ */
+
+/**
+ * @typedef {Object} FilteredResult
+ * @property {LocationData[]} rawData - Dataset the result was computed from
+ * @property {FilterSettings} filters - Filters the result was computed with
+ * @property {Uint32Array} indices - Indices of matching locations in rawData
+ * @property {GeoJSON.FeatureCollection} geoJSON - Matching locations as map features
+ */
+
+/**
+ * @typedef {Object} GenerationSettings
+ * @property {number} seed - PRNG seed for the synthetic generator
+ */
+
+/**
+ * @typedef {Object} LayerGroup
+ * @property {string} id - Unique group ID (prefix of its map layer IDs)
+ * @property {string} name - Display name
+ * @property {LocationData[]} data - Locations shown by the group
+ * @property {'clusters'|'heatmap'|'markers'} mode - Visualization mode
+ * @property {ColorSettings} colors
+ * @property {FilterSettings} filters
+ * @property {boolean} visible
+ */
+
+/**
+ * @typedef {Object} DatasetOrigin
+ * @property {string} source - Data source ID, 'csv'/'file' for imported files, or 'paste' for pasted coordinates
+ * @property {string} [name] - File name of imported data
+ * @property {number} [seed] - Generator seed
+ * @property {string} [libraryId] - Saved dataset the data was loaded from (see data/library.js)
+ */
+
+/**
+ * @typedef {Object} DatasetComparison
+ * @property {{id: string, name: string}} base - Earlier saved dataset
+ * @property {{id: string, name: string}} compare - Later saved dataset
+ * @property {import('../data/diff.js').DatasetDiff} diff
+ */
+
+/**
+ * @typedef {Object} LibrarySettings
+ * @property {string|null} activeId - Saved dataset restored on startup
+ */
+
+/**
+ * @typedef {Object} HistoryChange
+ * @property {string} key - State key
+ * @property {*} oldValue
+ * @property {*} newValue
+ */
+
+/**
+ * @typedef {Object} HistoryStep
+ * @property {number} timestamp - Time of the last change in the step
+ * @property {HistoryChange[]} changes - In the order they were made
+ */
+
+/**
+ * @typedef {Object} SourceStatus
+ * @property {'idle'|'loading'|'ready'|'error'} status - Load state
+ * @property {string|null} error - Last error message
+ * @property {number|null} loadedAt - Timestamp of last successful load
+ */
+
 /**
  * @typedef {Object} LocationData
  * @property {number} id - Unique identifier
@@ -50,6 +133,8 @@ import { MODES, CLUSTER_DEFAULTS, HEATMAP_DEFAULTS, MARKER_DEFAULTS } from '../c
  * @property {string} category - Location category
  * @property {string} metro - Metro area name
  * @property {number} recyclingVolume - Recycling volume in tons/month (1-10)
+ * @property {string} [period] - Month the volume applies to ('YYYY-MM')
+ * @property {number} [timestamp] - Start of the period or exact time (UTC ms)
  */
 
 /**
@@ -66,6 +151,9 @@ const state = {
   /** @type {'clusters'|'heatmap'|'markers'} */
   mode: MODES.CLUSTERS,
 
+  /** @type {string} Map style identifier (see MAP_STYLES) */
+  mapStyle: MAP_STYLES.CYBER,
+
   /** @type {boolean} Track if we auto-switched to clusters */
   autoSwitchedToCluster: false,
 
@@ -75,10 +163,68 @@ const state = {
   /** @type {GeoJSON.FeatureCollection|null} Current GeoJSON */
   geoJSON: null,
 
+  /** @type {number|null} Size of the server-side dataset when only part of it is loaded */
+  datasetTotal: null,
+
+  /** @type {DatasetOrigin|null} Where the current dataset came from */
+  datasetOrigin: null,
+
+  /** @type {FilteredResult|null} Latest filter output from the worker pipeline */
+  filteredResult: null,
+
+  /** @type {GeoJSON.FeatureCollection|null} Non-point features shown as overlay */
+  overlay: null,
+
+  /** @type {DatasetComparison|null} Comparison of two saved datasets shown as the diff layer */
+  comparison: null,
+
+  /** @type {DataSourceSettings} */
+  dataSource: {
+    active: DATA_SOURCE_IDS.GENERATOR,
+    configs: {}
+  },
+
+  /** @type {Object.<string, SourceStatus>} Load state per data source ID */
+  sourceStatus: {},
+
+  /** @type {GenerationSettings} */
+  generation: {
+    seed: randomSeed()
+  },
+
+  /** @type {Object.<string, import('../data/generator.js').RegionConfig>} User-defined regions by ID */
+  customRegions: {},
+
+  /** @type {Object.<string, LayerGroup>} Datasets shown alongside the main one, by group ID */
+  layerGroups: {},
+
+  /** @type {string[]} Layer group IDs from top to bottom, including MAIN_GROUP_ID */
+  layerOrder: [MAIN_GROUP_ID],
+
+  /** @type {boolean} Whether the main dataset's layers are shown */
+  mainGroupVisible: true,
+
+  /** @type {LibrarySettings} */
+  library: {
+    activeId: null
+  },
+
+  /** @type {boolean} Whether map clicks add, select and move locations */
+  editMode: false,
+
+  /** @type {'polygon'|'rectangle'|'circle'|null} Shape being drawn by map clicks, if any */
+  drawMode: null,
+
+  /** @type {import('../data/edits.js').PointEdit[]} Point edits to the current dataset, oldest first */
+  editLog: [],
+
   /** @type {FilterSettings} */
   filters: {
     volume: 'all',
-    category: 'all'
+    category: [],
+    metro: [],
+    shapes: [],
+    period: 'all'
   },
 
   /** @type {ClusterSettings} */
@@ -140,32 +286,40 @@ export function subscribe(key, callback) {
 let batchMode = false;
 
 /**
- * Pending notifications during batch mode
- * @type {Map<string, *>}
+ * Pending notifications during batch mode, as [value, oldValue]
+ * @type {Map<string, [*, *]>}
  */
 const pendingNotifications = new Map();
 
 /**
  * Notify subscribers of state change
+ * Setters of undoable keys pass the old value, which records the change for undo.
  * @param {string} key - Changed state key
  * @param {*} value - New value
+ * @param {*} [oldValue] - Previous value
  */
-function notify(key, value) {
-  // In batch mode, queue notifications for later
+function notify(key, value, oldValue) {
+  if (oldValue !== undefined) {
+    recordChange(key, oldValue, value);
+  }
+
+  // In batch mode, queue notifications for later, keeping the first old value
   if (batchMode) {
-    pendingNotifications.set(key, value);
+    const pending = pendingNotifications.get(key);
+    pendingNotifications.set(key, [value, pending ? pending[1] : oldValue]);
     return;
   }
 
-  fireNotification(key, value);
+  fireNotification(key, value, oldValue);
 }
 
 /**
  * Actually fire the notification to subscribers
  * @param {string} key
  * @param {*} value
+ * @param {*} [oldValue]
  */
-function fireNotification(key, value) {
+function fireNotification(key, value, oldValue) {
   // Notify exact key subscribers
   if (subscribers.has(key)) {
     subscribers.get(key).forEach(cb => cb(value));
@@ -182,7 +336,7 @@ function fireNotification(key, value) {
 
   // Notify wildcard subscribers
   if (subscribers.has('*')) {
-    subscribers.get('*').forEach(cb => cb({ key, value }));
+    subscribers.get('*').forEach(cb => cb({ key, value, oldValue }));
   }
 }
 
@@ -224,7 +378,7 @@ export function setState(key, value) {
 
   if (oldValue !== value) {
     target[finalKey] = value;
-    notify(key, value);
+    notify(key, value, oldValue);
   }
 }
 
@@ -275,8 +429,29 @@ export function getMode() {
  */
 export function setMode(mode) {
   if (state.mode !== mode) {
+    const previous = state.mode;
     state.mode = mode;
-    notify('mode', mode);
+    notify('mode', mode, previous);
+  }
+}
+
+/**
+ * Get the map style
+ * @returns {string}
+ */
+export function getMapStyle() {
+  return state.mapStyle;
+}
+
+/**
+ * Set the map style
+ * @param {string} style - Style identifier
+ */
+export function setMapStyle(style) {
+  if (state.mapStyle !== style) {
+    const previous = state.mapStyle;
+    state.mapStyle = style;
+    notify('mapStyle', style, previous);
   }
 }
 
@@ -314,6 +489,388 @@ export function setGeoJSON(geoJSON) {
   notify('geoJSON', geoJSON);
 }
 
+/**
+ * Get the size of the server-side dataset for paged sources
+ * @returns {number|null} Null when the whole dataset is loaded
+ */
+export function getDatasetTotal() {
+  return state.datasetTotal;
+}
+
+/**
+ * Set the size of the server-side dataset for paged sources
+ * @param {number|null} total
+ */
+export function setDatasetTotal(total) {
+  if (state.datasetTotal !== total) {
+    state.datasetTotal = total;
+    notify('datasetTotal', total);
+  }
+}
+
+/**
+ * Get where the current dataset came from
+ * @returns {DatasetOrigin|null}
+ */
+export function getDatasetOrigin() {
+  return state.datasetOrigin;
+}
+
+/**
+ * Record where the current dataset came from
+ * Call after the dataset itself is applied; live patches and fix-ups keep the origin.
+ * @param {DatasetOrigin|null} origin
+ */
+export function setDatasetOrigin(origin) {
+  state.datasetOrigin = origin;
+  notify('datasetOrigin', origin);
+}
+
+/**
+ * Get the saved dataset restored on startup
+ * @returns {string|null}
+ */
+export function getActiveDatasetId() {
+  return state.library.activeId;
+}
+
+/**
+ * Set the saved dataset restored on startup
+ * @param {string|null} datasetId
+ */
+export function setActiveDatasetId(datasetId) {
+  if (state.library.activeId !== datasetId) {
+    state.library.activeId = datasetId;
+    notify('library.activeId', datasetId);
+  }
+}
+
+/**
+ * Get whether point editing is on
+ * @returns {boolean}
+ */
+export function getEditMode() {
+  return state.editMode;
+}
+
+/**
+ * Turn point editing on or off
+ * @param {boolean} enabled
+ */
+export function setEditMode(enabled) {
+  if (state.editMode !== enabled) {
+    state.editMode = enabled;
+    notify('editMode', enabled);
+  }
+}
+
+/**
+ * Get the shape type being drawn for the spatial filter
+ * @returns {'polygon'|'rectangle'|'circle'|null}
+ */
+export function getDrawMode() {
+  return state.drawMode;
+}
+
+/**
+ * Start drawing a shape type, or stop drawing with null
+ * @param {'polygon'|'rectangle'|'circle'|null} type
+ */
+export function setDrawMode(type) {
+  if (state.drawMode !== type) {
+    state.drawMode = type;
+    notify('drawMode', type);
+  }
+}
+
+/**
+ * Get the point edits made to the current dataset
+ * @returns {import('../data/edits.js').PointEdit[]}
+ */
+export function getEditLog() {
+  return [...state.editLog];
+}
+
+/**
+ * Record a point edit
+ * @param {import('../data/edits.js').PointEdit} edit
+ */
+export function appendEdit(edit) {
+  setEditLog([...state.editLog, edit]);
+}
+
+/**
+ * Replace the edit log (undo/redo moves it to an earlier or later version)
+ * @param {import('../data/edits.js').PointEdit[]} log
+ */
+export function setEditLog(log) {
+  const previous = state.editLog;
+  state.editLog = log;
+  notify('editLog', log, previous);
+}
+
+/**
+ * Forget the recorded point edits, and their undo/redo steps
+ * Used when another dataset is loaded, which the edits no longer apply to.
+ */
+export function clearEditLog() {
+  forgetHistory('editLog');
+
+  if (state.editLog.length > 0) {
+    state.editLog = [];
+    notify('editLog', state.editLog);
+  }
+}
+
+/**
+ * Get the latest filter output from the worker pipeline
+ * @returns {FilteredResult|null}
+ */
+export function getFilteredResult() {
+  return state.filteredResult;
+}
+
+/**
+ * Store filter output from the worker pipeline
+ * @param {FilteredResult|null} result
+ */
+export function setFilteredResult(result) {
+  state.filteredResult = result;
+  notify('filteredResult', result);
+}
+
+/**
+ * Get overlay features (lines, polygons from imported files)
+ * @returns {GeoJSON.FeatureCollection|null}
+ */
+export function getOverlay() {
+  return state.overlay;
+}
+
+/**
+ * Set overlay features
+ * @param {GeoJSON.FeatureCollection|null} overlay
+ */
+export function setOverlay(overlay) {
+  state.overlay = overlay;
+  notify('overlay', overlay);
+}
+
+/**
+ * Get the comparison of two saved datasets
+ * @returns {DatasetComparison|null}
+ */
+export function getComparison() {
+  return state.comparison;
+}
+
+/**
+ * Set or clear the dataset comparison
+ * @param {DatasetComparison|null} comparison
+ */
+export function setComparison(comparison) {
+  state.comparison = comparison;
+  notify('comparison', comparison);
+}
+
+/**
+ * Get the active data source ID
+ * @returns {string}
+ */
+export function getActiveDataSource() {
+  return state.dataSource.active;
+}
+
+/**
+ * Set the active data source ID
+ * @param {string} sourceId
+ */
+export function setActiveDataSource(sourceId) {
+  if (state.dataSource.active !== sourceId) {
+    state.dataSource.active = sourceId;
+    notify('dataSource.active', sourceId);
+  }
+}
+
+/**
+ * Get saved configuration for a data source
+ * @param {string} sourceId
+ * @returns {Object}
+ */
+export function getDataSourceConfig(sourceId) {
+  return { ...state.dataSource.configs[sourceId] };
+}
+
+/**
+ * Merge configuration values for a data source
+ * @param {string} sourceId
+ * @param {Object} config - Partial configuration
+ */
+export function setDataSourceConfig(sourceId, config) {
+  state.dataSource.configs = {
+    ...state.dataSource.configs,
+    [sourceId]: { ...state.dataSource.configs[sourceId], ...config }
+  };
+  notify('dataSource.configs', state.dataSource.configs);
+}
+
+/**
+ * Get load status for a data source
+ * @param {string} sourceId
+ * @returns {SourceStatus}
+ */
+export function getSourceStatus(sourceId) {
+  return state.sourceStatus[sourceId] || { status: 'idle', error: null, loadedAt: null };
+}
+
+/**
+ * Update load status for a data source
+ * @param {string} sourceId
+ * @param {'idle'|'loading'|'ready'|'error'} status
+ * @param {string|null} [error=null] - Error message when status is 'error'
+ */
+export function setSourceStatus(sourceId, status, error = null) {
+  const previous = getSourceStatus(sourceId);
+
+  state.sourceStatus = {
+    ...state.sourceStatus,
+    [sourceId]: {
+      status,
+      error,
+      loadedAt: status === 'ready' ? Date.now() : previous.loadedAt
+    }
+  };
+  notify(`sourceStatus.${sourceId}`, state.sourceStatus[sourceId]);
+}
+
+/**
+ * Get the generator seed
+ * @returns {number}
+ */
+export function getSeed() {
+  return state.generation.seed;
+}
+
+/**
+ * Set the generator seed
+ * @param {number} seed - Unsigned 32-bit integer
+ */
+export function setSeed(seed) {
+  state.generation.seed = seed;
+  notify('generation.seed', seed);
+}
+
+/**
+ * Get user-defined regions
+ * @returns {Object.<string, import('../data/generator.js').RegionConfig>}
+ */
+export function getCustomRegions() {
+  return { ...state.customRegions };
+}
+
+/**
+ * Add or replace a user-defined region
+ * @param {import('../data/generator.js').RegionConfig} region - Region with a unique `id`
+ */
+export function setCustomRegion(region) {
+  state.customRegions = { ...state.customRegions, [region.id]: region };
+  notify(`customRegions.${region.id}`, region);
+}
+
+/**
+ * Remove a user-defined region
+ * @param {string} regionId
+ */
+export function removeCustomRegion(regionId) {
+  if (!(regionId in state.customRegions)) return;
+
+  const { [regionId]: removed, ...rest } = state.customRegions;
+  state.customRegions = rest;
+  notify(`customRegions.${regionId}`, undefined);
+}
+
+/**
+ * Get the added layer groups
+ * @returns {Object.<string, LayerGroup>}
+ */
+export function getLayerGroups() {
+  return { ...state.layerGroups };
+}
+
+/**
+ * Get an added layer group
+ * @param {string} groupId
+ * @returns {LayerGroup|undefined}
+ */
+export function getLayerGroup(groupId) {
+  return state.layerGroups[groupId];
+}
+
+/**
+ * Add or replace a layer group
+ * New groups go on top of the layer order.
+ * @param {LayerGroup} group - Replaced as a whole; pass a copy with changes
+ */
+export function setLayerGroup(group) {
+  const isNew = !(group.id in state.layerGroups);
+
+  state.layerGroups = { ...state.layerGroups, [group.id]: group };
+  notify(`layerGroups.${group.id}`, group);
+
+  if (isNew) {
+    setLayerOrder([group.id, ...state.layerOrder]);
+  }
+}
+
+/**
+ * Remove a layer group
+ * @param {string} groupId
+ */
+export function removeLayerGroup(groupId) {
+  if (!(groupId in state.layerGroups)) return;
+
+  const { [groupId]: removed, ...rest } = state.layerGroups;
+  state.layerGroups = rest;
+  notify(`layerGroups.${groupId}`, undefined);
+  setLayerOrder(state.layerOrder.filter(id => id !== groupId));
+}
+
+/**
+ * Get layer group IDs from top to bottom
+ * @returns {string[]}
+ */
+export function getLayerOrder() {
+  return [...state.layerOrder];
+}
+
+/**
+ * Set the layer group order
+ * @param {string[]} order - Group IDs from top to bottom
+ */
+export function setLayerOrder(order) {
+  state.layerOrder = [...order];
+  notify('layerOrder', state.layerOrder);
+}
+
+/**
+ * Get whether the main dataset's layers are shown
+ * @returns {boolean}
+ */
+export function getMainGroupVisible() {
+  return state.mainGroupVisible;
+}
+
+/**
+ * Show or hide the main dataset's layers
+ * @param {boolean} visible
+ */
+export function setMainGroupVisible(visible) {
+  if (state.mainGroupVisible !== visible) {
+    state.mainGroupVisible = visible;
+    notify('mainGroupVisible', visible);
+  }
+}
+
 /**
  * Get filter settings
  * @returns {FilterSettings}
@@ -322,15 +879,38 @@ export function getFilters() {
   return { ...state.filters };
 }
 
+/**
+ * Check whether two filter values are the same
+ * Category lists and volume ranges are compared by content.
+ * @param {*} a
+ * @param {*} b
+ * @returns {boolean}
+ */
+function sameFilterValue(a, b) {
+  if (Array.isArray(a)) {
+    return Array.isArray(b) && a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+  if (typeof a === 'object' && a !== null) {
+    return typeof b === 'object' && b !== null && a.min === b.min && a.max === b.max;
+  }
+  return a === b;
+}
+
 /**
  * Set a filter value
- * @param {'volume'|'category'} filterType
- * @param {string} value
+ * Category/metro lists and volume ranges are compared by content, so
+ * re-selecting the same categories or dragging a handle back is not a change.
+ * @param {'volume'|'category'|'metro'|'period'|'shapes'} filterType
+ * @param {string|string[]|import('../data/filters.js').VolumeRange|import('../data/shapes.js').Shape[]} value -
+ *   A list of names for 'category' and 'metro'; a preset key or range for
+ *   'volume'; the drawn shapes for 'shapes'
  */
 export function setFilter(filterType, value) {
-  if (state.filters[filterType] !== value) {
+  const previous = state.filters[filterType];
+
+  if (!sameFilterValue(previous, value)) {
     state.filters[filterType] = value;
-    notify(`filters.${filterType}`, value);
+    notify(`filters.${filterType}`, value, previous);
     notify('filters', state.filters);
   }
 }
@@ -350,8 +930,9 @@ export function getClusterSettings() {
  */
 export function setClusterSetting(key, value) {
   if (state.cluster[key] !== value) {
+    const previous = state.cluster[key];
     state.cluster[key] = value;
-    notify(`cluster.${key}`, value);
+    notify(`cluster.${key}`, value, previous);
   }
 }
 
@@ -370,8 +951,9 @@ export function getHeatmapSettings() {
  */
 export function setHeatmapSetting(key, value) {
   if (state.heatmap[key] !== value) {
+    const previous = state.heatmap[key];
     state.heatmap[key] = value;
-    notify(`heatmap.${key}`, value);
+    notify(`heatmap.${key}`, value, previous);
   }
 }
 
@@ -390,8 +972,9 @@ export function getMarkerSettings() {
  */
 export function setMarkerSetting(key, value) {
   if (state.markers[key] !== value) {
+    const previous = state.markers[key];
     state.markers[key] = value;
-    notify(`markers.${key}`, value);
+    notify(`markers.${key}`, value, previous);
   }
 }
 
@@ -410,8 +993,9 @@ export function getColors() {
  */
 export function setColor(key, value) {
   if (state.colors[key] !== value) {
+    const previous = state.colors[key];
     state.colors[key] = value;
-    notify(`colors.${key}`, value);
+    notify(`colors.${key}`, value, previous);
   }
 }
 
@@ -450,8 +1034,18 @@ export function isMapReady() {
  */
 const validators = {
   'mode': (value) => Object.values(MODES).includes(value),
-  'filters.volume': (value) => ['all', 'small', 'medium', 'large'].includes(value),
-  'filters.category': (value) => typeof value === 'string',
+  'filters.volume': (value) => (typeof value === 'string' ? Object.hasOwn(VOLUME_RANGES, value) : isVolumeRange(value)),
+  'filters.category': (value) => Array.isArray(value) && value.every(item => typeof item === 'string'),
+  'filters.metro': (value) => Array.isArray(value) && value.every(item => typeof item === 'string'),
+  'filters.shapes': (value) => Array.isArray(value) && value.every(isShape) &&
+    new Set(value.map(shape => shape.id)).size === value.length,
+  'filters.period': (value) => value === 'all' || PERIOD_PATTERN.test(value),
+  'dataSource.active': (value) => Object.values(DATA_SOURCE_IDS).includes(value),
+  'dataSource.configs': (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  'generation.seed': isValidSeed,
+  'library.activeId': (value) => value === null || typeof value === 'string',
+  'customRegions.*': (value) => typeof value === 'object' && value !== null &&
+    typeof value.name === 'string' && isLngLat(value.center) && Number.isFinite(value.zoom),
   'cluster.radius': (value) => typeof value === 'number' && value >= 10 && value <= 200,
   'cluster.maxZoom': (value) => typeof value === 'number' && value >= 0 && value <= 22,
   'cluster.opacity': (value) => typeof value === 'number' && value >= 0 && value <= 1,
@@ -466,12 +1060,13 @@ const validators = {
 
 /**
  * Validate a state value
+ * Keyed collections (e.g. 'customRegions.<id>') use the parent's '.*' rule.
  * @param {string} key - State key
  * @param {*} value - Value to validate
  * @returns {{valid: boolean, error?: string}}
  */
 export function validateState(key, value) {
-  const validator = validators[key];
+  const validator = validators[key] || validators[`${key.split('.')[0]}.*`];
 
   if (!validator) {
     // No validator defined, allow the value
@@ -507,25 +1102,38 @@ export function setStateValidated(key, value) {
 // BATCH UPDATES
 // =============================================================================
 
+/**
+ * Depth of nested batch() calls
+ * @type {number}
+ */
+let batchDepth = 0;
+
 /**
  * Perform multiple state updates in a batch
- * Notifications are deferred until the batch completes
+ * Notifications are deferred until the outermost batch completes, and
+ * undoable changes made in it form one undo step.
  * @param {Function} updateFn - Function that performs updates
  */
 export function batch(updateFn) {
-  batchMode = true;
-  pendingNotifications.clear();
+  if (batchDepth++ === 0) {
+    batchMode = true;
+    pendingNotifications.clear();
+  }
 
   try {
     updateFn();
   } finally {
-    batchMode = false;
-
-    // Fire all pending notifications
-    pendingNotifications.forEach((value, key) => {
-      fireNotification(key, value);
-    });
-    pendingNotifications.clear();
+    if (--batchDepth === 0) {
+      batchMode = false;
+      commitPendingStep();
+
+      // Fire all pending notifications
+      const pending = [...pendingNotifications];
+      pendingNotifications.clear();
+      pending.forEach(([key, [value, oldValue]]) => {
+        fireNotification(key, value, oldValue);
+      });
+    }
   }
 }
 
@@ -542,6 +1150,226 @@ export function setMultiple(updates) {
 }
 
 
+// =============================================================================
+// UNDO / REDO
+// =============================================================================
+
+/**
+ * Top-level keys whose changes can be undone
+ * Only notifications carrying an old value are recorded, so for objects
+ * these are the leaf keys ('filters.category'), not the parent notifications.
+ * @type {string[]}
+ */
+const undoableKeys = ['mode', 'mapStyle', 'filters', 'cluster', 'heatmap', 'markers', 'colors', 'editLog'];
+
+/**
+ * Keys whose quick successive changes are kept as separate steps
+ * @type {string[]}
+ */
+const unmergedKeys = ['editLog'];
+
+/**
+ * Maximum undo steps to keep
+ */
+const MAX_UNDO_STEPS = 100;
+
+/**
+ * Steps that can be undone, oldest first
+ * @type {HistoryStep[]}
+ */
+const undoStack = [];
+
+/**
+ * Undone steps that can be redone, most recently undone last
+ * @type {HistoryStep[]}
+ */
+const redoStack = [];
+
+/**
+ * Changes recorded in the running batch, by key
+ * @type {Map<string, HistoryChange>}
+ */
+const pendingChanges = new Map();
+
+/**
+ * Depth of withoutHistory() calls; changes aren't recorded while above 0
+ * @type {number}
+ */
+let historyPaused = 0;
+
+/**
+ * Whether a key's changes can be undone
+ * @param {string} key
+ * @returns {boolean}
+ */
+function isUndoable(key) {
+  return undoableKeys.includes(key.split('.')[0]);
+}
+
+/**
+ * Notify undo/redo availability
+ */
+function notifyUndo() {
+  notify('undo', getUndoState());
+}
+
+/**
+ * Add a step to the undo stack, dropping the redo steps
+ * A single-key step made within TIMING.HISTORY_MERGE_MS of a step changing the
+ * same key is merged into it, so dragging a slider is one step.
+ * @param {HistoryStep} step
+ */
+function pushStep(step) {
+  const last = undoStack[undoStack.length - 1];
+  const [change] = step.changes;
+  const mergeable = last && step.changes.length === 1 && last.changes.length === 1 &&
+    last.changes[0].key === change.key && !unmergedKeys.includes(change.key) &&
+    redoStack.length === 0 && step.timestamp - last.timestamp < TIMING.HISTORY_MERGE_MS;
+
+  if (mergeable) {
+    last.changes[0].newValue = change.newValue;
+    last.timestamp = step.timestamp;
+    if (last.changes[0].oldValue === change.newValue) undoStack.pop();
+  } else {
+    undoStack.push(step);
+    if (undoStack.length > MAX_UNDO_STEPS) undoStack.shift();
+  }
+
+  redoStack.length = 0;
+  notifyUndo();
+}
+
+/**
+ * Record an undoable change
+ * Outside a batch each change is its own step; in a batch changes are kept
+ * until the batch ends, with the first old value and last new value per key.
+ * @param {string} key
+ * @param {*} oldValue
+ * @param {*} newValue
+ */
+function recordChange(key, oldValue, newValue) {
+  if (historyPaused > 0 || !isUndoable(key)) return;
+
+  if (batchMode) {
+    const pending = pendingChanges.get(key);
+    pendingChanges.set(key, { key, oldValue: pending ? pending.oldValue : oldValue, newValue });
+    return;
+  }
+
+  pushStep({ timestamp: Date.now(), changes: [{ key, oldValue, newValue }] });
+}
+
+/**
+ * Turn the changes recorded in a finished batch into one undo step
+ */
+function commitPendingStep() {
+  const changes = [...pendingChanges.values()].filter(change => change.oldValue !== change.newValue);
+  pendingChanges.clear();
+
+  if (changes.length > 0) {
+    pushStep({ timestamp: Date.now(), changes });
+  }
+}
+
+/**
+ * Run state updates without recording them for undo
+ * Used for automatic changes (zoom mode switching, playback) and for
+ * applying undo/redo steps.
+ * @param {Function} updateFn
+ */
+export function withoutHistory(updateFn) {
+  historyPaused++;
+  try {
+    updateFn();
+  } finally {
+    historyPaused--;
+  }
+}
+
+/**
+ * Get how many steps can be undone and redone
+ * @returns {{undo: number, redo: number}}
+ */
+export function getUndoState() {
+  return { undo: undoStack.length, redo: redoStack.length };
+}
+
+/**
+ * Move one step from a stack to the other, applying its values
+ * @param {HistoryStep[]} from
+ * @param {HistoryStep[]} to
+ * @param {'oldValue'|'newValue'} side - Values to apply
+ * @param {function(string, *): void} applyChange - Applies a value to the state and the UI
+ * @returns {HistoryStep|null} The step, or null when there is none
+ * @throws {Error} If a change can't be applied; the step is dropped
+ */
+function replayStep(from, to, side, applyChange) {
+  const step = from.pop();
+  if (!step) return null;
+
+  const changes = side === 'oldValue' ? [...step.changes].reverse() : step.changes;
+  try {
+    withoutHistory(() => batch(() => {
+      changes.forEach(change => applyChange(change.key, change[side]));
+    }));
+    to.push(step);
+  } finally {
+    notifyUndo();
+  }
+  return step;
+}
+
+/**
+ * Undo the latest step
+ * `applyChange(key, value)` sets each key back to its old value; it is run
+ * without recording, so it can call the same setters and UI updates as the
+ * original change.
+ * @param {function(string, *): void} applyChange
+ * @returns {HistoryStep|null} Undone step, or null when there is nothing to undo
+ * @throws {Error} If the step can't be applied; it is dropped
+ */
+export function undo(applyChange) {
+  return replayStep(undoStack, redoStack, 'oldValue', applyChange);
+}
+
+/**
+ * Redo the latest undone step
+ * @param {function(string, *): void} applyChange - See undo()
+ * @returns {HistoryStep|null} Redone step, or null when there is nothing to redo
+ * @throws {Error} If the step can't be applied; it is dropped
+ */
+export function redo(applyChange) {
+  return replayStep(redoStack, undoStack, 'newValue', applyChange);
+}
+
+/**
+ * Drop the recorded changes of a key from the undo and redo stacks
+ * Steps left without changes are removed.
+ * @param {string} key - Top-level key
+ */
+export function forgetHistory(key) {
+  const prune = stack => {
+    const kept = stack
+      .map(step => ({ ...step, changes: step.changes.filter(change => change.key.split('.')[0] !== key) }))
+      .filter(step => step.changes.length > 0);
+    stack.splice(0, stack.length, ...kept);
+  };
+
+  prune(undoStack);
+  prune(redoStack);
+  notifyUndo();
+}
+
+/**
+ * Forget all undo and redo steps
+ */
+export function clearUndoHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+  notifyUndo();
+}
+
+
 // =============================================================================
 // STATE PERSISTENCE
 // =============================================================================
@@ -557,6 +1385,10 @@ const STORAGE_KEY = 'map_app_state';
  */
 const persistedKeys = [
   'mode',
+  'dataSource',
+  'generation',
+  'customRegions',
+  'library',
   'filters',
   'cluster',
   'heatmap',
@@ -564,6 +1396,15 @@ const persistedKeys = [
   'colors'
 ];
 
+/**
+ * Upgrades of values persisted by earlier versions, by state key
+ * @type {Object.<string, function(*): *>}
+ */
+const persistedUpgrades = {
+  // A single category ('all' or a name) before the category filter became a list
+  'filters.category': (value) => (typeof value === 'string' ? (value === 'all' ? [] : [value]) : value)
+};
+
 /**
  * Save current state to localStorage
  */
@@ -598,8 +1439,9 @@ export function restoreState() {
       Object.entries(parsed).forEach(([key, value]) => {
         if (typeof value === 'object' && value !== null) {
           // Merge object values
-          Object.entries(value).forEach(([subKey, subValue]) => {
+          Object.entries(value).forEach(([subKey, storedValue]) => {
             const fullKey = `${key}.${subKey}`;
+            const subValue = persistedUpgrades[fullKey] ? persistedUpgrades[fullKey](storedValue) : storedValue;
             const validation = validateState(fullKey, subValue);
             if (validation.valid) {
               setState(fullKey, subValue);
@@ -669,12 +1511,13 @@ export function enableHistory() {
   historyEnabled = true;
 
   // Subscribe to all changes
-  subscribe('*', ({ key, value }) => {
+  subscribe('*', ({ key, value, oldValue }) => {
     if (!historyEnabled) return;
 
     stateHistory.push({
       timestamp: Date.now(),
       key,
+      oldValue,
       newValue: value
     });
 
@@ -719,6 +1562,10 @@ export function getSnapshot() {
     autoSwitchedToCluster: state.autoSwitchedToCluster,
     dataCount: state.rawData.length,
     hasGeoJSON: state.geoJSON !== null,
+    dataSource: state.dataSource.active,
+    sourceStatus: { ...state.sourceStatus },
+    seed: state.generation.seed,
+    customRegions: Object.keys(state.customRegions),
     filters: { ...state.filters },
     cluster: { ...state.cluster },
     heatmap: { ...state.heatmap },
@@ -746,8 +1593,12 @@ export function resetState() {
   batch(() => {
     setState('mode', MODES.CLUSTERS);
     setState('autoSwitchedToCluster', false);
+    setState('dataSource.active', DATA_SOURCE_IDS.GENERATOR);
     setState('filters.volume', 'all');
-    setState('filters.category', 'all');
+    setState('filters.category', []);
+    setState('filters.metro', []);
+    setState('filters.shapes', []);
+    setState('filters.period', 'all');
     setState('cluster.sizeMetric', 'count');
     setState('cluster.colorMetric', 'weight');
     setState('cluster.radius', CLUSTER_DEFAULTS.RADIUS);
@@ -5,11 +5,13 @@
 
 import { TIMING, MODES } from '../config/constants.js';
 import {
-  getMap, getMode, setMode,
+  getMap, setMode, getFilters,
   setFilter, setClusterSetting, setHeatmapSetting, setMarkerSetting, setColor,
-  setAutoSwitchedToCluster
+  setAutoSwitchedToCluster, batch, withoutHistory
 } from '../state/store.js';
-import { rebuildForMode, updateClusterOpacity, updateHeatmapProperties } from '../layers/index.js';
+import {
+  rebuildForMode, rebuildGroupsInMode, updateClusterOpacity, updateHeatmapProperties
+} from '../layers/index.js';
 import { updateLegend } from './legend.js';
 
 /**
@@ -61,14 +63,16 @@ export function toggleDataPanel() {
 
 /**
  * Switch visualization mode
+ * Automatic switches aren't recorded for undo.
  * @param {string} mode - New mode ('clusters', 'heatmap', 'markers')
  * @param {boolean} [isAutoSwitch=false] - Whether this is an automatic switch
  */
 export function switchMode(mode, isAutoSwitch = false) {
-  setMode(mode);
-
   // Reset auto-switch tracking if user manually changed mode
-  if (!isAutoSwitch) {
+  if (isAutoSwitch) {
+    withoutHistory(() => setMode(mode));
+  } else {
+    setMode(mode);
     setAutoSwitchedToCluster(false);
   }
 
@@ -90,33 +94,64 @@ export function switchMode(mode, isAutoSwitch = false) {
 }
 
 /**
- * Set category filter
- * @param {string} category - Category name or 'all'
+ * Mark the selected category chips ('All' when none is selected)
+ * @param {string[]} [categories] - Defaults to the current category filter
  */
-export function setCategoryFilter(category) {
-  setFilter('category', category);
-
-  // Update UI
+export function syncCategoryChips(categories = getFilters().category) {
   document.querySelectorAll('[data-category]').forEach(btn => {
-    btn.classList.toggle('active', btn.dataset.category === category);
+    const selected = btn.dataset.category === 'all'
+      ? categories.length === 0
+      : categories.includes(btn.dataset.category);
+    btn.classList.toggle('active', selected);
+    btn.setAttribute('aria-pressed', String(selected));
   });
+}
 
-  rebuildForMode();
+/**
+ * Set category filter
+ * @param {string[]} categories - Categories to show; empty for all
+ */
+export function setCategoryFilter(categories) {
+  setFilter('category', categories);
+  syncCategoryChips(categories);
 }
 
 /**
- * Set volume filter
- * @param {string} volume - Volume range ('all', 'small', 'medium', 'large')
+ * Toggle a category chip
+ * 'All' clears the selection; deselecting the last category shows all again.
+ * @param {string} category - Category name or 'all'
  */
-export function setVolumeFilter(volume) {
-  setFilter('volume', volume);
+export function toggleCategory(category) {
+  const current = getFilters().category;
+
+  if (category === 'all') {
+    setCategoryFilter([]);
+  } else if (current.includes(category)) {
+    setCategoryFilter(current.filter(item => item !== category));
+  } else {
+    setCategoryFilter([...current, category]);
+  }
+}
 
-  // Update UI
+/**
+ * Mark the selected volume preset (none for a custom range)
+ * @param {string|import('../data/filters.js').VolumeRange} [volume] - Defaults to the current volume filter
+ */
+export function syncVolumeButtons(volume = getFilters().volume) {
   document.querySelectorAll('[data-volume]').forEach(btn => {
     btn.classList.toggle('active', btn.dataset.volume === volume);
   });
+}
 
-  rebuildForMode();
+/**
+ * Set volume filter
+ * The range slider follows the filter (see ui/volumeSlider.js).
+ * @param {string|import('../data/filters.js').VolumeRange} volume - Preset
+ *   ('all', 'small', 'medium', 'large') or a custom range
+ */
+export function setVolumeFilter(volume) {
+  setFilter('volume', volume);
+  syncVolumeButtons(volume);
 }
 
 /**
@@ -130,9 +165,7 @@ export function setClusterSizeMetric(metric) {
     btn.classList.toggle('active', btn.dataset.sizeMetric === metric);
   });
 
-  if (getMode() === MODES.CLUSTERS) {
-    rebuildForMode();
-  }
+  rebuildGroupsInMode(MODES.CLUSTERS);
 }
 
 /**
@@ -146,9 +179,7 @@ export function setClusterColorMetric(metric) {
     btn.classList.toggle('active', btn.dataset.colorMetric === metric);
   });
 
-  if (getMode() === MODES.CLUSTERS) {
-    rebuildForMode();
-  }
+  rebuildGroupsInMode(MODES.CLUSTERS);
 }
 
 /**
@@ -158,7 +189,7 @@ export function setClusterColorMetric(metric) {
 export function updateClusterRadius(value) {
   document.getElementById('clusterRadiusValue').textContent = value;
   setClusterSetting('radius', parseInt(value));
-  rebuildForMode();
+  rebuildGroupsInMode(MODES.CLUSTERS);
 }
 
 /**
@@ -168,7 +199,7 @@ export function updateClusterRadius(value) {
 export function updateClusterMaxZoom(value) {
   document.getElementById('clusterMaxZoomValue').textContent = value;
   setClusterSetting('maxZoom', parseInt(value));
-  rebuildForMode();
+  rebuildGroupsInMode(MODES.CLUSTERS);
 }
 
 /**
@@ -193,9 +224,7 @@ export function setHeatMetric(metric) {
     btn.classList.toggle('active', btn.dataset.heatMetric === metric);
   });
 
-  if (getMode() === MODES.HEATMAP) {
-    rebuildForMode();
-  }
+  rebuildGroupsInMode(MODES.HEATMAP);
 }
 
 /**
@@ -210,9 +239,11 @@ export function updateHeatmap() {
   document.getElementById('heatRadiusValue').textContent = radius;
   document.getElementById('heatOpacityValue').textContent = opacity;
 
-  setHeatmapSetting('intensity', intensity);
-  setHeatmapSetting('radius', radius);
-  setHeatmapSetting('opacity', opacity);
+  batch(() => {
+    setHeatmapSetting('intensity', intensity);
+    setHeatmapSetting('radius', radius);
+    setHeatmapSetting('opacity', opacity);
+  });
 
   updateHeatmapProperties({ intensity, radius, opacity });
 }
@@ -228,9 +259,7 @@ export function setMarkerIcon(icon) {
     btn.classList.toggle('active', btn.dataset.icon === icon);
   });
 
-  if (getMode() === MODES.MARKERS) {
-    rebuildForMode();
-  }
+  rebuildGroupsInMode(MODES.MARKERS);
 
   updateLegend();
 }
@@ -243,9 +272,7 @@ export function updateMarkerSize(value) {
   document.getElementById('markerSizeValue').textContent = value;
   setMarkerSetting('baseSize', parseFloat(value));
 
-  if (getMode() === MODES.MARKERS) {
-    rebuildForMode();
-  }
+  rebuildGroupsInMode(MODES.MARKERS);
 }
 
 /**
@@ -255,9 +282,7 @@ export function updateMarkerScaling() {
   const scaleByVolume = document.getElementById('scaleByVolume').checked;
   setMarkerSetting('scaleByVolume', scaleByVolume);
 
-  if (getMode() === MODES.MARKERS) {
-    rebuildForMode();
-  }
+  rebuildGroupsInMode(MODES.MARKERS);
 
   updateLegend();
 }
@@ -280,14 +305,86 @@ export function updateColors() {
   document.getElementById('primaryColorHex').textContent = primary;
   document.getElementById('secondaryColorHex').textContent = secondary;
 
-  setColor('primary', primary);
-  setColor('secondary', secondary);
+  batch(() => {
+    setColor('primary', primary);
+    setColor('secondary', secondary);
+  });
 
   // Rebuild to apply new colors
   rebuildForMode();
   updateLegend();
 }
 
+/**
+ * Set an input's value without firing its listeners
+ * @param {string} id - Element ID
+ * @param {string|number} value
+ */
+function setInputValue(id, value) {
+  const input = document.getElementById(id);
+  if (input) input.value = value;
+}
+
+/**
+ * Heatmap slider IDs by setting
+ */
+const HEATMAP_INPUTS = { intensity: 'heatIntensity', radius: 'heatRadius', opacity: 'heatOpacity' };
+
+/**
+ * Apply a setting to the store, its control and the map
+ * Used by undo/redo: moves the control and runs the same handler as a user change.
+ * @param {string} key - State key, e.g. 'mode', 'filters.category' or 'cluster.radius'
+ * @param {*} value
+ * @returns {boolean} Whether the key is a setting with a control
+ */
+export function applySetting(key, value) {
+  const [group, setting] = key.split('.');
+
+  if (key === 'mode') {
+    switchMode(value);
+  } else if (key === 'filters.category') {
+    setCategoryFilter(value);
+  } else if (key === 'filters.volume') {
+    setVolumeFilter(value);
+  } else if (key === 'filters.metro' || key === 'filters.period' || key === 'filters.shapes') {
+    // The query bar, timeline and shape list follow these filters
+    setFilter(setting, value);
+  } else if (key === 'cluster.sizeMetric') {
+    setClusterSizeMetric(value);
+  } else if (key === 'cluster.colorMetric') {
+    setClusterColorMetric(value);
+  } else if (key === 'cluster.radius') {
+    setInputValue('clusterRadius', value);
+    updateClusterRadius(value);
+  } else if (key === 'cluster.maxZoom') {
+    setInputValue('clusterMaxZoom', value);
+    updateClusterMaxZoom(value);
+  } else if (key === 'cluster.opacity') {
+    setInputValue('clusterOpacity', value);
+    handleClusterOpacityChange(value);
+  } else if (key === 'heatmap.metric') {
+    setHeatMetric(value);
+  } else if (group === 'heatmap' && setting in HEATMAP_INPUTS) {
+    setInputValue(HEATMAP_INPUTS[setting], value);
+    updateHeatmap();
+  } else if (key === 'markers.icon') {
+    setMarkerIcon(value);
+  } else if (key === 'markers.baseSize') {
+    setInputValue('markerSize', value);
+    updateMarkerSize(value);
+  } else if (key === 'markers.scaleByVolume') {
+    const checkbox = document.getElementById('scaleByVolume');
+    if (checkbox) checkbox.checked = value;
+    updateMarkerScaling();
+  } else if (group === 'colors') {
+    setInputValue(`${setting}Color`, value);
+    updateColors();
+  } else {
+    return false;
+  }
+  return true;
+}
+
 /**
  * Initialize all control event listeners
  * This replaces the inline onclick handlers
@@ -304,15 +401,17 @@ export function initControlListeners() {
     btn.addEventListener('click', () => switchMode(btn.dataset.mode));
   });
 
-  // Category filter buttons
+  // Category filter chips (multi-select)
   document.querySelectorAll('[data-category]').forEach(btn => {
-    btn.addEventListener('click', () => setCategoryFilter(btn.dataset.category));
+    btn.addEventListener('click', () => toggleCategory(btn.dataset.category));
   });
+  syncCategoryChips();
 
-  // Volume filter buttons
+  // Volume presets (the range slider is set up by initVolumeSlider)
   document.querySelectorAll('[data-volume]').forEach(btn => {
     btn.addEventListener('click', () => setVolumeFilter(btn.dataset.volume));
   });
+  syncVolumeButtons();
 
   // Cluster metric buttons
   document.querySelectorAll('[data-size-metric]').forEach(btn => {
@@ -0,0 +1,189 @@
+/**
+ * CSV import controls with interactive column mapping
+ * @module ui/csvImport
+ */
+
+import { CSV_FIELDS, parseCSV, guessColumnMapping, mapCsvRows, shouldGeocode, geocodeCsvRows } from '../data/csv.js';
+import { getGeocoder } from '../data/geocode.js';
+import { setDatasetOrigin } from '../state/store.js';
+import { applyDataset, stopLiveFeed } from '../data/sources/index.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Maximum number of rejected rows listed in the report
+ */
+const MAX_REPORTED_ROWS = 50;
+
+/**
+ * Parsed CSV awaiting import
+ * @type {{headers: string[], rows: string[][], fileName: string}|null}
+ */
+let pendingCsv = null;
+
+/**
+ * Render one mapping select per LocationData field
+ * @param {string[]} headers
+ * @param {Object.<string, number>} mapping - Initial mapping
+ */
+function renderMapping(headers, mapping) {
+  const container = document.getElementById('csvMapping');
+  if (!container) return;
+
+  const options = headers
+    .map((header, i) => `<option value="${i}">${escapeHtml(header || `Column ${i + 1}`)}</option>`)
+    .join('');
+
+  container.innerHTML = CSV_FIELDS.map(({ field, label, required }) => `
+    <div class="control-group">
+      <label>${label}${required ? ' *' : ''}</label>
+      <select data-csv-field="${field}">
+        <option value="-1">— Not mapped —</option>
+        ${options}
+      </select>
+    </div>
+  `).join('') + `
+    <div class="value-display">* Or map Address, ZIP code or Metro to place rows with ${escapeHtml(getGeocoder().name)}</div>
+  `;
+
+  container.querySelectorAll('[data-csv-field]').forEach(select => {
+    select.value = String(mapping[select.dataset.csvField]);
+  });
+
+  container.classList.remove('hidden');
+  document.getElementById('csvImportBtn')?.classList.remove('hidden');
+}
+
+/**
+ * Read the current mapping from the selects
+ * @returns {Object.<string, number>}
+ */
+function readMapping() {
+  const mapping = {};
+
+  document.querySelectorAll('#csvMapping [data-csv-field]').forEach(select => {
+    mapping[select.dataset.csvField] = parseInt(select.value);
+  });
+
+  return mapping;
+}
+
+/**
+ * Render a capped list of report lines
+ * @param {string[]} lines - Plain text lines
+ * @returns {string} HTML, empty when there are no lines
+ */
+function renderReportList(lines) {
+  if (lines.length === 0) return '';
+
+  const listed = lines.slice(0, MAX_REPORTED_ROWS)
+    .map(line => `<li>${escapeHtml(line)}</li>`)
+    .join('');
+  const more = lines.length > MAX_REPORTED_ROWS
+    ? `<li>…and ${lines.length - MAX_REPORTED_ROWS} more</li>`
+    : '';
+
+  return `<ul>${listed}${more}</ul>`;
+}
+
+/**
+ * Render the import summary, rejected rows and rows left to review
+ * @param {number} importedCount
+ * @param {Array<{row: number, reason: string}>} rejected - Rows rejected by mapCsvRows
+ * @param {import('../data/csv.js').CsvGeocodeResult|null} geocoding - Null when nothing was geocoded
+ */
+function renderReport(importedCount, rejected, geocoding) {
+  const report = document.getElementById('csvReport');
+  if (!report) return;
+
+  // Unmatched rows are rejected for their blank coordinates; list them once, for review
+  const unmatched = geocoding?.unmatched ?? [];
+  const unmatchedRows = new Set(unmatched.map(({ row }) => row));
+  const invalid = rejected.filter(({ row }) => !unmatchedRows.has(row));
+
+  report.innerHTML = `
+    <div class="value-display">Imported ${importedCount} · Rejected ${invalid.length}</div>
+    ${renderReportList(invalid.map(({ row, reason }) => `Row ${row}: ${reason}`))}
+    ${geocoding ? `
+      <div class="value-display">
+        Geocoded ${geocoding.geocoded} with ${escapeHtml(getGeocoder().name)} · Not matched ${unmatched.length}
+      </div>
+      ${renderReportList(unmatched.map(({ row, query }) => `Row ${row}: ${query || 'no address'}`))}
+    ` : ''}
+  `;
+  report.classList.remove('hidden');
+}
+
+/**
+ * Handle CSV file selection - parse locally and show column mapping
+ * @param {File} file
+ */
+export async function handleCsvFile(file) {
+  if (!file) return;
+
+  try {
+    const text = await file.text();
+    const { headers, rows } = parseCSV(text);
+
+    if (headers.length === 0 || rows.length === 0) {
+      showToast(`${file.name} has no data rows`, 'warning');
+      return;
+    }
+
+    pendingCsv = { headers, rows, fileName: file.name };
+    renderMapping(headers, guessColumnMapping(headers));
+    document.getElementById('csvReport')?.classList.add('hidden');
+
+  } catch (error) {
+    console.error('Failed to read CSV:', error);
+    showToast(`Could not read ${file.name}`, 'error');
+  }
+}
+
+/**
+ * Import the pending CSV with the selected mapping
+ * Rows without coordinates are geocoded first when an address, ZIP code or
+ * metro column is mapped; locations then carry geocodeConfidence (0-1) and
+ * geocodeMatch properties.
+ */
+export async function importCsv() {
+  if (!pendingCsv) return;
+
+  const { fileName } = pendingCsv;
+  let rows = pendingCsv.rows;
+  let mapping = readMapping();
+  let extraColumns = {};
+  let geocoding = null;
+  let result;
+
+  try {
+    if (shouldGeocode(mapping)) {
+      geocoding = await geocodeCsvRows(rows, mapping);
+      ({ rows, mapping, extraColumns } = geocoding);
+    }
+    result = mapCsvRows(rows, mapping, extraColumns);
+  } catch (error) {
+    showToast(error.message, 'warning');
+    return;
+  }
+
+  renderReport(result.data.length, result.rejected, geocoding);
+
+  if (result.data.length === 0) {
+    showToast('No valid rows to import', 'error');
+    return;
+  }
+
+  stopLiveFeed();
+  applyDataset(result.data);
+  setDatasetOrigin({ source: 'csv', name: fileName });
+  showToast(`Imported ${result.data.length} locations from ${fileName}`, 'success');
+}
+
+/**
+ * Initialize CSV import event listeners
+ */
+export function initCsvImportListeners() {
+  document.getElementById('csvFile')?.addEventListener('change', (e) => handleCsvFile(e.target.files[0]));
+  document.getElementById('csvImportBtn')?.addEventListener('click', importCsv);
+}
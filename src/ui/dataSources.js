@@ -0,0 +1,128 @@
+/**
+ * Data source selection and configuration controls
+ * @module ui/dataSources
+ */
+
+import { DATA_SOURCE_IDS } from '../config/constants.js';
+import {
+  getActiveDataSource, setActiveDataSource,
+  getDataSourceConfig, setDataSourceConfig,
+  getSourceStatus, getRawData, getDatasetTotal, subscribe
+} from '../state/store.js';
+import { listDataSources, getDataSource } from '../data/sources/index.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Status labels shown in the data panel
+ * @type {Object.<string, string>}
+ */
+const STATUS_LABELS = {
+  idle: 'Not loaded',
+  loading: 'Loading…',
+  ready: 'Loaded',
+  live: 'Live',
+  error: 'Error'
+};
+
+/**
+ * Show config fields for the given source and hide the others
+ * @param {string} sourceId
+ */
+function showSourceConfig(sourceId) {
+  document.querySelectorAll('[data-source-config]').forEach(el => {
+    const ids = el.dataset.sourceConfig.split(' ');
+    el.classList.toggle('hidden', !ids.includes(sourceId));
+  });
+
+  const loadBtn = document.getElementById('loadDataBtn');
+  if (loadBtn) {
+    loadBtn.textContent = sourceId === DATA_SOURCE_IDS.GENERATOR ? 'Regenerate Data'
+      : sourceId === DATA_SOURCE_IDS.LIVE ? 'Connect' : 'Load Data';
+  }
+}
+
+/**
+ * Fill config inputs from saved source config
+ * @param {string} sourceId
+ */
+function populateSourceFields(sourceId) {
+  const config = getDataSourceConfig(sourceId);
+
+  document.querySelectorAll(`[data-source-config~="${sourceId}"] [data-source-field]`).forEach(input => {
+    const value = config[input.dataset.sourceField];
+    if (value !== undefined) {
+      input.value = value;
+    }
+  });
+}
+
+/**
+ * Render load status for the active source
+ */
+export function updateSourceStatus() {
+  const el = document.getElementById('dataSourceStatus');
+  if (!el) return;
+
+  const sourceId = getActiveDataSource();
+  const { status, error } = getSourceStatus(sourceId);
+
+  let text = STATUS_LABELS[status] || status;
+  if (status === 'ready') {
+    const label = getDataSource(sourceId)?.live ? STATUS_LABELS.live : STATUS_LABELS.ready;
+    const total = getDatasetTotal();
+    text = total === null
+      ? `${label}: ${getRawData().length} points`
+      : `${label}: ${getRawData().length} of ${total} points in view`;
+  } else if (status === 'error' && error) {
+    text = `${STATUS_LABELS.error}: ${error}`;
+  }
+
+  el.textContent = text;
+  el.classList.toggle('error', status === 'error');
+}
+
+/**
+ * Switch the active data source in the UI
+ * @param {string} sourceId
+ */
+export function selectDataSource(sourceId) {
+  setActiveDataSource(sourceId);
+  showSourceConfig(sourceId);
+  populateSourceFields(sourceId);
+  updateSourceStatus();
+}
+
+/**
+ * Initialize data source controls
+ */
+export function initDataSourceControls() {
+  const select = document.getElementById('dataSource');
+  if (!select) return;
+
+  select.innerHTML = listDataSources()
+    .map(source => `<option value="${source.id}">${source.name}</option>`)
+    .join('');
+  select.value = getActiveDataSource();
+  select.addEventListener('change', () => selectDataSource(select.value));
+
+  // Persist config edits per source
+  document.querySelectorAll('[data-source-field]').forEach(input => {
+    input.addEventListener('change', () => {
+      const sourceIds = input.closest('[data-source-config]')?.dataset.sourceConfig || getActiveDataSource();
+      sourceIds.split(' ').forEach(id => {
+        setDataSourceConfig(id, { [input.dataset.sourceField]: input.value.trim() });
+      });
+    });
+  });
+
+  subscribe('sourceStatus', () => {
+    updateSourceStatus();
+
+    const { status, error } = getSourceStatus(getActiveDataSource());
+    if (status === 'error') {
+      showToast(error || 'Failed to load data', 'error');
+    }
+  });
+
+  selectDataSource(getActiveDataSource());
+}
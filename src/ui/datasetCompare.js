@@ -0,0 +1,179 @@
+/**
+ * Compare panel - differences between two saved datasets, shown as the diff
+ * layer with a summary table per category
+ * @module ui/datasetCompare
+ */
+
+import { DIFF_COLORS } from '../config/constants.js';
+import { getComparison, setComparison, getFilters, subscribe } from '../state/store.js';
+import { hasActiveFilters } from '../state/selectors.js';
+import { loadDataset } from '../data/library.js';
+import { diffDatasets, filterDiff, summarizeDiff } from '../data/diff.js';
+import { applyDiffLayer } from '../layers/index.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Summary table columns: [count key, heading, diff color]
+ */
+const COLUMNS = [
+  ['added', 'Added', DIFF_COLORS.added],
+  ['removed', 'Removed', DIFF_COLORS.removed],
+  ['moved', 'Moved', DIFF_COLORS.changed],
+  ['volumeChanged', 'Volume', DIFF_COLORS.changed]
+];
+
+/**
+ * Fill the base and compare selects with the saved datasets
+ * Keeps the current selections; otherwise compares the two most recent
+ * datasets, older as base.
+ * @param {import('../data/library.js').DatasetMeta[]} datasets - Most recently saved first
+ */
+export function renderCompareOptions(datasets) {
+  const defaults = { compareBase: datasets[1]?.id, compareTarget: datasets[0]?.id };
+
+  Object.entries(defaults).forEach(([selectId, fallback]) => {
+    const select = document.getElementById(selectId);
+    if (!select) return;
+
+    const selected = datasets.some(meta => meta.id === select.value) ? select.value : fallback;
+    select.innerHTML = datasets
+      .map(meta => `<option value="${escapeHtml(meta.id)}"${meta.id === selected ? ' selected' : ''}>${escapeHtml(meta.name)}</option>`)
+      .join('');
+  });
+}
+
+/**
+ * Compare two saved datasets and show the result
+ * @param {string} baseId - Earlier dataset
+ * @param {string} compareId - Later dataset
+ * @returns {Promise<import('../state/store.js').DatasetComparison|null>} Null if a dataset is missing or both are the same
+ */
+export async function compareSavedDatasets(baseId, compareId) {
+  if (!baseId || !compareId || baseId === compareId) {
+    showToast('Pick two different saved datasets', 'warning');
+    return null;
+  }
+
+  let base, compare;
+  try {
+    [base, compare] = await Promise.all([loadDataset(baseId), loadDataset(compareId)]);
+  } catch (error) {
+    console.error('Failed to load datasets for comparison:', error);
+    showToast(`Could not load datasets: ${error.message}`, 'error');
+    return null;
+  }
+
+  if (!base || !compare) {
+    showToast('Saved dataset not found', 'warning');
+    return null;
+  }
+
+  const comparison = {
+    base: { id: base.meta.id, name: base.meta.name },
+    compare: { id: compare.meta.id, name: compare.meta.name },
+    diff: diffDatasets(base.data, compare.data)
+  };
+  setComparison(comparison);
+  return comparison;
+}
+
+/**
+ * Remove the comparison and its diff layer
+ */
+export function clearComparison() {
+  setComparison(null);
+}
+
+/**
+ * Format a net volume change
+ * @param {number} delta - Tons/month
+ * @returns {string}
+ */
+function formatVolumeDelta(delta) {
+  const rounded = Math.round(delta * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded}t`;
+}
+
+/**
+ * Render one row of the summary table
+ * @param {string} label
+ * @param {import('../data/diff.js').DiffCounts} counts
+ * @param {string} [cell='td'] - 'th' for the totals row
+ * @returns {string} HTML
+ */
+function renderRow(label, counts, cell = 'td') {
+  return `
+    <tr>
+      <${cell}>${escapeHtml(label)}</${cell}>
+      ${COLUMNS.map(([key]) => `<${cell}>${counts[key]}</${cell}>`).join('')}
+      <${cell}>${formatVolumeDelta(counts.volumeDelta)}</${cell}>
+    </tr>
+  `;
+}
+
+/**
+ * Render the comparison summary, following the category/volume filters
+ */
+export function renderComparison() {
+  const container = document.getElementById('compareSummary');
+  if (!container) return;
+
+  const comparison = getComparison();
+  document.getElementById('compareClearBtn')?.classList.toggle('hidden', !comparison);
+
+  if (!comparison) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const { base, compare, diff } = comparison;
+  const entries = filterDiff(diff.entries, getFilters());
+  const { totals, byCategory } = summarizeDiff(entries);
+  const rows = Object.keys(byCategory).sort().map(category => renderRow(category, byCategory[category])).join('');
+  const headings = COLUMNS
+    .map(([, heading, color]) => `<th><span class="compare-swatch" style="background: ${color}"></span>${heading}</th>`)
+    .join('');
+
+  container.innerHTML = `
+    <div class="value-display">
+      ${escapeHtml(base.name)} → ${escapeHtml(compare.name)} · ${diff.unchanged} unchanged${hasActiveFilters() ? ' · filtered' : ''}
+    </div>
+    ${entries.length > 0 ? `
+      <table class="compare-table">
+        <thead><tr><th>Category</th>${headings}<th>Net</th></tr></thead>
+        <tbody>${rows}</tbody>
+        <tfoot>${renderRow('Total', totals, 'th')}</tfoot>
+      </table>
+    ` : '<div class="value-display">No differences</div>'}
+  `;
+}
+
+/**
+ * Update the diff layer and summary
+ */
+function refreshComparison() {
+  applyDiffLayer();
+  renderComparison();
+}
+
+/**
+ * Initialize compare panel listeners
+ * The dataset options are rendered with the library list (see ui/datasetLibrary.js).
+ */
+export function initDatasetCompare() {
+  document.getElementById('compareBtn')?.addEventListener('click', async () => {
+    const baseId = document.getElementById('compareBase')?.value;
+    const compareId = document.getElementById('compareTarget')?.value;
+    const comparison = await compareSavedDatasets(baseId, compareId);
+
+    if (comparison) {
+      showToast(`Compared ${comparison.base.name} with ${comparison.compare.name}`, 'success');
+    }
+  });
+  document.getElementById('compareClearBtn')?.addEventListener('click', clearComparison);
+
+  subscribe('comparison', refreshComparison);
+  subscribe('filters', refreshComparison);
+  renderComparison();
+}
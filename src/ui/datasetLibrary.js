@@ -0,0 +1,225 @@
+/**
+ * Dataset library panel - save, load and delete datasets kept in IndexedDB
+ * @module ui/datasetLibrary
+ */
+
+import {
+  getRawData, getDatasetOrigin, setDatasetOrigin, getActiveDatasetId, setActiveDatasetId, subscribe
+} from '../state/store.js';
+import {
+  saveDataset, listDatasets, loadDataset, deleteDataset, isLibraryPersistent
+} from '../data/library.js';
+import { applyDataset, stopLiveFeed } from '../data/sources/index.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from './notifications.js';
+import { addLayerGroup } from './layerManager.js';
+import { renderCompareOptions } from './datasetCompare.js';
+
+/**
+ * Origins of imported files, which are saved to the library automatically
+ */
+const IMPORT_SOURCES = ['csv', 'file'];
+
+/**
+ * Describe a saved dataset for the list
+ * @param {import('../data/library.js').DatasetMeta} meta
+ * @returns {string}
+ */
+function describeDataset(meta) {
+  return [
+    `${meta.rowCount.toLocaleString()} rows`,
+    meta.source,
+    meta.seed !== null ? `seed ${meta.seed}` : null,
+    new Date(meta.savedAt).toLocaleDateString()
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Render the saved datasets with load/delete buttons, and the compare options
+ * @returns {Promise<void>}
+ */
+export async function renderLibraryList() {
+  const list = document.getElementById('datasetList');
+  if (!list) return;
+
+  const [datasets, persistent] = await Promise.all([listDatasets(), isLibraryPersistent()]);
+  const activeId = getActiveDatasetId();
+
+  const rows = datasets.map(meta => `
+    <li>
+      <span>${escapeHtml(meta.name)}${meta.id === activeId ? ' ●' : ''}
+        <span class="value-display">${escapeHtml(describeDataset(meta))}</span>
+      </span>
+      <span>
+        <button class="btn" data-dataset-load="${escapeHtml(meta.id)}">Load</button>
+        <button class="btn" data-dataset-layer="${escapeHtml(meta.id)}" title="Show as an extra layer">Layer</button>
+        <button class="btn" data-dataset-delete="${escapeHtml(meta.id)}">Delete</button>
+      </span>
+    </li>
+  `).join('');
+  const notice = persistent ? '' : '<li>Browser storage unavailable: saved datasets last until reload</li>';
+
+  list.innerHTML = rows + notice;
+  renderCompareOptions(datasets);
+}
+
+/**
+ * Save the current dataset under the name in the library form
+ * @returns {Promise<void>}
+ */
+export async function saveCurrentDataset() {
+  const name = document.getElementById('datasetName')?.value ?? '';
+  const data = getRawData();
+  const origin = getDatasetOrigin();
+
+  if (data.length === 0) {
+    showToast('No data to save', 'warning');
+    return;
+  }
+  if (!name.trim()) {
+    showToast('Enter a name for the dataset', 'warning');
+    return;
+  }
+
+  let meta;
+  try {
+    meta = await saveDataset(data, { name, source: origin?.source ?? 'unknown', seed: origin?.seed });
+  } catch (error) {
+    console.error('Failed to save dataset:', error);
+    showToast(`Could not save dataset: ${error.message}`, 'warning');
+    return;
+  }
+
+  setDatasetOrigin({ ...origin, source: meta.source, name: meta.name, libraryId: meta.id });
+  showToast(`Saved ${meta.name} (${meta.rowCount} locations)`, 'success');
+}
+
+/**
+ * Load a saved dataset as the current dataset
+ * Any open live feed is closed so it can't patch the loaded data.
+ * @param {string} datasetId
+ * @returns {Promise<boolean>} Whether the dataset was found
+ */
+export async function loadSavedDataset(datasetId) {
+  let saved;
+  try {
+    saved = await loadDataset(datasetId);
+  } catch (error) {
+    console.error('Failed to load dataset:', error);
+    showToast(`Could not load dataset: ${error.message}`, 'error');
+    return false;
+  }
+
+  if (!saved) return false;
+
+  const { meta, data } = saved;
+  stopLiveFeed();
+  applyDataset(data);
+  setDatasetOrigin({
+    source: meta.source,
+    name: meta.name,
+    ...(meta.seed !== null && { seed: meta.seed }),
+    libraryId: meta.id
+  });
+  return true;
+}
+
+/**
+ * Load the dataset that was active in the previous session
+ * @returns {Promise<boolean>} Whether a dataset was restored
+ */
+export async function restoreActiveDataset() {
+  const datasetId = getActiveDatasetId();
+  if (!datasetId) return false;
+
+  if (await loadSavedDataset(datasetId)) {
+    showToast(`Restored ${getDatasetOrigin().name}`, 'info');
+    return true;
+  }
+
+  setActiveDatasetId(null);
+  return false;
+}
+
+/**
+ * Save an imported file to the library under its file name
+ * @param {import('../state/store.js').DatasetOrigin} origin
+ * @returns {Promise<void>}
+ */
+async function saveImport(origin) {
+  try {
+    const meta = await saveDataset(getRawData(), { name: origin.name, source: origin.source });
+    if (getDatasetOrigin() === origin) {
+      setDatasetOrigin({ ...origin, libraryId: meta.id });
+      return;
+    }
+  } catch (error) {
+    console.warn('Failed to save import to the library:', error);
+  }
+  renderLibraryList();
+}
+
+/**
+ * Track the active saved dataset and save imported files
+ * @param {import('../state/store.js').DatasetOrigin|null} origin
+ */
+function handleOriginChange(origin) {
+  setActiveDatasetId(origin?.libraryId ?? null);
+
+  const input = document.getElementById('datasetName');
+  if (input) input.value = origin?.name ?? '';
+
+  if (origin && !origin.libraryId && IMPORT_SOURCES.includes(origin.source)) {
+    saveImport(origin);
+  } else {
+    renderLibraryList();
+  }
+}
+
+/**
+ * Handle load/layer/delete clicks in the dataset list
+ * @param {MouseEvent} e
+ * @returns {Promise<void>}
+ */
+async function handleLibraryClick(e) {
+  const loadId = e.target.closest('[data-dataset-load]')?.dataset.datasetLoad;
+  const layerId = e.target.closest('[data-dataset-layer]')?.dataset.datasetLayer;
+  const deleteId = e.target.closest('[data-dataset-delete]')?.dataset.datasetDelete;
+
+  if (loadId) {
+    if (await loadSavedDataset(loadId)) {
+      showToast(`Loaded ${getDatasetOrigin().name}`, 'success');
+    } else {
+      showToast('Saved dataset not found', 'warning');
+      renderLibraryList();
+    }
+  } else if (layerId) {
+    const saved = await loadDataset(layerId).catch(() => null);
+    if (saved) {
+      addLayerGroup(saved.meta.name, saved.data);
+    } else {
+      showToast('Saved dataset not found', 'warning');
+    }
+  } else if (deleteId) {
+    try {
+      await deleteDataset(deleteId);
+      if (getActiveDatasetId() === deleteId) {
+        setActiveDatasetId(null);
+      }
+    } catch (error) {
+      console.error('Failed to delete dataset:', error);
+      showToast(`Could not delete dataset: ${error.message}`, 'warning');
+    }
+    renderLibraryList();
+  }
+}
+
+/**
+ * Initialize dataset library listeners and render the saved datasets
+ */
+export function initDatasetLibrary() {
+  document.getElementById('datasetSaveBtn')?.addEventListener('click', saveCurrentDataset);
+  document.getElementById('datasetList')?.addEventListener('click', handleLibraryClick);
+  subscribe('datasetOrigin', handleOriginChange);
+  renderLibraryList();
+}
@@ -0,0 +1,74 @@
+/**
+ * Export controls for downloading the filtered dataset
+ * @module ui/exportPanel
+ */
+
+import { getFilteredGeoJSON } from '../state/selectors.js';
+import { EXPORT_FORMATS, exportFeatures } from '../data/export.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Base name for exported files
+ */
+const EXPORT_FILE_NAME = 'locations';
+
+/**
+ * Trigger a browser download for text content
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} mimeType
+ */
+export function downloadText(content, fileName, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Export the filtered dataset using the selected format
+ */
+export function exportFilteredData() {
+  const format = document.getElementById('exportFormat')?.value || 'csv';
+  const includeDerived = document.getElementById('exportDerived')?.checked || false;
+  const spec = EXPORT_FORMATS[format];
+
+  const featureCollection = getFilteredGeoJSON();
+  if (!featureCollection || featureCollection.features.length === 0) {
+    showToast('No locations match the current filters', 'warning');
+    return;
+  }
+
+  const content = exportFeatures(featureCollection, format, { includeDerived });
+  downloadText(content, `${EXPORT_FILE_NAME}.${spec.extension}`, spec.mimeType);
+
+  showToast(`Exported ${featureCollection.features.length} locations as ${spec.label}`, 'success');
+}
+
+/**
+ * Populate the format select from EXPORT_FORMATS
+ */
+function populateFormats() {
+  const select = document.getElementById('exportFormat');
+  if (!select) return;
+
+  select.innerHTML = Object.entries(EXPORT_FORMATS)
+    .map(([id, { label }]) => `<option value="${id}">${label}</option>`)
+    .join('');
+}
+
+/**
+ * Initialize export event listeners
+ */
+export function initExportListeners() {
+  populateFormats();
+  document.getElementById('exportBtn')?.addEventListener('click', exportFilteredData);
+}
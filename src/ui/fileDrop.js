@@ -0,0 +1,113 @@
+/**
+ * Drag-and-drop loading of GeoJSON, TopoJSON and KML files onto the map
+ * @module ui/fileDrop
+ */
+
+import { setOverlay, setDatasetOrigin } from '../state/store.js';
+import { parseSpatialFile, getExtension, SPATIAL_EXTENSIONS } from '../data/formats.js';
+import { applyDataset, stopLiveFeed } from '../data/sources/index.js';
+import { applyOverlay } from '../layers/index.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Build a human-readable summary of non-point geometries
+ * @param {Object.<string, number>} geometryCounts
+ * @returns {string} e.g. "3 Polygon, 1 LineString"
+ */
+function describeNonPoints(geometryCounts) {
+  return Object.entries(geometryCounts)
+    .filter(([type]) => type !== 'Point' && type !== 'MultiPoint')
+    .map(([type, count]) => `${count} ${type}`)
+    .join(', ');
+}
+
+/**
+ * Load a dropped spatial file
+ * Point features replace the active dataset; lines and polygons are shown
+ * as an overlay and reported in the notification.
+ * @param {File} file
+ */
+export async function loadSpatialFile(file) {
+  const extension = getExtension(file.name);
+
+  if (!SPATIAL_EXTENSIONS.includes(extension)) {
+    showToast(`Unsupported file type: .${extension || '?'} (use GeoJSON, TopoJSON or KML)`, 'warning');
+    return;
+  }
+
+  let result;
+  try {
+    result = parseSpatialFile(file.name, await file.text());
+  } catch (error) {
+    console.error('Failed to parse dropped file:', error);
+    showToast(error.message, 'error', 5000);
+    return;
+  }
+
+  const { points, overlay, geometryCounts } = result;
+  const nonPoints = describeNonPoints(geometryCounts);
+
+  if (points.length === 0 && overlay.features.length === 0) {
+    showToast(`${file.name} contains no features`, 'warning');
+    return;
+  }
+
+  setOverlay(overlay.features.length > 0 ? overlay : null);
+
+  if (points.length > 0) {
+    stopLiveFeed();
+    applyDataset(points);
+    setDatasetOrigin({ source: 'file', name: file.name });
+  }
+  applyOverlay();
+
+  const parts = [];
+  if (points.length > 0) parts.push(`${points.length} points loaded`);
+  if (nonPoints) parts.push(`${nonPoints} shown as overlay`);
+  if (points.length === 0) parts.push('no points, current dataset kept');
+
+  showToast(`${file.name}: ${parts.join(' · ')}`, 'success', 5000);
+}
+
+/**
+ * Check whether a drag event carries files
+ * @param {DragEvent} e
+ * @returns {boolean}
+ */
+function hasFiles(e) {
+  return Array.from(e.dataTransfer?.types || []).includes('Files');
+}
+
+/**
+ * Initialize drag-and-drop listeners on the map container
+ */
+export function initFileDropListeners() {
+  const target = document.getElementById('map');
+  if (!target) return;
+
+  const container = target.closest('.map-container') || target;
+
+  target.addEventListener('dragover', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    container.classList.add('drop-active');
+  });
+
+  target.addEventListener('dragleave', (e) => {
+    if (!target.contains(e.relatedTarget)) {
+      container.classList.remove('drop-active');
+    }
+  });
+
+  target.addEventListener('drop', (e) => {
+    if (!hasFiles(e)) return;
+    e.preventDefault();
+    container.classList.remove('drop-active');
+
+    const file = e.dataTransfer.files[0];
+    if (file) {
+      loadSpatialFile(file);
+    }
+  });
+}
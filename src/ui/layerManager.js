@@ -0,0 +1,266 @@
+/**
+ * Layer manager - extra datasets shown as layer groups next to the main dataset
+ * @module ui/layerManager
+ */
+
+import { MODES, MAIN_GROUP_ID, GROUP_COLORS } from '../config/constants.js';
+import { CATEGORIES, VOLUME_RANGES } from '../config/regions.js';
+import {
+  getMap, getRawData, getDatasetOrigin, getLayerGroup, getLayerGroups, setLayerGroup, removeLayerGroup,
+  getLayerOrder, setLayerOrder, getMainGroupVisible, setMainGroupVisible, subscribe
+} from '../state/store.js';
+import {
+  rebuildGroup, updateGroupData, removeGroupLayers, setGroupVisibility, applyLayerOrder
+} from '../layers/index.js';
+import { setupLayerInteractions } from '../map/interactions.js';
+import { escapeHtml } from '../utils/html.js';
+import { updateLegend } from './legend.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Number of groups added this session, for IDs and default colors
+ */
+let addedGroups = 0;
+
+/**
+ * Pattern for color input values
+ */
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Add a dataset as a new layer group on top of the others
+ * @param {string} name - Display name
+ * @param {LocationData[]} data
+ * @returns {import('../state/store.js').LayerGroup}
+ */
+export function addLayerGroup(name, data) {
+  const group = {
+    id: `group-${++addedGroups}`,
+    name,
+    data,
+    mode: MODES.CLUSTERS,
+    colors: { ...GROUP_COLORS[(addedGroups - 1) % GROUP_COLORS.length] },
+    filters: { category: [], volume: 'all', period: 'all' },
+    visible: true
+  };
+
+  setLayerGroup(group);
+  refreshGroupLayers(group.id);
+  showToast(`Added layer ${name} (${data.length} locations)`, 'success');
+  return group;
+}
+
+/**
+ * Add a copy of the main dataset as a layer group
+ * The main dataset can then be replaced by loading another source.
+ */
+export function addCurrentDatasetAsLayer() {
+  const data = getRawData();
+  if (data.length === 0) {
+    showToast('No data to add as a layer', 'warning');
+    return;
+  }
+
+  const origin = getDatasetOrigin();
+  addLayerGroup(origin?.name || origin?.source || 'Dataset', data);
+}
+
+/**
+ * Rebuild a group's map layers and bind their interactions
+ * @param {string} groupId
+ */
+function refreshGroupLayers(groupId) {
+  const map = getMap();
+  if (map?.isStyleLoaded()) {
+    rebuildGroup(groupId, map);
+    setupLayerInteractions(map, groupId);
+  }
+  updateLegend();
+}
+
+/**
+ * Apply a change from a group's controls
+ * Mode and colors rebuild the group's layers; filters only update its data
+ * or layer filters.
+ * @param {string} groupId
+ * @param {string} field - 'mode', 'primary', 'secondary', 'category' or 'volume'
+ * @param {string} value
+ */
+export function updateLayerGroup(groupId, field, value) {
+  const group = getLayerGroup(groupId);
+  if (!group) return;
+
+  if (field === 'mode' && Object.values(MODES).includes(value)) {
+    setLayerGroup({ ...group, mode: value });
+    refreshGroupLayers(groupId);
+  } else if ((field === 'primary' || field === 'secondary') && HEX_COLOR.test(value)) {
+    setLayerGroup({ ...group, colors: { ...group.colors, [field]: value } });
+    refreshGroupLayers(groupId);
+  } else if (field === 'category' || field === 'volume') {
+    // The group's category select picks one category or all
+    const filterValue = field === 'category' ? (value === 'all' ? [] : [value]) : value;
+    setLayerGroup({ ...group, filters: { ...group.filters, [field]: filterValue } });
+    updateGroupData(groupId);
+    updateLegend();
+  }
+}
+
+/**
+ * Show or hide a layer group
+ * @param {string} groupId
+ * @param {boolean} visible
+ */
+export function setLayerGroupVisible(groupId, visible) {
+  if (groupId === MAIN_GROUP_ID) {
+    setMainGroupVisible(visible);
+  } else {
+    const group = getLayerGroup(groupId);
+    if (!group) return;
+    setLayerGroup({ ...group, visible });
+  }
+
+  setGroupVisibility(groupId, visible);
+  updateLegend();
+}
+
+/**
+ * Move a layer group up (drawn above more groups) or down
+ * @param {string} groupId
+ * @param {-1|1} offset - -1 moves up, 1 moves down
+ */
+export function moveLayerGroup(groupId, offset) {
+  const order = getLayerOrder();
+  const from = order.indexOf(groupId);
+  const to = from + offset;
+  if (from === -1 || to < 0 || to >= order.length) return;
+
+  order.splice(to, 0, ...order.splice(from, 1));
+  setLayerOrder(order);
+  applyLayerOrder();
+  updateLegend();
+}
+
+/**
+ * Remove an added layer group and its map layers
+ * @param {string} groupId
+ */
+export function deleteLayerGroup(groupId) {
+  if (!getLayerGroup(groupId)) return;
+
+  removeGroupLayers(getMap(), groupId);
+  removeLayerGroup(groupId);
+  updateLegend();
+}
+
+/**
+ * Build <option>s for a select
+ * @param {Array<[string, string]>} options - [value, label] pairs
+ * @param {string} selected
+ * @returns {string} HTML
+ */
+function renderOptions(options, selected) {
+  return options
+    .map(([value, label]) => `<option value="${escapeHtml(value)}"${value === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`)
+    .join('');
+}
+
+/**
+ * Render the controls of an added group
+ * @param {import('../state/store.js').LayerGroup} group
+ * @returns {string} HTML
+ */
+function renderGroupControls(group) {
+  const id = escapeHtml(group.id);
+  const modes = Object.values(MODES).map(mode => [mode, mode[0].toUpperCase() + mode.slice(1)]);
+  const categories = [['all', 'All categories'], ...CATEGORIES.map(category => [category, category])];
+  const volumes = Object.entries(VOLUME_RANGES).map(([key, range]) => [key, range.label]);
+
+  return `
+    <div class="layer-controls">
+      <select data-group-field="mode" data-group-id="${id}">${renderOptions(modes, group.mode)}</select>
+      <input type="color" data-group-field="primary" data-group-id="${id}" value="${group.colors.primary}" title="Primary color">
+      <input type="color" data-group-field="secondary" data-group-id="${id}" value="${group.colors.secondary}" title="Secondary color">
+      <select data-group-field="category" data-group-id="${id}">${renderOptions(categories, group.filters.category.length === 1 ? group.filters.category[0] : 'all')}</select>
+      <select data-group-field="volume" data-group-id="${id}">${renderOptions(volumes, group.filters.volume)}</select>
+    </div>
+  `;
+}
+
+/**
+ * Render the layer list, top group first
+ */
+export function renderLayerList() {
+  const list = document.getElementById('layerList');
+  if (!list) return;
+
+  const groups = getLayerGroups();
+  const order = getLayerOrder();
+
+  list.innerHTML = order.map((groupId, index) => {
+    const group = groups[groupId];
+    const isMain = groupId === MAIN_GROUP_ID;
+    const visible = isMain ? getMainGroupVisible() : group.visible;
+    const id = escapeHtml(groupId);
+
+    return `
+      <li>
+        <div class="layer-row">
+          <label>
+            <input type="checkbox" data-group-visible="${id}"${visible ? ' checked' : ''}>
+            ${escapeHtml(isMain ? 'Main dataset' : group.name)}
+            <span class="value-display">${isMain ? 'settings above' : `${group.data.length} pts`}</span>
+          </label>
+          <span>
+            <button class="btn" data-group-move="-1" data-group-id="${id}"${index === 0 ? ' disabled' : ''} title="Move up">↑</button>
+            <button class="btn" data-group-move="1" data-group-id="${id}"${index === order.length - 1 ? ' disabled' : ''} title="Move down">↓</button>
+            ${isMain ? '' : `<button class="btn" data-group-remove="${id}" title="Remove layer">✕</button>`}
+          </span>
+        </div>
+        ${isMain ? '' : renderGroupControls(group)}
+      </li>
+    `;
+  }).join('');
+}
+
+/**
+ * Handle move/remove buttons in the layer list
+ * @param {MouseEvent} e
+ */
+function handleLayerListClick(e) {
+  const moveBtn = e.target.closest('[data-group-move]');
+  const removeId = e.target.closest('[data-group-remove]')?.dataset.groupRemove;
+
+  if (moveBtn) {
+    moveLayerGroup(moveBtn.dataset.groupId, Number(moveBtn.dataset.groupMove));
+  } else if (removeId) {
+    deleteLayerGroup(removeId);
+  }
+}
+
+/**
+ * Handle visibility checkboxes and group controls in the layer list
+ * @param {Event} e
+ */
+function handleLayerListChange(e) {
+  const { groupVisible, groupField, groupId } = e.target.dataset;
+
+  if (groupVisible) {
+    setLayerGroupVisible(groupVisible, e.target.checked);
+  } else if (groupField) {
+    updateLayerGroup(groupId, groupField, e.target.value);
+  }
+}
+
+/**
+ * Initialize layer manager listeners and render the layer list
+ */
+export function initLayerManager() {
+  const list = document.getElementById('layerList');
+  list?.addEventListener('click', handleLayerListClick);
+  list?.addEventListener('change', handleLayerListChange);
+  document.getElementById('addLayerBtn')?.addEventListener('click', addCurrentDatasetAsLayer);
+
+  // The list is re-rendered when groups are added, removed or reordered
+  subscribe('layerOrder', renderLayerList);
+  renderLayerList();
+}
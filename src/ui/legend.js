@@ -3,28 +3,47 @@
  * @module ui/legend
  */
 
-import { MODES } from '../config/constants.js';
-import { VOLUME_RANGES } from '../config/regions.js';
+import { MODES, MAIN_GROUP_ID } from '../config/constants.js';
+import { getVolumeBounds, formatVolumeFilter } from '../data/filters.js';
 import { ICON_EMOJIS } from '../utils/icons.js';
+import { escapeHtml } from '../utils/html.js';
 import {
-  getMode, getFilters, getColors,
+  getMode, getFilters, getColors, getLayerGroup, getLayerOrder, getMainGroupVisible,
   getClusterSettings, getHeatmapSettings, getMarkerSettings
 } from '../state/store.js';
 
 /**
- * Build filter indicator HTML if any filters are active
- * @param {Object} filters - Current filter settings
- * @returns {string} HTML string
+ * List the active filters
+ * @param {Object} filters - Filter settings
+ * @returns {string[]} Labels of active filters
  */
-function buildFilterIndicator(filters) {
+function describeFilters(filters) {
   const activeFilters = [];
 
-  if (filters.category !== 'all') {
-    activeFilters.push(filters.category);
+  if (filters.category.length > 0) {
+    activeFilters.push(filters.category.join(' + '));
+  }
+  if (filters.metro?.length > 0) {
+    activeFilters.push(filters.metro.join(' + '));
   }
-  if (filters.volume !== 'all') {
-    activeFilters.push(VOLUME_RANGES[filters.volume].label);
+  const volume = getVolumeBounds(filters.volume);
+  if (volume.min !== null || volume.max !== null) {
+    activeFilters.push(formatVolumeFilter(filters.volume));
   }
+  if (filters.shapes?.length > 0) {
+    activeFilters.push(`${filters.shapes.length} drawn area${filters.shapes.length === 1 ? '' : 's'}`);
+  }
+
+  return activeFilters;
+}
+
+/**
+ * Build filter indicator HTML if any filters are active
+ * @param {Object} filters - Current filter settings
+ * @returns {string} HTML string
+ */
+function buildFilterIndicator(filters) {
+  const activeFilters = describeFilters(filters);
 
   if (activeFilters.length === 0) {
     return '';
@@ -81,16 +100,17 @@ function buildClusterLegend(config) {
 /**
  * Build heatmap mode legend HTML
  * @param {Object} config
+ * @param {string} [config.ramp] - CSS gradient stops for a custom color ramp
  * @returns {string} HTML string
  */
 function buildHeatmapLegend(config) {
-  const { metric } = config;
+  const { metric, ramp = 'rgba(0,0,255,0.3), cyan, lime, yellow, red' } = config;
 
   return `
     <div class="legend-title">Heatmap</div>
     <div class="legend-section">
       <div class="legend-label">${metric === 'weight' ? 'Total Weight Density' : 'Location Density'}</div>
-      <div class="legend-gradient" style="background: linear-gradient(to right, rgba(0,0,255,0.3), cyan, lime, yellow, red);"></div>
+      <div class="legend-gradient" style="background: linear-gradient(to right, ${ramp});"></div>
       <div class="legend-gradient-labels">
         <span>Low</span>
         <span>High</span>
@@ -150,48 +170,88 @@ function buildMarkerLegend(config) {
 }
 
 /**
- * Update the legend display based on current mode and settings
+ * Build the legend for one mode
+ * @param {string} mode
+ * @param {import('../state/store.js').ColorSettings} colors
+ * @param {boolean} [customRamp=false] - Heatmap drawn in the group colors (added groups)
+ * @returns {string} HTML string
  */
-export function updateLegend() {
-  const legendEl = document.getElementById('legend');
-  if (!legendEl) return;
-
-  const mode = getMode();
-  const filters = getFilters();
-  const colors = getColors();
-
-  const filterHtml = buildFilterIndicator(filters);
-  let contentHtml = '';
-
+function buildModeLegend(mode, colors, customRamp = false) {
   switch (mode) {
     case MODES.CLUSTERS: {
       const settings = getClusterSettings();
-      contentHtml = buildClusterLegend({
+      return buildClusterLegend({
         primary: colors.primary,
         secondary: colors.secondary,
         sizeMetric: settings.sizeMetric,
         colorMetric: settings.colorMetric
       });
-      break;
     }
 
     case MODES.HEATMAP: {
       const settings = getHeatmapSettings();
-      contentHtml = buildHeatmapLegend({
-        metric: settings.metric
+      return buildHeatmapLegend({
+        metric: settings.metric,
+        ...(customRamp && { ramp: `${colors.primary}40, ${colors.secondary}` })
       });
-      break;
     }
 
     case MODES.MARKERS: {
       const settings = getMarkerSettings();
-      contentHtml = buildMarkerLegend({
+      return buildMarkerLegend({
         icon: settings.icon,
         scaleByVolume: settings.scaleByVolume
       });
-      break;
     }
+
+    default:
+      return '';
+  }
+}
+
+/**
+ * Build one stacked legend block per visible layer group, top group first
+ * @returns {string} HTML string
+ */
+function buildStackedLegend() {
+  return getLayerOrder()
+    .map(groupId => {
+      if (groupId === MAIN_GROUP_ID) {
+        return getMainGroupVisible()
+          ? { name: 'Main dataset', mode: getMode(), colors: getColors(), filters: getFilters(), custom: false }
+          : null;
+      }
+      const group = getLayerGroup(groupId);
+      return group?.visible ? { ...group, custom: true } : null;
+    })
+    .filter(Boolean)
+    .map(({ name, mode, colors, filters, custom }) => {
+      const activeFilters = describeFilters(filters);
+      return `
+        <div class="legend-group">
+          <div class="legend-group-name">
+            <span class="legend-circle" style="width: 10px; height: 10px; background: ${colors.primary};"></span>
+            ${escapeHtml(name)}${activeFilters.length > 0 ? ` <span class="legend-text">🔍 ${activeFilters.join(' + ')}</span>` : ''}
+          </div>
+          ${buildModeLegend(mode, colors, custom)}
+        </div>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Update the legend display based on current mode and settings
+ * With added layer groups, legends stack per group in layer order.
+ */
+export function updateLegend() {
+  const legendEl = document.getElementById('legend');
+  if (!legendEl) return;
+
+  if (getLayerOrder().length > 1) {
+    legendEl.innerHTML = buildStackedLegend();
+    return;
   }
 
-  legendEl.innerHTML = filterHtml + contentHtml;
+  legendEl.innerHTML = buildFilterIndicator(getFilters()) + buildModeLegend(getMode(), getColors());
 }
@@ -118,11 +118,13 @@ export function updateVisibleCount(count) {
 
 /**
  * Update the total points count display
- * @param {number} count
+ * Paged sources show loaded / available.
+ * @param {number} count - Loaded points
+ * @param {number|null} [available=null] - Points on the server, when only part is loaded
  */
-export function updateTotalCount(count) {
+export function updateTotalCount(count, available = null) {
   const el = document.getElementById('statPoints');
-  if (el) el.textContent = count;
+  if (el) el.textContent = available === null ? count : `${count} / ${available}`;
 }
 
 /**
@@ -146,13 +148,14 @@ export function updateFilteredCount(count) {
 /**
  * Update all stats displays
  * @param {Object} stats
- * @param {number} stats.total
+ * @param {number} stats.total - Loaded points
+ * @param {number|null} [stats.available] - Points on the server for paged sources
  * @param {number} stats.visible
  * @param {number} stats.zoom
  * @param {number} [stats.filtered]
  */
 export function updateStats(stats) {
-  if (stats.total !== undefined) updateTotalCount(stats.total);
+  if (stats.total !== undefined) updateTotalCount(stats.total, stats.available ?? null);
   if (stats.visible !== undefined) updateVisibleCount(stats.visible);
   if (stats.zoom !== undefined) updateZoomDisplay(stats.zoom);
   if (stats.filtered !== undefined) updateFilteredCount(stats.filtered);
@@ -0,0 +1,162 @@
+/**
+ * Paste box - coordinate lists pasted from a spreadsheet or email, previewed
+ * on the map and loaded as a dataset
+ * @module ui/pasteImport
+ */
+
+import { TIMING } from '../config/constants.js';
+import { getMap, setDatasetOrigin } from '../state/store.js';
+import { parsePastedPoints } from '../data/paste.js';
+import { calculateBounds } from '../data/generator.js';
+import { applyDataset, stopLiveFeed } from '../data/sources/index.js';
+import { showPreviewPoints, removePreviewPoints } from '../layers/index.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Maximum number of rejected lines listed in the summary
+ */
+const MAX_REPORTED_LINES = 20;
+
+/**
+ * Dataset name for pasted points
+ */
+const PASTE_DATASET_NAME = 'Pasted points';
+
+/**
+ * Delimiter names for the summary
+ */
+const DELIMITER_LABELS = { ',': 'comma', ';': 'semicolon', '\t': 'tab', '|': 'pipe', ' ': 'spaces' };
+
+/**
+ * How the coordinate order was decided, for the summary
+ */
+const ORDER_SOURCES = {
+  option: 'as selected',
+  header: 'from header',
+  values: 'from values',
+  assumed: 'assumed, check the preview'
+};
+
+/**
+ * Parsed paste awaiting load
+ * @type {import('../data/paste.js').PasteResult|null}
+ */
+let pendingPaste = null;
+
+/**
+ * Pending preview update while typing
+ * @type {number|null}
+ */
+let previewTimer = null;
+
+/**
+ * Render what was detected and which lines were rejected
+ * @param {import('../data/paste.js').PasteResult|null} result
+ */
+function renderPasteSummary(result) {
+  const summary = document.getElementById('pasteSummary');
+  const loadBtn = document.getElementById('pasteLoadBtn');
+  if (loadBtn) loadBtn.disabled = !result || result.data.length === 0;
+  if (!summary) return;
+
+  if (!result) {
+    summary.innerHTML = '';
+    return;
+  }
+
+  const { data, rejected, delimiter, order, orderFrom, headers } = result;
+  const listed = rejected.slice(0, MAX_REPORTED_LINES)
+    .map(({ line, reason }) => `<li>Line ${line}: ${escapeHtml(reason)}</li>`)
+    .join('');
+  const more = rejected.length > MAX_REPORTED_LINES
+    ? `<li>…and ${rejected.length - MAX_REPORTED_LINES} more</li>`
+    : '';
+
+  summary.innerHTML = `
+    <div class="value-display">
+      ${data.length} points · ${DELIMITER_LABELS[delimiter]}-separated${headers ? ' with header' : ''} ·
+      ${order === 'latlng' ? 'lat, lng' : 'lng, lat'} (${ORDER_SOURCES[orderFrom]})
+    </div>
+    ${rejected.length > 0 ? `<ul>${listed}${more}</ul>` : ''}
+  `;
+}
+
+/**
+ * Parse the paste box and preview the points on the map
+ * The map zooms to the preview so a wrong coordinate order is easy to spot.
+ * @returns {import('../data/paste.js').PasteResult|null} Null when the box is empty
+ */
+export function previewPaste() {
+  clearTimeout(previewTimer);
+  previewTimer = null;
+
+  const text = document.getElementById('pasteText')?.value ?? '';
+  const order = document.getElementById('pasteOrder')?.value ?? 'auto';
+
+  pendingPaste = text.trim() ? parsePastedPoints(text, { order }) : null;
+  renderPasteSummary(pendingPaste);
+
+  if (!pendingPaste || pendingPaste.data.length === 0) {
+    removePreviewPoints();
+    return pendingPaste;
+  }
+
+  showPreviewPoints(pendingPaste.data);
+  getMap()?.fitBounds(calculateBounds(pendingPaste.data), {
+    padding: 50,
+    maxZoom: 14,
+    duration: TIMING.EASE_DURATION_MS
+  });
+  return pendingPaste;
+}
+
+/**
+ * Load the previewed points as the current dataset
+ * @returns {boolean} Whether points were loaded
+ */
+export function loadPastedPoints() {
+  const result = previewTimer !== null || !pendingPaste ? previewPaste() : pendingPaste;
+  if (!result || result.data.length === 0) {
+    showToast('No coordinates to load', 'warning');
+    return false;
+  }
+
+  stopLiveFeed();
+  applyDataset(result.data);
+  setDatasetOrigin({ source: 'paste', name: PASTE_DATASET_NAME });
+  clearPaste();
+
+  const skipped = result.rejected.length > 0 ? ` (${result.rejected.length} lines skipped)` : '';
+  showToast(`Loaded ${result.data.length} pasted points${skipped}`, 'success');
+  return true;
+}
+
+/**
+ * Empty the paste box and remove the preview
+ */
+export function clearPaste() {
+  clearTimeout(previewTimer);
+  previewTimer = null;
+  pendingPaste = null;
+
+  const textarea = document.getElementById('pasteText');
+  if (textarea) textarea.value = '';
+
+  removePreviewPoints();
+  renderPasteSummary(null);
+}
+
+/**
+ * Initialize paste box listeners
+ */
+export function initPasteImport() {
+  document.getElementById('pasteText')?.addEventListener('input', () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(previewPaste, TIMING.PASTE_PREVIEW_DEBOUNCE_MS);
+  });
+  document.getElementById('pasteOrder')?.addEventListener('change', previewPaste);
+  document.getElementById('pasteLoadBtn')?.addEventListener('click', loadPastedPoints);
+  document.getElementById('pasteClearBtn')?.addEventListener('click', clearPaste);
+  renderPasteSummary(null);
+}
@@ -0,0 +1,111 @@
+/**
+ * Data-quality report panel with fix-ups
+ * @module ui/qualityReport
+ */
+
+import { getRawData, getDatasetTotal, subscribe } from '../state/store.js';
+import { ISSUE_TYPES, FIX_LABELS, validateDataset, applyFix } from '../data/validation.js';
+import { applyDataset } from '../data/sources/index.js';
+import { showPointPopup } from '../map/interactions.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Maximum number of offending rows listed in the report
+ */
+const MAX_REPORTED_ROWS = 50;
+
+/**
+ * Report for the current dataset
+ * @type {import('../data/validation.js').ValidationReport|null}
+ */
+let currentReport = null;
+
+/**
+ * Validate the current dataset and render the report
+ */
+export function renderQualityReport() {
+  const container = document.getElementById('qualityReport');
+  if (!container) return;
+
+  const data = getRawData();
+  currentReport = validateDataset(data);
+  const { checked, affected, issues, counts } = currentReport;
+
+  if (issues.length === 0) {
+    container.innerHTML = `<div class="value-display">${checked > 0 ? `No issues in ${checked} locations` : 'No data loaded'}</div>`;
+    return;
+  }
+
+  const summary = Object.entries(ISSUE_TYPES)
+    .filter(([type]) => counts[type] > 0)
+    .map(([type, { label, fixes }]) => `
+      <li>
+        <span>${label} <span class="value-display">${counts[type]}</span></span>
+        <span>
+          <select data-fix-select="${type}">
+            ${fixes.map(fix => `<option value="${fix}">${FIX_LABELS[fix]}</option>`).join('')}
+          </select>
+          <button class="btn" data-fix-type="${type}">Fix</button>
+        </span>
+      </li>
+    `)
+    .join('');
+
+  const rows = issues.slice(0, MAX_REPORTED_ROWS)
+    .map(({ index, id, message }, i) => `
+      <li><button class="link-btn" data-issue="${i}">Row ${index + 1} · id ${escapeHtml(id)}: ${escapeHtml(message)}</button></li>
+    `)
+    .join('');
+  const more = issues.length > MAX_REPORTED_ROWS
+    ? `<li>…and ${issues.length - MAX_REPORTED_ROWS} more</li>`
+    : '';
+
+  container.innerHTML = `
+    <div class="value-display">${affected} of ${checked} locations have issues</div>
+    <ul class="quality-summary">${summary}</ul>
+    <ul class="quality-rows">${rows}${more}</ul>
+  `;
+}
+
+/**
+ * Apply the selected fix for one issue type to the current dataset
+ * @param {import('../data/validation.js').IssueType} type
+ * @param {import('../data/validation.js').FixType} fix
+ */
+export function fixIssues(type, fix) {
+  if (!currentReport) return;
+
+  const { data, fixed } = applyFix(getRawData(), currentReport.issues, type, fix);
+  applyDataset(data, getDatasetTotal());
+  showToast(`${FIX_LABELS[fix]}: ${fixed} ${fixed === 1 ? 'location' : 'locations'} (${ISSUE_TYPES[type].label})`, 'success');
+}
+
+/**
+ * Handle fix buttons and clicks on offending rows
+ * @param {MouseEvent} e
+ */
+function handleReportClick(e) {
+  const fixType = e.target.closest('[data-fix-type]')?.dataset.fixType;
+  const issueIndex = e.target.closest('[data-issue]')?.dataset.issue;
+
+  if (fixType) {
+    const select = document.querySelector(`[data-fix-select="${fixType}"]`);
+    fixIssues(fixType, select?.value || ISSUE_TYPES[fixType].fixes[0]);
+  } else if (issueIndex !== undefined && currentReport) {
+    const issue = currentReport.issues[Number(issueIndex)];
+    const point = getRawData()[issue.index];
+    if (point && !showPointPopup(point)) {
+      showToast(`Row ${issue.index + 1} has no valid position to show`, 'warning');
+    }
+  }
+}
+
+/**
+ * Initialize the report: re-validate whenever the dataset changes
+ */
+export function initQualityReport() {
+  document.getElementById('qualityReport')?.addEventListener('click', handleReportClick);
+  subscribe('rawData', renderQualityReport);
+  renderQualityReport();
+}
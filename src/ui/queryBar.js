@@ -0,0 +1,216 @@
+/**
+ * Query bar - type filters as a query, with completion and inline errors
+ * The query and the filter buttons/sliders edit the same filter state, so
+ * each follows the other.
+ * @module ui/queryBar
+ */
+
+import { TIMING } from '../config/constants.js';
+import { getFilters, setFilter, subscribe, batch } from '../state/store.js';
+import { getQueryValues } from '../state/selectors.js';
+import { filterKey } from '../data/filters.js';
+import { parseQuery, formatQuery, getCompletions, applyCompletion } from '../data/query.js';
+import { escapeHtml } from '../utils/html.js';
+import { setCategoryFilter, setVolumeFilter } from './controls.js';
+
+/**
+ * Pending query apply while typing
+ * @type {number|null}
+ */
+let applyTimer = null;
+
+/**
+ * Completion shown under the input, and the highlighted item
+ * @type {{completion: import('../data/query.js').Completion, active: number}|null}
+ */
+let suggestions = null;
+
+/**
+ * Show the first error of a query, marking the offending text
+ * @param {string} text
+ * @param {import('../data/query.js').QueryError[]} errors
+ */
+function renderErrors(text, errors) {
+  const input = document.getElementById('filterQuery');
+  const container = document.getElementById('queryError');
+  input?.classList.toggle('invalid', errors.length > 0);
+  input?.setAttribute('aria-invalid', String(errors.length > 0));
+  if (!container) return;
+
+  container.classList.toggle('hidden', errors.length === 0);
+  if (errors.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const [{ message, start, end }] = errors;
+  container.innerHTML = `
+    <code>${escapeHtml(text.slice(0, start))}<mark>${escapeHtml(text.slice(start, end) || ' ')}</mark>${escapeHtml(text.slice(end))}</code>
+    <div>${escapeHtml(message)}${errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}</div>
+  `;
+}
+
+/**
+ * Set every filter from a parsed query, as one undo step
+ * @param {import('../state/store.js').FilterSettings} filters
+ */
+function applyFilters(filters) {
+  batch(() => {
+    setCategoryFilter(filters.category);
+    setVolumeFilter(filters.volume);
+    setFilter('metro', filters.metro);
+    setFilter('period', filters.period);
+  });
+}
+
+/**
+ * Parse the query and, when it is valid, apply it
+ */
+export function applyQuery() {
+  clearTimeout(applyTimer);
+  applyTimer = null;
+
+  const input = document.getElementById('filterQuery');
+  if (!input) return;
+
+  const { filters, errors } = parseQuery(input.value, getQueryValues());
+  renderErrors(input.value, errors);
+  if (errors.length === 0) applyFilters(filters);
+}
+
+/**
+ * Show the query for the current filters, unless the typed query already
+ * selects the same locations (so typing isn't reformatted)
+ * Drawn shapes aren't part of the query, so they don't count.
+ */
+export function syncQueryFromFilters() {
+  const input = document.getElementById('filterQuery');
+  if (!input) return;
+
+  const filters = getFilters();
+  const typed = parseQuery(input.value, getQueryValues());
+  if (typed.errors.length === 0 && filterKey({ ...typed.filters, shapes: filters.shapes }) === filterKey(filters)) return;
+
+  clearTimeout(applyTimer);
+  applyTimer = null;
+  input.value = formatQuery(filters);
+  renderErrors(input.value, []);
+}
+
+/**
+ * Render the completion list under the input
+ */
+function renderSuggestions() {
+  const input = document.getElementById('filterQuery');
+  const list = document.getElementById('querySuggestions');
+  if (!input || !list) return;
+
+  const open = suggestions !== null;
+  list.classList.toggle('hidden', !open);
+  input.setAttribute('aria-expanded', String(open));
+  list.innerHTML = open
+    ? suggestions.completion.items.map((item, index) => `
+      <li role="option" data-suggestion="${index}"${index === suggestions.active ? ' class="active" aria-selected="true"' : ''}>
+        <span>${escapeHtml(item.label)}</span><span class="query-detail">${escapeHtml(item.detail)}</span>
+      </li>
+    `).join('')
+    : '';
+}
+
+/**
+ * Update the completions for the text at the caret
+ */
+function updateSuggestions() {
+  const input = document.getElementById('filterQuery');
+  if (!input) return;
+
+  const completion = document.activeElement === input
+    ? getCompletions(input.value, input.selectionStart ?? input.value.length, getQueryValues())
+    : null;
+  suggestions = completion ? { completion, active: -1 } : null;
+  renderSuggestions();
+}
+
+/**
+ * Insert a completion item, then offer the next completions
+ * @param {number} index - Item index
+ */
+function acceptSuggestion(index) {
+  const input = document.getElementById('filterQuery');
+  if (!input || !suggestions) return;
+
+  const { text, cursor } = applyCompletion(input.value, suggestions.completion, suggestions.completion.items[index]);
+  input.value = text;
+  input.setSelectionRange(cursor, cursor);
+  scheduleApply();
+  updateSuggestions();
+}
+
+/**
+ * Apply the query once typing pauses
+ */
+function scheduleApply() {
+  clearTimeout(applyTimer);
+  applyTimer = setTimeout(applyQuery, TIMING.QUERY_APPLY_DEBOUNCE_MS);
+}
+
+/**
+ * Handle keys: arrows move through completions, Tab/Enter accept one, Enter
+ * applies the query and Escape closes the list or restores the filters' query
+ * @param {KeyboardEvent} e
+ */
+function handleKeydown(e) {
+  if (suggestions && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+    e.preventDefault();
+    const count = suggestions.completion.items.length;
+    suggestions.active = (suggestions.active + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+    renderSuggestions();
+  } else if (suggestions && (e.key === 'Tab' || (e.key === 'Enter' && suggestions.active >= 0))) {
+    e.preventDefault();
+    acceptSuggestion(Math.max(suggestions.active, 0));
+  } else if (e.key === 'Enter') {
+    e.preventDefault();
+    suggestions = null;
+    renderSuggestions();
+    applyQuery();
+  } else if (e.key === 'Escape') {
+    if (suggestions) {
+      suggestions = null;
+      renderSuggestions();
+    } else {
+      e.target.value = '';
+      syncQueryFromFilters();
+    }
+  }
+}
+
+/**
+ * Initialize query bar listeners
+ */
+export function initQueryBar() {
+  const input = document.getElementById('filterQuery');
+  if (!input) return;
+
+  input.addEventListener('input', () => {
+    scheduleApply();
+    updateSuggestions();
+  });
+  input.addEventListener('keydown', handleKeydown);
+  input.addEventListener('click', updateSuggestions);
+  input.addEventListener('focus', updateSuggestions);
+  input.addEventListener('blur', () => {
+    suggestions = null;
+    renderSuggestions();
+  });
+
+  // mousedown keeps the focus in the input
+  document.getElementById('querySuggestions')?.addEventListener('mousedown', (e) => {
+    const item = e.target.closest('[data-suggestion]');
+    if (!item) return;
+    e.preventDefault();
+    acceptSuggestion(Number(item.dataset.suggestion));
+  });
+
+  subscribe('filters', syncQueryFromFilters);
+  syncQueryFromFilters();
+}
@@ -0,0 +1,210 @@
+/**
+ * User-defined region form, JSON import and region dropdown
+ * @module ui/regionEditor
+ */
+
+import { getCustomRegions, subscribe } from '../state/store.js';
+import {
+  listRegions, saveRegion, deleteRegion,
+  parseRegionsJSON, parsePolygonText, parseMetrosText
+} from '../data/regions.js';
+import { escapeHtml } from '../utils/html.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Region selected when the current one is deleted
+ */
+const FALLBACK_REGION = 'texas';
+
+/**
+ * Select a region in the dropdown and let its change handler fly and regenerate
+ * @param {string} regionId
+ */
+function selectRegion(regionId) {
+  const select = document.getElementById('region');
+  if (!select) return;
+
+  select.value = regionId;
+  select.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Rebuild the #region dropdown from presets and user-defined regions
+ * Keeps the current selection when it still exists.
+ * @returns {boolean} Whether the selected region disappeared
+ */
+export function populateRegionSelect() {
+  const select = document.getElementById('region');
+  if (!select) return false;
+
+  const current = select.value;
+  const regions = listRegions();
+  const option = region => `<option value="${escapeHtml(region.id)}">${escapeHtml(region.name)}</option>`;
+
+  const presets = regions.filter(region => !region.custom).map(option).join('');
+  const custom = regions.filter(region => region.custom).map(option).join('');
+
+  select.innerHTML = presets + (custom ? `<optgroup label="Custom">${custom}</optgroup>` : '');
+
+  const exists = regions.some(region => region.id === current);
+  select.value = exists ? current : FALLBACK_REGION;
+  return current !== '' && !exists;
+}
+
+/**
+ * Render the list of user-defined regions with edit/delete buttons
+ */
+export function renderRegionList() {
+  const list = document.getElementById('regionList');
+  if (!list) return;
+
+  list.innerHTML = Object.values(getCustomRegions())
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(region => {
+      const details = [
+        region.metros ? `${region.metros.length} metros` : null,
+        region.polygon ? 'bounded' : null
+      ].filter(Boolean).join(', ');
+
+      return `
+        <li>
+          <span>${escapeHtml(region.name)}${details ? ` <span class="value-display">${details}</span>` : ''}</span>
+          <span>
+            <button class="btn" data-region-edit="${escapeHtml(region.id)}">Edit</button>
+            <button class="btn" data-region-delete="${escapeHtml(region.id)}">Delete</button>
+          </span>
+        </li>
+      `;
+    })
+    .join('');
+}
+
+/**
+ * Fill the form with an existing region for editing
+ * Saving under the same name replaces the region.
+ * @param {import('../data/generator.js').RegionConfig} region
+ */
+function fillRegionForm(region) {
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value;
+  };
+
+  setValue('regionName', region.name);
+  setValue('regionLng', region.center[0]);
+  setValue('regionLat', region.center[1]);
+  setValue('regionZoom', region.zoom);
+  setValue('regionPolygon', region.polygon ? region.polygon.map(pair => pair.join(', ')).join('\n') : '');
+  setValue('regionMetros', region.metros
+    ? region.metros.map(m => [m.name, ...m.center, +m.weight.toFixed(4), m.spread].join(', ')).join('\n')
+    : '');
+}
+
+/**
+ * Read the region form into a definition for saveRegion
+ * @returns {Object}
+ * @throws {Error} If the polygon or metro text can't be parsed
+ */
+function readRegionForm() {
+  const value = id => document.getElementById(id)?.value ?? '';
+  const number = id => (value(id).trim() === '' ? NaN : Number(value(id)));
+
+  return {
+    name: value('regionName'),
+    center: [number('regionLng'), number('regionLat')],
+    zoom: number('regionZoom'),
+    polygon: parsePolygonText(value('regionPolygon')),
+    metros: parseMetrosText(value('regionMetros'))
+  };
+}
+
+/**
+ * Save the region form and switch to the saved region
+ */
+export function saveRegionFromForm() {
+  let region;
+  try {
+    region = saveRegion(readRegionForm());
+  } catch (error) {
+    showToast(error.message, 'warning');
+    return;
+  }
+
+  showToast(`Saved region ${region.name}`, 'success');
+  selectRegion(region.id);
+}
+
+/**
+ * Import regions from a JSON file
+ * @param {File} file
+ */
+export async function importRegionsFile(file) {
+  if (!file) return;
+
+  let result;
+  try {
+    result = parseRegionsJSON(await file.text());
+  } catch (error) {
+    showToast(`${file.name}: ${error.message}`, 'error');
+    return;
+  }
+
+  result.regions.forEach(region => saveRegion(region));
+
+  if (result.rejected.length > 0) {
+    const reasons = result.rejected
+      .map(({ index, name, reason }) => `${name || `#${index + 1}`}: ${reason}`)
+      .join('; ');
+    showToast(`Imported ${result.regions.length} regions, skipped ${result.rejected.length} (${reasons})`, 'warning');
+  } else {
+    showToast(`Imported ${result.regions.length} regions from ${file.name}`, 'success');
+  }
+}
+
+/**
+ * Handle edit/delete clicks in the region list
+ * @param {MouseEvent} e
+ */
+function handleRegionListClick(e) {
+  const editId = e.target.closest('[data-region-edit]')?.dataset.regionEdit;
+  const deleteId = e.target.closest('[data-region-delete]')?.dataset.regionDelete;
+
+  if (editId) {
+    const region = getCustomRegions()[editId];
+    if (region) fillRegionForm(region);
+  } else if (deleteId) {
+    const name = getCustomRegions()[deleteId]?.name;
+    if (deleteRegion(deleteId)) {
+      showToast(`Deleted region ${name}`, 'info');
+    }
+  }
+}
+
+/**
+ * Refresh the dropdown and list when user-defined regions change
+ */
+function handleRegionsChange() {
+  const selectionRemoved = populateRegionSelect();
+  renderRegionList();
+
+  if (selectionRemoved) {
+    selectRegion(FALLBACK_REGION);
+  }
+}
+
+/**
+ * Initialize region editor listeners and populate the dropdown
+ */
+export function initRegionEditor() {
+  document.getElementById('regionSaveBtn')?.addEventListener('click', saveRegionFromForm);
+  document.getElementById('regionFile')?.addEventListener('change', (e) => {
+    importRegionsFile(e.target.files[0]);
+    e.target.value = '';
+  });
+  document.getElementById('regionList')?.addEventListener('click', handleRegionListClick);
+
+  subscribe('customRegions', handleRegionsChange);
+
+  populateRegionSelect();
+  renderRegionList();
+}
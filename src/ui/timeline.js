@@ -0,0 +1,151 @@
+/**
+ * Timeline control for stepping through and playing back time periods
+ * @module ui/timeline
+ */
+
+import { TIMING } from '../config/constants.js';
+import { getFilters, setFilter, subscribe, withoutHistory } from '../state/store.js';
+import { getPeriods } from '../state/selectors.js';
+import { formatPeriod } from '../utils/time.js';
+
+/**
+ * Playback interval handle
+ * @type {number|null}
+ */
+let playTimer = null;
+
+/**
+ * Check whether playback is running
+ * @returns {boolean}
+ */
+export function isPlaying() {
+  return playTimer !== null;
+}
+
+/**
+ * Update the play/pause button
+ */
+function renderPlayButton() {
+  const button = document.getElementById('timelinePlay');
+  if (!button) return;
+
+  button.textContent = isPlaying() ? '❚❚' : '▶';
+  button.title = isPlaying() ? 'Pause' : 'Play';
+  button.classList.toggle('active', isPlaying());
+}
+
+/**
+ * Sync the timeline with the current data and period filter
+ * Hidden when the data has no time periods.
+ */
+export function renderTimeline() {
+  const container = document.getElementById('timeline');
+  if (!container) return;
+
+  const periods = getPeriods();
+  const { period } = getFilters();
+
+  container.classList.toggle('hidden', periods.length === 0);
+  if (periods.length === 0) return;
+
+  // Slider position 0 is "all periods", 1..n are the periods in order
+  const slider = document.getElementById('timelineSlider');
+  if (slider) {
+    slider.max = periods.length;
+    slider.value = period === 'all' ? 0 : periods.indexOf(period) + 1;
+  }
+
+  const label = document.getElementById('timelineLabel');
+  if (label) {
+    label.textContent = period === 'all'
+      ? `All periods (${periods.length} months)`
+      : formatPeriod(period);
+  }
+
+  renderPlayButton();
+}
+
+/**
+ * Advance the period filter to the next period, wrapping at the end
+ * Playback steps aren't recorded for undo.
+ */
+export function stepPeriod() {
+  const periods = getPeriods();
+  if (periods.length === 0) return;
+
+  const index = periods.indexOf(getFilters().period);
+  withoutHistory(() => setFilter('period', periods[(index + 1) % periods.length]));
+}
+
+/**
+ * Stop playback
+ */
+export function pause() {
+  if (playTimer !== null) {
+    clearInterval(playTimer);
+    playTimer = null;
+  }
+  renderPlayButton();
+}
+
+/**
+ * Start playing through the periods
+ * Starts from the first period when all periods are shown.
+ */
+export function play() {
+  if (isPlaying() || getPeriods().length === 0) return;
+
+  if (getFilters().period === 'all') {
+    stepPeriod();
+  }
+
+  playTimer = setInterval(stepPeriod, TIMING.PLAYBACK_STEP_MS);
+  renderPlayButton();
+}
+
+/**
+ * Toggle playback
+ */
+export function togglePlayback() {
+  if (isPlaying()) {
+    pause();
+  } else {
+    play();
+  }
+}
+
+/**
+ * Reset the period filter when new data lacks the selected period
+ * The reset follows the data, so it isn't recorded for undo.
+ */
+function handleDataChange() {
+  const periods = getPeriods();
+  const { period } = getFilters();
+
+  if (periods.length === 0) {
+    pause();
+  }
+  if (period !== 'all' && !periods.includes(period)) {
+    withoutHistory(() => setFilter('period', 'all'));
+  }
+
+  renderTimeline();
+}
+
+/**
+ * Initialize timeline listeners
+ */
+export function initTimeline() {
+  document.getElementById('timelinePlay')?.addEventListener('click', togglePlayback);
+
+  document.getElementById('timelineSlider')?.addEventListener('input', (e) => {
+    pause();
+    const index = parseInt(e.target.value);
+    setFilter('period', index === 0 ? 'all' : getPeriods()[index - 1]);
+  });
+
+  subscribe('rawData', handleDataChange);
+  subscribe('filters.period', renderTimeline);
+
+  renderTimeline();
+}
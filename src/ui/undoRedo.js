@@ -0,0 +1,104 @@
+/**
+ * Undo/redo buttons and keyboard shortcuts
+ * The store records the steps (see undo() in state/store.js); this module
+ * applies their values through the same handlers as the original changes.
+ * @module ui/undoRedo
+ */
+
+import { undo, redo, getUndoState, subscribe } from '../state/store.js';
+import { restoreEditLog } from '../map/editing.js';
+import { selectStyle } from '../map/style.js';
+import { applySetting } from './controls.js';
+import { showToast } from './notifications.js';
+
+/**
+ * Apply a recorded value to the state, its control and the map
+ * @param {string} key - State key
+ * @param {*} value
+ */
+function applyChange(key, value) {
+  if (key === 'editLog') {
+    restoreEditLog(value);
+  } else if (key === 'mapStyle') {
+    selectStyle(value);
+  } else if (!applySetting(key, value)) {
+    console.warn('No undo handler for', key);
+  }
+}
+
+/**
+ * Undo the latest change
+ * @returns {boolean} Whether a change was undone
+ */
+export function undoLastChange() {
+  try {
+    return undo(applyChange) !== null;
+  } catch (error) {
+    console.error('Undo failed:', error);
+    showToast(`Could not undo: ${error.message}`, 'warning');
+    return false;
+  }
+}
+
+/**
+ * Redo the latest undone change
+ * @returns {boolean} Whether a change was redone
+ */
+export function redoLastChange() {
+  try {
+    return redo(applyChange) !== null;
+  } catch (error) {
+    console.error('Redo failed:', error);
+    showToast(`Could not redo: ${error.message}`, 'warning');
+    return false;
+  }
+}
+
+/**
+ * Enable the toolbar buttons when there is something to undo or redo
+ */
+function renderUndoButtons() {
+  const { undo: undoCount, redo: redoCount } = getUndoState();
+  const undoBtn = document.getElementById('undoBtn');
+  const redoBtn = document.getElementById('redoBtn');
+
+  if (undoBtn) {
+    undoBtn.disabled = undoCount === 0;
+    undoBtn.title = `Undo (Ctrl+Z) - ${undoCount} steps`;
+  }
+  if (redoBtn) {
+    redoBtn.disabled = redoCount === 0;
+    redoBtn.title = `Redo (Ctrl+Shift+Z) - ${redoCount} steps`;
+  }
+}
+
+/**
+ * Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS), and Ctrl+Y for redo
+ * Text fields keep their own undo.
+ * @param {KeyboardEvent} e
+ */
+function handleUndoKeys(e) {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+  if (e.target.closest?.('input[type="text"], input[type="number"], textarea, [contenteditable="true"]')) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    undoLastChange();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    redoLastChange();
+  }
+}
+
+/**
+ * Initialize undo/redo buttons and shortcuts
+ */
+export function initUndoRedo() {
+  document.getElementById('undoBtn')?.addEventListener('click', undoLastChange);
+  document.getElementById('redoBtn')?.addEventListener('click', redoLastChange);
+  document.addEventListener('keydown', handleUndoKeys);
+
+  subscribe('undo', renderUndoButtons);
+  renderUndoButtons();
+}
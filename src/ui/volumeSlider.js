@@ -0,0 +1,132 @@
+/**
+ * Dual-handle volume range slider with a histogram of recycling volumes
+ * @module ui/volumeSlider
+ */
+
+import { VOLUME_SLIDER } from '../config/constants.js';
+import { getFilters, subscribe } from '../state/store.js';
+import { getVolumeSliderDomain, getVolumeHistogram } from '../state/selectors.js';
+import { getVolumeBounds, formatVolumeFilter, createFilterPredicate } from '../data/filters.js';
+import { setVolumeFilter } from './controls.js';
+
+/**
+ * Get the two handle inputs
+ * @returns {{minInput: HTMLInputElement|null, maxInput: HTMLInputElement|null}}
+ */
+function getHandles() {
+  return {
+    minInput: document.getElementById('volumeMin'),
+    maxInput: document.getElementById('volumeMax')
+  };
+}
+
+/**
+ * Read the volume filter selected by the handles
+ * A handle at the end of the slider leaves that side open, so volumes past
+ * the slider aren't cut off; both handles at the ends select all volumes.
+ * @returns {'all'|import('../data/filters.js').VolumeRange}
+ */
+function readHandles() {
+  const { minInput, maxInput } = getHandles();
+  const domain = getVolumeSliderDomain();
+  const low = Number(minInput.value);
+  const high = Number(maxInput.value);
+  const range = { min: low <= domain.min ? null : low, max: high >= domain.max ? null : high };
+
+  return range.min === null && range.max === null ? 'all' : range;
+}
+
+/**
+ * Handle a handle being dragged
+ * Handles can't cross: the dragged one stops at the other.
+ * @param {HTMLInputElement} input - The dragged handle
+ */
+function handleDrag(input) {
+  const { minInput, maxInput } = getHandles();
+
+  if (Number(minInput.value) > Number(maxInput.value)) {
+    input.value = input === minInput ? maxInput.value : minInput.value;
+  }
+
+  setVolumeFilter(readHandles());
+}
+
+/**
+ * Render the histogram bars, highlighting the volumes the filter keeps
+ * Counts ignore the volume filter (see getVolumeHistogram).
+ * @param {HTMLElement} container
+ * @param {import('../data/histogram.js').VolumeDomain} domain
+ * @param {string|import('../data/filters.js').VolumeRange} volume
+ */
+function renderHistogram(container, domain, volume) {
+  const counts = getVolumeHistogram();
+  const peak = counts.reduce((max, count) => Math.max(max, count), 0);
+  const span = domain.max - domain.min;
+  const kept = createFilterPredicate({ category: [], volume, period: 'all' });
+
+  container.innerHTML = counts.map((count, i) => {
+    const center = domain.min + i * domain.binWidth;
+    const left = ((center - domain.binWidth / 2 - domain.min) / span) * 100;
+    const width = (domain.binWidth / span) * 100;
+    const height = peak > 0 ? (count / peak) * 100 : 0;
+
+    return `<div class="volume-bar${kept({ recyclingVolume: center }) ? ' selected' : ''}"
+      style="left: ${left}%; width: ${width}%; height: ${height}%"
+      title="${count} locations at ${domain.binWidth > 1 ? '~' : ''}${center}t"></div>`;
+  }).join('');
+}
+
+/**
+ * Sync the slider with the current data and volume filter
+ * Presets place the handles on their bounds; open bounds sit at the ends.
+ */
+export function renderVolumeSlider() {
+  const container = document.getElementById('volumeSlider');
+  const { minInput, maxInput } = getHandles();
+  if (!container || !minInput || !maxInput) return;
+
+  const domain = getVolumeSliderDomain();
+  const { volume } = getFilters();
+  const bounds = getVolumeBounds(volume);
+  const clamp = value => Math.min(Math.max(value, domain.min), domain.max);
+  const low = clamp(bounds.min ?? domain.min);
+  const high = clamp(bounds.max ?? domain.max);
+
+  [minInput, maxInput].forEach(input => {
+    input.min = domain.min;
+    input.max = domain.max;
+    input.step = VOLUME_SLIDER.STEP;
+  });
+  minInput.value = low;
+  maxInput.value = high;
+
+  // Both handles at the top end: keep the low one draggable
+  minInput.style.zIndex = low >= domain.max ? '1' : '';
+
+  // Track fill between the handles, as fractions of the slider
+  const fraction = value => (value - domain.min) / (domain.max - domain.min);
+  container.style.setProperty('--range-low', fraction(low));
+  container.style.setProperty('--range-high', fraction(high));
+
+  const histogram = document.getElementById('volumeHistogram');
+  if (histogram) renderHistogram(histogram, domain, volume);
+
+  const label = document.getElementById('volumeRangeLabel');
+  if (label) label.textContent = formatVolumeFilter(volume);
+}
+
+/**
+ * Initialize slider listeners
+ * The histogram follows the data and the other filters; the handles follow
+ * the volume filter, including presets and undo/redo.
+ */
+export function initVolumeSlider() {
+  const { minInput, maxInput } = getHandles();
+  minInput?.addEventListener('input', () => handleDrag(minInput));
+  maxInput?.addEventListener('input', () => handleDrag(maxInput));
+
+  subscribe('rawData', renderVolumeSlider);
+  subscribe('filters', renderVolumeSlider);
+
+  renderVolumeSlider();
+}
@@ -0,0 +1,58 @@
+/**
+ * Planar geometry helpers for lng/lat coordinates
+ * @module utils/geo
+ */
+
+/**
+ * Check whether a point lies inside a polygon ring (ray casting)
+ * The ring may be open or closed; points exactly on an edge may go either way.
+ * @param {[number, number]} point - [lng, lat]
+ * @param {Array<[number, number]>} ring - Polygon vertices as [lng, lat]
+ * @returns {boolean}
+ */
+export function pointInPolygon(point, ring) {
+  const [x, y] = point;
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Bounding box of a polygon ring
+ * @param {Array<[number, number]>} ring - Polygon vertices as [lng, lat]
+ * @returns {[[number, number], [number, number]]} [[minLng, minLat], [maxLng, maxLat]]
+ */
+export function ringBounds(ring) {
+  let minLng = Infinity, maxLng = -Infinity;
+  let minLat = Infinity, maxLat = -Infinity;
+
+  for (const [lng, lat] of ring) {
+    minLng = Math.min(minLng, lng);
+    maxLng = Math.max(maxLng, lng);
+    minLat = Math.min(minLat, lat);
+    maxLat = Math.max(maxLat, lat);
+  }
+
+  return [[minLng, minLat], [maxLng, maxLat]];
+}
+
+/**
+ * Check whether a value is a [lng, lat] pair within valid ranges
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isLngLat(value) {
+  return Array.isArray(value) &&
+    value.length >= 2 &&
+    Number.isFinite(value[0]) && Number.isFinite(value[1]) &&
+    Math.abs(value[0]) <= 180 && Math.abs(value[1]) <= 90;
+}
@@ -0,0 +1,18 @@
+/**
+ * HTML string helpers for UI rendering
+ * @module utils/html
+ */
+
+/**
+ * Escape text for safe insertion into HTML
+ * @param {*} text - Value to escape (converted to string)
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,61 @@
+/**
+ * Seedable pseudo-random number generation
+ * @module utils/random
+ */
+
+/**
+ * Largest seed value (seeds are unsigned 32-bit integers)
+ */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Random number function returning values in [0, 1), like Math.random
+ * @typedef {function(): number} RandomFn
+ */
+
+/**
+ * Create a seeded PRNG (mulberry32)
+ * The same seed always yields the same sequence.
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {RandomFn}
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Pick a fresh random seed
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+/**
+ * Check whether a value is a valid seed
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isValidSeed(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_SEED;
+}
+
+/**
+ * Draw from the standard normal distribution (Box-Muller)
+ * Consumes two values from the source.
+ * @param {RandomFn} rng - Random number source
+ * @returns {number} Mean 0, standard deviation 1
+ */
+export function randomNormal(rng) {
+  const u1 = 1 - rng(); // (0, 1] so the log is finite
+  const u2 = rng();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
@@ -0,0 +1,88 @@
+/**
+ * Monthly period helpers for time-series data
+ * Periods are 'YYYY-MM' strings; timestamps are UTC milliseconds.
+ * @module utils/time
+ */
+
+/**
+ * Matches a 'YYYY-MM' period string
+ * @type {RegExp}
+ */
+export const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+/**
+ * Short month names for labels
+ * @type {string[]}
+ */
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Get the period containing a timestamp
+ * @param {number} timestamp - UTC milliseconds
+ * @returns {string} 'YYYY-MM'
+ */
+export function timestampToPeriod(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Get the timestamp at the start of a period
+ * @param {string} period - 'YYYY-MM'
+ * @returns {number} UTC milliseconds
+ */
+export function periodToTimestamp(period) {
+  const [year, month] = period.split('-').map(Number);
+  return Date.UTC(year, month - 1, 1);
+}
+
+/**
+ * Offset a period by a number of months
+ * @param {string} period - 'YYYY-MM'
+ * @param {number} months - May be negative
+ * @returns {string}
+ */
+export function addMonths(period, months) {
+  const [year, month] = period.split('-').map(Number);
+  return timestampToPeriod(Date.UTC(year, month - 1 + months, 1));
+}
+
+/**
+ * Get the zero-based month of a period
+ * @param {string} period - 'YYYY-MM'
+ * @returns {number} 0 (January) to 11
+ */
+export function periodMonth(period) {
+  return Number(period.slice(5, 7)) - 1;
+}
+
+/**
+ * Format a period for display
+ * @param {string} period - 'YYYY-MM'
+ * @returns {string} e.g. 'Mar 2025'
+ */
+export function formatPeriod(period) {
+  return `${MONTH_NAMES[periodMonth(period)]} ${period.slice(0, 4)}`;
+}
+
+/**
+ * Parse a date-like value into a period and timestamp
+ * Accepts 'YYYY-MM', ISO dates/datetimes and epoch milliseconds.
+ * @param {*} value
+ * @returns {{period: string, timestamp: number}|null} null when unparseable
+ */
+export function parsePeriod(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? { period: timestampToPeriod(value), timestamp: value } : null;
+  }
+  if (typeof value !== 'string' || value.trim() === '') return null;
+
+  const text = value.trim();
+
+  if (PERIOD_PATTERN.test(text)) {
+    return { period: text, timestamp: periodToTimestamp(text) };
+  }
+
+  const timestamp = Date.parse(text);
+  return Number.isNaN(timestamp) ? null : { period: timestampToPeriod(timestamp), timestamp };
+}
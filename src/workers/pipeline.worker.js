@@ -0,0 +1,61 @@
+/**
+ * Data pipeline worker - generation, filtering and GeoJSON building
+ *
+ * Protocol (see data/pipeline.js):
+ *   → { id, type: 'generate'|'setData'|'filter', payload }
+ *   → { id, type: 'cancel' }
+ *   ← { id, result } | { id, error }
+ *
+ * Requests are queued and drained on the next task, so cancellations that
+ * arrive while a long request runs are seen before stale requests start.
+ * @module workers/pipeline.worker
+ */
+
+import { createPipelineHandler } from './pipelineHandler.js';
+
+const handle = createPipelineHandler();
+
+/** @type {Array<{id: number, type: string, payload: Object}>} */
+const queue = [];
+
+/** @type {Set<number>} IDs cancelled before they ran */
+const cancelled = new Set();
+
+let drainScheduled = false;
+
+/**
+ * Run queued requests, skipping cancelled ones
+ */
+function drain() {
+  drainScheduled = false;
+
+  while (queue.length > 0) {
+    const { id, type, payload } = queue.shift();
+
+    if (cancelled.delete(id)) continue;
+
+    try {
+      const { result, transfer } = handle(type, payload);
+      self.postMessage({ id, result }, transfer);
+    } catch (error) {
+      self.postMessage({ id, error: error.message });
+    }
+  }
+
+  // Remaining IDs belong to requests that finished before their cancel arrived
+  cancelled.clear();
+}
+
+self.onmessage = ({ data }) => {
+  if (data.type === 'cancel') {
+    cancelled.add(data.id);
+    return;
+  }
+
+  queue.push(data);
+
+  if (!drainScheduled) {
+    drainScheduled = true;
+    setTimeout(drain, 0);
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Request handlers for the data pipeline
+ * Runs inside the pipeline worker, or on the main thread when workers are
+ * unavailable. Holds the current dataset in columnar form.
+ * @module workers/pipelineHandler
+ */
+
+import { generateData } from '../data/generator.js';
+import {
+  toColumns, cloneColumns, getTransferables, filterColumns, columnsToGeoJSON
+} from '../data/columnar.js';
+
+/**
+ * @typedef {Object} PipelineResponse
+ * @property {Object} result - Response payload
+ * @property {Transferable[]} transfer - Buffers to transfer with the payload
+ */
+
+/**
+ * Create a pipeline request handler with its own dataset
+ * @returns {function(string, Object): PipelineResponse}
+ */
+export function createPipelineHandler() {
+  /** @type {import('../data/columnar.js').LocationColumns|null} */
+  let dataset = null;
+
+  return function handle(type, payload) {
+    switch (type) {
+      case 'generate': {
+        const { count, distribution, region, seed, months, polygon, profile } = payload;
+        dataset = toColumns(generateData(count, distribution, region, seed, { months, polygon, profile }));
+
+        const columns = cloneColumns(dataset);
+        return { result: { columns }, transfer: getTransferables(columns) };
+      }
+
+      case 'setData':
+        dataset = payload.columns;
+        return { result: { length: dataset.length }, transfer: [] };
+
+      case 'filter': {
+        if (!dataset) {
+          throw new Error('No dataset loaded in pipeline');
+        }
+
+        const indices = filterColumns(dataset, payload.filters);
+        const geoJSON = columnsToGeoJSON(dataset, indices);
+        return { result: { indices, geoJSON }, transfer: [indices.buffer] };
+      }
+
+      default:
+        throw new Error(`Unknown pipeline request: ${type}`);
+    }
+  };
+}
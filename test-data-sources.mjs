@@ -0,0 +1,77 @@
+// Test data source registry and record normalization
+import assert from 'node:assert/strict';
+import {
+  listDataSources, getDataSource, registerDataSource, loadFromSource
+} from './src/data/sources/index.js';
+import { extractRecords, normalizeRecord } from './src/data/normalize.js';
+import { getRawData, getGeoJSON, getSourceStatus, getActiveDataSource } from './src/state/store.js';
+
+console.log('Testing data sources...\n');
+
+// Registry
+assert.deepEqual(listDataSources().map(s => s.id), ['generator', 'url', 'rest', 'live', 'viewport']);
+assert.throws(() => registerDataSource({ id: 'no-load' }), /requires an id and a load\(\) function/);
+console.log('✓ Built-in sources are registered; sources need an id and load()');
+
+// Generator source
+const generated = await loadFromSource('generator', { count: 25, distribution: 'uniform', region: 'austin' });
+assert.equal(generated.raw.length, 25);
+assert.equal(getRawData(), generated.raw);
+assert.equal(getGeoJSON().features.length, 25);
+assert.equal(getSourceStatus('generator').status, 'ready');
+assert.equal(getActiveDataSource(), 'generator');
+console.log('✓ Generator source loads into the store');
+
+// Config validation errors are recorded, not thrown
+assert.equal(await loadFromSource('url', { url: '' }), null);
+assert.deepEqual(getSourceStatus('url'), { status: 'error', error: 'Enter a URL to load', loadedAt: null });
+assert.equal(getRawData(), generated.raw, 'store data untouched');
+console.log('✓ Invalid config sets an error status');
+
+// Custom source
+registerDataSource({
+  id: 'test-static',
+  name: 'Test Static',
+  defaultConfig: {},
+  async load() {
+    return extractRecords({
+      type: 'FeatureCollection',
+      features: [
+        { type: 'Feature', geometry: { type: 'Point', coordinates: [-97.7, 30.2] }, properties: { category: 'Shop', volume: '7' } },
+        { type: 'Feature', geometry: { type: 'LineString', coordinates: [[0, 0], [1, 1]] }, properties: {} }
+      ]
+    });
+  }
+});
+assert.equal(getDataSource('test-static').name, 'Test Static');
+
+const custom = await loadFromSource('test-static');
+assert.deepEqual(custom.raw, [{
+  id: 0, lng: -97.7, lat: 30.2, value: 0, category: 'Shop', metro: '', recyclingVolume: 7
+}], 'non-point features are skipped');
+assert.equal(getActiveDataSource(), 'test-static');
+console.log('✓ Custom sources register and load');
+
+// Failing source
+registerDataSource({
+  id: 'test-failing',
+  name: 'Test Failing',
+  defaultConfig: {},
+  async load() {
+    throw new Error('Server unavailable');
+  }
+});
+assert.equal(await loadFromSource('test-failing'), null);
+assert.deepEqual(getSourceStatus('test-failing'), { status: 'error', error: 'Server unavailable', loadedAt: null });
+assert.equal(getRawData(), custom.raw, 'store data untouched');
+console.log('✓ A failing source sets an error status and keeps the current data');
+
+// Normalization
+assert.deepEqual(normalizeRecord({ Longitude: '-95.3', Latitude: '29.7', Type: 'Park', tons: 4 }, 3), {
+  id: 3, lng: -95.3, lat: 29.7, value: 0, category: 'Park', metro: '', recyclingVolume: 4
+});
+assert.equal(normalizeRecord({ category: 'Shop' }, 0), null);
+assert.deepEqual(extractRecords({ data: { items: [{ lng: -96.8, lat: 32.8 }] } }, 'data.items').map(p => [p.lng, p.lat]), [[-96.8, 32.8]]);
+console.log('✓ Records are normalized from aliased fields and nested payloads');
+
+console.log('\n✓ All data source tests passed!');
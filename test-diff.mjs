@@ -0,0 +1,135 @@
+// Test dataset comparison and the diff layer
+import assert from 'node:assert/strict';
+import { diffDatasets, filterDiff, summarizeDiff, diffToGeoJSON, MOVE_TOLERANCE } from './src/data/diff.js';
+import { saveDataset } from './src/data/library.js';
+import { LAYER_IDS, SOURCE_IDS } from './src/config/constants.js';
+import { setMap, setFilter, getComparison } from './src/state/store.js';
+import { addLayers, applyLayerOrder } from './src/layers/index.js';
+import { compareSavedDatasets, clearComparison, initDatasetCompare } from './src/ui/datasetCompare.js';
+
+console.log('Testing dataset comparison...\n');
+
+const march = [
+  { id: 1, lng: -95.3, lat: 29.7, value: 10, category: 'Shop', metro: 'Houston', recyclingVolume: 4 },
+  { id: 2, lng: -95.4, lat: 29.8, value: 20, category: 'Office', metro: 'Houston', recyclingVolume: 6 },
+  { id: 3, lng: -95.5, lat: 29.9, value: 30, category: 'Park', metro: 'Houston', recyclingVolume: 2 },
+  { id: 4, lng: -95.6, lat: 30.0, value: 40, category: 'Shop', metro: 'Houston', recyclingVolume: 8 }
+];
+const april = [
+  { ...march[0], lng: -95.31, recyclingVolume: 5 },
+  { ...march[1], lat: 29.8 + MOVE_TOLERANCE / 2 },
+  { ...march[3], recyclingVolume: 9 },
+  { id: 5, lng: -95.2, lat: 29.6, value: 0, category: 'Park', metro: 'Houston', recyclingVolume: 3 }
+];
+
+// Matching by ID
+const diff = diffDatasets(march, april);
+assert.equal(diff.unchanged, 1);
+assert.deepEqual(
+  diff.entries.map(({ id, status, moved, volumeChanged, volumeDelta }) => [id, status, moved, volumeChanged, volumeDelta]),
+  [
+    [1, 'changed', true, true, 1],
+    [4, 'changed', false, true, 1],
+    [5, 'added', false, false, 3],
+    [3, 'removed', false, false, -2]
+  ]
+);
+assert.equal(diff.entries[0].before, march[0]);
+assert.equal(diff.entries[0].after, april[0]);
+console.log('✓ Finds added, removed, moved and volume-changed locations; small jitter is unchanged');
+
+// Time series match per period
+const series = diffDatasets(
+  [{ ...march[0], period: '2025-03' }],
+  [{ ...march[0], period: '2025-03' }, { ...march[0], period: '2025-04' }]
+);
+assert.deepEqual(series.entries.map(entry => [entry.status, entry.after.period]), [['added', '2025-04']]);
+console.log('✓ Time-series locations are matched by ID and period');
+
+// Summary
+const { totals, byCategory } = summarizeDiff(diff.entries);
+assert.deepEqual(totals, { added: 1, removed: 1, moved: 1, volumeChanged: 2, volumeDelta: 3 });
+assert.deepEqual(byCategory.Shop, { added: 0, removed: 0, moved: 1, volumeChanged: 2, volumeDelta: 2 });
+assert.deepEqual(byCategory.Park, { added: 1, removed: 1, moved: 0, volumeChanged: 0, volumeDelta: 1 });
+console.log('✓ Summary counts per category and in total');
+
+// Filters
+const all = { category: [], volume: 'all', period: 'all' };
+assert.equal(filterDiff(diff.entries, all).length, 4);
+assert.deepEqual(filterDiff(diff.entries, { ...all, category: ['Park'] }).map(entry => entry.id), [5, 3]);
+// Location 1 went from 4t (medium) to 5t: still medium; location 4 stays large
+assert.deepEqual(filterDiff(diff.entries, { ...all, volume: 'large' }).map(entry => entry.id), [4]);
+const crossing = diffDatasets([march[1]], [{ ...march[1], recyclingVolume: 7 }]);
+assert.equal(filterDiff(crossing.entries, { ...all, volume: 'medium' }).length, 1);
+assert.equal(filterDiff(crossing.entries, { ...all, volume: 'large' }).length, 1);
+console.log('✓ Filters keep entries where either version matches');
+
+// GeoJSON
+const geoJSON = diffToGeoJSON(diff.entries);
+assert.deepEqual(
+  geoJSON.features.map(feature => [feature.geometry.type, feature.properties.id, feature.properties.status]),
+  [['LineString', 1, 'changed'], ['Point', 1, 'changed'], ['Point', 4, 'changed'], ['Point', 5, 'added'], ['Point', 3, 'removed']]
+);
+assert.deepEqual(geoJSON.features[0].geometry.coordinates, [[-95.3, 29.7], [-95.31, 29.7]]);
+assert.deepEqual(geoJSON.features[4].geometry.coordinates, [-95.5, 29.9]);
+console.log('✓ Diff features place removed locations at their old position and link moves');
+
+// Comparing saved datasets renders the diff layer above the point layers
+globalThis.document = { getElementById: () => null };
+
+/**
+ * Minimal map with the layer/source calls used by layers/index.js
+ */
+class FakeMap {
+  constructor() {
+    this.layers = [];
+    this.sources = new Map();
+  }
+  isStyleLoaded() { return true; }
+  getStyle() { return { layers: this.layers.map(({ id }) => ({ id })) }; }
+  getLayer(id) { return this.layers.find(layer => layer.id === id); }
+  addLayer(layer, beforeId) {
+    const index = beforeId ? this.layers.findIndex(l => l.id === beforeId) : -1;
+    this.layers.splice(index === -1 ? this.layers.length : index, 0, structuredClone(layer));
+  }
+  removeLayer(id) { this.layers = this.layers.filter(layer => layer.id !== id); }
+  moveLayer(id, beforeId) {
+    const layer = this.getLayer(id);
+    this.removeLayer(id);
+    this.addLayer(layer, beforeId);
+  }
+  getSource(id) { return this.sources.get(id); }
+  addSource(id, config) {
+    this.sources.set(id, { ...config, setData(data) { this.data = data; } });
+  }
+  removeSource(id) { this.sources.delete(id); }
+}
+
+const map = new FakeMap();
+setMap(map);
+initDatasetCompare();
+
+await saveDataset(march, { name: 'March', source: 'csv' });
+await saveDataset(april, { name: 'April', source: 'csv' });
+const comparison = await compareSavedDatasets('march', 'april');
+assert.deepEqual([comparison.base.name, comparison.compare.name], ['March', 'April']);
+assert.equal(getComparison(), comparison);
+assert.equal(map.getSource(SOURCE_IDS.DIFF).data.features.length, 5);
+assert.deepEqual(map.layers.map(layer => layer.id), [LAYER_IDS.DIFF_LINES, LAYER_IDS.DIFF_POINTS]);
+
+addLayers(map);
+applyLayerOrder(map);
+assert.deepEqual(map.layers.slice(-2).map(layer => layer.id), [LAYER_IDS.DIFF_LINES, LAYER_IDS.DIFF_POINTS]);
+console.log('✓ Compared datasets show as a diff layer that stays above the point layers');
+
+setFilter('category', ['Park']);
+assert.deepEqual(map.getSource(SOURCE_IDS.DIFF).data.features.map(feature => feature.properties.id), [5, 3]);
+setFilter('category', []);
+console.log('✓ Diff layer follows the category filter');
+
+clearComparison();
+assert.equal(map.getSource(SOURCE_IDS.DIFF), undefined);
+assert.equal(map.getLayer(LAYER_IDS.DIFF_POINTS), undefined);
+console.log('✓ Clearing the comparison removes the diff layer');
+
+console.log('\n✓ All comparison tests passed!');
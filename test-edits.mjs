@@ -0,0 +1,106 @@
+// Test point edits, the edit log and change sets
+import assert from 'node:assert/strict';
+import {
+  pointKey, nextPointId, createAddEdit, createMoveEdit, createDeleteEdit, applyEdit, buildChangeSet
+} from './src/data/edits.js';
+import { getDefaultedFields } from './src/data/normalize.js';
+import { applyDataset } from './src/data/sources/index.js';
+import { getRawData, getGeoJSON, getEditLog, setDatasetOrigin } from './src/state/store.js';
+import { commitEdit, initEditingControls } from './src/map/editing.js';
+
+console.log('Testing point edits...\n');
+
+const base = [
+  { id: 1, lng: -95.3, lat: 29.7, value: 10, category: 'Shop', metro: 'Houston', recyclingVolume: 4 },
+  { id: 2, lng: -95.4, lat: 29.8, value: 20, category: 'Office', metro: 'Houston', recyclingVolume: 6 },
+  { id: 7, lng: -95.5, lat: 29.9, value: 30, category: 'Park', metro: 'Houston', recyclingVolume: 2 }
+];
+
+// IDs
+assert.equal(nextPointId(base), 8);
+assert.equal(nextPointId([]), 0);
+assert.equal(nextPointId([{ id: 'a' }, { id: 'new-1' }]), 'new-2');
+assert.equal(pointKey({ id: 4, period: '2025-03' }), '4@2025-03');
+console.log('✓ New IDs continue numeric datasets and avoid taken string IDs');
+
+// Add
+const add = createAddEdit(base, { lng: -95.2, lat: 29.6, category: 'Transit', recyclingVolume: 3 });
+assert.equal(add.type, 'add');
+assert.equal(add.before, null);
+assert.deepEqual(
+  { id: add.after.id, lng: add.after.lng, category: add.after.category, volume: add.after.recyclingVolume },
+  { id: 8, lng: -95.2, category: 'Transit', volume: 3 }
+);
+assert.deepEqual(getDefaultedFields(add.after), []);
+const added = applyEdit(base, add);
+assert.equal(added.length, 4);
+assert.equal(added[0], base[0]);
+assert.throws(() => applyEdit(added, add), /already exists/);
+
+const seriesAdd = createAddEdit(base, { lng: -95, lat: 29, category: 'Shop', recyclingVolume: 1, period: '2025-03' });
+assert.equal(seriesAdd.after.period, '2025-03');
+assert.equal(typeof seriesAdd.after.timestamp, 'number');
+
+assert.throws(() => createAddEdit(base, { lng: -200, lat: 29, category: 'Shop', recyclingVolume: 1 }), /off the map/);
+assert.throws(() => createAddEdit(base, { lng: -95, lat: 29, category: ' ', recyclingVolume: 1 }), /Category/);
+assert.throws(() => createAddEdit(base, { lng: -95, lat: 29, category: 'Shop', recyclingVolume: NaN }), /Volume/);
+console.log('✓ Add validates its fields and appends the location');
+
+// Move and delete
+const move = createMoveEdit(base[1], -95.45, 29.85);
+const moved = applyEdit(base, move);
+assert.deepEqual([moved[1].lng, moved[1].lat, moved[1].category], [-95.45, 29.85, 'Office']);
+assert.equal(base[1].lng, -95.4);
+assert.throws(() => createMoveEdit(base[1], -95, 95), /off the map/);
+
+const remove = createDeleteEdit(base[0]);
+assert.deepEqual(applyEdit(base, remove).map(point => point.id), [2, 7]);
+assert.throws(() => applyEdit([], remove), /not found/);
+console.log('✓ Move and delete replace or drop one location');
+
+// Change sets collapse edits per location
+const addedThenMoved = createMoveEdit(add.after, -95.1, 29.5);
+const log = [
+  add,
+  addedThenMoved,
+  move,
+  remove,
+  createMoveEdit(base[2], -95, 29),
+  createMoveEdit({ ...base[2], lng: -95, lat: 29 }, base[2].lng, base[2].lat),
+  seriesAdd,
+  createDeleteEdit(seriesAdd.after)
+];
+const changeSet = buildChangeSet(log, { source: 'generator', seed: 3 });
+assert.equal(changeSet.type, 'changeSet');
+assert.deepEqual(changeSet.dataset, { source: 'generator', seed: 3 });
+assert.deepEqual(changeSet.summary, { added: 1, moved: 1, deleted: 1 });
+assert.deepEqual(changeSet.changes.map(change => [change.op, change.id]), [['add', 8], ['move', 2], ['delete', 1]]);
+assert.equal(changeSet.changes[0].after.lng, -95.1);
+assert.equal(changeSet.changes[1].before.lng, -95.4);
+assert.deepEqual(JSON.parse(JSON.stringify(changeSet)), changeSet);
+console.log('✓ Change set keeps net changes:', changeSet.changes.map(change => change.op).join(', '));
+
+// Committing edits updates the store and the edit log
+globalThis.document = { getElementById: () => null };
+initEditingControls();
+applyDataset(base);
+setDatasetOrigin({ source: 'generator', seed: 3 });
+commitEdit(createAddEdit(getRawData(), { lng: -95.2, lat: 29.6, category: 'Transit', recyclingVolume: 3 }));
+commitEdit(createMoveEdit(getRawData()[0], -95.31, 29.71));
+assert.equal(getRawData().length, 4);
+assert.equal(getGeoJSON().features.length, 4);
+assert.deepEqual(getGeoJSON().features[0].geometry.coordinates, [-95.31, 29.71]);
+assert.deepEqual(getEditLog().map(edit => edit.type), ['add', 'move']);
+assert.throws(() => commitEdit(createDeleteEdit({ id: 99, lng: 0, lat: 0 })), /not found/);
+assert.equal(getEditLog().length, 2);
+console.log('✓ Commits update rawData, geoJSON and the edit log');
+
+// Saving keeps the log; loading another dataset starts a new one
+setDatasetOrigin({ source: 'generator', seed: 3, name: 'Edited', libraryId: 'edited' });
+assert.equal(getEditLog().length, 2);
+applyDataset(base);
+setDatasetOrigin({ source: 'generator', seed: 3 });
+assert.equal(getEditLog().length, 0);
+console.log('✓ Edit log survives saves and resets on load');
+
+console.log('\n✓ All edit tests passed!');
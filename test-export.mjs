@@ -0,0 +1,97 @@
+// Test export serialization: CSV quoting, XML escaping, derived fields and round trips
+import assert from 'node:assert/strict';
+import { exportFeatures, toCSV, toGeoJSONString, toKML, toGPX, DERIVED_FIELDS } from './src/data/export.js';
+import { parseCSV, guessColumnMapping, mapCsvRows } from './src/data/csv.js';
+import { parseSpatialFile } from './src/data/formats.js';
+import { generateData, toGeoJSON } from './src/data/generator.js';
+
+console.log('Testing export formats...\n');
+
+const feature = (coordinates, properties) => ({ type: 'Feature', geometry: { type: 'Point', coordinates }, properties });
+const features = [
+  feature([-97.74, 30.27], {
+    id: 1, name: 'Taco Place, "Downtown"', category: 'Restaurant', metro: 'Austin',
+    recyclingVolume: 7, value: 12, weight: 0.5, note: 'line one\nline two'
+  }),
+  feature([-95.36, 29.76], {
+    id: 2, category: 'Shop', metro: 'Houston', recyclingVolume: 3, value: 4, weight: 0.2,
+    'fill level': 40, owner: 'Smith & <Sons>', description: '<b>Open</b> "late"'
+  })
+];
+
+// CSV
+assert.equal(toCSV(features, false), [
+  'lng,lat,id,name,category,metro,recyclingVolume,value,note,fill level,owner,description',
+  '-97.74,30.27,1,"Taco Place, ""Downtown""",Restaurant,Austin,7,12,"line one\nline two",,,',
+  '-95.36,29.76,2,,Shop,Houston,3,4,,40,Smith & <Sons>,"<b>Open</b> ""late"""',
+  ''
+].join('\r\n'));
+const { headers, rows } = parseCSV(toCSV(features, false));
+assert.equal(rows.length, 2);
+assert.equal(rows[0][headers.indexOf('name')], 'Taco Place, "Downtown"');
+assert.equal(rows[0][headers.indexOf('note')], 'line one\nline two');
+console.log('✓ CSV quotes commas, quotes and newlines, and parses back to the same cells');
+
+assert.deepEqual(headers.slice(8), ['note', 'fill level', 'owner', 'description'], 'columns of either record');
+assert.equal(exportFeatures(null, 'csv'), 'lng,lat\r\n');
+console.log('✓ CSV columns are the union of all properties, in first-seen order');
+
+// Derived fields
+assert.deepEqual(DERIVED_FIELDS, ['weight']);
+assert.ok(!toCSV(features, false).includes('weight'));
+assert.equal(toCSV(features, true).split('\r\n')[0], 'lng,lat,id,name,category,metro,recyclingVolume,value,weight,note,fill level,owner,description');
+assert.deepEqual(JSON.parse(toGeoJSONString(features, false)).features.map(f => f.properties.weight), [undefined, undefined]);
+assert.deepEqual(JSON.parse(toGeoJSONString(features, true)).features.map(f => f.properties.weight), [0.5, 0.2]);
+assert.ok(!toKML(features, false).includes('name="weight"'));
+assert.ok(toKML(features, true).includes('<Data name="weight"><value>0.5</value></Data>'));
+assert.ok(!toGPX(features, false).includes('<weight>'));
+assert.ok(toGPX(features, true).includes('<weight>0.2</weight>'));
+assert.equal(features[0].properties.weight, 0.5, 'the features are not modified');
+console.log('✓ Derived fields are left out unless requested, in every format');
+
+// KML and GPX escape XML
+const kml = exportFeatures({ type: 'FeatureCollection', features }, 'kml');
+assert.ok(kml.includes('<name>Taco Place, &quot;Downtown&quot;</name>'));
+assert.ok(kml.includes('<name>Shop #2</name>'), 'unnamed locations are named by category and id');
+assert.ok(kml.includes('<Data name="owner"><value>Smith &amp; &lt;Sons&gt;</value></Data>'));
+assert.ok(kml.includes('<Data name="fill level"><value>40</value></Data>'));
+assert.ok(kml.includes('<Data name="description"><value>&lt;b&gt;Open&lt;/b&gt; &quot;late&quot;</value></Data>'));
+assert.ok(kml.includes('<Point><coordinates>-97.74,30.27</coordinates></Point>'));
+assert.ok(!kml.includes('<Sons>') && !kml.includes('"Downtown"') && !kml.includes('<b>'));
+
+const gpx = exportFeatures({ type: 'FeatureCollection', features }, 'gpx');
+assert.ok(gpx.includes('<wpt lat="30.27" lon="-97.74">'));
+assert.ok(gpx.includes('<name>Taco Place, &quot;Downtown&quot;</name>'));
+assert.ok(gpx.includes('<type>Restaurant</type>'));
+assert.ok(gpx.includes('<owner>Smith &amp; &lt;Sons&gt;</owner>'));
+assert.ok(gpx.includes('<fill_level>40</fill_level>'), 'property names become valid element names');
+assert.ok(gpx.includes('<description>&lt;b&gt;Open&lt;/b&gt; &quot;late&quot;</description>'));
+assert.ok(!gpx.includes('<Sons>') && !gpx.includes('"Downtown"') && !gpx.includes('<b>'));
+console.log('✓ KML and GPX escape &, <, > and quotes in names, descriptions and values');
+
+assert.throws(() => exportFeatures({ type: 'FeatureCollection', features }, 'shp'), /Unknown export format: shp/);
+console.log('✓ Unknown formats throw');
+
+// Round trips through the importers
+const data = generateData(60, 'clustered', 'texas', 3, { months: 2 });
+data[1].fillLevel = 40;
+data[2].note = 'Back door, "bin 2"';
+const collection = toGeoJSON(data);
+
+const csv = parseCSV(exportFeatures(collection, 'csv'));
+const mapping = guessColumnMapping(csv.headers);
+const extraColumns = Object.fromEntries(csv.headers
+  .map((header, index) => [header, index])
+  .filter(([header, index]) => header !== 'id' && !Object.values(mapping).includes(index)));
+assert.deepEqual(Object.keys(extraColumns), ['fillLevel', 'note']);
+const imported = mapCsvRows(csv.rows, mapping, extraColumns);
+assert.deepEqual(imported.rejected, []);
+assert.deepEqual(imported.data, data.map((point, i) => ({ ...point, id: i })));
+console.log('✓ Exported CSV imports back to the same locations');
+
+const spatial = parseSpatialFile('export.geojson', exportFeatures(collection, 'geojson'));
+assert.deepEqual(spatial.points, data);
+assert.equal(spatial.overlay.features.length, 0);
+console.log('✓ Exported GeoJSON loads back to the same locations');
+
+console.log('\n✓ All export tests passed!');
@@ -0,0 +1,241 @@
+// Test the filter model: JS evaluation, Mapbox expressions and GPU filtering
+import assert from 'node:assert/strict';
+import {
+  compileFilters, filterKey, pointMatchesFilters, toFilterExpression, combineFilters,
+  isVolumeRange, getVolumeBounds, formatVolumeFilter
+} from './src/data/filters.js';
+import { getVolumeDomain, countVolumes } from './src/data/histogram.js';
+import { toColumns, filterColumns } from './src/data/columnar.js';
+import { generateData } from './src/data/generator.js';
+import { MODES } from './src/config/constants.js';
+import { applyDataset } from './src/data/sources/index.js';
+import {
+  setMode, setFilter, setFilteredResult, getFilters, validateState, persistState, restoreState
+} from './src/state/store.js';
+import {
+  getFilteredData, hasActiveFilters, getVolumeSliderDomain, getVolumeHistogram
+} from './src/state/selectors.js';
+import { rebuildForMode, updatePointsData } from './src/layers/index.js';
+
+console.log('Testing filter model...\n');
+
+const ALL = { category: [], volume: 'all', period: 'all' };
+
+// Compiled clauses
+assert.deepEqual(compileFilters(ALL), []);
+assert.deepEqual(compileFilters({ category: ['Shop'], volume: 'medium' }), [
+  { property: 'category', op: 'in', value: ['Shop'] },
+  { property: 'recyclingVolume', op: '>', value: 3 },
+  { property: 'recyclingVolume', op: '<=', value: 6 }
+]);
+assert.throws(() => compileFilters({ ...ALL, volume: 'huge' }), /Unknown volume filter/);
+assert.equal(filterKey({ ...ALL, period: undefined }), filterKey(ALL));
+assert.equal(filterKey({ ...ALL, category: ['Shop', 'Park'] }), filterKey({ ...ALL, category: ['Park', 'Shop'] }));
+console.log('✓ Filter settings compile to clauses; no categories or a missing period means all');
+
+// Several categories at once
+const sample = ['Restaurant', 'Shop', 'Park'].map(category => ({ category, recyclingVolume: 2 }));
+const shown = categories => sample.filter(point => pointMatchesFilters(point, { ...ALL, category: categories })).map(point => point.category);
+assert.deepEqual(shown(['Restaurant', 'Shop']), ['Restaurant', 'Shop']);
+assert.deepEqual(shown([]), ['Restaurant', 'Shop', 'Park']);
+assert.deepEqual(shown(['Nowhere']), []);
+console.log('✓ Category filter keeps any of the selected categories');
+
+// Volume ranges cover fractional volumes exactly once
+const volumes = [0.5, 1, 3, 3.5, 4, 6, 6.2, 7, 12];
+const inRange = range => volumes.filter(volume => pointMatchesFilters({ category: 'Shop', recyclingVolume: volume }, { ...ALL, volume: range }));
+assert.deepEqual(inRange('small'), [0.5, 1, 3]);
+assert.deepEqual(inRange('medium'), [3.5, 4, 6]);
+assert.deepEqual(inRange('large'), [6.2, 7, 12]);
+assert.deepEqual(inRange('all'), volumes);
+console.log('✓ Volume ranges split fractional volumes without gaps or overlaps');
+
+// Custom ranges from the slider include both ends; open ends are unbounded
+assert.deepEqual(inRange({ min: 2.5, max: 8 }), [3, 3.5, 4, 6, 6.2, 7]);
+assert.deepEqual(inRange({ min: 3, max: 6 }), [3, 3.5, 4, 6]);
+assert.deepEqual(inRange({ min: null, max: 1 }), [0.5, 1]);
+assert.deepEqual(inRange({ min: 7, max: null }), [7, 12]);
+assert.deepEqual(compileFilters({ ...ALL, volume: { min: null, max: null } }), []);
+assert.deepEqual(compileFilters({ ...ALL, volume: { min: 2.5, max: 8 } }), [
+  { property: 'recyclingVolume', op: '>=', value: 2.5 },
+  { property: 'recyclingVolume', op: '<=', value: 8 }
+]);
+assert.notEqual(filterKey({ ...ALL, volume: { min: 3, max: 6 } }), filterKey({ ...ALL, volume: 'medium' }));
+assert.throws(() => compileFilters({ ...ALL, volume: { min: 8, max: 2 } }), /Invalid volume range/);
+console.log('✓ Custom volume ranges include both ends and may be open');
+
+assert.equal(isVolumeRange({ min: 1, max: 1 }), true);
+assert.equal(isVolumeRange({ min: null, max: 4 }), true);
+assert.equal(isVolumeRange({ min: '1', max: 4 }), false);
+assert.equal(isVolumeRange({ min: 1 }), false);
+assert.equal(isVolumeRange(null), false);
+assert.deepEqual(getVolumeBounds('medium'), { min: 3, max: 6 });
+assert.deepEqual(getVolumeBounds('all'), { min: null, max: null });
+assert.deepEqual(
+  ['large', { min: 2.5, max: 8 }, { min: null, max: 4 }, { min: 6, max: null }, { min: null, max: null }].map(formatVolumeFilter),
+  ['7-10t', '2.5-8t', '≤ 4t', '≥ 6t', 'All volumes']
+);
+console.log('✓ Presets and ranges have slider bounds and labels');
+
+// Histogram under the slider
+assert.deepEqual(getVolumeDomain([2, 5, 9]), { min: 1, max: 10, binWidth: 1 });
+assert.deepEqual(getVolumeDomain([0.4, 10.2, NaN]), { min: 0, max: 11, binWidth: 1 });
+assert.deepEqual(getVolumeDomain([5, 250]), { min: 1, max: 250, binWidth: 7 });
+assert.deepEqual(countVolumes([1, 1.4, 1.6, 10, 12, NaN], { min: 1, max: 10, binWidth: 1 }), [2, 1, 0, 0, 0, 0, 0, 0, 0, 2]);
+console.log('✓ Histogram bars are centered on whole tons and clamp outliers to the ends');
+
+// Mapbox expressions
+assert.equal(toFilterExpression(ALL), null);
+assert.deepEqual(toFilterExpression({ ...ALL, category: ['Shop', 'Restaurant'] }), ['in', ['get', 'category'], ['literal', ['Restaurant', 'Shop']]]);
+assert.deepEqual(toFilterExpression({ ...ALL, volume: 'large', period: '2025-03' }), [
+  'all', ['>', ['get', 'recyclingVolume'], 6], ['==', ['get', 'period'], '2025-03']
+]);
+assert.deepEqual(combineFilters(['has', 'point_count'], null), ['has', 'point_count']);
+assert.equal(combineFilters(undefined, null), null);
+assert.deepEqual(combineFilters(['has', 'point_count'], ['==', ['get', 'category'], 'Shop']), [
+  'all', ['has', 'point_count'], ['==', ['get', 'category'], 'Shop']
+]);
+console.log('✓ Filters compile to Mapbox expressions and combine with layer filters');
+
+/**
+ * Evaluate the expression subset produced by toFilterExpression, as Mapbox would
+ * @param {Array|null} expression
+ * @param {Object} properties
+ * @returns {boolean}
+ */
+function evaluate(expression, properties) {
+  if (!expression) return true;
+  const [op, ...args] = expression;
+  if (op === 'all') return args.every(arg => evaluate(arg, properties));
+
+  const [[, property], value] = args;
+  const actual = properties[property] ?? null;
+  if (op === '==') return actual === value;
+  if (op === 'in') return value[1].includes(actual);
+  if (actual === null) return false;
+  if (op === '>') return actual > value;
+  return op === '>=' ? actual >= value : actual <= value;
+}
+
+const data = generateData(1500, 'clustered', 'texas', 7, { months: 6 });
+const columns = toColumns(data);
+const cases = [
+  ALL,
+  { category: ['Shop'], volume: 'all', period: 'all' },
+  { category: ['Shop', 'Restaurant'], volume: 'all', period: 'all' },
+  { category: [], volume: 'small', period: data[0].period },
+  { category: [data[3].category], volume: 'large', period: 'all' },
+  { category: ['Nowhere'], volume: 'medium', period: 'all' },
+  { category: [], volume: { min: 2.5, max: 8 }, period: 'all' },
+  { category: ['Shop'], volume: { min: 4, max: null }, period: data[0].period },
+  { category: [], metro: [data[5].metro, data[9].metro], volume: 'small', period: 'all' }
+];
+
+cases.forEach(filters => {
+  const expected = data.filter(point => pointMatchesFilters(point, filters)).map(point => point.id);
+  const expression = toFilterExpression(filters);
+  assert.deepEqual(data.filter(point => evaluate(expression, point)).map(point => point.id), expected);
+  assert.deepEqual(Array.from(filterColumns(columns, filters), i => data[i].id), expected);
+});
+console.log('✓ JS, columnar and expression filtering agree on', cases.length, 'filter sets');
+
+// Non-clustered modes filter on the GPU; clusters get filtered source data
+class FakeMap {
+  constructor() {
+    this.layers = [];
+    this.sources = new Map();
+    this.setDataCalls = 0;
+  }
+  isStyleLoaded() { return true; }
+  getStyle() { return { layers: this.layers.map(({ id }) => ({ id })) }; }
+  getLayer(id) { return this.layers.find(layer => layer.id === id); }
+  addLayer(layer) { this.layers.push(structuredClone(layer)); }
+  removeLayer(id) { this.layers = this.layers.filter(layer => layer.id !== id); }
+  setFilter(id, filter) { this.getLayer(id).filter = filter; }
+  getSource(id) { return this.sources.get(id); }
+  addSource(id, config) {
+    const map = this;
+    this.sources.set(id, { ...config, setData(data) { this.data = data; map.setDataCalls++; } });
+  }
+  removeSource(id) { this.sources.delete(id); }
+}
+
+const map = new FakeMap();
+applyDataset(data);
+setMode(MODES.HEATMAP);
+rebuildForMode(map);
+assert.equal(map.getSource('points').data.features.length, data.length);
+assert.equal(map.getLayer('heatmap').filter, undefined);
+
+setFilter('category', ['Shop']);
+setFilteredResult(null);
+assert.equal(hasActiveFilters(), true);
+updatePointsData(map);
+assert.equal(map.setDataCalls, 0);
+assert.deepEqual(map.getLayer('heatmap').filter, ['in', ['get', 'category'], ['literal', ['Shop']]]);
+assert.ok(getFilteredData().every(point => point.category === 'Shop'));
+console.log('✓ Heatmap filter changes set a layer filter without replacing the source');
+
+setMode(MODES.CLUSTERS);
+rebuildForMode(map);
+assert.equal(map.getSource('points').data.features.length, getFilteredData().length);
+assert.deepEqual(map.getLayer('clusters').filter, ['has', 'point_count']);
+setFilter('category', []);
+updatePointsData(map);
+assert.equal(map.setDataCalls, 1);
+assert.equal(map.getSource('points').data.features.length, data.length);
+console.log('✓ Clustered sources are replaced with the filtered locations');
+
+// Category lists persist; single categories saved by earlier versions are upgraded
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, value),
+  removeItem: key => storage.delete(key)
+};
+
+assert.equal(validateState('filters.category', ['Shop', 'Park']).valid, true);
+assert.equal(validateState('filters.category', 'Shop').valid, false);
+assert.equal(validateState('filters.category', [1]).valid, false);
+
+setFilter('category', ['Shop', 'Park']);
+persistState();
+setFilter('category', []);
+restoreState();
+assert.deepEqual(getFilters().category, ['Shop', 'Park']);
+
+storage.set('map_app_state', JSON.stringify({ filters: { category: 'Restaurant' } }));
+restoreState();
+assert.deepEqual(getFilters().category, ['Restaurant']);
+storage.set('map_app_state', JSON.stringify({ filters: { category: 'all' } }));
+restoreState();
+assert.deepEqual(getFilters().category, []);
+console.log('✓ Category lists persist and restore; saved single categories are upgraded');
+
+// Volume ranges validate, persist and drive the slider histogram
+assert.equal(validateState('filters.volume', 'medium').valid, true);
+assert.equal(validateState('filters.volume', { min: 2.5, max: 8 }).valid, true);
+assert.equal(validateState('filters.volume', 'huge').valid, false);
+assert.equal(validateState('filters.volume', { min: 8, max: 2.5 }).valid, false);
+
+setFilter('volume', { min: 2.5, max: 8 });
+const range = getFilters().volume;
+setFilter('volume', { min: 2.5, max: 8 });
+assert.equal(getFilters().volume, range, 'an equal range is not a change');
+persistState();
+setFilter('volume', 'all');
+restoreState();
+assert.deepEqual(getFilters().volume, { min: 2.5, max: 8 });
+assert.ok(getFilteredData().every(point => point.recyclingVolume >= 2.5 && point.recyclingVolume <= 8));
+
+setFilter('category', ['Restaurant']);
+const histogram = getVolumeHistogram();
+const domain = getVolumeSliderDomain();
+assert.equal(histogram.length, Math.floor((domain.max - domain.min) / domain.binWidth) + 1);
+assert.equal(histogram.reduce((sum, count) => sum + count, 0), data.filter(point => point.category === 'Restaurant').length);
+setFilter('category', []);
+assert.equal(getVolumeHistogram().reduce((sum, count) => sum + count, 0), data.length);
+setFilter('volume', 'all');
+console.log('✓ Volume ranges persist and restore; the histogram ignores the volume filter');
+
+console.log('\n✓ All filter tests passed!');
@@ -0,0 +1,237 @@
+// Test spatial file format parsing: GeoJSON, TopoJSON and KML
+import assert from 'node:assert/strict';
+import { parseSpatialFile, topojsonToGeoJSON, kmlToGeoJSON, splitFeatures } from './src/data/formats.js';
+import { toKML } from './src/data/export.js';
+import { extractRecords } from './src/data/normalize.js';
+
+console.log('Testing spatial formats...\n');
+
+// GeoJSON with mixed geometries
+const geojson = {
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [-95.36, 29.76] }, properties: { name: 'Bin A', type: 'Shop', tons: 6 } },
+    { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [[-97.74, 30.27], [-97.75, 30.28]] }, properties: { category: 'Park' } },
+    { type: 'Feature', geometry: { type: 'Polygon', coordinates: [[[-95, 29], [-94, 29], [-94, 30], [-95, 29]]] }, properties: { zone: 'North' } },
+    { type: 'Feature', geometry: { type: 'LineString', coordinates: [[-95, 29], [-96, 30]] }, properties: {} }
+  ]
+};
+
+const fromGeo = parseSpatialFile('sites.geojson', JSON.stringify(geojson));
+assert.deepEqual(fromGeo.points[0], {
+  name: 'Bin A', id: 0, lng: -95.36, lat: 29.76, value: 0, category: 'Shop', metro: '', recyclingVolume: 6
+});
+assert.deepEqual(fromGeo.points.slice(1).map(p => [p.id, p.category, p.lng]), [['1-0', 'Park', -97.74], ['1-1', 'Park', -97.75]]);
+assert.deepEqual(fromGeo.overlay.features.map(f => [f.geometry.type, f.properties]), [['Polygon', { zone: 'North' }], ['LineString', {}]]);
+assert.deepEqual(fromGeo.geometryCounts, { Point: 1, MultiPoint: 1, Polygon: 1, LineString: 1 });
+console.log('✓ GeoJSON points are normalized; MultiPoints expand; lines and polygons become the overlay');
+
+const shadowed = parseSpatialFile('shadowed.geojson', JSON.stringify({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', geometry: { type: 'Point', coordinates: [-95.36, 29.76] }, properties: { LNG: 10, Latitude: 50, x: 1, category: 'Shop' } },
+    { type: 'Feature', geometry: { type: 'MultiPoint', coordinates: [[-97.74, 30.27]] }, properties: { Longitude: -80, lat: 40 } }
+  ]
+}));
+assert.deepEqual(shadowed.points.map(p => [p.lng, p.lat]), [[-95.36, 29.76], [-97.74, 30.27]]);
+assert.equal('LNG' in shadowed.points[0], false);
+assert.deepEqual(extractRecords([{ Longitude: '-95.4', LAT: 29.8 }]).map(p => [p.lng, p.lat]), [[-95.4, 29.8]]);
+console.log('✓ Geometry coordinates win over coordinate-like properties; records without geometry use them');
+
+const collection = splitFeatures({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', geometry: { type: 'GeometryCollection', geometries: [
+      { type: 'Point', coordinates: [-95, 29] }, { type: 'Point', coordinates: [-96, 30] }
+    ] }, properties: { category: 'Park' } },
+    { type: 'Feature', geometry: { type: 'GeometryCollection', geometries: [
+      { type: 'Point', coordinates: [-97, 31] }, { type: 'LineString', coordinates: [[-97, 31], [-98, 32]] }
+    ] }, properties: {} }
+  ]
+});
+assert.deepEqual(collection.points.map(p => p.id), ['0-0', '0-1', 1]);
+assert.deepEqual(collection.overlay.features.map(f => f.geometry.type), ['LineString']);
+assert.deepEqual(collection.geometryCounts, { Point: 3, LineString: 1 }, 'collections of points are not non-point features');
+console.log('✓ GeometryCollections expand into points and overlay, counted by their members');
+
+const withIds = splitFeatures({
+  type: 'FeatureCollection',
+  features: [
+    { type: 'Feature', id: 'bins', geometry: { type: 'MultiPoint', coordinates: [[-95, 29], [-96, 30]] }, properties: {} },
+    { type: 'Feature', geometry: { type: 'GeometryCollection', geometries: [
+      { type: 'Point', coordinates: [-97, 31] }, { type: 'Point', coordinates: [-98, 32] }
+    ] }, properties: { id: 7 } },
+    { type: 'Feature', id: 'single', geometry: { type: 'MultiPoint', coordinates: [[-99, 33]] }, properties: {} }
+  ]
+});
+assert.deepEqual(withIds.points.map(p => p.id), ['bins-0', 'bins-1', '7-0', '7-1', 'single']);
+console.log('✓ Members of multi-point features get unique ids from the feature id');
+
+const single = parseSpatialFile('one.json', JSON.stringify(geojson.features[0]));
+assert.equal(single.points.length, 1);
+console.log('✓ A single Feature loads like a collection');
+
+// TopoJSON with quantized arcs
+const topology = {
+  type: 'Topology',
+  transform: { scale: [0.001, 0.001], translate: [-96, 29] },
+  objects: {
+    sites: {
+      type: 'GeometryCollection',
+      geometries: [
+        { type: 'Point', coordinates: [500, 750], properties: { category: 'Office', volume: 4 } },
+        { type: 'LineString', arcs: [0] },
+        { type: 'Polygon', arcs: [[1]] }
+      ]
+    }
+  },
+  arcs: [
+    [[0, 0], [1000, 0], [0, 1000]],
+    [[0, 0], [100, 0], [0, 100], [-100, -100]]
+  ]
+};
+
+const topoGeo = topojsonToGeoJSON(topology);
+assert.deepEqual(topoGeo.features.map(f => f.geometry.type), ['Point', 'LineString', 'Polygon']);
+assert.deepEqual(topoGeo.features[0].geometry.coordinates, [-95.5, 29.75]);
+assert.deepEqual(topoGeo.features[1].geometry.coordinates, [[-96, 29], [-95, 29], [-95, 30]]);
+assert.equal(topoGeo.features[2].geometry.coordinates[0].length, 4);
+
+const fromTopo = splitFeatures(topoGeo);
+assert.deepEqual([fromTopo.points.length, fromTopo.overlay.features.length], [1, 2]);
+assert.deepEqual([fromTopo.points[0].category, fromTopo.points[0].recyclingVolume], ['Office', 4]);
+console.log('✓ TopoJSON arcs are decoded from quantized deltas');
+
+/**
+ * Minimal XML parser with the DOMParser surface kmlToGeoJSON uses
+ * Handles elements, attributes, text, CDATA and the predefined entities;
+ * unbalanced tags produce a parsererror document, as DOMParser does.
+ */
+class TestXmlParser {
+  parseFromString(text) {
+    const root = this.element('#document');
+    const stack = [root];
+    const tokens = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<(\/?)([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*"[^"]*")*)\s*(\/?)>|([^<]+)/g;
+    const decode = value => value.replace(/&(lt|gt|quot|apos|amp);/g, (_, name) => ({ lt: '<', gt: '>', quot: '"', apos: '\'', amp: '&' })[name]);
+    let match;
+
+    while ((match = tokens.exec(text)) !== null) {
+      const [, cdata, closing, name, attributes, selfClosing, chars] = match;
+      const parent = stack[stack.length - 1];
+
+      if (cdata !== undefined || chars !== undefined) {
+        parent.text.push(cdata ?? decode(chars));
+      } else if (closing) {
+        if (stack.length === 1 || parent.tagName !== name) return this.error();
+        stack.pop();
+      } else if (name) {
+        const child = this.element(name);
+        for (const [, key, value] of (attributes || '').matchAll(/([\w:.-]+)\s*=\s*"([^"]*)"/g)) {
+          child.attributes[key] = decode(value);
+        }
+        parent.children.push(child);
+        parent.text.push(child);
+        if (!selfClosing) stack.push(child);
+      }
+    }
+
+    return stack.length === 1 ? root : this.error();
+  }
+
+  element(tagName) {
+    return {
+      tagName,
+      localName: tagName.split(':').pop(),
+      attributes: {},
+      children: [],
+      text: [],
+      get textContent() {
+        return this.text.map(part => (typeof part === 'string' ? part : part.textContent)).join('');
+      },
+      getAttribute(key) {
+        return this.attributes[key] ?? null;
+      },
+      getElementsByTagNameNS(namespace, name) {
+        return this.children.flatMap(child => [
+          ...(child.localName === name ? [child] : []),
+          ...child.getElementsByTagNameNS(namespace, name)
+        ]);
+      },
+      getElementsByTagName(name) {
+        return this.getElementsByTagNameNS('*', name);
+      }
+    };
+  }
+
+  error() {
+    const doc = this.element('#document');
+    doc.children.push(this.element('parsererror'));
+    return doc;
+  }
+}
+
+const parser = new TestXmlParser();
+const kml = `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+  <Document>
+    <Placemark>
+      <name>Bin &amp; Co</name>
+      <description><![CDATA[Back <b>door</b>]]></description>
+      <ExtendedData>
+        <Data name="category"><value>Restaurant</value></Data>
+        <Data name="tons"><value>7</value></Data>
+        <SchemaData schemaUrl="#bins"><SimpleData name="fillLevel">55</SimpleData></SchemaData>
+      </ExtendedData>
+      <Point><coordinates>-97.7431,30.2672,0</coordinates></Point>
+    </Placemark>
+    <Placemark>
+      <name>Route 1</name>
+      <LineString><coordinates>-97.7,30.2 -97.6,30.3</coordinates></LineString>
+    </Placemark>
+    <Placemark>
+      <name>Zone</name>
+      <Polygon><outerBoundaryIs><LinearRing>
+        <coordinates>-97,30 -96,30 -96,31 -97,30</coordinates>
+      </LinearRing></outerBoundaryIs></Polygon>
+    </Placemark>
+    <Placemark><name>Nowhere</name></Placemark>
+  </Document>
+</kml>`;
+
+const kmlGeo = kmlToGeoJSON(kml, parser);
+assert.deepEqual(kmlGeo.features.map(f => f.geometry.type), ['Point', 'LineString', 'Polygon'], 'placemarks without geometry are skipped');
+assert.deepEqual(kmlGeo.features[0].geometry.coordinates, [-97.7431, 30.2672]);
+assert.deepEqual(kmlGeo.features[0].properties, {
+  name: 'Bin & Co', description: 'Back <b>door</b>', category: 'Restaurant', tons: '7', fillLevel: '55'
+});
+assert.deepEqual(kmlGeo.features[1].geometry.coordinates, [[-97.7, 30.2], [-97.6, 30.3]]);
+assert.deepEqual(kmlGeo.features[2].geometry.coordinates, [[[-97, 30], [-96, 30], [-96, 31], [-97, 30]]]);
+console.log('✓ KML Placemarks keep name, description and ExtendedData as properties');
+
+const fromKml = splitFeatures(kmlGeo);
+assert.deepEqual(fromKml.points, [{
+  name: 'Bin & Co', description: 'Back <b>door</b>', fillLevel: '55',
+  id: 0, lng: -97.7431, lat: 30.2672, value: 0, category: 'Restaurant', metro: '', recyclingVolume: 7
+}]);
+assert.deepEqual(fromKml.overlay.features.map(f => [f.geometry.type, f.properties.name]), [['LineString', 'Route 1'], ['Polygon', 'Zone']]);
+assert.deepEqual(fromKml.geometryCounts, { Point: 1, LineString: 1, Polygon: 1 });
+console.log('✓ KML points become locations; lines and polygons become the overlay');
+
+const exported = kmlToGeoJSON(toKML(splitFeatures(geojson).points.map(point => ({
+  type: 'Feature', geometry: { type: 'Point', coordinates: [point.lng, point.lat] }, properties: { ...point }
+})), false), parser);
+assert.deepEqual(exported.features.map(f => f.geometry.coordinates), [[-95.36, 29.76], [-97.74, 30.27], [-97.75, 30.28]]);
+assert.deepEqual(exported.features.map(f => f.properties.name), ['Bin A', 'Park #1-0', 'Park #1-1']);
+console.log('✓ Exported KML reads back');
+
+assert.throws(() => kmlToGeoJSON('<kml><Placemark></kml>', parser), /Invalid KML/);
+console.log('✓ Malformed KML throws');
+
+// Errors
+assert.throws(() => parseSpatialFile('broken.geojson', '{ not json'), /broken.geojson is not valid JSON/);
+assert.throws(() => parseSpatialFile('array.json', '[1, 2, 3]'), /array.json is not GeoJSON, TopoJSON or KML/);
+assert.throws(() => parseSpatialFile('null.json', 'null'), /null.json is not GeoJSON, TopoJSON or KML/);
+assert.throws(() => parseSpatialFile('number.geojson', '42'), /number.geojson is not GeoJSON, TopoJSON or KML/);
+console.log('✓ Invalid JSON and unknown structures throw with the file name');
+
+console.log('\n✓ All spatial format tests passed!');
@@ -0,0 +1,151 @@
+// Test seeded, reproducible data generation
+import assert from 'node:assert/strict';
+import { createRandom, isValidSeed } from './src/utils/random.js';
+import { generateData } from './src/data/generator.js';
+import { pointMatchesFilters } from './src/data/filters.js';
+import { parsePeriod, formatPeriod } from './src/utils/time.js';
+import { pointInPolygon } from './src/utils/geo.js';
+import { REGIONS, CATEGORIES } from './src/config/regions.js';
+import { PROFILES } from './src/config/profiles.js';
+
+console.log('Testing seeded generation...\n');
+
+// PRNG
+const a = createRandom(42);
+const b = createRandom(42);
+const sequence = [a(), a(), a()];
+assert.deepEqual([b(), b(), b()], sequence);
+assert.ok(sequence.every(n => n >= 0 && n < 1));
+assert.notEqual(createRandom(43)(), sequence[0]);
+console.log('✓ Same seed yields same sequence:', sequence.map(n => n.toFixed(6)).join(', '));
+
+assert.ok(isValidSeed(0) && isValidSeed(4294967295));
+assert.ok(!isValidSeed(-1) && !isValidSeed(1.5) && !isValidSeed('42') && !isValidSeed(2 ** 32));
+console.log('✓ Seed validation');
+
+// Concrete coordinates for (seed, count, distribution, region)
+const houston = generateData(3, 'clustered', 'houston', 42);
+assert.deepEqual(houston.map(p => [p.lng, p.lat]), [
+  [-95.33130659476407, 29.75383766630336],
+  [-95.33965194695007, 29.842390802110522],
+  [-95.43848858984089, 29.76473065562684]
+]);
+assert.deepEqual(houston.map(p => p.category), ['Office', 'Park', 'Office']);
+assert.deepEqual(houston.map(p => p.recyclingVolume), [3, 4, 9]);
+console.log('\n✓ Clustered / houston / seed 42');
+houston.forEach(p => console.log(`  - #${p.id} [${p.lng.toFixed(5)}, ${p.lat.toFixed(5)}] ${p.category} ${p.recyclingVolume}t`));
+
+const texas = generateData(2, 'route', 'texas', 7);
+assert.deepEqual(texas.map(p => [p.lng, p.lat]), [
+  [-98.30589212213074, 29.591529369804448],
+  [-98.03574143581339, 29.937940440369676]
+]);
+console.log('✓ Route / texas / seed 7');
+
+// Reproducibility across calls and settings
+assert.deepEqual(generateData(500, 'coastal', 'dallas', 123), generateData(500, 'coastal', 'dallas', 123));
+assert.notDeepEqual(generateData(50, 'uniform', 'austin', 1), generateData(50, 'uniform', 'austin', 2));
+console.log('✓ Same settings reproduce the dataset; different seeds differ');
+
+// A longer run starts with the same points as a shorter one
+assert.deepEqual(generateData(100, 'uniform', 'austin', 9).slice(0, 10), generateData(10, 'uniform', 'austin', 9));
+console.log('✓ Point count only extends the sequence');
+
+// Region masks keep points on land and inside the metro outline
+for (const region of Object.keys(REGIONS)) {
+  for (const distribution of ['clustered', 'uniform', 'route', 'coastal']) {
+    const points = generateData(400, distribution, region, 17);
+    assert.ok(points.every(p => pointInPolygon([p.lng, p.lat], REGIONS[region].polygon)), `${region}/${distribution} left its mask`);
+  }
+}
+console.log('\n✓ Every preset/distribution stays inside the region mask');
+
+const inGalvestonBay = p => p.lng > -94.98 && p.lng < -94.78 && p.lat > 29.5 && p.lat < 29.72;
+const gulfCoast = [...generateData(2000, 'coastal', 'houston', 3), ...generateData(2000, 'coastal', 'texas', 3)];
+assert.ok(!gulfCoast.some(inGalvestonBay));
+assert.ok(gulfCoast.every(p => p.lat > 25.8));
+console.log('✓ Coastal distribution stays out of Galveston Bay and the Gulf');
+
+// Polygon fill
+const triangle = [[-97.9, 30.1], [-97.5, 30.1], [-97.7, 30.5]];
+const filled = generateData(500, 'polygon-uniform', 'austin', 12, { polygon: triangle });
+assert.ok(filled.every(p => pointInPolygon([p.lng, p.lat], triangle)));
+assert.ok(filled.some(p => p.lat > 30.35) && filled.some(p => p.lng < -97.8));
+assert.deepEqual(filled, generateData(500, 'polygon-uniform', 'austin', 12, { polygon: triangle }));
+console.log('✓ polygon-uniform fills a supplied polygon reproducibly');
+
+const statewide = generateData(1000, 'polygon-uniform', 'texas', 12);
+assert.ok(statewide.every(p => pointInPolygon([p.lng, p.lat], REGIONS.texas.polygon)));
+assert.ok(statewide.some(p => p.lat > 34.5) && statewide.some(p => p.lng < -104));
+assert.ok(statewide.every(p => p.metro === 'Texas (All)'));
+console.log('✓ polygon-uniform without a polygon fills the region mask (panhandle to Big Bend)');
+
+// Generator profiles
+const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+const correlation = (xs, ys) => {
+  const mx = mean(xs), my = mean(ys);
+  const cov = mean(xs.map((x, i) => (x - mx) * (ys[i] - my)));
+  return cov / Math.sqrt(mean(xs.map(x => (x - mx) ** 2)) * mean(ys.map(y => (y - my) ** 2)));
+};
+
+Object.entries(PROFILES).forEach(([id, profile]) => {
+  assert.ok(Object.keys(profile.categoryWeights || {}).every(c => CATEGORIES.includes(c)), `${id} uses unknown categories`);
+});
+assert.deepEqual(generateData(200, 'clustered', 'texas', 5, { profile: 'independent' }), generateData(200, 'clustered', 'texas', 5));
+console.log('\n✓ Independent profile is the default');
+
+const realistic = generateData(5000, 'clustered', 'texas', 31, { profile: 'realistic' });
+const volumesOf = category => realistic.filter(p => p.category === category).map(p => p.recyclingVolume);
+assert.ok(mean(volumesOf('Restaurant')) > mean(volumesOf('Office')) + 2);
+assert.ok(mean(volumesOf('Park')) < 3.5);
+assert.ok(realistic.filter(p => p.category === 'Restaurant').length > realistic.filter(p => p.category === 'Park').length * 2);
+console.log('✓ Realistic: restaurants', mean(volumesOf('Restaurant')).toFixed(2), 't vs offices', mean(volumesOf('Office')).toFixed(2), 't');
+
+const houstonRestaurants = realistic.filter(p => p.category === 'Restaurant' && p.metro === 'Houston');
+const saRestaurants = realistic.filter(p => p.category === 'Restaurant' && p.metro === 'San Antonio');
+assert.ok(mean(houstonRestaurants.map(p => p.recyclingVolume)) > mean(saRestaurants.map(p => p.recyclingVolume)));
+console.log('✓ Metro multipliers: Houston restaurants out-produce San Antonio');
+
+const valueVolume = correlation(realistic.map(p => p.value), realistic.map(p => p.recyclingVolume));
+const pickupsVolume = correlation(realistic.map(p => p.pickupsPerWeek), realistic.map(p => p.recyclingVolume));
+const independentVV = correlation(...[generateData(5000, 'uniform', 'austin', 31)].flatMap(d => [d.map(p => p.value), d.map(p => p.recyclingVolume)]));
+assert.ok(valueVolume > 0.5 && pickupsVolume > 0.6 && Math.abs(independentVV) < 0.1);
+assert.ok(realistic.every(p => p.value >= 0 && p.value <= 100));
+console.log('✓ Correlations: value/volume', valueVolume.toFixed(2), '· pickups/volume', pickupsVolume.toFixed(2), '· independent', independentVV.toFixed(2));
+
+assert.ok(realistic.every(p => Number.isInteger(p.pickupsPerWeek) && p.pickupsPerWeek >= 1 && p.pickupsPerWeek <= 7));
+assert.ok(realistic.every(p => ['Cart', 'Dumpster', 'Compactor'].includes(p.binType)));
+const dining = generateData(500, 'uniform', 'austin', 2, { profile: 'restaurantRow' });
+assert.ok(dining.every(p => (p.category === 'Restaurant') === (p.cuisine !== undefined)));
+assert.ok(dining.filter(p => p.compost).length > 0);
+console.log('✓ Extra properties generated (category-limited where configured)');
+
+// Seasonal time series
+const series = generateData(20, 'clustered', 'texas', 5, { months: 12 });
+const periods = [...new Set(series.map(p => p.period))];
+assert.equal(series.length, 240);
+assert.equal(periods.length, 12);
+assert.equal(periods[0], '2025-01');
+assert.equal(periods[11], '2025-12');
+assert.ok(series.every(p => p.timestamp === parsePeriod(p.period).timestamp));
+assert.ok(series.every(p => p.recyclingVolume >= 1 && p.recyclingVolume <= 10));
+assert.deepEqual(series, generateData(20, 'clustered', 'texas', 5, { months: 12 }));
+console.log('\n✓ 12-month series:', series.length, 'records,', periods[0], '→', periods[11]);
+
+const site = series.filter(p => p.lng === series[0].lng && p.lat === series[0].lat);
+assert.equal(site.length, 12);
+assert.ok(site.every(p => p.category === site[0].category));
+console.log('✓ Each site reports once per month');
+
+const march = series.filter(p => pointMatchesFilters(p, { volume: 'all', category: [], period: '2025-03' }));
+assert.equal(march.length, 20);
+assert.equal(series.filter(p => pointMatchesFilters(p, { volume: 'all', category: [], period: 'all' })).length, 240);
+console.log('✓ Period filter selects one month');
+
+assert.equal(formatPeriod('2025-03'), 'Mar 2025');
+assert.equal(parsePeriod('2025-03-14').period, '2025-03');
+assert.equal(parsePeriod('not a date'), null);
+assert.ok(generateData(5, 'uniform', 'austin', 1).every(p => p.period === undefined));
+console.log('✓ Period parsing; snapshots have no period');
+
+console.log('\n✓ All generator tests passed!');
@@ -0,0 +1,97 @@
+// Test offline geocoding of address-only CSV rows
+import assert from 'node:assert/strict';
+import {
+  findZip, createGazetteerGeocoder, getGeocoder, setGeocoder, geocodeAll, MATCH_CONFIDENCE
+} from './src/data/geocode.js';
+import { parseCSV, guessColumnMapping, shouldGeocode, geocodeCsvRows, mapCsvRows } from './src/data/csv.js';
+import { TEXAS_GAZETTEER } from './src/config/gazetteer.js';
+
+console.log('Testing geocoding...\n');
+
+// ZIP extraction
+assert.equal(findZip('12345 Main St, Houston, TX 77002'), '77002');
+assert.equal(findZip('1 Congress Ave, Austin 78701-4042'), '78701');
+assert.equal(findZip('PO Box 12'), null);
+assert.equal(findZip(undefined), null);
+console.log('✓ Finds the last ZIP in an address, ignoring house numbers and ZIP+4');
+
+// Gazetteer matches, best first
+const gazetteer = createGazetteerGeocoder();
+const match = query => gazetteer.geocode(query);
+
+assert.deepEqual(await match({ zip: '77002' }), {
+  lng: TEXAS_GAZETTEER.zips['77002'][0],
+  lat: TEXAS_GAZETTEER.zips['77002'][1],
+  confidence: MATCH_CONFIDENCE.zip,
+  label: 'ZIP 77002'
+});
+assert.equal((await match({ address: '500 Main St, Dallas, TX 75201' })).label, 'ZIP 75201');
+
+const byCity = await match({ address: '12 Elm St, San Antonio, Texas' });
+assert.deepEqual([byCity.label, byCity.confidence], ['San Antonio', MATCH_CONFIDENCE.city]);
+assert.deepEqual([byCity.lng, byCity.lat], TEXAS_GAZETTEER.cities['San Antonio']);
+assert.equal((await match({ address: '9 Oak Rd Corpus Christi TX' })).label, 'Corpus Christi');
+assert.equal((await match({ city: 'fort worth' })).label, 'Fort Worth');
+assert.equal(await match({ address: '44 Bryan St Suite 3' }), null, 'street names are not cities');
+console.log('✓ Matches known ZIPs first, then city names in the city field or address');
+
+const inArea = await match({ address: '8 Pine St, Houston, TX 77009' });
+const outsideArea = await match({ address: '8 Pine St, Austin, TX 77009' });
+const areaOnly = await match({ zip: '79605' });
+assert.deepEqual([inArea.label, inArea.confidence], ['Houston', MATCH_CONFIDENCE.cityInZipArea]);
+assert.deepEqual([outsideArea.label, outsideArea.confidence], ['Austin', MATCH_CONFIDENCE.cityOutsideZipArea]);
+assert.deepEqual([areaOnly.label, areaOnly.confidence], ['ZIP 796xx (Abilene)', MATCH_CONFIDENCE.zipArea]);
+assert.equal(await match({ address: 'Nowhere Lane', zip: '10001' }), null);
+console.log('✓ ZIP areas raise, lower or provide the confidence of city matches');
+
+// Swappable geocoder, one call per distinct query
+const calls = [];
+const stub = {
+  id: 'stub',
+  name: 'Stub geocoder',
+  async geocode(query) {
+    calls.push(query.address);
+    return query.address === 'known' ? { lng: 1, lat: 2, confidence: 1, label: 'stub' } : null;
+  }
+};
+
+assert.throws(() => setGeocoder({ name: 'broken' }), /geocode\(\)/);
+setGeocoder(stub);
+assert.equal(getGeocoder(), stub);
+const results = await geocodeAll([{ address: 'known' }, { address: 'other' }, { address: 'known' }]);
+assert.deepEqual(results.map(result => result?.label ?? null), ['stub', null, 'stub']);
+assert.deepEqual(calls, ['known', 'other']);
+setGeocoder(null);
+assert.equal(getGeocoder().id, 'gazetteer');
+console.log('✓ Geocoder is swappable and repeated queries are looked up once');
+
+// CSV rows: geocode the ones without coordinates
+const { headers, rows } = parseCSV([
+  'name,street address,city,zip,lng,lat',
+  'HQ,1 Main St,Houston,77002,,',
+  'Depot,,Waco,,,',
+  'Yard,5 Elm St,Smallville,,,',
+  'Known,,,,-97.1,32.7'
+].join('\n'));
+const mapping = guessColumnMapping(headers);
+assert.deepEqual([mapping.address, mapping.metro, mapping.zip], [1, 2, 3]);
+assert.equal(shouldGeocode(mapping), true);
+assert.equal(shouldGeocode({ lng: 0, lat: 1, metro: 2 }), false);
+assert.equal(shouldGeocode({ lng: -1, lat: -1, metro: 2 }), true);
+
+const geocoding = await geocodeCsvRows(rows, mapping);
+assert.equal(geocoding.geocoded, 2);
+assert.deepEqual(geocoding.unmatched, [{ row: 3, query: '5 Elm St, Smallville' }]);
+assert.deepEqual([geocoding.mapping.lng, geocoding.mapping.lat], [6, 7]);
+assert.deepEqual(geocoding.extraColumns, { geocodeConfidence: 8, geocodeMatch: 9 });
+
+const { data, rejected } = mapCsvRows(geocoding.rows, geocoding.mapping, geocoding.extraColumns);
+assert.deepEqual(
+  data.map(point => [point.metro, point.geocodeConfidence, point.geocodeMatch]),
+  [['Houston', MATCH_CONFIDENCE.zip, 'ZIP 77002'], ['Waco', MATCH_CONFIDENCE.city, 'Waco'], ['', undefined, undefined]]
+);
+assert.deepEqual([data[2].lng, data[2].lat], [-97.1, 32.7]);
+assert.deepEqual(rejected.map(({ row }) => row), [3]);
+console.log('✓ CSV rows get coordinates, confidence and match columns; unmatched rows are listed');
+
+console.log('\n✓ All geocoding tests passed!');
@@ -0,0 +1,137 @@
+// Test layer groups: namespaced layers, independent rebuilds, order and visibility
+import assert from 'node:assert/strict';
+import { MAIN_GROUP_ID, MODES } from './src/config/constants.js';
+import {
+  groupLayerId, groupSourceId, rebuildForMode, rebuildGroup, updateGroupData,
+  removeGroupLayers, setGroupVisibility, applyLayerOrder, updateClusterOpacity
+} from './src/layers/index.js';
+import { applyDataset } from './src/data/sources/index.js';
+import { generateData } from './src/data/generator.js';
+import {
+  getLayerGroup, setLayerGroup, removeLayerGroup, getLayerOrder, setLayerOrder
+} from './src/state/store.js';
+
+console.log('Testing layer groups...\n');
+
+/**
+ * Minimal stand-in for the mapboxgl.Map layer and source API
+ */
+class FakeMap {
+  constructor() {
+    this.layers = [];
+    this.sources = new Map();
+  }
+  isStyleLoaded() { return true; }
+  getStyle() { return { layers: this.layers.map(({ id }) => ({ id })) }; }
+  getLayer(id) { return this.layers.find(layer => layer.id === id); }
+  addLayer(layer, beforeId) {
+    const index = beforeId ? this.layers.findIndex(l => l.id === beforeId) : -1;
+    this.layers.splice(index === -1 ? this.layers.length : index, 0, structuredClone(layer));
+  }
+  removeLayer(id) { this.layers = this.layers.filter(layer => layer.id !== id); }
+  moveLayer(id, beforeId) {
+    const layer = this.getLayer(id);
+    this.removeLayer(id);
+    this.addLayer(layer, beforeId);
+  }
+  getSource(id) { return this.sources.get(id); }
+  addSource(id, config) {
+    this.sources.set(id, { ...config, setData(data) { this.data = data; } });
+  }
+  removeSource(id) { this.sources.delete(id); }
+  setLayoutProperty(id, property, value) { this.getLayer(id).layout[property] = value; }
+  setPaintProperty(id, property, value) { this.getLayer(id).paint[property] = value; }
+  setFilter(id, filter) { this.getLayer(id).filter = filter; }
+  groupOf(id) { return id.includes('/') ? id.split('/')[0] : MAIN_GROUP_ID; }
+  stack() { return [...new Set(this.layers.map(layer => this.groupOf(layer.id)))]; }
+}
+
+assert.equal(groupLayerId(MAIN_GROUP_ID, 'clusters'), 'clusters');
+assert.equal(groupLayerId('group-1', 'clusters'), 'group-1/clusters');
+assert.equal(groupSourceId(MAIN_GROUP_ID), 'points');
+assert.equal(groupSourceId('group-1'), 'group-1/points');
+console.log('✓ Main group keeps plain IDs; other groups are prefixed');
+
+const map = new FakeMap();
+applyDataset(generateData(60, 'clustered', 'houston', 1));
+rebuildForMode(map);
+assert.ok(map.getSource('points'));
+assert.ok(map.getLayer('clusters'));
+
+const facilities = generateData(40, 'uniform', 'houston', 2);
+setLayerGroup({
+  id: 'facilities',
+  name: 'Processing facilities',
+  data: facilities,
+  mode: MODES.HEATMAP,
+  colors: { primary: '#10b981', secondary: '#f59e0b' },
+  filters: { category: [], volume: 'all', period: 'all' },
+  visible: true
+});
+assert.deepEqual(getLayerOrder(), ['facilities', MAIN_GROUP_ID]);
+assert.equal(rebuildGroup('facilities', map), 40);
+
+const heatmap = map.getLayer('facilities/heatmap');
+assert.equal(heatmap.source, 'facilities/points');
+assert.equal(map.getSource('facilities/points').cluster, false);
+assert.ok(heatmap.paint['heatmap-color'].includes('#f59e0b'));
+assert.deepEqual(map.stack(), [MAIN_GROUP_ID, 'facilities']);
+console.log('✓ Added group gets its own source, mode and color ramp, drawn on top');
+
+const facilitySource = map.getSource('facilities/points');
+rebuildForMode(map);
+assert.equal(map.getSource('facilities/points'), facilitySource);
+assert.deepEqual(map.stack(), [MAIN_GROUP_ID, 'facilities']);
+console.log('✓ Rebuilding the main dataset leaves other groups and their stacking alone');
+
+setLayerOrder([MAIN_GROUP_ID, 'facilities']);
+applyLayerOrder(map);
+assert.deepEqual(map.stack(), ['facilities', MAIN_GROUP_ID]);
+const clusterLayers = map.layers.filter(layer => map.groupOf(layer.id) === MAIN_GROUP_ID).map(layer => layer.id);
+assert.deepEqual(clusterLayers.slice(0, 2), ['clusters-glow', 'clusters']);
+rebuildGroup('facilities', map);
+assert.deepEqual(map.stack(), ['facilities', MAIN_GROUP_ID]);
+console.log('✓ Reordering restacks groups; rebuilt groups keep their place');
+
+setLayerGroup({ ...getLayerGroup('facilities'), visible: false });
+setGroupVisibility('facilities', false, map);
+assert.equal(map.getLayer('facilities/heatmap').layout.visibility, 'none');
+rebuildGroup('facilities', map);
+assert.equal(map.getLayer('facilities/heatmap').layout.visibility, 'none');
+assert.equal(map.getLayer('clusters').layout.visibility, 'visible');
+console.log('✓ Visibility toggles per group and survives rebuilds');
+
+const heatmapData = map.getSource('facilities/points').data;
+assert.equal(heatmapData.features.length, facilities.length);
+setLayerGroup({ ...getLayerGroup('facilities'), filters: { category: ['Shop'], volume: 'all', period: 'all' } });
+updateGroupData('facilities', map);
+assert.deepEqual(map.getLayer('facilities/heatmap').filter, ['in', ['get', 'category'], ['literal', ['Shop']]]);
+assert.equal(map.getSource('facilities/points').data, heatmapData, 'heatmap source is not replaced');
+assert.equal(map.getLayer('clusters').filter[0], 'has');
+console.log('✓ Group filters apply to the group only, as a layer filter outside clusters mode');
+
+setLayerGroup({ ...getLayerGroup('facilities'), mode: MODES.MARKERS });
+rebuildGroup('facilities', map);
+assert.ok(map.getLayer('facilities/markers').filter);
+setLayerGroup({ ...getLayerGroup('facilities'), mode: MODES.CLUSTERS });
+rebuildGroup('facilities', map);
+const shown = map.getSource('facilities/points').data.features;
+assert.equal(shown.length, facilities.filter(point => point.category === 'Shop').length);
+assert.ok(shown.every(feature => feature.properties.category === 'Shop'));
+assert.equal(map.getLayer('facilities/clusters').filter[0], 'has');
+console.log('✓ Clustered groups get filtered source data:', shown.length, 'of', facilities.length);
+
+updateClusterOpacity(0.5, map);
+assert.equal(map.getLayer('facilities/clusters').paint['circle-opacity'], 0.5);
+assert.equal(map.getLayer('clusters').paint['circle-opacity'], 0.5);
+console.log('✓ Shared cluster settings update every group');
+
+removeGroupLayers(map, 'facilities');
+removeLayerGroup('facilities');
+assert.ok(!map.layers.some(layer => layer.id.startsWith('facilities/')));
+assert.ok(!map.getSource('facilities/points'));
+assert.ok(map.getLayer('clusters'));
+assert.deepEqual(getLayerOrder(), [MAIN_GROUP_ID]);
+console.log('✓ Removing a group leaves the main dataset');
+
+console.log('\n✓ All layer group tests passed!');
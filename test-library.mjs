@@ -0,0 +1,77 @@
+// Test the dataset library (memory fallback when IndexedDB is unavailable)
+import assert from 'node:assert/strict';
+import {
+  saveDataset, listDatasets, loadDataset, deleteDataset, isLibraryPersistent, datasetIdFromName
+} from './src/data/library.js';
+import { extractRecords, getDefaultedFields } from './src/data/normalize.js';
+import { loadFromSource } from './src/data/sources/index.js';
+import { getDatasetOrigin, validateState } from './src/state/store.js';
+import { generateData } from './src/data/generator.js';
+
+console.log('Testing dataset library...\n');
+
+// Blocked IndexedDB (e.g. private browsing) falls back to memory
+const warn = console.warn;
+console.warn = () => {};
+globalThis.indexedDB = { open() { throw new Error('blocked'); } };
+assert.equal(await isLibraryPersistent(), false);
+console.warn = warn;
+console.log('✓ Falls back to an in-memory library when IndexedDB is blocked');
+
+assert.equal(datasetIdFromName('  Houston Bins (March)  '), 'houston-bins-march');
+assert.equal(datasetIdFromName('???'), 'dataset');
+
+const generated = generateData(200, 'clustered', 'houston', 42);
+const houston = await saveDataset(generated, { name: 'Houston bins', source: 'generator', seed: 42 });
+assert.deepEqual(
+  { ...houston, savedAt: typeof houston.savedAt },
+  { id: 'houston-bins', name: 'Houston bins', source: 'generator', rowCount: 200, savedAt: 'number', seed: 42 }
+);
+
+const imported = extractRecords([
+  { id: 1, lng: -95.3, lat: 29.7, category: 'Shop', volume: 4 },
+  { id: 2, lng: -95.4, lat: 29.8 }
+]);
+await new Promise(resolve => setTimeout(resolve, 5));
+const sites = await saveDataset(imported, { name: 'sites.csv', source: 'csv' });
+assert.equal(sites.seed, null);
+
+let list = await listDatasets();
+assert.deepEqual(list.map(meta => meta.name), ['sites.csv', 'Houston bins']);
+console.log('✓ Saved datasets listed newest first with metadata');
+
+const loaded = await loadDataset('houston-bins');
+assert.deepEqual(loaded.data, generated);
+assert.notEqual(loaded.data, generated);
+assert.equal(loaded.meta.seed, 42);
+generated[0].category = 'Changed';
+assert.notEqual((await loadDataset('houston-bins')).data[0].category, 'Changed');
+console.log('✓ Loaded datasets are copies of what was saved');
+
+const reloaded = await loadDataset('sites-csv');
+assert.deepEqual(getDefaultedFields(reloaded.data[1]), ['category', 'recyclingVolume']);
+assert.deepEqual(getDefaultedFields(reloaded.data[0]), []);
+console.log('✓ Defaulted-field flags survive a save/load round trip');
+
+await new Promise(resolve => setTimeout(resolve, 5));
+await saveDataset(generated.slice(0, 50), { name: 'HOUSTON bins', source: 'generator', seed: 7 });
+list = await listDatasets();
+assert.equal(list.length, 2);
+assert.deepEqual([list[0].name, list[0].rowCount, list[0].seed], ['HOUSTON bins', 50, 7]);
+console.log('✓ Saving under the same name replaces the dataset');
+
+await deleteDataset('houston-bins');
+assert.equal(await loadDataset('houston-bins'), null);
+assert.deepEqual((await listDatasets()).map(meta => meta.id), ['sites-csv']);
+await assert.rejects(saveDataset(generated, { name: '  ', source: 'generator' }), /name is required/);
+console.log('✓ Delete, missing datasets and empty names');
+
+// Dataset origin and the persisted active dataset
+await loadFromSource('generator', { count: 20, region: 'austin', seed: 99 });
+assert.deepEqual(getDatasetOrigin(), { source: 'generator', seed: 99 });
+assert.ok(validateState('library.activeId', 'sites-csv').valid);
+assert.ok(validateState('library.activeId', null).valid);
+assert.ok(!validateState('library.activeId', 5).valid);
+console.log('✓ Loads record their origin; active dataset ID is validated for persistence');
+
+console.log('\n✓ All dataset library tests passed!');
@@ -0,0 +1,172 @@
+// Test live feed patching and the WebSocket data source
+import assert from 'node:assert/strict';
+import { TIMING } from './src/config/constants.js';
+import { applyLiveMessages } from './src/data/live.js';
+import { loadFromSource } from './src/data/sources/index.js';
+import { getRawData, getGeoJSON, getSourceStatus, subscribe } from './src/state/store.js';
+
+console.log('Testing live updates...\n');
+
+const base = [
+  { id: 1, lng: -95.3, lat: 29.7, value: 10, category: 'Shop', metro: 'Houston', recyclingVolume: 4, fillLevel: 20 },
+  { id: 2, lng: -95.4, lat: 29.8, value: 20, category: 'Office', metro: 'Houston', recyclingVolume: 6, fillLevel: 50 },
+  { id: 3, lng: -95.5, lat: 29.9, value: 30, category: 'Park', metro: 'Houston', recyclingVolume: 2, fillLevel: 70 }
+];
+
+// Patching
+const patched = applyLiveMessages(base, [
+  { type: 'update', points: [{ id: 2, fillLevel: 65 }, { id: '3', lng: -95.6 }] },
+  { type: 'add', points: [{ id: 4, lng: -95.1, lat: 29.6, category: 'Restaurant' }, { lng: 0, lat: 0 }] },
+  { type: 'delete', ids: [1, 99] }
+]);
+assert.deepEqual(patched.data.map(p => p.id), [2, 3, 4]);
+assert.equal(patched.data[0].fillLevel, 65);
+assert.equal(patched.data[0].recyclingVolume, 6);
+assert.equal(patched.data[1].lng, -95.6);
+assert.equal(patched.data[2].category, 'Restaurant');
+assert.deepEqual([patched.added, patched.updated, patched.deleted], [1, 2, 1]);
+assert.equal(base.length, 3);
+assert.equal(base[1].fillLevel, 50);
+console.log('✓ Add/update/delete applied by id without mutating the input');
+
+const upsert = applyLiveMessages(base, [{ type: 'update', points: [{ id: 9, lng: -95, lat: 29 }] }]);
+assert.equal(upsert.added, 1);
+assert.equal(upsert.data.length, 4);
+console.log('✓ Update for an unknown id adds the location');
+
+const untouched = applyLiveMessages(base, [{ type: 'delete', ids: [42] }, { type: 'add', points: [{ lng: 1, lat: 1 }] }]);
+assert.equal(untouched.data, base);
+console.log('✓ No-op messages return the same array');
+
+const partial = applyLiveMessages(base, [{ type: 'update', points: [{ id: 2, lat: 30 }] }]);
+assert.equal(partial.data[0], base[0]);
+assert.equal(partial.data[2], base[2]);
+assert.notEqual(partial.data[1], base[1]);
+console.log('✓ Unchanged locations keep their identity');
+
+const resync = applyLiveMessages(base, [{ type: 'snapshot', points: [base[0]] }, { type: 'add', points: [base[1]] }]);
+assert.deepEqual(resync.data.map(p => p.id), [1, 2]);
+console.log('✓ Snapshot mid-stream replaces the dataset');
+
+const collection = features => ({ type: 'FeatureCollection', features });
+const feature = (id, coordinates, properties = {}) => ({
+  type: 'Feature', id, geometry: coordinates && { type: 'Point', coordinates }, properties
+});
+const fromFeatures = applyLiveMessages(base, [
+  { type: 'add', points: collection([feature(4, [-95.1, 29.6], { category: 'Restaurant' }), feature(undefined, [0, 0])]) },
+  { type: 'update', points: collection([feature(undefined, [-95.7, 29.95], { id: 3, fillLevel: 80 }), feature(2, null)]) }
+]);
+assert.deepEqual(fromFeatures.data.map(p => p.id), [1, 2, 3, 4]);
+assert.equal(fromFeatures.data[3].category, 'Restaurant');
+assert.deepEqual([fromFeatures.data[2].lng, fromFeatures.data[2].lat, fromFeatures.data[2].fillLevel], [-95.7, 29.95, 80]);
+assert.equal(fromFeatures.data[2].category, 'Park', 'updates from features merge into the location');
+assert.equal(fromFeatures.data[1], base[1], 'features without a point are skipped');
+assert.deepEqual([fromFeatures.added, fromFeatures.updated], [1, 1]);
+console.log('✓ Add/update accept FeatureCollections like snapshots do');
+
+assert.throws(() => applyLiveMessages(base, [{ type: 'snapshot', points: { rows: [] } }]), /neither a FeatureCollection nor an array/);
+console.log('✓ A snapshot without data throws');
+
+// WebSocket source with an in-memory socket
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeSocket.instances.push(this);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ||= []).push(listener);
+  }
+
+  emit(type, event = {}) {
+    (this.listeners[type] || []).forEach(listener => listener(event));
+  }
+
+  send(message) {
+    this.emit('message', { data: JSON.stringify(message) });
+  }
+
+  close() {
+    if (this.closed) return;
+    this.closed = true;
+    this.emit('close');
+  }
+}
+globalThis.WebSocket = FakeSocket;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const loading = loadFromSource('live', { url: 'ws://localhost:8081', region: 'houston' });
+const socket = FakeSocket.instances[0];
+assert.equal(socket.url, 'ws://localhost:8081/?region=houston');
+socket.send({ type: 'update', points: [{ id: 1, fillLevel: 99 }] });
+socket.send({ type: 'snapshot', points: base });
+
+const loaded = await loading;
+assert.equal(loaded.raw.length, 3);
+assert.equal(getRawData()[0].fillLevel, 20);
+assert.equal(getSourceStatus('live').status, 'ready');
+console.log('\n✓ Live source loads the first snapshot; earlier messages ignored');
+
+let rawNotifications = 0;
+subscribe('rawData', () => rawNotifications++);
+
+socket.send({ type: 'update', points: [{ id: 1, fillLevel: 35 }] });
+socket.send({ type: 'add', points: [{ id: 5, lng: -95.2, lat: 29.5 }] });
+socket.send({ type: 'delete', ids: [3] });
+assert.equal(getRawData().length, 3, 'messages are batched, not applied immediately');
+
+await wait(TIMING.LIVE_FLUSH_MS + 50);
+assert.equal(rawNotifications, 1);
+assert.deepEqual(getRawData().map(p => p.id), [1, 2, 5]);
+assert.equal(getRawData()[0].fillLevel, 35);
+assert.equal(getGeoJSON().features.length, 3);
+console.log('✓ Batched messages patched rawData once:', getRawData().map(p => p.id).join(', '));
+
+// A bad frame is reported and the feed keeps running
+socket.send({ type: 'snapshot', points: 'nothing' });
+socket.send({ type: 'add', points: [{ id: 6, lng: -95.2, lat: 29.4 }] });
+await wait(TIMING.LIVE_FLUSH_MS + 50);
+assert.deepEqual(getRawData().map(p => p.id), [1, 2, 5]);
+assert.equal(getSourceStatus('live').status, 'error');
+assert.match(getSourceStatus('live').error, /Live feed update failed/);
+
+socket.send({ type: 'add', points: collection([feature(6, [-95.2, 29.4])]) });
+await wait(TIMING.LIVE_FLUSH_MS + 50);
+assert.deepEqual(getRawData().map(p => p.id), [1, 2, 5, 6]);
+assert.equal(getSourceStatus('live').status, 'ready');
+console.log('✓ A batch that fails is reported; later batches still apply');
+
+socket.close();
+assert.equal(getSourceStatus('live').status, 'error');
+assert.match(getSourceStatus('live').error, /disconnected/);
+console.log('✓ Disconnect reported in source status');
+
+// A new load closes the open feed
+const second = loadFromSource('live', { url: 'ws://localhost:8081' });
+const secondSocket = FakeSocket.instances[1];
+secondSocket.send({ type: 'snapshot', points: base });
+await second;
+
+await loadFromSource('generator', { count: 10, region: 'austin' });
+assert.ok(secondSocket.closed);
+secondSocket.send({ type: 'add', points: [{ id: 7, lng: -97, lat: 30 }] });
+await wait(TIMING.LIVE_FLUSH_MS + 50);
+assert.equal(getRawData().length, 10);
+console.log('✓ Loading another source closes the feed; late messages are dropped');
+
+// Failures before the snapshot
+const refused = loadFromSource('live', { url: 'ws://localhost:1' });
+FakeSocket.instances[2].emit('error');
+FakeSocket.instances[2].close();
+assert.equal(await refused, null);
+assert.match(getSourceStatus('live').error, /Could not connect/);
+assert.equal(await loadFromSource('live', { url: 'http://example.com' }), null);
+assert.match(getSourceStatus('live').error, /ws:\/\//);
+console.log('✓ Connection and config errors recorded');
+
+console.log('\n✓ All live update tests passed!');
@@ -0,0 +1,87 @@
+// Test pasted coordinate lists
+import assert from 'node:assert/strict';
+import { parsePastedPoints, detectPasteDelimiter } from './src/data/paste.js';
+import { getDefaultedFields } from './src/data/normalize.js';
+import { OTHER_CATEGORY } from './src/config/regions.js';
+import { DATA_DEFAULTS } from './src/config/constants.js';
+
+console.log('Testing pasted coordinates...\n');
+
+/**
+ * Coordinates and label of each parsed location
+ * @param {import('./src/data/paste.js').PasteResult} result
+ * @returns {Array}
+ */
+const points = result => result.data.map(point => [point.lat, point.lng, point.label]);
+
+// "lat, lng, label" lines, as copied from a spreadsheet
+const basic = parsePastedPoints('29.7604, -95.3698, Depot A\n29.7499,-95.3584,"Depot B, rear"\n\n');
+assert.equal(basic.delimiter, ',');
+assert.equal(basic.headers, null);
+assert.deepEqual(points(basic), [[29.7604, -95.3698, 'Depot A'], [29.7499, -95.3584, 'Depot B, rear']]);
+assert.deepEqual([basic.order, basic.orderFrom], ['latlng', 'values']);
+console.log('✓ Parses "lat, lng, label" lines with quoted labels');
+
+// LocationData shape with defaults
+const [first] = basic.data;
+assert.deepEqual(
+  { id: first.id, category: first.category, volume: first.recyclingVolume, value: first.value, metro: first.metro },
+  { id: 0, category: OTHER_CATEGORY, volume: DATA_DEFAULTS.MIN_VOLUME, value: 0, metro: '' }
+);
+assert.deepEqual(getDefaultedFields(first).sort(), ['category', 'recyclingVolume']);
+console.log('✓ Missing category and volume get defaults, flagged for the quality report');
+
+// Delimiters
+assert.equal(detectPasteDelimiter(['a\tb, c', 'd\te']), '\t');
+assert.equal(detectPasteDelimiter(['1 2', '3 4']), ' ');
+assert.equal(detectPasteDelimiter(['1,2', '3,4', 'note']), ',');
+
+const semicolons = parsePastedPoints('48,8584;2,2945;Tour Eiffel\n51,5007;-0,1246;Big Ben');
+assert.equal(semicolons.delimiter, ';');
+assert.deepEqual(points(semicolons), [[48.8584, 2.2945, 'Tour Eiffel'], [51.5007, -0.1246, 'Big Ben']]);
+
+const spaces = parsePastedPoints('29.76 -95.36 Main St depot\n29.8\t-95.4');
+assert.equal(spaces.delimiter, ' ');
+assert.deepEqual(points(spaces), [[29.76, -95.36, 'Main St depot'], [29.8, -95.4, undefined]]);
+console.log('✓ Detects tab, semicolon (with decimal commas), comma and whitespace delimiters');
+
+// Coordinate order
+const lngFirst = parsePastedPoints('Depot A\t-95.36\t29.76\nDepot B\t-95.4\t29.8');
+assert.deepEqual([lngFirst.order, lngFirst.orderFrom], ['lnglat', 'values']);
+assert.deepEqual(points(lngFirst), [[29.76, -95.36, 'Depot A'], [29.8, -95.4, 'Depot B']]);
+
+const ambiguous = parsePastedPoints('51.5, -0.12\n48.85, 2.29');
+assert.deepEqual([ambiguous.order, ambiguous.orderFrom], ['latlng', 'assumed']);
+const forced = parsePastedPoints('51.5, -0.12\n48.85, 2.29', { order: 'lnglat' });
+assert.deepEqual([forced.order, forced.orderFrom, forced.data[0].lat], ['lnglat', 'option', -0.12]);
+console.log('✓ Coordinate order comes from the values, the option, or defaults to lat, lng');
+
+// Header rows are read by name
+const withHeader = parsePastedPoints('name;lng;lat;category;volume\nA;-95,36;29,76;Shop;4\nB;-95,4;29,8;;');
+assert.deepEqual(withHeader.headers, ['name', 'lng', 'lat', 'category', 'volume']);
+assert.deepEqual([withHeader.order, withHeader.orderFrom], ['lnglat', 'header']);
+assert.deepEqual(
+  withHeader.data.map(point => [point.name, point.lat, point.category, point.recyclingVolume]),
+  [['A', 29.76, 'Shop', 4], ['B', 29.8, OTHER_CATEGORY, DATA_DEFAULTS.MIN_VOLUME]]
+);
+assert.deepEqual(getDefaultedFields(withHeader.data[0]), []);
+console.log('✓ Header rows name the coordinate order and fields like category and volume');
+
+// Rejected lines keep their line numbers
+const messy = parsePastedPoints('29.76, -95.36\nsee attached\n\n95.1, 200\n29.8, -95.4');
+assert.equal(messy.data.length, 2);
+assert.deepEqual(messy.rejected, [
+  { line: 2, reason: 'No coordinate pair found' },
+  { line: 4, reason: 'Coordinates out of range (95.1, 200)' }
+]);
+assert.deepEqual(parsePastedPoints('just words').data, []);
+assert.deepEqual(parsePastedPoints('').rejected, []);
+console.log('✓ Lines without valid coordinates are rejected with their line number');
+
+// A stray quote stays on its own line
+const stray = parsePastedPoints('29.7,-95.3,"Depot\n29.8,-95.4,Other\nnot a point\n29.9,-95.5,Third');
+assert.deepEqual(points(stray), [[29.7, -95.3, 'Depot'], [29.8, -95.4, 'Other'], [29.9, -95.5, 'Third']]);
+assert.deepEqual(stray.rejected, [{ line: 3, reason: 'No coordinate pair found' }]);
+console.log('✓ An unclosed quote affects only its own line');
+
+console.log('\n✓ All paste tests passed!');
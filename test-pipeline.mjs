@@ -0,0 +1,122 @@
+// Test the data pipeline (columnar encoding, filtering, stale-request cancellation)
+// Node has no Web Worker, so requests run through the main-thread fallback
+import assert from 'node:assert/strict';
+import { generateData } from './src/data/generator.js';
+import { toColumns, fromColumns, cloneColumns, getTransferables, filterColumns, columnsToGeoJSON } from './src/data/columnar.js';
+import { pointMatchesFilters } from './src/data/filters.js';
+import { generateInPipeline, filterInPipeline, updateFilteredData } from './src/data/pipeline.js';
+import { setRawData, setFilter, getFilteredResult, resetState } from './src/state/store.js';
+import { getFilteredData, getFilteredGeoJSON } from './src/state/selectors.js';
+
+console.log('Testing data pipeline...\n');
+
+const data = generateData(2000, 'clustered', 'texas', 11);
+
+// Columnar round trip
+const columns = toColumns(data);
+assert.deepEqual(fromColumns(columns), data);
+assert.equal(getTransferables(columns).length, 9);
+console.log('✓ Columnar round trip:', columns.length, 'points,', columns.categories.length, 'categories,', columns.metros.length, 'metros');
+
+const copy = cloneColumns(columns);
+copy.lng[0] = 0;
+assert.notEqual(columns.lng[0], 0);
+console.log('✓ Cloned columns are independent');
+
+const profiled = generateData(50, 'uniform', 'austin', 4, { profile: 'restaurantRow' });
+const profiledColumns = toColumns(profiled);
+assert.deepEqual(fromColumns(profiledColumns), profiled);
+const restaurant = columnsToGeoJSON(profiledColumns, filterColumns(profiledColumns, { volume: 'all', category: ['Restaurant'] })).features[0];
+assert.ok(restaurant.properties.cuisine && typeof restaurant.properties.seats === 'number');
+assert.equal(columns.extra, null);
+console.log('✓ Extra profile properties survive columns and reach GeoJSON');
+
+const mixedIds = toColumns([{ ...data[0], id: 'a-1' }, data[1]]);
+assert.ok(Array.isArray(mixedIds.id));
+assert.equal(fromColumns(mixedIds)[0].id, 'a-1');
+console.log('✓ Non-numeric IDs kept in a plain array');
+
+// Filtering matches the selector predicate
+const filters = { volume: 'medium', category: ['Shop'] };
+const indices = filterColumns(columns, filters);
+const expected = data.filter(p => pointMatchesFilters(p, filters));
+assert.deepEqual(Array.from(indices, i => data[i]), expected);
+console.log('\n✓ Columnar filter matches predicate:', indices.length, 'medium Shops');
+
+const geoJSON = columnsToGeoJSON(columns, indices);
+assert.equal(geoJSON.features.length, expected.length);
+assert.equal(geoJSON.features[0].properties.weight, expected[0].recyclingVolume / 10);
+console.log('✓ FeatureCollection built with weight');
+
+assert.equal(filterColumns(columns, { volume: 'all', category: ['Nope'] }).length, 0);
+console.log('✓ Unknown category matches nothing');
+
+// Pipeline requests
+const generated = await generateInPipeline({ count: 500, distribution: 'uniform', region: 'austin', seed: 3 });
+assert.deepEqual(generated, generateData(500, 'uniform', 'austin', 3));
+console.log('\n✓ Pipeline generation matches generateData for the same seed');
+
+const first = filterInPipeline(generated, { volume: 'small', category: [] });
+const second = filterInPipeline(generated, { volume: 'large', category: [] });
+await assert.rejects(first, { name: 'AbortError' });
+const latest = await second;
+assert.ok(Array.from(latest.indices).every(i => generated[i].recyclingVolume > 6));
+console.log('✓ Stale filter request cancelled; latest returned', latest.indices.length, 'large points');
+
+const controller = new AbortController();
+const aborted = generateInPipeline({ count: 10, distribution: 'uniform', region: 'austin', seed: 1 }, { signal: controller.signal });
+controller.abort();
+await assert.rejects(aborted, { name: 'AbortError' });
+console.log('✓ Abort signal cancels generation');
+
+// Results flow into the store and selectors
+resetState();
+setRawData(data);
+setFilter('category', ['Park']);
+assert.ok(await updateFilteredData());
+const result = getFilteredResult();
+assert.equal(result.rawData, data);
+assert.equal(getFilteredGeoJSON(), result.geoJSON);
+assert.deepEqual(getFilteredData(), data.filter(p => p.category === 'Park'));
+console.log('\n✓ Filter result stored and used by selectors:', result.indices.length, 'parks');
+
+setFilter('category', ['Shop']);
+assert.notEqual(getFilteredGeoJSON(), result.geoJSON);
+assert.ok(getFilteredData().every(p => p.category === 'Shop'));
+console.log('✓ Selectors fall back to main-thread filtering while a result is stale');
+resetState();
+
+// With a worker, datasets are sent as a transferred copy; the original is kept for replay
+class FakeWorker {
+  static instance = null;
+
+  constructor() {
+    this.messages = [];
+    FakeWorker.instance = this;
+  }
+
+  postMessage(message, transfer = []) {
+    // Transferring detaches the posted buffers, as in a browser
+    this.messages.push({ message: structuredClone(message, { transfer }), transfer });
+  }
+
+  terminate() {}
+}
+globalThis.Worker = FakeWorker;
+const workerPipeline = await import('./src/data/pipeline.js?worker');
+
+const filtered = workerPipeline.filterInPipeline(data, { volume: 'large', category: [] });
+const [setData, filter] = FakeWorker.instance.messages;
+assert.deepEqual([setData.message.type, filter.message.type], ['setData', 'filter']);
+assert.equal(setData.transfer.length, 9);
+assert.ok(setData.transfer.every(buffer => buffer.byteLength === 0), 'the posted copy was transferred');
+assert.deepEqual(fromColumns(setData.message.payload.columns), data);
+assert.deepEqual(filter.transfer, []);
+
+FakeWorker.instance.onerror({ message: 'worker crashed' });
+const replayed = await filtered;
+assert.deepEqual(Array.from(replayed.indices, i => data[i]), data.filter(p => p.recyclingVolume > 6));
+delete globalThis.Worker;
+console.log('\n✓ Datasets are posted as a transferred copy; a failed worker replays the original');
+
+console.log('\n✓ All pipeline tests passed!');
@@ -0,0 +1,136 @@
+// Test the filter query language: parsing, errors, formatting and completion
+import assert from 'node:assert/strict';
+import { parseQuery, formatQuery, getCompletions, applyCompletion, quoteQueryValue } from './src/data/query.js';
+import { filterKey, pointMatchesFilters } from './src/data/filters.js';
+import { generateData } from './src/data/generator.js';
+import { applyDataset } from './src/data/sources/index.js';
+import { setFilter, getFilters, batch, validateState } from './src/state/store.js';
+import { getFilteredData, getQueryValues } from './src/state/selectors.js';
+
+console.log('Testing filter queries...\n');
+
+const VALUES = {
+  category: ['Office', 'Park', 'Restaurant', 'Shop', 'Transit'],
+  metro: ['Austin', 'Dallas-Fort Worth', 'Houston', 'San Antonio'],
+  period: ['2025-01', '2025-02']
+};
+const parse = text => parseQuery(text, VALUES);
+
+// Parsing
+assert.deepEqual(parse('').filters, { category: [], metro: [], volume: 'all', period: 'all' });
+assert.deepEqual(parse('category:Shop,Office volume>=5 metro:"Austin"'), {
+  filters: { category: ['Shop', 'Office'], metro: ['Austin'], volume: { min: 5, max: null }, period: 'all' },
+  errors: []
+});
+assert.deepEqual(parse('  metro:"San Antonio","Dallas-Fort Worth"  period:2025-02 ').filters, {
+  category: [], metro: ['San Antonio', 'Dallas-Fort Worth'], volume: 'all', period: '2025-02'
+});
+assert.deepEqual(parse('CATEGORY:shop,SHOP metro:houston').filters.category, ['Shop']);
+assert.deepEqual(parse('metro:houston').filters.metro, ['Houston']);
+assert.deepEqual(parse('category:Warehouse').filters.category, ['Warehouse'], 'names outside the data are kept');
+console.log('✓ Parses list fields with quotes, matching names to the data case-insensitively');
+
+const volume = text => parse(text).filters.volume;
+assert.deepEqual(volume('volume>=2.5 volume<=8'), { min: 2.5, max: 8 });
+assert.deepEqual(volume('volume:2.5..8'), { min: 2.5, max: 8 });
+assert.deepEqual(volume('volume:..4'), { min: null, max: 4 });
+assert.deepEqual(volume('volume=5'), { min: 5, max: 5 });
+assert.deepEqual(volume('volume:5'), { min: 5, max: 5 });
+assert.equal(volume('volume:Medium'), 'medium');
+assert.equal(volume('volume:all'), 'all');
+console.log('✓ Volume takes bounds, ranges, exact values and presets');
+
+// Errors point at the offending text
+const firstError = text => {
+  const { errors: [error] } = parse(text);
+  return error && [error.message, text.slice(error.start, error.end)];
+};
+assert.deepEqual(firstError('colour:red'), ['Unknown field "colour" (use category, metro, volume, period)', 'colour']);
+assert.deepEqual(firstError('category:Shop Office'), ['Unknown field "Office" (use category, metro, volume, period)', 'Office']);
+assert.deepEqual(firstError('volume>5'), ['Use >= instead of >: volume ranges include their ends', '>']);
+assert.deepEqual(firstError('category>=2'), ['"category" only supports :', '>=']);
+assert.deepEqual(firstError('category:'), ['Missing value for "category"', '']);
+assert.deepEqual(firstError('category:Shop,'), ['Missing value for "category"', '']);
+assert.deepEqual(firstError('metro:"San Antonio'), ['Missing closing quote', '"San Antonio']);
+assert.deepEqual(firstError('metro:San Antonio'), ['Unknown field "Antonio" (use category, metro, volume, period)', 'Antonio']);
+assert.deepEqual(firstError('metro:"San"Antonio'), ['Unexpected "Antonio"; quote values with spaces or commas', 'Antonio']);
+assert.deepEqual(firstError('volume>=lots'), ['Invalid volume "lots", expected a number of tons', 'lots']);
+assert.deepEqual(firstError('volume:1,2'), ['"volume" takes one value', '2']);
+assert.deepEqual(firstError('volume>=3 volume>=4'), ['Volume lower bound is given twice', 'volume>=4']);
+assert.equal(firstError('volume:8..2')[0], 'Volume range 8..2 is empty');
+assert.equal(firstError('volume:small volume<=2')[0], 'A volume preset can\'t be combined with other volume terms');
+assert.deepEqual(firstError('period:2025-13'), ['Invalid period "2025-13", expected YYYY-MM', '2025-13']);
+assert.deepEqual(firstError('category:Shop category:Park'), ['"category" is given twice; list values with commas', 'category:Park']);
+assert.deepEqual(firstError(':Shop'), ['Expected a field name (category, metro, volume, period)', ':Shop']);
+assert.deepEqual(firstError('volume'), ['Expected ":" after "volume"', '']);
+assert.equal(parse('colour:red volume>5').errors.length, 2);
+console.log('✓ Syntax errors name the problem and point at the offending text');
+
+// Formatting reads back to the same settings
+const settings = [
+  { category: [], metro: [], volume: 'all', period: 'all' },
+  { category: ['Shop', 'Office'], metro: ['San Antonio'], volume: { min: 2.5, max: 8 }, period: '2025-01' },
+  { category: ['Park'], metro: [], volume: 'large', period: 'all' },
+  { category: [], metro: ['Austin'], volume: { min: null, max: 4 }, period: 'all' },
+  { category: [], metro: [], volume: { min: 6, max: null }, period: 'all' },
+  { category: ['A, B'], metro: [], volume: { min: 5, max: 5 }, period: 'all' }
+];
+assert.equal(formatQuery(settings[0]), '');
+assert.equal(formatQuery(settings[1]), 'category:Shop,Office metro:"San Antonio" volume:2.5..8 period:2025-01');
+assert.equal(formatQuery({ category: ['Shop'], volume: 'all' }), 'category:Shop');
+settings.forEach(filters => {
+  const { filters: parsed, errors } = parseQuery(formatQuery(filters));
+  assert.deepEqual(errors, []);
+  assert.deepEqual(parsed, filters);
+});
+assert.deepEqual([quoteQueryValue('Shop'), quoteQueryValue('San Antonio'), quoteQueryValue('')], ['Shop', '"San Antonio"', '""']);
+console.log('✓ Formatted filters parse back to the same settings');
+
+// Completion
+const complete = (text, cursor = text.length) => {
+  const completion = getCompletions(text, cursor, VALUES);
+  return completion && completion.items.map(item => item.label);
+};
+assert.deepEqual(complete(''), ['category', 'metro', 'volume', 'period']);
+assert.deepEqual(complete('category:Shop m'), ['metro']);
+assert.deepEqual(complete('category:Shop '), ['category', 'metro', 'volume', 'period']);
+assert.deepEqual(complete('category:'), VALUES.category);
+assert.deepEqual(complete('category:Shop,'), ['Office', 'Park', 'Restaurant', 'Transit']);
+assert.deepEqual(complete('metro:"san'), ['San Antonio']);
+assert.deepEqual(complete('metro:fort'), ['Dallas-Fort Worth']);
+assert.deepEqual(complete('metro:s'), ['San Antonio', 'Austin', 'Dallas-Fort Worth', 'Houston'], 'prefix matches first');
+assert.deepEqual(complete('volume:'), ['all', 'small', 'medium', 'large']);
+assert.equal(complete('volume>='), null);
+assert.equal(complete('category:Nothing'), null);
+assert.deepEqual(complete('vol:5', 2), ['volume']);
+
+const text = 'category:Sh volume>=5';
+const completion = getCompletions(text, 11, VALUES);
+assert.deepEqual(applyCompletion(text, completion, completion.items[0]), { text: 'category:Shop volume>=5', cursor: 13 });
+const field = getCompletions('me', 2, VALUES);
+assert.deepEqual(applyCompletion('me', field, field.items[0]), { text: 'metro:', cursor: 6 });
+const metro = getCompletions('metro:San', 9, VALUES);
+assert.deepEqual(applyCompletion('metro:San', metro, metro.items[0]).text, 'metro:"San Antonio"');
+console.log('✓ Completes field names, and names from the data after the operator');
+
+// The query feeds the same filter state as the buttons
+const data = generateData(800, 'clustered', 'texas', 11);
+applyDataset(data);
+const values = getQueryValues();
+assert.deepEqual(values.metro, Array.from(new Set(data.map(point => point.metro))).sort());
+assert.deepEqual(values.period, []);
+
+const { filters } = parseQuery('category:shop,office volume>=5 metro:houston', values);
+assert.equal(validateState('filters.metro', filters.metro).valid, true);
+batch(() => Object.entries(filters).forEach(([key, value]) => setFilter(key, value)));
+const shown = getFilteredData();
+assert.ok(shown.length > 0);
+assert.ok(shown.every(point => ['Shop', 'Office'].includes(point.category) && point.metro === 'Houston' && point.recyclingVolume >= 5));
+assert.equal(shown.length, data.filter(point => pointMatchesFilters(point, filters)).length);
+
+setFilter('category', ['Park']);
+assert.equal(formatQuery(getFilters()), 'category:Park metro:Houston volume>=5');
+assert.equal(filterKey(parseQuery(formatQuery(getFilters()), values).filters), filterKey(getFilters()));
+console.log('✓ Parsed queries set the filters; filter changes format back to a query');
+
+console.log('\n✓ All query tests passed!');
@@ -0,0 +1,105 @@
+// Test user-defined regions (validation, JSON import, generation inside polygons)
+import assert from 'node:assert/strict';
+import { pointInPolygon } from './src/utils/geo.js';
+import { generateData } from './src/data/generator.js';
+import {
+  getRegion, listRegions, normalizeRegion, parseRegionsJSON,
+  parsePolygonText, parseMetrosText, saveRegion, deleteRegion
+} from './src/data/regions.js';
+import { loadFromSource } from './src/data/sources/index.js';
+import { getCustomRegions, validateState, subscribe } from './src/state/store.js';
+
+console.log('Testing custom regions...\n');
+
+// Point in polygon
+const square = [[0, 0], [10, 0], [10, 10], [0, 10]];
+assert.ok(pointInPolygon([5, 5], square));
+assert.ok(!pointInPolygon([15, 5], square));
+assert.ok(!pointInPolygon([5, -1], square));
+console.log('✓ Point in polygon');
+
+// Normalization
+const arizona = {
+  name: 'Arizona',
+  center: [-111.9, 33.0],
+  zoom: 6,
+  polygon: { type: 'Polygon', coordinates: [[[-113, 31.5], [-110.5, 31.5], [-110.5, 34], [-113, 34], [-113, 31.5]]] },
+  metros: [
+    { name: 'Phoenix', center: [-112.074, 33.448], weight: 3, spread: 0.4 },
+    { name: 'Tucson', center: [-110.974, 32.222], weight: 1 }
+  ]
+};
+const { region, error } = normalizeRegion(arizona);
+assert.equal(error, null);
+assert.equal(region.id, 'custom-arizona');
+assert.equal(region.polygon.length, 5);
+assert.deepEqual(region.metros.map(m => m.weight), [0.75, 0.25]);
+assert.equal(region.metros[1].spread, 0.25);
+console.log('✓ Normalized region:', region.id, '- weights', region.metros.map(m => m.weight).join('/'));
+
+assert.match(normalizeRegion({ name: '', center: [0, 0], zoom: 5 }).error, /Name/);
+assert.match(normalizeRegion({ name: 'X', center: [200, 0], zoom: 5 }).error, /Center/);
+assert.match(normalizeRegion({ name: 'X', center: [0, 0], zoom: 30 }).error, /Zoom/);
+assert.match(normalizeRegion({ name: 'X', center: [0, 0], zoom: 5, polygon: [[0, 0], [1, 1]] }).error, /Polygon/);
+assert.match(normalizeRegion({ name: 'X', center: [0, 0], zoom: 5, metros: [{ name: 'A', center: [0, 0], weight: 0 }] }).error, /weight/);
+console.log('✓ Invalid definitions rejected with reasons');
+
+// Form text
+assert.deepEqual(parsePolygonText('-113, 31.5\n-110.5 31.5\n-110.5, 34\n'), [[-113, 31.5], [-110.5, 31.5], [-110.5, 34]]);
+assert.equal(parsePolygonText('  '), null);
+assert.throws(() => parsePolygonText('-113, 31.5\nnope'), /line 2/);
+assert.deepEqual(parseMetrosText('Phoenix, -112.07, 33.45, 0.8, 0.3'), [
+  { name: 'Phoenix', center: [-112.07, 33.45], weight: 0.8, spread: 0.3 }
+]);
+assert.throws(() => parseMetrosText('Phoenix, -112.07'), /line 1/);
+console.log('✓ Polygon and metro form text parsed');
+
+// JSON import
+const imported = parseRegionsJSON(JSON.stringify({
+  regions: [arizona, { name: 'Denver', center: [-104.99, 39.74], zoom: 10 }, { name: 'Broken' }]
+}));
+assert.deepEqual(imported.regions.map(r => r.id), ['custom-arizona', 'custom-denver']);
+assert.deepEqual(imported.rejected, [{ index: 2, name: 'Broken', reason: 'Center must be [lng, lat]' }]);
+assert.equal(parseRegionsJSON(JSON.stringify(arizona)).regions.length, 1);
+assert.throws(() => parseRegionsJSON('{nope'), /not valid JSON/);
+console.log('✓ JSON import:', imported.regions.length, 'regions,', imported.rejected.length, 'rejected');
+
+// Generation with every distribution stays inside the polygon
+for (const distribution of ['clustered', 'uniform', 'route', 'coastal']) {
+  const data = generateData(300, distribution, region, 21);
+  assert.equal(data.length, 300);
+  assert.ok(data.every(p => pointInPolygon([p.lng, p.lat], region.polygon)), `${distribution} escaped polygon`);
+  assert.ok(data.every(p => p.metro === 'Phoenix' || p.metro === 'Tucson'));
+  console.log(`✓ ${distribution}: all points inside polygon`);
+}
+assert.deepEqual(generateData(50, 'route', region, 4), generateData(50, 'route', region, 4));
+console.log('✓ Custom region generation is reproducible');
+
+const phoenixShare = generateData(2000, 'clustered', region, 8).filter(p => p.metro === 'Phoenix').length / 2000;
+assert.ok(phoenixShare > 0.7 && phoenixShare < 0.8);
+console.log('✓ Metro weights respected: Phoenix share', phoenixShare.toFixed(3));
+
+// Registry and store
+let notified = 0;
+subscribe('customRegions', () => notified++);
+saveRegion({ name: 'Denver', center: [-104.99, 39.74], zoom: 10 });
+assert.equal(getRegion('custom-denver').name, 'Denver');
+assert.equal(getRegion('houston').id, 'houston');
+assert.equal(listRegions().at(-1).id, 'custom-denver');
+assert.ok(validateState('customRegions.custom-denver', getRegion('custom-denver')).valid);
+assert.ok(!validateState('customRegions.custom-denver', { name: 'Bad' }).valid);
+console.log('\n✓ Saved region listed after presets and validated for persistence');
+
+const { raw: denver } = await loadFromSource('generator', { count: 40, distribution: 'uniform', region: 'custom-denver', seed: 1 });
+assert.equal(denver.length, 40);
+assert.ok(denver.every(p => p.metro === 'Denver' && Math.abs(p.lng + 104.99) < 0.3));
+console.log('✓ Generator source loads a custom region');
+
+assert.ok(deleteRegion('custom-denver'));
+assert.ok(!deleteRegion('houston'));
+assert.equal(getRegion('custom-denver'), null);
+assert.deepEqual(getCustomRegions(), {});
+assert.equal(notified, 2);
+console.log('✓ Region deleted; presets cannot be deleted');
+
+console.log('\n✓ All region tests passed!');
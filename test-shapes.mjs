@@ -0,0 +1,171 @@
+// Test drawn shapes as spatial filters: outlines, filtering, editing and persistence
+import assert from 'node:assert/strict';
+import {
+  RADIUS_UNITS, CIRCLE_SEGMENTS, isShape, nextShapeId, boundsFromCorners, circleRing, shapeToRing,
+  shapesToGeoJSON, shapeHandles, moveShapeHandle, describeShape
+} from './src/data/shapes.js';
+import { compileFilters, filterKey, pointMatchesFilters, toFilterExpression } from './src/data/filters.js';
+import { toColumns, filterColumns } from './src/data/columnar.js';
+import { pointInPolygon } from './src/utils/geo.js';
+import { generateData } from './src/data/generator.js';
+import { applyDataset } from './src/data/sources/index.js';
+import { setFilter, getFilters, validateState, persistState, restoreState, batch } from './src/state/store.js';
+import { getFilteredData } from './src/state/selectors.js';
+
+console.log('Testing spatial filters...\n');
+
+/**
+ * Great-circle distance in meters
+ * @param {[number, number]} a - [lng, lat]
+ * @param {[number, number]} b - [lng, lat]
+ * @returns {number}
+ */
+function distance(a, b) {
+  const toRadians = Math.PI / 180;
+  const dLat = (b[1] - a[1]) * toRadians;
+  const dLng = (b[0] - a[0]) * toRadians;
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(a[1] * toRadians) * Math.cos(b[1] * toRadians) * Math.sin(dLng / 2) ** 2;
+  return 2 * 6371008.8 * Math.asin(Math.sqrt(h));
+}
+
+// Shapes
+const polygon = { id: 'shape-1', type: 'polygon', ring: [[-98, 30], [-97, 30], [-97.5, 31]] };
+const rectangle = { id: 'shape-2', type: 'rectangle', bounds: [[-96, 32], [-95, 33]] };
+const circle = { id: 'shape-7', type: 'circle', center: [-95.4, 29.8], radius: 20, unit: 'mi' };
+
+assert.ok([polygon, rectangle, circle].every(isShape));
+assert.equal(isShape({ ...polygon, ring: polygon.ring.slice(0, 2) }), false);
+assert.equal(isShape({ ...rectangle, bounds: [[-95, 32], [-96, 33]] }), false, 'west must be left of east');
+assert.equal(isShape({ ...circle, radius: 0 }), false);
+assert.equal(isShape({ ...circle, unit: 'ft' }), false);
+assert.equal(isShape({ ...circle, center: [-95.4, 95] }), false);
+assert.equal(isShape({ type: 'circle', center: [0, 0], radius: 1, unit: 'km' }), false, 'shapes need an ID');
+assert.equal(nextShapeId([]), 'shape-1');
+assert.equal(nextShapeId([polygon, circle, { ...rectangle, id: 'imported' }]), 'shape-8');
+assert.deepEqual(boundsFromCorners([-95, 33], [-96, 32]), rectangle.bounds);
+assert.deepEqual([polygon, rectangle, circle].map(describeShape), ['Polygon, 3 points', 'Rectangle', 'Circle, 20 mi']);
+console.log('✓ Shapes validate; IDs count up; rectangles come from any two corners');
+
+// Circles are filtered as polygons whose vertices lie at the radius
+const ring = circleRing(circle.center, circle.radius * RADIUS_UNITS.mi);
+assert.equal(ring.length, CIRCLE_SEGMENTS);
+ring.forEach(vertex => assert.ok(Math.abs(distance(circle.center, vertex) - 20 * 1609.344) < 1));
+assert.deepEqual(shapeToRing(circle), ring);
+assert.deepEqual(shapeToRing(rectangle), [[-96, 32], [-95, 32], [-95, 33], [-96, 33]]);
+const features = shapesToGeoJSON([polygon, circle]).features;
+assert.deepEqual(features.map(feature => feature.properties), [{ id: 'shape-1', type: 'polygon' }, { id: 'shape-7', type: 'circle' }]);
+assert.deepEqual(features[0].geometry.coordinates[0].at(-1), polygon.ring[0], 'GeoJSON rings are closed');
+console.log('✓ Circles become', CIRCLE_SEGMENTS, 'vertices at the radius; GeoJSON rings are closed');
+
+// Editing handles
+assert.deepEqual(shapeHandles(circle), [circle.center]);
+assert.deepEqual(moveShapeHandle(circle, 0, [-95, 30]), { ...circle, center: [-95, 30] });
+assert.deepEqual(moveShapeHandle(polygon, 2, [-97.4, 31.2]).ring, [[-98, 30], [-97, 30], [-97.4, 31.2]]);
+assert.deepEqual(moveShapeHandle(rectangle, 2, [-94, 34]).bounds, [[-96, 32], [-94, 34]], 'NE corner keeps SW');
+assert.deepEqual(moveShapeHandle(rectangle, 0, [-94, 34]).bounds, [[-95, 33], [-94, 34]], 'SW dragged past NE');
+assert.equal(polygon.ring[2][0], -97.5, 'moving a handle returns a new shape');
+console.log('✓ Handles move polygon vertices, rectangle corners and circle centers');
+
+// Filtering: a location inside any shape passes
+const ALL = { category: [], volume: 'all', period: 'all' };
+const at = (lng, lat) => ({ category: 'Shop', recyclingVolume: 5, lng, lat });
+const inside = shapes => point => pointMatchesFilters(point, { ...ALL, shapes });
+
+assert.deepEqual(compileFilters({ ...ALL, shapes: [] }), []);
+assert.deepEqual(compileFilters({ ...ALL, shapes: [rectangle] }), [
+  { property: 'lngLat', op: 'within', value: [shapeToRing(rectangle)] }
+]);
+assert.equal(filterKey({ ...ALL, shapes: [] }), filterKey(ALL));
+assert.equal(inside([rectangle])(at(-95.5, 32.5)), true);
+assert.equal(inside([rectangle])(at(-94.9, 32.5)), false);
+assert.equal(inside([polygon])(at(-97.5, 30.2)), true);
+assert.equal(inside([polygon])(at(-97.9, 30.9)), false, 'inside the bounding box but outside the triangle');
+assert.equal(inside([circle])(at(-95.4, 30.05)), true);
+assert.equal(inside([circle])(at(-95.4, 30.15)), false);
+assert.equal(inside([polygon, rectangle])(at(-95.5, 32.5)), true);
+assert.equal(inside([polygon, rectangle])(at(-97.5, 30.2)), true);
+assert.equal(inside([polygon, rectangle])(at(-90, 30)), false);
+console.log('✓ Locations inside any drawn shape pass the spatial filter');
+
+/**
+ * Evaluate the expression subset produced by toFilterExpression, as Mapbox would
+ * @param {Array|null} expression
+ * @param {Object} point - Location with properties and lng/lat
+ * @returns {boolean}
+ */
+function evaluate(expression, point) {
+  if (!expression) return true;
+  const [op, ...args] = expression;
+  if (op === 'all') return args.every(arg => evaluate(arg, point));
+  if (op === 'within') return args[0].coordinates.some(([closed]) => pointInPolygon([point.lng, point.lat], closed.slice(0, -1)));
+
+  const [[, property], value] = args;
+  const actual = point[property] ?? null;
+  if (op === '==') return actual === value;
+  if (op === 'in') return value[1].includes(actual);
+  if (actual === null) return false;
+  if (op === '>') return actual > value;
+  return op === '>=' ? actual >= value : actual <= value;
+}
+
+const data = generateData(1500, 'clustered', 'texas', 5);
+const columns = toColumns(data);
+const near = (point, size) => ({
+  id: 'shape-1', type: 'rectangle', bounds: [[point.lng - size, point.lat - size], [point.lng + size, point.lat + size]]
+});
+const around = (point, radius) => ({ id: 'shape-2', type: 'circle', center: [point.lng, point.lat], radius, unit: 'km' });
+const cases = [
+  { ...ALL, shapes: [near(data[0], 0.3)] },
+  { ...ALL, shapes: [around(data[10], 40)] },
+  { ...ALL, shapes: [near(data[0], 0.2), around(data[10], 25), { ...polygon, id: 'shape-3' }] },
+  { category: ['Shop', 'Office'], volume: { min: 4, max: null }, period: 'all', shapes: [around(data[20], 60)] }
+];
+
+cases.forEach(filters => {
+  const expected = data.filter(point => pointMatchesFilters(point, filters)).map(point => point.id);
+  assert.ok(expected.length > 0 && expected.length < data.length);
+  const expression = toFilterExpression(filters);
+  assert.deepEqual(data.filter(point => evaluate(expression, point)).map(point => point.id), expected);
+  assert.deepEqual(Array.from(filterColumns(columns, filters), i => data[i].id), expected);
+});
+console.log('✓ JS, columnar and expression filtering agree on', cases.length, 'spatial filter sets');
+
+// Shapes combine with the other filters and persist
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: key => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, value),
+  removeItem: key => storage.delete(key)
+};
+
+assert.equal(validateState('filters.shapes', [polygon, circle]).valid, true);
+assert.equal(validateState('filters.shapes', [polygon, { ...circle, id: 'shape-1' }]).valid, false, 'IDs are unique');
+assert.equal(validateState('filters.shapes', [{ ...circle, radius: -1 }]).valid, false);
+assert.equal(validateState('filters.shapes', circle).valid, false);
+
+applyDataset(data);
+const shapes = [near(data[0], 0.3), around(data[10], 40)];
+batch(() => {
+  setFilter('category', ['Shop', 'Restaurant']);
+  setFilter('volume', 'large');
+  setFilter('shapes', shapes);
+});
+const shown = getFilteredData();
+assert.ok(shown.length > 0);
+assert.ok(shown.every(point => ['Shop', 'Restaurant'].includes(point.category) && point.recyclingVolume > 6));
+assert.ok(shown.every(point => inside(shapes)(point)));
+assert.equal(shown.length, data.filter(point => pointMatchesFilters(point, getFilters())).length);
+
+persistState();
+setFilter('shapes', []);
+assert.ok(getFilteredData().length > shown.length);
+restoreState();
+assert.deepEqual(getFilters().shapes, shapes);
+assert.equal(getFilteredData().length, shown.length);
+
+storage.set('map_app_state', JSON.stringify({ filters: { shapes: [{ ...circle, unit: 'ft' }] } }));
+restoreState();
+assert.deepEqual(getFilters().shapes, shapes, 'invalid saved shapes are ignored');
+console.log('✓ Shapes combine with category and volume filters, persist and restore');
+
+console.log('\n✓ All spatial filter tests passed!');
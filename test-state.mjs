@@ -18,10 +18,10 @@ setMode('clusters');
 
 // Test filters
 console.log('\nInitial filters:', getFilters());
-setFilter('category', 'Restaurant');
+setFilter('category', ['Restaurant']);
 setFilter('volume', 'large');
 console.log('After setting filters:', getFilters());
-setFilter('category', 'all');
+setFilter('category', []);
 setFilter('volume', 'all');
 
 // Test cluster settings
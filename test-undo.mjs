@@ -0,0 +1,151 @@
+// Test undo/redo of settings and point edits
+import assert from 'node:assert/strict';
+import { TIMING } from './src/config/constants.js';
+import {
+  setState, getMode, setMode, getFilters, setFilter, getColors, setColor, setClusterSetting, getClusterSettings,
+  getMapStyle, setMapStyle, setSeed, getRawData, getEditLog, setDatasetOrigin,
+  batch, withoutHistory, undo, redo, getUndoState, clearUndoHistory, enableHistory, getHistory, subscribe
+} from './src/state/store.js';
+import { applyDataset } from './src/data/sources/index.js';
+import { createAddEdit, createMoveEdit } from './src/data/edits.js';
+import { commitEdit, restoreEditLog, initEditingControls } from './src/map/editing.js';
+
+console.log('Testing undo/redo...\n');
+
+/**
+ * Apply recorded values with plain setters
+ * @param {string} key
+ * @param {*} value
+ */
+function applyChange(key, value) {
+  if (key === 'editLog') {
+    restoreEditLog(value);
+  } else {
+    setState(key, value);
+  }
+}
+
+clearUndoHistory();
+
+// Old values are recorded
+setMode('heatmap');
+setFilter('category', ['Shop']);
+assert.deepEqual(getUndoState(), { undo: 2, redo: 0 });
+
+const undone = undo(applyChange);
+assert.deepEqual(undone.changes, [{ key: 'filters.category', oldValue: [], newValue: ['Shop'] }]);
+assert.deepEqual(getFilters().category, []);
+undo(applyChange);
+assert.equal(getMode(), 'clusters');
+assert.deepEqual(getUndoState(), { undo: 0, redo: 2 });
+assert.equal(undo(applyChange), null);
+
+redo(applyChange);
+redo(applyChange);
+assert.equal(getMode(), 'heatmap');
+assert.deepEqual(getFilters().category, ['Shop']);
+console.log('✓ Mode and filter changes undo and redo in order');
+
+// A new change drops the redo steps
+undo(applyChange);
+setFilter('volume', 'large');
+assert.deepEqual(getUndoState(), { undo: 2, redo: 0 });
+assert.equal(redo(applyChange), null);
+console.log('✓ New changes clear the redo stack');
+
+// A batch is one step, with the first old and last new value per key
+clearUndoHistory();
+let notified = 0;
+const unsubscribe = subscribe('colors', () => notified++);
+batch(() => {
+  setColor('primary', '#111111');
+  setColor('secondary', '#222222');
+  batch(() => setColor('primary', '#333333'));
+});
+unsubscribe();
+assert.equal(notified, 2);
+assert.equal(getUndoState().undo, 1);
+undo(applyChange);
+assert.deepEqual(getColors(), { primary: '#3b82f6', secondary: '#ef4444' });
+redo(applyChange);
+assert.deepEqual(getColors(), { primary: '#333333', secondary: '#222222' });
+console.log('✓ Changes in one (nested) batch form one step');
+
+// Quick changes to the same setting merge, e.g. a dragged slider
+clearUndoHistory();
+const radius = getClusterSettings().radius;
+[radius + 10, radius + 20, radius + 30].forEach(value => setClusterSetting('radius', value));
+assert.equal(getUndoState().undo, 1);
+undo(applyChange);
+assert.equal(getClusterSettings().radius, radius);
+
+const realNow = Date.now;
+setClusterSetting('radius', radius + 10);
+Date.now = () => realNow() + TIMING.HISTORY_MERGE_MS + 1;
+setClusterSetting('radius', radius + 20);
+Date.now = realNow;
+assert.equal(getUndoState().undo, 2);
+console.log('✓ Slider moves within', TIMING.HISTORY_MERGE_MS, 'ms merge into one step');
+
+// Automatic and non-undoable changes aren't recorded
+clearUndoHistory();
+withoutHistory(() => setMode('markers'));
+setSeed(42);
+assert.deepEqual(getUndoState(), { undo: 0, redo: 0 });
+setMapStyle('dark-v11');
+undo(applyChange);
+assert.notEqual(getMapStyle(), 'dark-v11');
+console.log('✓ withoutHistory() and non-undoable keys skip recording; map style is undoable');
+
+// Point edits
+globalThis.document = { getElementById: () => null };
+initEditingControls();
+const base = [
+  { id: 1, lng: -95.3, lat: 29.7, value: 10, category: 'Shop', metro: 'Houston', recyclingVolume: 4 },
+  { id: 2, lng: -95.4, lat: 29.8, value: 20, category: 'Office', metro: 'Houston', recyclingVolume: 6 }
+];
+applyDataset(base);
+setDatasetOrigin({ source: 'generator', seed: 1 });
+clearUndoHistory();
+
+commitEdit(createAddEdit(getRawData(), { lng: -95.2, lat: 29.6, category: 'Park', recyclingVolume: 2 }));
+commitEdit(createMoveEdit(getRawData()[0], -95.31, 29.71));
+setFilter('category', ['Park']);
+assert.equal(getUndoState().undo, 3);
+
+undo(applyChange);
+undo(applyChange);
+assert.deepEqual([getRawData()[0].lng, getRawData().length, getEditLog().length], [-95.3, 3, 1]);
+undo(applyChange);
+assert.deepEqual(getRawData().map(point => point.id), [1, 2]);
+assert.equal(getEditLog().length, 0);
+
+redo(applyChange);
+redo(applyChange);
+assert.deepEqual(getRawData().map(point => [point.id, point.lng]), [[1, -95.31], [2, -95.4], [3, -95.2]]);
+assert.equal(getEditLog().length, 2);
+console.log('✓ Point edits undo and redo with the edit log');
+
+// Loading another dataset drops the edit steps but keeps settings steps
+applyDataset(base.slice());
+setDatasetOrigin({ source: 'generator', seed: 2 });
+assert.deepEqual(getUndoState(), { undo: 0, redo: 1 });
+redo(applyChange);
+assert.deepEqual(getFilters().category, ['Park']);
+console.log('✓ Loading a dataset forgets its edit steps');
+
+// A step that no longer applies is dropped
+commitEdit(createAddEdit(getRawData(), { lng: -95.2, lat: 29.6, category: 'Park', recyclingVolume: 2 }));
+applyDataset(getRawData().slice(0, 2));
+assert.throws(() => undo(applyChange), /not found/);
+assert.equal(getUndoState().redo, 0);
+console.log('✓ Steps that no longer fit the data are dropped');
+
+// Debug history keeps old values
+enableHistory();
+setMode('clusters');
+const [entry] = getHistory(1);
+assert.deepEqual([entry.key, entry.oldValue, entry.newValue], ['mode', 'markers', 'clusters']);
+console.log('✓ Debug history records old values');
+
+console.log('\n✓ All undo/redo tests passed!');
@@ -0,0 +1,96 @@
+// Test import validation and data-quality fix-ups
+import assert from 'node:assert/strict';
+import { validateDataset, applyFix, ISSUE_TYPES } from './src/data/validation.js';
+import { extractRecords, getDefaultedFields } from './src/data/normalize.js';
+import { mapCsvRows } from './src/data/csv.js';
+import { generateData } from './src/data/generator.js';
+
+console.log('Testing data validation...\n');
+
+const data = extractRecords([
+  { id: 1, lng: -95.36, lat: 29.76, category: 'Shop', volume: 5, value: 10 },
+  { id: 2, lng: 29.75, lat: -95.37, category: 'Office', volume: 4, value: 12 },
+  { id: 3, lng: -195, lat: 29.7, category: 'Park', volume: 3, value: 8 },
+  { id: 1, lng: -95.3, lat: 29.8, category: 'Shop', volume: 6, value: 9 },
+  { id: 5, lng: -95.4, lat: 29.7, category: 'Warehouse', volume: 14, value: 3 },
+  { id: 6, lng: -95.5, lat: 29.6 },
+  { id: 7, lng: -95.2, lat: 29.9, category: 'Transit', volume: 0.2, value: 1 }
+]);
+
+// Missing fields are tracked without adding properties
+assert.deepEqual(getDefaultedFields(data[5]), ['category', 'recyclingVolume']);
+assert.deepEqual(getDefaultedFields(data[0]), []);
+assert.ok(!Object.keys(data[5]).some(key => key.startsWith('_')));
+console.log('✓ Defaulted fields tracked outside the records');
+
+const report = validateDataset(data);
+assert.equal(report.checked, 7);
+assert.equal(report.affected, 6);
+assert.deepEqual(report.counts, {
+  swapped: 1, outOfBounds: 1, duplicateId: 1, unknownCategory: 1, volumeRange: 2, missing: 1
+});
+assert.deepEqual(report.issues.map(issue => [issue.index, issue.type]), [
+  [1, 'swapped'], [2, 'outOfBounds'], [3, 'duplicateId'],
+  [4, 'unknownCategory'], [4, 'volumeRange'], [5, 'missing'], [6, 'volumeRange']
+]);
+assert.match(report.issues[5].message, /Missing category, recyclingVolume$/);
+console.log('✓ Issues found:', Object.entries(report.counts).map(([type, n]) => `${type} ${n}`).join(', '));
+
+// Fix-ups
+const swapped = applyFix(data, report.issues, 'swapped', 'swap');
+assert.deepEqual([swapped.data[1].lng, swapped.data[1].lat], [-95.37, 29.75]);
+assert.equal(swapped.data[0], data[0]);
+assert.equal(swapped.fixed, 1);
+
+const clamped = applyFix(data, report.issues, 'volumeRange', 'clamp');
+assert.deepEqual([clamped.data[4].recyclingVolume, clamped.data[6].recyclingVolume], [10, 1]);
+
+const other = applyFix(data, report.issues, 'unknownCategory', 'other');
+assert.equal(other.data[4].category, 'Other');
+
+const dropped = applyFix(data, report.issues, 'duplicateId', 'drop');
+assert.deepEqual(dropped.data.map(p => p.id), [1, 2, 3, 5, 6, 7]);
+
+const offMap = applyFix(data, report.issues, 'outOfBounds', 'clamp');
+assert.equal(offMap.data[2].lng, -180);
+console.log('✓ Swap, clamp, map to Other and drop fix-ups');
+
+assert.throws(() => applyFix(data, report.issues, 'duplicateId', 'clamp'), /can't fix/);
+assert.ok(Object.values(ISSUE_TYPES).every(({ fixes }) => fixes.includes('drop')));
+console.log('✓ Every issue type can be dropped; invalid fixes rejected');
+
+let fixedData = data;
+for (const [type, { fixes }] of Object.entries(ISSUE_TYPES)) {
+  fixedData = applyFix(fixedData, validateDataset(fixedData).issues, type, fixes[0]).data;
+}
+const clean = validateDataset(fixedData);
+assert.equal(clean.issues.length, 0);
+assert.equal(fixedData.length, 4);
+console.log('✓ Default fix for every type leaves a clean dataset of', fixedData.length);
+
+const stillMissing = applyFix(data, report.issues, 'volumeRange', 'clamp');
+assert.equal(validateDataset(stillMissing.data).counts.missing, 1);
+console.log('✓ Repaired copies keep their missing-field flags');
+
+// Time series: repeated ids are fine in different periods
+const series = extractRecords([
+  { id: 'a', lng: -95, lat: 29, category: 'Shop', volume: 2, value: 1, period: '2025-01' },
+  { id: 'a', lng: -95, lat: 29, category: 'Shop', volume: 3, value: 1, period: '2025-02' },
+  { id: 'a', lng: -95, lat: 29, category: 'Shop', volume: 3, value: 1, period: '2025-02' }
+]);
+assert.deepEqual(validateDataset(series).counts.duplicateId, 1);
+console.log('✓ Duplicate ids checked per period');
+
+// CSV rows track defaults too
+const csv = mapCsvRows([['-95.1', '29.2', '', '']], { lng: 0, lat: 1, category: 2, recyclingVolume: 3, metro: -1, value: -1, period: -1 });
+assert.deepEqual(getDefaultedFields(csv.data[0]), ['category', 'recyclingVolume']);
+console.log('✓ CSV import records defaulted fields');
+
+// Generated data is clean
+for (const profile of ['independent', 'realistic']) {
+  const generated = generateData(2000, 'clustered', 'texas', 3, { profile, months: 12 });
+  assert.equal(validateDataset(generated).issues.length, 0, profile);
+}
+console.log('✓ Generated data passes validation');
+
+console.log('\n✓ All validation tests passed!');
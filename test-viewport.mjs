@@ -0,0 +1,152 @@
+// Test viewport paging (tile math, tile cache, request sharing and cancellation)
+import assert from 'node:assert/strict';
+import { VIEWPORT } from './src/config/constants.js';
+import {
+  padBounds, tilesForBounds, tilesForViewport, tileKey, tileBounds, createTileLoader
+} from './src/data/viewport.js';
+import { loadFromSource } from './src/data/sources/index.js';
+import { clearViewportCache } from './src/data/sources/viewport.js';
+import { getRawData, getDatasetTotal, getSourceStatus } from './src/state/store.js';
+
+console.log('Testing viewport paging...\n');
+
+const HOUSTON = [-95.6, 29.6, -95.2, 29.9];
+
+// Tile math
+assert.deepEqual(padBounds([0, 0, 10, 10], 0.1), [-1, -1, 11, 11]);
+assert.deepEqual(padBounds([-179, -80, 179, 80], 0.5), [-180, -85.0511, 180, 85.0511]);
+assert.deepEqual(tilesForBounds([-180, -85, 180, 85], 1).map(tileKey), ['1/0/0', '1/0/1', '1/1/0', '1/1/1']);
+
+const [west, south, east, north] = tileBounds({ z: 10, x: 240, y: 423 });
+assert.ok(west < -95.3 && east > -95.3 && south < 29.8 && north > 29.8);
+assert.deepEqual(tilesForBounds([west + 0.01, south + 0.01, east - 0.01, north - 0.01], 10).map(tileKey), ['10/240/423']);
+console.log('✓ Padding, tile coverage and tile bounds');
+
+const tiles = tilesForViewport({ bounds: HOUSTON, zoom: 10.6 });
+assert.ok(tiles.length > 0 && tiles.length <= VIEWPORT.MAX_TILES);
+assert.ok(tiles.every(tile => tile.z <= 10));
+const wide = tilesForViewport({ bounds: [-107, 25, -93, 37], zoom: 16 });
+assert.ok(wide.length <= VIEWPORT.MAX_TILES);
+assert.ok(wide[0].z < VIEWPORT.MAX_TILE_ZOOM);
+console.log(`✓ Viewport tiles capped at ${VIEWPORT.MAX_TILES}: Houston z${tiles[0].z} × ${tiles.length}, Texas z${wide[0].z} × ${wide.length}`);
+
+// Tile loader
+const requests = [];
+const aborted = [];
+const fetchTile = (tile, bounds, signal) => new Promise((resolve, reject) => {
+  const key = tileKey(tile);
+  requests.push(key);
+  signal.addEventListener('abort', () => {
+    aborted.push(key);
+    reject(new DOMException('Aborted', 'AbortError'));
+  });
+  setTimeout(() => resolve({
+    data: [
+      { id: key, lng: bounds[0], lat: bounds[1] },
+      { id: 'edge', lng: 0, lat: 0 }
+    ],
+    total: 5000
+  }), 20);
+});
+
+const loader = createTileLoader(fetchTile, { maxTiles: 3 });
+const a = { z: 5, x: 1, y: 1 };
+const b = { z: 5, x: 2, y: 1 };
+const c = { z: 5, x: 3, y: 1 };
+
+const [first, second] = await Promise.all([loader.loadTiles([a, b]), loader.loadTiles([b])]);
+assert.deepEqual(requests, ['5/1/1', '5/2/1']);
+assert.deepEqual(first.data.map(p => p.id), ['5/1/1', 'edge', '5/2/1']);
+assert.equal(first.total, 5000);
+assert.equal(second.data.length, 2);
+console.log('✓ Concurrent loads share tile requests; edge points merged once');
+
+await loader.loadTiles([a, b]);
+assert.equal(requests.length, 2);
+assert.deepEqual(loader.getStats(), { cached: 2, pending: 0 });
+console.log('✓ Cached tiles are not requested again');
+
+await loader.loadTiles([c, { z: 5, x: 4, y: 1 }]);
+await loader.loadTiles([a]);
+assert.deepEqual(requests.slice(2), ['5/3/1', '5/4/1', '5/1/1']);
+console.log('✓ Least recently used tiles evicted past the cache size');
+
+// Cancellation: a superseded load releases tiles the new load doesn't need
+requests.length = 0;
+const d = { z: 6, x: 1, y: 1 };
+const e = { z: 6, x: 2, y: 1 };
+const f = { z: 6, x: 3, y: 1 };
+const oldLoad = new AbortController();
+const stale = loader.loadTiles([d, e], { signal: oldLoad.signal });
+oldLoad.abort();
+const fresh = loader.loadTiles([e, f]);
+await assert.rejects(stale, { name: 'AbortError' });
+const result = await fresh;
+assert.deepEqual(requests, ['6/1/1', '6/2/1', '6/3/1']);
+assert.deepEqual(aborted, ['6/1/1']);
+assert.deepEqual(result.data.map(p => p.id), ['6/2/1', 'edge', '6/3/1']);
+console.log('✓ Superseded load aborts only tiles no longer needed');
+
+// Viewport source
+const urls = [];
+globalThis.fetch = async (url) => {
+  urls.push(url);
+  const params = new URL(url).searchParams;
+  const [w, s] = params.get('bbox').split(',').map(Number);
+  return {
+    ok: true,
+    json: async () => ({
+      total: 1000000,
+      type: 'FeatureCollection',
+      features: [{
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [w + 0.001, s + 0.001] },
+        properties: { id: params.get('bbox'), category: 'Shop' }
+      }]
+    })
+  };
+};
+
+clearViewportCache();
+const loaded = await loadFromSource('viewport', {
+  endpoint: 'https://api.example.com/locations',
+  bounds: HOUSTON,
+  zoom: 10
+});
+const expected = tilesForViewport({ bounds: HOUSTON, zoom: 10 }).length;
+assert.equal(urls.length, expected);
+assert.match(urls[0], /\?bbox=-?[\d.]+%2C-?[\d.]+%2C-?[\d.]+%2C-?[\d.]+&zoom=10$/);
+assert.equal(loaded.raw.length, expected);
+assert.equal(getRawData().length, expected);
+assert.equal(getDatasetTotal(), 1000000);
+assert.equal(getSourceStatus('viewport').status, 'ready');
+console.log(`\n✓ Viewport source loaded ${getRawData().length} of ${getDatasetTotal()} points in ${urls.length} tile requests`);
+
+await loadFromSource('viewport', {
+  endpoint: 'https://api.example.com/locations',
+  bounds: HOUSTON.map((v, i) => (i % 2 === 0 ? v + 0.3 : v)),
+  zoom: 10
+});
+assert.ok(urls.length > expected && urls.length < expected * 2);
+console.log('✓ Panning requests only new tiles:', urls.length - expected, 'more');
+
+// Records without an id are numbered per tile, so tiles don't merge them
+globalThis.fetch = async (url) => {
+  const [w, s] = new URL(url).searchParams.get('bbox').split(',').map(Number);
+  return { ok: true, json: async () => [{ lng: w + 0.001, lat: s + 0.001 }] };
+};
+const TWO_TILES = tileBounds({ z: 10, x: 240, y: 423 }).map((v, i) => (i === 2 ? v + 0.01 : v));
+const keys = tilesForViewport({ bounds: TWO_TILES, zoom: 10 }).map(tileKey);
+assert.ok(keys.length > 1);
+const idless = await loadFromSource('viewport', { endpoint: 'https://api.example.com/idless', bounds: TWO_TILES, zoom: 10 });
+assert.deepEqual(idless.raw.map(point => point.id), keys.map(key => `${key}:0`));
+console.log('✓ Records without ids get tile-scoped ids and are kept from every tile');
+
+assert.equal(await loadFromSource('viewport', { endpoint: 'https://api.example.com/locations', bounds: null }), null);
+assert.match(getSourceStatus('viewport').error, /bounds/);
+
+await loadFromSource('generator', { count: 10, region: 'austin' });
+assert.equal(getDatasetTotal(), null);
+console.log('✓ Missing bounds rejected; fully loaded sources clear the total');
+
+console.log('\n✓ All viewport tests passed!');